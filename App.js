@@ -1,7 +1,16 @@
-import React from "react";
+// Générateur aléatoire de crypto.getRandomValues (UUID, clés de signature)
+import "react-native-get-random-values";
+import React, { useEffect, useState } from "react";
 import { NavigationContainer } from "@react-navigation/native";
 import { createNativeStackNavigator } from "@react-navigation/native-stack";
 import { StatusBar } from "expo-status-bar";
+import {
+  Platform,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
 
 // On importe tous les écrans que l'on veut rendre accessibles
 import HomeScreen from "./src/screens/HomeScreen";
@@ -10,11 +19,86 @@ import TicketDetailScreen from "./src/screens/TicketDetailScreen";
 import HistoryScreen from "./src/screens/HistoryScreen";
 import QRDisplayScreen from "./src/screens/QRDisplayScreen";
 import QRScannerScreen from "./src/screens/QRScannerScreen";
+import SettingsScreen from "./src/screens/SettingsScreen";
+import LostTicketScreen from "./src/screens/LostTicketScreen";
+import SubscriptionsScreen from "./src/screens/SubscriptionsScreen";
+
+// Stockage des données (adaptateur et dépôt des tickets)
+import { setStorageAdapter } from "./src/storage/storageAdapter";
+import { asyncStorageAdapter } from "./src/storage/asyncStorageAdapter";
+import { setTicketRepository } from "./src/storage/ticketRepository";
+import { sqliteTicketRepository } from "./src/storage/sqliteTicketRepository";
+import { createKeyValueTicketRepository } from "./src/storage/keyValueTicketRepository";
+
+// Mise à jour des données enregistrées au démarrage
+import { runMigrations } from "./src/storage/migrations";
+import { resumePendingRestore } from "./src/storage/backupStorage";
+
+// Les données sont enregistrées avec AsyncStorage ; les tickets dans une
+// base SQLite, sauf sur le web où expo-sqlite n'est pas disponible
+setStorageAdapter(asyncStorageAdapter);
+setTicketRepository(
+  Platform.OS === "web"
+    ? createKeyValueTicketRepository(asyncStorageAdapter)
+    : sqliteTicketRepository
+);
 
 // On crée un navigateur de type "Stack" (pile)
 const Stack = createNativeStackNavigator();
 
 export default function App() {
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+
+  // Au démarrage : on met les données enregistrées au format de cette
+  // version de l'application (voir migrations.js), puis on termine une
+  // restauration de sauvegarde interrompue (voir backupStorage.js).
+  // En cas d'échec, les écrans afficheraient des données périmées : on
+  // affiche l'erreur et l'utilisateur peut réessayer.
+  const prepareStorage = async () => {
+    setStorageError(null);
+    try {
+      if (!(await runMigrations())) {
+        setStorageError(
+          "Les données enregistrées n'ont pas pu être mises à jour pour cette version de l'application."
+        );
+        return;
+      }
+      if (!(await resumePendingRestore())) {
+        setStorageError(
+          "La restauration de la sauvegarde n'a pas pu être terminée."
+        );
+        return;
+      }
+      setStorageReady(true);
+    } catch (error) {
+      console.error("Erreur lors de la préparation des données:", error);
+      setStorageError("Les données enregistrées n'ont pas pu être lues.");
+    }
+  };
+
+  useEffect(() => {
+    prepareStorage();
+  }, []);
+
+  if (storageError) {
+    return (
+      <View style={styles.errorContainer}>
+        <StatusBar style="dark" />
+        <Text style={styles.errorTitle}>Démarrage impossible</Text>
+        <Text style={styles.errorText}>{storageError}</Text>
+        <TouchableOpacity style={styles.retryButton} onPress={prepareStorage}>
+          <Text style={styles.retryButtonText}>Réessayer</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  // Aucun écran n'est affiché tant que les données ne sont pas prêtes
+  if (!storageReady) {
+    return null;
+  }
+
   return (
     // Le conteneur de navigation qui englobe tout
     <NavigationContainer>
@@ -33,7 +117,44 @@ export default function App() {
         <Stack.Screen name="History" component={HistoryScreen} />
         <Stack.Screen name="QRDisplay" component={QRDisplayScreen} />
         <Stack.Screen name="QRScanner" component={QRScannerScreen} />
+        <Stack.Screen name="Settings" component={SettingsScreen} />
+        <Stack.Screen name="LostTicket" component={LostTicketScreen} />
+        <Stack.Screen name="Subscriptions" component={SubscriptionsScreen} />
       </Stack.Navigator>
     </NavigationContainer>
   );
 }
+
+const styles = StyleSheet.create({
+  errorContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    paddingHorizontal: 32,
+    backgroundColor: "#F8F9FA",
+  },
+  errorTitle: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "#424242",
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#757575",
+    textAlign: "center",
+    marginBottom: 24,
+    lineHeight: 20,
+  },
+  retryButton: {
+    backgroundColor: "#1976D2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 32,
+  },
+  retryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+});
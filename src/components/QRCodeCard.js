@@ -1,6 +1,7 @@
 import React from "react";
 import { View, Text, StyleSheet } from "react-native";
 import QRCode from "react-native-qrcode-svg";
+import { formatMoney, getTicketCurrency } from "../utils/moneyUtils";
 
 /**
  * COMPOSANT RÉUTILISABLE - QRCodeCard
@@ -62,7 +63,9 @@ const QRCodeCard = ({ ticket, onPress = null }) => {
 
         <View style={styles.infoRow}>
           <Text style={styles.infoLabel}>Tarif/h</Text>
-          <Text style={styles.infoValue}>{ticket.pricePerHour} FCFA</Text>
+          <Text style={styles.infoValue}>
+            {formatMoney(ticket.pricePerHour, getTicketCurrency(ticket))}
+          </Text>
         </View>
       </View>
 
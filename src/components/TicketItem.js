@@ -7,6 +7,13 @@ import {
   calculateDuration,
   formatDate,
 } from "../utils/calculatePrice";
+import { getTicketCategory } from "../utils/categoryUtils";
+import { getTicketPass } from "../utils/subscriptionUtils";
+import {
+  formatMoney,
+  formatRate,
+  getTicketCurrency,
+} from "../utils/moneyUtils";
 
 /**
  * COMPOSANT RÉUTILISABLE - TicketItem
@@ -14,10 +21,13 @@ import {
  *
  * Affiche :
  * - Nom du parking
+ * - Catégorie et plaque du véhicule (et mention "Abonné")
  * - Heure d'entrée/sortie
  * - Durée (calculée en temps réel pour actifs)
  * - Montant total (pour historique)
+ * - Franchise, tolérance et réduction appliquées (pour historique)
  * - Badge "En cours" (pour tickets actifs)
+ * - Badge "Ticket perdu" et pénalité (pour historique)
  * - QR code du ticket
  * - ID unique du ticket
  */
@@ -28,6 +38,7 @@ const TicketItem = ({ ticket, onPress, onLongPress, isHistory = false }) => {
    * - Ticket historique : durée entre entrée et sortie
    */
   let durationText = "";
+  const category = getTicketCategory(ticket);
 
   if (!isHistory) {
     // Ticket actif : calculer depuis maintenant
@@ -43,6 +54,34 @@ const TicketItem = ({ ticket, onPress, onLongPress, isHistory = false }) => {
     durationText = formatDuration(durationMinutes);
   }
 
+  const currency = getTicketCurrency(ticket);
+
+  // Explication du montant facturé (tickets historique)
+  // Montant du stationnement après réduction (hors taxes et frais ajoutés)
+  const parkingAmount = ticket.taxBreakdown
+    ? ticket.taxBreakdown.parkingAmount
+    : ticket.totalAmount;
+  const pricingNotes = [
+    ticket.freeMinutes > 0 && `Franchise ${formatDuration(ticket.freeMinutes)}`,
+    ticket.toleratedMinutes > 0 &&
+      `Tolérance ${formatDuration(ticket.toleratedMinutes)}`,
+    ticket.discount &&
+      `Réduction ${ticket.discount.label} : ${formatMoney(
+        ticket.originalAmount,
+        currency
+      )} → ${formatMoney(parkingAmount, currency)}`,
+    ticket.taxBreakdown &&
+      ticket.taxBreakdown.taxAmount > 0 &&
+      `HT ${formatMoney(
+        ticket.taxBreakdown.netAmount,
+        currency
+      )} + taxes ${formatMoney(ticket.taxBreakdown.taxAmount, currency)}${
+        ticket.taxBreakdown.roundingAmount
+          ? ` + arrondi ${formatMoney(ticket.taxBreakdown.roundingAmount, currency)}`
+          : ""
+      }`,
+  ].filter(Boolean);
+
   return (
     <TouchableOpacity
       style={[styles.container, isHistory && styles.historyContainer]}
@@ -56,10 +95,19 @@ const TicketItem = ({ ticket, onPress, onLongPress, isHistory = false }) => {
           <Text style={styles.parkingName} numberOfLines={1}>
             {ticket.parkingName}
           </Text>
-          <Text style={styles.ticketId}>ID: {ticket.id.slice(0, 8)}...</Text>
+          {ticket.licensePlate ? (
+            <Text style={styles.plate}>{ticket.licensePlate}</Text>
+          ) : null}
+          <Text style={styles.ticketId}>
+            {category.icon} {category.label}
+            {getTicketPass(ticket) ? " · 🪪 Abonné" : ""} · ID:{" "}
+            {ticket.id.slice(0, 8)}...
+          </Text>
         </View>
         {isHistory && (
-          <Text style={styles.amount}>{ticket.totalAmount} FCFA</Text>
+          <Text style={styles.amount}>
+            {formatMoney(ticket.totalAmount, currency)}
+          </Text>
         )}
       </View>
 
@@ -132,7 +180,7 @@ const TicketItem = ({ ticket, onPress, onLongPress, isHistory = false }) => {
           {/* Tarif horaire */}
           <View style={styles.priceRow}>
             <Text style={styles.priceLabel}>
-              Tarif: {ticket.pricePerHour} FCFA/h
+              Tarif: {formatRate(ticket.pricePerHour, currency)}
             </Text>
             {isHistory && ticket.exitTime && (
               <Text style={styles.durationHistory}>
@@ -145,6 +193,11 @@ const TicketItem = ({ ticket, onPress, onLongPress, isHistory = false }) => {
         </View>
       </View>
 
+      {/* Explication du montant : franchise, tolérance et réduction */}
+      {isHistory && pricingNotes.length > 0 && (
+        <Text style={styles.pricingNote}>{pricingNotes.join(" · ")}</Text>
+      )}
+
       {/* Badge "En cours" pour tickets actifs seulement */}
       {!isHistory && (
         <View style={styles.footer}>
@@ -155,12 +208,21 @@ const TicketItem = ({ ticket, onPress, onLongPress, isHistory = false }) => {
         </View>
       )}
 
-      {/* Badge "Clôturé" pour tickets historique */}
+      {/* Badge "Clôturé" (ou "Ticket perdu") pour tickets historique */}
       {isHistory && (
         <View style={styles.footer}>
-          <View style={styles.statusBadgeHistory}>
-            <Text style={styles.statusTextHistory}>✓ Clôturé</Text>
-          </View>
+          {ticket.lost ? (
+            <View style={[styles.statusBadgeHistory, styles.statusBadgeLost]}>
+              <Text style={[styles.statusTextHistory, styles.statusTextLost]}>
+                ⚠️ Ticket perdu · pénalité{" "}
+                {formatMoney(ticket.lostTicketPenalty, currency)}
+              </Text>
+            </View>
+          ) : (
+            <View style={styles.statusBadgeHistory}>
+              <Text style={styles.statusTextHistory}>✓ Clôturé</Text>
+            </View>
+          )}
         </View>
       )}
     </TouchableOpacity>
@@ -204,6 +266,20 @@ const styles = StyleSheet.create({
     color: "#1A1A1A",
     marginBottom: 4,
   },
+  plate: {
+    alignSelf: "flex-start",
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    backgroundColor: "#FFF8E1",
+    borderWidth: 1,
+    borderColor: "#FFC107",
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    marginBottom: 4,
+    letterSpacing: 1,
+  },
   ticketId: {
     fontSize: 11,
     color: "#999",
@@ -272,6 +348,11 @@ const styles = StyleSheet.create({
     color: "#2E7D32",
     fontWeight: "600",
   },
+  pricingNote: {
+    fontSize: 11,
+    color: "#757575",
+    fontStyle: "italic",
+  },
   footer: {
     marginTop: 8,
     paddingTop: 8,
@@ -313,6 +394,12 @@ const styles = StyleSheet.create({
     color: "#666",
     fontWeight: "600",
   },
+  statusBadgeLost: {
+    backgroundColor: "#FFF3E0",
+  },
+  statusTextLost: {
+    color: "#E65100",
+  },
   qrDataPreview: {
     marginTop: 8,
     backgroundColor: "#F5F5F5",
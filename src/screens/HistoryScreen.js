@@ -8,28 +8,45 @@ import {
   Alert,
   ActivityIndicator,
   SafeAreaView,
+  TextInput,
 } from "react-native";
 import {
-  getHistoryTickets,
+  getHistoryPage,
+  getHistoryStats,
   deleteHistoryTicket,
 } from "../storage/ticketStorage";
 import TicketItem from "../components/TicketItem";
+import { getSettings } from "../storage/settingsStorage";
+import {
+  DEFAULT_CURRENCY,
+  formatMoney,
+  roundToMinorUnit,
+} from "../utils/moneyUtils";
 
 /**
  * OBJECTIF 5 : Consulter un historique des tickets clôturés
  *
  * Ce composant permet de :
- * - Afficher tous les tickets clôturés
+ * - Afficher tous les tickets clôturés, page par page
  * - Trier par date (plus récent en premier)
  * - Voir des statistiques (total, moyenne, nombre)
+ * - Voir le chiffre d'affaires hors taxes et toutes taxes comprises
+ * - Voir la répartition par catégorie de véhicule
+ * - Rechercher un ticket par plaque d'immatriculation
  * - Supprimer un ticket de l'historique
  */
 const HistoryScreen = ({ navigation }) => {
+  // Tickets chargés (pages successives) et nombre de tickets correspondants
   const [historyTickets, setHistoryTickets] = useState([]);
+  const [matchCount, setMatchCount] = useState(0);
+  const [historyStats, setHistoryStats] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
 
   /**
-   * Charge l'historique au montage du composant
+   * Charge l'historique au montage du composant et à chaque recherche
    */
   useEffect(() => {
     loadHistory();
@@ -40,23 +57,23 @@ const HistoryScreen = ({ navigation }) => {
     });
 
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, searchQuery]);
 
   /**
-   * OBJECTIF 5 : Récupère et trie l'historique des tickets
-   * Tri par date décroissante (plus récent en premier)
+   * OBJECTIF 5 : Récupère la première page de l'historique et ses statistiques
+   * Tri par date décroissante (plus récent en premier), fait par la base
    */
   const loadHistory = async () => {
-    setLoading(true);
     try {
-      const tickets = await getHistoryTickets();
-
-      // Tri par date de sortie (plus récent en premier)
-      const sortedTickets = tickets.sort(
-        (a, b) => new Date(b.exitTime) - new Date(a.exitTime)
-      );
-
-      setHistoryTickets(sortedTickets);
+      const [page, stats, settings] = await Promise.all([
+        getHistoryPage({ plate: searchQuery }),
+        getHistoryStats(),
+        getSettings(),
+      ]);
+      setCurrency(settings.currency);
+      setHistoryTickets(page.tickets);
+      setMatchCount(page.total);
+      setHistoryStats(stats);
     } catch (error) {
       console.error("Erreur lors du chargement de l'historique:", error);
       Alert.alert("Erreur", "Impossible de charger l'historique");
@@ -65,6 +82,24 @@ const HistoryScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Charge la page suivante quand la fin de la liste approche
+   */
+  const loadMore = async () => {
+    if (loadingMore || historyTickets.length >= matchCount) {
+      return;
+    }
+
+    setLoadingMore(true);
+    const page = await getHistoryPage({
+      plate: searchQuery,
+      offset: historyTickets.length,
+    });
+    setHistoryTickets((tickets) => [...tickets, ...page.tickets]);
+    setMatchCount(page.total);
+    setLoadingMore(false);
+  };
+
   /**
    * Supprime un ticket de l'historique après confirmation
    * @param {string} ticketId - ID du ticket à supprimer
@@ -98,22 +133,24 @@ const HistoryScreen = ({ navigation }) => {
   };
 
   /**
-   * OBJECTIF 5 : Calcule des statistiques sur l'historique
-   * @returns {Object} { totalAmount, count, avgAmount }
+   * OBJECTIF 5 : Statistiques sur tout l'historique (calculées par la base)
+   * totalAmount est le montant encaissé (TTC), netAmount le montant HT
+   * Les montants sont exprimés dans la devise du site
+   * @returns {Object} { totalAmount, netAmount, taxAmount, count, avgAmount }
    */
   const getStats = () => {
-    const totalAmount = historyTickets.reduce(
-      (sum, ticket) => sum + (ticket.totalAmount || 0),
-      0
-    );
-    const count = historyTickets.length;
-    const avgAmount = count > 0 ? Math.round(totalAmount / count) : 0;
+    const { count, totalAmount, netAmount, taxAmount } = historyStats;
+    const avgAmount = count > 0 ? totalAmount / count : 0;
 
-    return { totalAmount, count, avgAmount };
+    return {
+      totalAmount: roundToMinorUnit(totalAmount, currency),
+      netAmount: roundToMinorUnit(netAmount, currency),
+      taxAmount: roundToMinorUnit(taxAmount, currency),
+      count,
+      avgAmount: roundToMinorUnit(avgAmount, currency),
+    };
   };
 
-  const stats = getStats();
-
   // Affichage du chargement
   if (loading) {
     return (
@@ -124,6 +161,10 @@ const HistoryScreen = ({ navigation }) => {
     );
   }
 
+  const hasHistory = !!historyStats && historyStats.count > 0;
+  const stats = hasHistory ? getStats() : null;
+  const categoryStats = hasHistory ? historyStats.byCategory : [];
+
   return (
     <SafeAreaView style={styles.container}>
       {/* En-tête */}
@@ -139,7 +180,7 @@ const HistoryScreen = ({ navigation }) => {
       </View>
 
       {/* OBJECTIF 5 : Section des statistiques */}
-      {historyTickets.length > 0 && (
+      {hasHistory && (
         <View style={styles.statsContainer}>
           <View style={styles.statCard}>
             <Text style={styles.statValue}>{stats.count}</Text>
@@ -148,7 +189,9 @@ const HistoryScreen = ({ navigation }) => {
 
           <View style={[styles.statCard, styles.statCardHighlight]}>
             <Text style={styles.statValueHighlight}>{stats.totalAmount}</Text>
-            <Text style={styles.statLabelHighlight}>Total FCFA</Text>
+            <Text style={styles.statLabelHighlight}>
+              Total {currency.symbol}
+            </Text>
           </View>
 
           <View style={styles.statCard}>
@@ -158,8 +201,66 @@ const HistoryScreen = ({ navigation }) => {
         </View>
       )}
 
+      {/* OBJECTIF 5 : Chiffre d'affaires avant et après taxes */}
+      {hasHistory && (
+        <View style={styles.categoryStatsCard}>
+          <View style={styles.categoryStatsRow}>
+            <Text style={styles.categoryStatsLabel}>Chiffre d'affaires HT</Text>
+            <Text style={styles.categoryStatsValue}>
+              {formatMoney(stats.netAmount, currency)}
+            </Text>
+          </View>
+          <View style={styles.categoryStatsRow}>
+            <Text style={styles.categoryStatsLabel}>Taxes</Text>
+            <Text style={styles.categoryStatsValue}>
+              {formatMoney(stats.taxAmount, currency)}
+            </Text>
+          </View>
+          <View style={styles.categoryStatsRow}>
+            <Text style={styles.categoryStatsLabel}>
+              Chiffre d'affaires TTC
+            </Text>
+            <Text style={styles.categoryStatsValue}>
+              {formatMoney(stats.totalAmount, currency)}
+            </Text>
+          </View>
+        </View>
+      )}
+
+      {/* OBJECTIF 5 : Répartition par catégorie de véhicule */}
+      {categoryStats.length > 0 && (
+        <View style={styles.categoryStatsCard}>
+          {categoryStats.map(({ category, count, totalAmount }) => (
+            <View key={category.id} style={styles.categoryStatsRow}>
+              <Text style={styles.categoryStatsLabel}>
+                {category.icon} {category.label}
+              </Text>
+              <Text style={styles.categoryStatsValue}>
+                {count} · {formatMoney(totalAmount, currency)}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {/* Recherche par plaque */}
+      {hasHistory && (
+        <View style={styles.searchContainer}>
+          <TextInput
+            style={styles.searchInput}
+            placeholder="🔎 Rechercher une plaque"
+            placeholderTextColor="#9E9E9E"
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            clearButtonMode="while-editing"
+          />
+        </View>
+      )}
+
       {/* OBJECTIF 5 : Liste des tickets clôturés */}
-      {historyTickets.length === 0 ? (
+      {!hasHistory ? (
         <View style={styles.emptyContainer}>
           <Text style={styles.emptyIcon}>📋</Text>
           <Text style={styles.emptyTitle}>Aucun historique</Text>
@@ -179,6 +280,18 @@ const HistoryScreen = ({ navigation }) => {
               onLongPress={() => handleDelete(item.id, item.parkingName)}
             />
           )}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loadingMore ? (
+              <ActivityIndicator style={styles.listFooter} color="#1976D2" />
+            ) : null
+          }
+          ListEmptyComponent={
+            <Text style={styles.noResultText}>
+              Aucun ticket pour cette plaque
+            </Text>
+          }
           contentContainerStyle={styles.listContent}
           showsVerticalScrollIndicator={false}
         />
@@ -271,9 +384,60 @@ const styles = StyleSheet.create({
     color: "#E3F2FD",
     fontWeight: "500",
   },
+  categoryStatsCard: {
+    backgroundColor: "#FFFFFF",
+    marginHorizontal: 16,
+    marginBottom: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  categoryStatsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+  categoryStatsLabel: {
+    fontSize: 14,
+    color: "#424242",
+    fontWeight: "500",
+  },
+  categoryStatsValue: {
+    fontSize: 14,
+    color: "#1A1A1A",
+    fontWeight: "600",
+  },
+  searchContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  searchInput: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: "#1A1A1A",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  noResultText: {
+    fontSize: 14,
+    color: "#757575",
+    textAlign: "center",
+    marginTop: 32,
+  },
   listContent: {
     paddingBottom: 16,
   },
+  listFooter: {
+    paddingVertical: 16,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: "center",
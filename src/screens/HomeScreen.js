@@ -9,13 +9,21 @@ import {
   RefreshControl,
   ActivityIndicator,
   SafeAreaView,
+  TextInput,
 } from "react-native";
 import {
   getActiveTickets,
-  getHistoryTickets,
+  getHistoryPage,
   deleteHistoryTicket,
 } from "../storage/ticketStorage";
 import TicketItem from "../components/TicketItem";
+import { filterTicketsByPlate } from "../utils/plateUtils";
+import { getSubscriptions } from "../storage/subscriptionStorage";
+import { needsRenewal } from "../utils/subscriptionUtils";
+import { getCurrentDateTime } from "../utils/calculatePrice";
+
+// Nombre de tickets de l'historique affichés sur l'accueil
+const RECENT_HISTORY_SIZE = 5;
 
 /**
  * ÉCRAN D'ACCUEIL - Tous les objectifs réunis
@@ -23,13 +31,19 @@ import TicketItem from "../components/TicketItem";
  * Affiche :
  * - Les tickets actifs (OBJECTIF 1, 3)
  * - L'historique récent (OBJECTIF 5)
+ * - Une recherche par plaque d'immatriculation
+ * - Un accès à la procédure "ticket perdu"
+ * - Les abonnements à renouveler (expirés ou proches de l'échéance)
  * - Bouton pour créer un nouveau ticket (OBJECTIF 1)
  */
 const HomeScreen = ({ navigation }) => {
   const [activeTickets, setActiveTickets] = useState([]);
-  const [historyTickets, setHistoryTickets] = useState([]);
+  // Derniers tickets clôturés (recherche comprise) et leur nombre total
+  const [recentHistory, setRecentHistory] = useState({ tickets: [], total: 0 });
+  const [renewalCount, setRenewalCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
 
   /**
    * Charge les données au montage du composant
@@ -46,7 +60,16 @@ const HomeScreen = ({ navigation }) => {
       loadData();
     });
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, searchQuery]);
+
+  /**
+   * Recherche dans l'historique à chaque saisie de plaque
+   */
+  useEffect(() => {
+    getHistoryPage({ plate: searchQuery, limit: RECENT_HISTORY_SIZE }).then(
+      setRecentHistory
+    );
+  }, [searchQuery]);
 
   /**
    * Charge les tickets actifs et l'historique
@@ -54,18 +77,20 @@ const HomeScreen = ({ navigation }) => {
   const loadData = async () => {
     setLoading(true);
     try {
-      const [active, history] = await Promise.all([
+      const [active, history, subscriptions] = await Promise.all([
         getActiveTickets(),
-        getHistoryTickets(),
+        getHistoryPage({ plate: searchQuery, limit: RECENT_HISTORY_SIZE }),
+        getSubscriptions(),
       ]);
 
       setActiveTickets(active || []);
 
-      // Tri de l'historique par date décroissante
-      const sortedHistory = (history || []).sort(
-        (a, b) => new Date(b.exitTime) - new Date(a.exitTime)
-      );
-      setHistoryTickets(sortedHistory);
+      // Abonnements à signaler
+      const now = getCurrentDateTime();
+      setRenewalCount(subscriptions.filter((s) => needsRenewal(s, now)).length);
+
+      // Historique déjà trié par date décroissante
+      setRecentHistory(history);
     } catch (error) {
       console.error("Erreur chargement données:", error);
       Alert.alert("Erreur", "Impossible de charger les données");
@@ -119,6 +144,11 @@ const HomeScreen = ({ navigation }) => {
     );
   }
 
+  // Filtrage par plaque d'immatriculation
+  const visibleActiveTickets = filterTicketsByPlate(activeTickets, searchQuery);
+  const visibleHistoryTickets = recentHistory.tickets;
+  const moreHistoryCount = recentHistory.total - visibleHistoryTickets.length;
+
   return (
     <SafeAreaView style={styles.container}>
       {/* En-tête */}
@@ -130,12 +160,53 @@ const HomeScreen = ({ navigation }) => {
             actif{activeTickets.length > 1 ? "s" : ""}
           </Text>
         </View>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            style={styles.historyButton}
+            onPress={() => navigation.navigate("Subscriptions")}
+          >
+            <Text style={styles.historyButtonText}>🪪</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.historyButton}
+            onPress={() => navigation.navigate("Settings")}
+          >
+            <Text style={styles.historyButtonText}>⚙️</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.historyButton}
+            onPress={() => navigation.navigate("History")}
+          >
+            <Text style={styles.historyButtonText}>📋</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Abonnements expirés ou proches de l'échéance */}
+      {renewalCount > 0 && (
         <TouchableOpacity
-          style={styles.historyButton}
-          onPress={() => navigation.navigate("History")}
+          style={styles.renewalBanner}
+          onPress={() => navigation.navigate("Subscriptions")}
         >
-          <Text style={styles.historyButtonText}>📋</Text>
+          <Text style={styles.renewalBannerText}>
+            ⚠️ {renewalCount} abonnement{renewalCount > 1 ? "s" : ""} à
+            renouveler
+          </Text>
         </TouchableOpacity>
+      )}
+
+      {/* Recherche par plaque */}
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="🔎 Rechercher une plaque"
+          placeholderTextColor="#9E9E9E"
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          autoCapitalize="characters"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
       </View>
 
       <FlatList
@@ -155,27 +226,41 @@ const HomeScreen = ({ navigation }) => {
             {/* OBJECTIF 1 & 3 : Section Tickets Actifs */}
             <View style={styles.section}>
               <View style={styles.sectionHeader}>
-                <Text style={styles.sectionTitle}>Tickets en cours</Text>
+                <View style={styles.sectionTitleRow}>
+                  <Text style={styles.sectionTitle}>Tickets en cours</Text>
+                  {visibleActiveTickets.length > 0 && (
+                    <View style={styles.countBadge}>
+                      <Text style={styles.countBadgeText}>
+                        {visibleActiveTickets.length}
+                      </Text>
+                    </View>
+                  )}
+                </View>
                 {activeTickets.length > 0 && (
-                  <View style={styles.countBadge}>
-                    <Text style={styles.countBadgeText}>
-                      {activeTickets.length}
-                    </Text>
-                  </View>
+                  <TouchableOpacity
+                    onPress={() => navigation.navigate("LostTicket")}
+                    style={styles.seeAllButton}
+                  >
+                    <Text style={styles.seeAllText}>Ticket perdu ?</Text>
+                  </TouchableOpacity>
                 )}
               </View>
 
-              {activeTickets.length === 0 ? (
+              {visibleActiveTickets.length === 0 ? (
                 <View style={styles.emptyState}>
                   <Text style={styles.emptyIcon}>🅿️</Text>
-                  <Text style={styles.emptyTitle}>Aucun ticket actif</Text>
+                  <Text style={styles.emptyTitle}>
+                    {searchQuery ? "Aucun résultat" : "Aucun ticket actif"}
+                  </Text>
                   <Text style={styles.emptyText}>
-                    Créez un nouveau ticket pour commencer
+                    {searchQuery
+                      ? "Aucun ticket actif pour cette plaque"
+                      : "Créez un nouveau ticket pour commencer"}
                   </Text>
                 </View>
               ) : (
                 <View>
-                  {activeTickets.map((ticket) => (
+                  {visibleActiveTickets.map((ticket) => (
                     <TicketItem
                       key={ticket.id}
                       ticket={ticket}
@@ -191,11 +276,11 @@ const HomeScreen = ({ navigation }) => {
             </View>
 
             {/* OBJECTIF 5 : Section Historique Récent */}
-            {historyTickets.length > 0 && (
+            {visibleHistoryTickets.length > 0 && (
               <View style={styles.section}>
                 <View style={styles.sectionHeader}>
                   <Text style={styles.sectionTitle}>Historique récent</Text>
-                  {historyTickets.length > 5 && (
+                  {moreHistoryCount > 0 && (
                     <TouchableOpacity
                       onPress={() => navigation.navigate("History")}
                       style={styles.seeAllButton}
@@ -205,7 +290,7 @@ const HomeScreen = ({ navigation }) => {
                   )}
                 </View>
 
-                {historyTickets.slice(0, 5).map((ticket) => (
+                {visibleHistoryTickets.map((ticket) => (
                   <TicketItem
                     key={ticket.id}
                     ticket={ticket}
@@ -219,14 +304,14 @@ const HomeScreen = ({ navigation }) => {
                   />
                 ))}
 
-                {historyTickets.length > 5 && (
+                {moreHistoryCount > 0 && (
                   <TouchableOpacity
                     style={styles.viewMoreButton}
                     onPress={() => navigation.navigate("History")}
                   >
                     <Text style={styles.viewMoreText}>
-                      Voir {historyTickets.length - 5} ticket
-                      {historyTickets.length - 5 > 1 ? "s" : ""} de plus
+                      Voir {moreHistoryCount} ticket
+                      {moreHistoryCount > 1 ? "s" : ""} de plus
                     </Text>
                     <Text style={styles.viewMoreArrow}>→</Text>
                   </TouchableOpacity>
@@ -235,7 +320,7 @@ const HomeScreen = ({ navigation }) => {
             )}
 
             {/* Info de suppression */}
-            {historyTickets.length > 0 && (
+            {visibleHistoryTickets.length > 0 && (
               <View style={styles.infoBox}>
                 <Text style={styles.infoIcon}>💡</Text>
                 <Text style={styles.infoText}>
@@ -298,6 +383,10 @@ const styles = StyleSheet.create({
     marginTop: 4,
     fontWeight: "500",
   },
+  headerActions: {
+    flexDirection: "row",
+    gap: 8,
+  },
   historyButton: {
     width: 48,
     height: 48,
@@ -309,6 +398,33 @@ const styles = StyleSheet.create({
   historyButtonText: {
     fontSize: 24,
   },
+  renewalBanner: {
+    backgroundColor: "#FFF3E0",
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#FFE0B2",
+  },
+  renewalBannerText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#E65100",
+  },
+  searchContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: "#FFFFFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  searchInput: {
+    backgroundColor: "#F5F5F5",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: "#1A1A1A",
+  },
   scrollContent: {
     paddingBottom: 100,
   },
@@ -323,6 +439,11 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     marginBottom: 12,
   },
+  sectionTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: "700",
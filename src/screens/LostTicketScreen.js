@@ -0,0 +1,493 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  SafeAreaView,
+} from "react-native";
+import { searchActiveTickets, closeLostTicket } from "../storage/ticketStorage";
+import { getSettings } from "../storage/settingsStorage";
+import TicketItem from "../components/TicketItem";
+import {
+  formatDate,
+  formatTime,
+  formatDuration,
+  getCurrentDateTime,
+  parseDateTimeInput,
+} from "../utils/calculatePrice";
+import { calculateTicketPrice, getPricingDetails } from "../utils/tariffUtils";
+import {
+  calculateTaxBreakdown,
+  formatTaxBreakdown,
+  hasTaxRules,
+} from "../utils/taxUtils";
+import {
+  formatMoney,
+  getTicketCurrency,
+  parseAmountInput,
+} from "../utils/moneyUtils";
+
+/**
+ * OBJECTIF 4 : Clôturer le ticket lors de la sortie
+ *
+ * Procédure "ticket perdu" : le conducteur ne peut pas présenter son QR code.
+ * Ce composant permet de :
+ * - Retrouver le ticket actif par plaque et/ou heure d'entrée approximative
+ * - Afficher le montant du stationnement et la pénalité de ticket perdu
+ * - Clôturer le ticket ; il est marqué "perdu" dans l'historique
+ */
+const LostTicketScreen = ({ navigation }) => {
+  // Critères de recherche
+  const [plate, setPlate] = useState("");
+  const [enteredAfter, setEnteredAfter] = useState("");
+  const [enteredBefore, setEnteredBefore] = useState("");
+
+  // Résultats et ticket sélectionné
+  const [results, setResults] = useState(null);
+  const [selectedTicket, setSelectedTicket] = useState(null);
+  const [penalty, setPenalty] = useState("");
+  const [taxConfig, setTaxConfig] = useState(null);
+
+  /**
+   * Charge la pénalité par défaut et les taxes depuis les paramètres
+   */
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    const settings = await getSettings();
+    setPenalty(settings.lostTicketPenalty.toString());
+    setTaxConfig(settings.taxConfig);
+  };
+
+  /**
+   * Lance la recherche des tickets actifs
+   */
+  const handleSearch = async () => {
+    const after = enteredAfter.trim() ? parseDateTimeInput(enteredAfter) : null;
+    const before = enteredBefore.trim()
+      ? parseDateTimeInput(enteredBefore)
+      : null;
+
+    if ((enteredAfter.trim() && !after) || (enteredBefore.trim() && !before)) {
+      Alert.alert(
+        "Erreur",
+        "Heure invalide (format HH:MM ou AAAA-MM-JJ HH:MM)"
+      );
+      return;
+    }
+
+    if (!plate.trim() && !after && !before) {
+      Alert.alert(
+        "Erreur",
+        "Veuillez saisir une plaque ou une heure d'entrée approximative"
+      );
+      return;
+    }
+
+    const tickets = await searchActiveTickets({
+      plate,
+      enteredAfter: after,
+      enteredBefore: before,
+    });
+    setResults(tickets);
+    setSelectedTicket(tickets.length === 1 ? tickets[0] : null);
+  };
+
+  /**
+   * Clôture le ticket sélectionné avec la pénalité de ticket perdu
+   */
+  const handleCloseLostTicket = () => {
+    if (!selectedTicket) return;
+
+    const currency = getTicketCurrency(selectedTicket);
+    const penaltyAmount = parseAmountInput(penalty, currency);
+    if (isNaN(penaltyAmount)) {
+      Alert.alert("Erreur", "Veuillez entrer une pénalité valide");
+      return;
+    }
+
+    const exitTime = getCurrentDateTime();
+    const pricing = calculateTicketPrice(selectedTicket, exitTime);
+    const taxBreakdown = calculateTaxBreakdown(
+      pricing.totalAmount + penaltyAmount,
+      taxConfig,
+      currency
+    );
+    const totalAmount = taxBreakdown.grossAmount;
+
+    const messageLines = [
+      `Stationnement : ${formatMoney(pricing.totalAmount, currency)}`,
+      `Pénalité : ${formatMoney(penaltyAmount, currency)}`,
+      ...(hasTaxRules(taxConfig)
+        ? formatTaxBreakdown(taxBreakdown, currency)
+        : []),
+      `Total à payer : ${formatMoney(totalAmount, currency)}`,
+    ];
+
+    Alert.alert(
+      "Ticket perdu",
+      `${messageLines.join("\n")}\n\nConfirmer la clôture du ticket ?`,
+      [
+        {
+          text: "Annuler",
+          style: "cancel",
+        },
+        {
+          text: "Clôturer",
+          style: "destructive",
+          onPress: async () => {
+            const success = await closeLostTicket(
+              selectedTicket.id,
+              exitTime,
+              pricing.totalAmount,
+              penaltyAmount,
+              { ...getPricingDetails(pricing), taxBreakdown }
+            );
+
+            if (success) {
+              Alert.alert(
+                "Ticket clôturé",
+                `Montant total : ${formatMoney(totalAmount, currency)}`,
+                [
+                  {
+                    text: "OK",
+                    onPress: () => navigation.navigate("Home"),
+                  },
+                ]
+              );
+            } else {
+              Alert.alert("Erreur", "Impossible de clôturer le ticket");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const pricing = selectedTicket
+    ? calculateTicketPrice(selectedTicket, getCurrentDateTime())
+    : null;
+  const currency = getTicketCurrency(selectedTicket);
+  const penaltyAmount = parseAmountInput(penalty, currency) || 0;
+  const totalPreview = pricing
+    ? calculateTaxBreakdown(
+        pricing.totalAmount + penaltyAmount,
+        taxConfig,
+        currency
+      ).grossAmount
+    : 0;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* En-tête */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>←</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Ticket perdu</Text>
+        <View style={styles.backButton} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Critères de recherche */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Retrouver le ticket</Text>
+          <Text style={styles.cardNote}>
+            Saisissez la plaque (même partielle) et/ou une fenêtre d'heure
+            d'entrée.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Plaque (ex: 11 GH 1234)"
+            placeholderTextColor="#B0B0B0"
+            value={plate}
+            onChangeText={setPlate}
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Entrée après (HH:MM)"
+              placeholderTextColor="#B0B0B0"
+              value={enteredAfter}
+              onChangeText={setEnteredAfter}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Entrée avant (HH:MM)"
+              placeholderTextColor="#B0B0B0"
+              value={enteredBefore}
+              onChangeText={setEnteredBefore}
+            />
+          </View>
+
+          <TouchableOpacity style={styles.searchButton} onPress={handleSearch}>
+            <Text style={styles.searchButtonText}>🔎 Rechercher</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Résultats */}
+        {results !== null && (
+          <View style={styles.resultsSection}>
+            <Text style={styles.sectionTitle}>
+              {results.length} ticket(s) trouvé(s)
+            </Text>
+            {results.length === 0 ? (
+              <Text style={styles.noResultText}>
+                Aucun ticket en cours ne correspond à la recherche
+              </Text>
+            ) : (
+              results.map((ticket) => (
+                <View
+                  key={ticket.id}
+                  style={
+                    selectedTicket &&
+                    selectedTicket.id === ticket.id &&
+                    styles.selectedResult
+                  }
+                >
+                  <TicketItem
+                    ticket={ticket}
+                    onPress={() => setSelectedTicket(ticket)}
+                  />
+                </View>
+              ))
+            )}
+          </View>
+        )}
+
+        {/* Montant à payer pour le ticket sélectionné */}
+        {selectedTicket && pricing && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Montant à payer</Text>
+
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Entrée</Text>
+              <Text style={styles.detailValue}>
+                {formatDate(selectedTicket.entryTime)} à{" "}
+                {formatTime(selectedTicket.entryTime)}
+              </Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Durée</Text>
+              <Text style={styles.detailValue}>
+                {formatDuration(pricing.durationMinutes)}
+              </Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Stationnement</Text>
+              <Text style={styles.detailValue}>
+                {formatMoney(pricing.totalAmount, currency)}
+              </Text>
+            </View>
+
+            <Text style={styles.label}>
+              Pénalité ticket perdu ({currency.symbol})
+            </Text>
+            <TextInput
+              style={styles.input}
+              value={penalty}
+              onChangeText={setPenalty}
+              keyboardType="numeric"
+            />
+
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>
+                {hasTaxRules(taxConfig) ? "Total TTC" : "Total"}
+              </Text>
+              <Text style={styles.totalValue}>
+                {formatMoney(totalPreview, currency)}
+              </Text>
+            </View>
+
+            <TouchableOpacity
+              style={styles.closeButton}
+              onPress={handleCloseLostTicket}
+            >
+              <Text style={styles.closeButtonText}>Clôturer le ticket</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8F9FA",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFFFFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  backButtonText: {
+    fontSize: 28,
+    color: "#1976D2",
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingBottom: 32,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    marginHorizontal: 16,
+    marginTop: 16,
+    padding: 20,
+    borderRadius: 16,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    marginBottom: 8,
+  },
+  cardNote: {
+    fontSize: 13,
+    color: "#757575",
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#424242",
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#1A1A1A",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    marginBottom: 12,
+  },
+  inlineRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  inlineInput: {
+    flex: 1,
+  },
+  searchButton: {
+    backgroundColor: "#1976D2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  searchButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  resultsSection: {
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#424242",
+    marginHorizontal: 16,
+    marginBottom: 4,
+  },
+  selectedResult: {
+    borderLeftWidth: 4,
+    borderLeftColor: "#F57C00",
+  },
+  noResultText: {
+    fontSize: 14,
+    color: "#757575",
+    textAlign: "center",
+    marginTop: 16,
+  },
+  detailRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: "#757575",
+  },
+  detailValue: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  totalRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 12,
+    marginBottom: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#F5F5F5",
+  },
+  totalLabel: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  totalValue: {
+    fontSize: 22,
+    fontWeight: "700",
+    color: "#D32F2F",
+  },
+  closeButton: {
+    backgroundColor: "#D32F2F",
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: "center",
+  },
+  closeButtonText: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#FFFFFF",
+  },
+});
+
+export default LostTicketScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   Text,
@@ -13,8 +13,25 @@ import {
   Modal,
 } from "react-native";
 import { BarCodeScanner } from "expo-barcode-scanner";
-import { addTicket } from "../storage/ticketStorage";
+import { addTicket, findActiveTicketByPlate } from "../storage/ticketStorage";
+import { getSettings } from "../storage/settingsStorage";
 import { getCurrentDateTime } from "../utils/calculatePrice";
+import { BILLING_STEPS, createTariff } from "../utils/tariffUtils";
+import { hasScheduleRules } from "../utils/scheduleUtils";
+import {
+  DEFAULT_CURRENCY,
+  formatRate,
+  parseAmountInput,
+} from "../utils/moneyUtils";
+import { toTicketCategory } from "../utils/categoryUtils";
+import { isValidPlate, normalizePlate } from "../utils/plateUtils";
+import { parseLotConfigData } from "../utils/lotConfigUtils";
+import { getLotPublicKeys } from "../storage/lotKeyStorage";
+import { findSubscriptionForPlate } from "../storage/subscriptionStorage";
+import {
+  getSubscriptionStatus,
+  toTicketPass,
+} from "../utils/subscriptionUtils";
 import "react-native-get-random-values";
 import { v4 as uuidv4 } from "uuid";
 
@@ -24,14 +41,41 @@ import { v4 as uuidv4 } from "uuid";
  *
  * Ce composant permet de :
  * - Créer un nouveau ticket avec nom du parking et tarif
- * - Scanner un QR Code pour pré-remplir les informations
+ * - Décrire le tarif (tranches, pas de facturation, minimum de perception)
+ * - Appliquer la grille horaire des paramètres (nuit, dimanche, fériés)
+ * - Choisir la catégorie du véhicule (pré-remplit son tarif par défaut)
+ * - Saisir la plaque d'immatriculation (détection des doubles entrées)
+ * - Reconnaître les abonnés (ticket gratuit dans les règles de l'abonnement)
+ * - Scanner le QR Code de configuration du parking pour pré-remplir
+ *   son nom et son tarif
  * - Choisir entre heure actuelle ou personnalisée
  * - Sauvegarder le ticket dans AsyncStorage
  */
 const NewTicketScreen = ({ navigation }) => {
   // États pour le formulaire
   const [parkingName, setParkingName] = useState("");
+  const [licensePlate, setLicensePlate] = useState("");
+  const [vehicleCategories, setVehicleCategories] = useState([]);
+  const [selectedCategory, setSelectedCategory] = useState(null);
   const [pricePerHour, setPricePerHour] = useState("50");
+  const [nextHoursPrice, setNextHoursPrice] = useState("");
+  const [billingStep, setBillingStep] = useState(60);
+  const [minimumCharge, setMinimumCharge] = useState("");
+  const [gracePeriod, setGracePeriod] = useState("");
+  const [tolerance, setTolerance] = useState("");
+  const [dailyCap, setDailyCap] = useState("");
+  const [overnightFee, setOvernightFee] = useState("");
+  // Tarif complet reçu d'un QR Code ou d'une catégorie, lorsqu'il ne peut
+  // pas être représenté par les champs ci-dessus (prioritaire sur ceux-ci)
+  const [presetTariff, setPresetTariff] = useState(null);
+
+  // Grille horaire définie dans les paramètres
+  const [rateSchedule, setRateSchedule] = useState(null);
+  const [useSchedule, setUseSchedule] = useState(true);
+
+  // Devise du site (paramètres)
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+
   const [entryTime, setEntryTime] = useState(getCurrentDateTime());
   const [useCurrentTime, setUseCurrentTime] = useState(true);
 
@@ -39,6 +83,56 @@ const NewTicketScreen = ({ navigation }) => {
   const [scanning, setScanning] = useState(false);
   const [hasPermission, setHasPermission] = useState(null);
 
+  /**
+   * Charge la grille horaire, les catégories et la devise des paramètres
+   */
+  useEffect(() => {
+    const loadSettings = async () => {
+      const settings = await getSettings();
+      if (hasScheduleRules(settings.rateSchedule)) {
+        setRateSchedule(settings.rateSchedule);
+      }
+      setVehicleCategories(settings.vehicleCategories);
+      setCurrency(settings.currency);
+    };
+
+    loadSettings();
+  }, []);
+
+  /**
+   * Pré-remplit le formulaire avec un tarif complet
+   * Si le tarif ne tient pas dans les champs (tranches multiples, grille
+   * horaire), il est conservé tel quel
+   * @param {Object} tariff - Tarif valide
+   */
+  const applyTariff = (tariff) => {
+    const [firstBand, secondBand] = tariff.bands;
+    const fitsForm =
+      !tariff.schedule &&
+      (tariff.bands.length === 1 ||
+        (tariff.bands.length === 2 && firstBand.endMinute === 60));
+    const toField = (value) => (value ? value.toString() : "");
+
+    setPricePerHour(firstBand.pricePerHour.toString());
+    setNextHoursPrice(secondBand ? secondBand.pricePerHour.toString() : "");
+    setBillingStep(tariff.billingStepMinutes);
+    setMinimumCharge(toField(tariff.minimumCharge));
+    setGracePeriod(toField(tariff.gracePeriodMinutes));
+    setTolerance(toField(tariff.toleranceMinutes));
+    setDailyCap(toField(tariff.dailyCap));
+    setOvernightFee(toField(tariff.overnightFee));
+    setPresetTariff(fitsForm ? null : tariff);
+  };
+
+  /**
+   * Sélectionne une catégorie de véhicule et applique son tarif par défaut
+   * @param {Object} category - Catégorie choisie
+   */
+  const handleSelectCategory = (category) => {
+    setSelectedCategory(category);
+    applyTariff(category.tariff);
+  };
+
   /**
    * Demande la permission d'accès à la caméra pour scanner un QR Code
    */
@@ -57,47 +151,48 @@ const NewTicketScreen = ({ navigation }) => {
   };
 
   /**
-   * Traite le QR Code scanné
-   * Format attendu du QR :
-   * {
-   *   "parkingName": "Marché de Dassasgo",
-   *   "pricePerHour": 50,
-   *   "entryTime": "2025-01-20T14:30:00Z" // Optionnel
-   * }
+   * Traite le QR Code de configuration du parking scanné
+   * (format et validation : voir lotConfigUtils)
+   * La configuration n'est appliquée que si tous ses champs sont valides
    */
-  const handleBarCodeScanned = ({ data }) => {
+  const handleBarCodeScanned = async ({ data }) => {
     setScanning(false);
 
-    try {
-      const parsed = JSON.parse(data);
+    const publicKeys = await getLotPublicKeys();
+    const { config, errors, signatureStatus } = parseLotConfigData(
+      data,
+      publicKeys
+    );
 
-      // Vérifier que le QR contient les données nécessaires
-      if (parsed.parkingName && parsed.pricePerHour) {
-        setParkingName(parsed.parkingName);
-        setPricePerHour(parsed.pricePerHour.toString());
+    if (!config) {
+      Alert.alert("QR Code invalide", errors.join("\n"));
+      return;
+    }
 
-        // Si le QR contient une heure d'entrée, l'utiliser
-        if (parsed.entryTime) {
-          setEntryTime(parsed.entryTime);
-          setUseCurrentTime(false);
-        }
+    setParkingName(config.parkingName);
+    setPricePerHour(config.pricePerHour.toString());
 
-        Alert.alert(
-          "QR Code scanné avec succès",
-          `Parking : ${parsed.parkingName}\nTarif : ${parsed.pricePerHour} FCFA/h`
-        );
-      } else {
-        Alert.alert(
-          "QR Code invalide",
-          "Le QR Code ne contient pas les informations nécessaires"
-        );
-      }
-    } catch (error) {
-      Alert.alert(
-        "Erreur de lecture",
-        "Impossible de lire le QR Code. Veuillez réessayer."
-      );
+    // Si la configuration contient un tarif complet, l'appliquer
+    if (config.tariff) {
+      applyTariff(config.tariff);
+    } else {
+      setNextHoursPrice("");
+      setPresetTariff(null);
     }
+
+    const signatureNote =
+      signatureStatus === "valid"
+        ? "\nSignature vérifiée"
+        : signatureStatus === "unverified"
+          ? "\nSignature non vérifiée (clé du parking inconnue)"
+          : "";
+    Alert.alert(
+      "QR Code scanné avec succès",
+      `Parking : ${config.parkingName}\nTarif : ${formatRate(
+        config.pricePerHour,
+        currency
+      )}${signatureNote}`
+    );
   };
 
   /**
@@ -110,13 +205,84 @@ const NewTicketScreen = ({ navigation }) => {
       return;
     }
 
+    // Validation de la plaque d'immatriculation
+    if (!isValidPlate(licensePlate)) {
+      Alert.alert(
+        "Erreur",
+        "Veuillez entrer une plaque d'immatriculation valide (ex: 11 GH 1234)"
+      );
+      return;
+    }
+
+    // Validation de la catégorie du véhicule
+    if (!selectedCategory) {
+      Alert.alert("Erreur", "Veuillez choisir la catégorie du véhicule");
+      return;
+    }
+
     // Validation du tarif
-    const price = parseInt(pricePerHour);
+    const price = parseAmountInput(pricePerHour, currency);
     if (isNaN(price) || price <= 0) {
       Alert.alert("Erreur", "Veuillez entrer un tarif valide (supérieur à 0)");
       return;
     }
 
+    // Validation du tarif des heures suivantes (optionnel)
+    const nextPrice = nextHoursPrice.trim()
+      ? parseAmountInput(nextHoursPrice, currency)
+      : null;
+    if (nextPrice !== null && (isNaN(nextPrice) || nextPrice < 0)) {
+      Alert.alert(
+        "Erreur",
+        "Veuillez entrer un tarif valide pour les heures suivantes"
+      );
+      return;
+    }
+
+    // Validation du minimum de perception (optionnel)
+    const minimum = minimumCharge.trim()
+      ? parseAmountInput(minimumCharge, currency)
+      : 0;
+    if (isNaN(minimum) || minimum < 0) {
+      Alert.alert("Erreur", "Veuillez entrer un minimum de perception valide");
+      return;
+    }
+
+    // Validation de la franchise et de la tolérance (optionnelles)
+    const graceMinutes = gracePeriod.trim() ? parseInt(gracePeriod) : 0;
+    if (isNaN(graceMinutes) || graceMinutes < 0) {
+      Alert.alert("Erreur", "Veuillez entrer une franchise valide (minutes)");
+      return;
+    }
+
+    const toleranceMinutes = tolerance.trim() ? parseInt(tolerance) : 0;
+    if (
+      isNaN(toleranceMinutes) ||
+      toleranceMinutes < 0 ||
+      toleranceMinutes >= billingStep
+    ) {
+      Alert.alert(
+        "Erreur",
+        `La tolérance doit être comprise entre 0 et ${billingStep - 1} minutes`
+      );
+      return;
+    }
+
+    // Validation du plafond journalier et du forfait de nuit (optionnels)
+    const cap = dailyCap.trim() ? parseAmountInput(dailyCap, currency) : null;
+    if (cap !== null && (isNaN(cap) || cap <= 0)) {
+      Alert.alert("Erreur", "Veuillez entrer un plafond journalier valide");
+      return;
+    }
+
+    const nightFee = overnightFee.trim()
+      ? parseAmountInput(overnightFee, currency)
+      : 0;
+    if (isNaN(nightFee) || nightFee < 0) {
+      Alert.alert("Erreur", "Veuillez entrer un forfait de nuit valide");
+      return;
+    }
+
     // Validation de l'heure d'entrée personnalisée
     if (!useCurrentTime && !entryTime) {
       Alert.alert("Erreur", "Veuillez entrer une heure d'entrée");
@@ -126,22 +292,102 @@ const NewTicketScreen = ({ navigation }) => {
     // Création du ticket (sans UUID ici, c'est addTicket qui le génère)
     const newTicket = {
       parkingName: parkingName.trim(),
+      licensePlate: normalizePlate(licensePlate),
       entryTime: useCurrentTime ? getCurrentDateTime() : entryTime,
       pricePerHour: price,
+      vehicleCategory: toTicketCategory(selectedCategory),
+      tariff:
+        presetTariff ||
+        createTariff({
+          firstHourPrice: price,
+          nextHoursPrice: nextPrice,
+          billingStepMinutes: billingStep,
+          minimumCharge: minimum,
+          gracePeriodMinutes: graceMinutes,
+          toleranceMinutes,
+          dailyCap: cap,
+          overnightFee: nightFee,
+          schedule: useSchedule ? rateSchedule : null,
+        }),
     };
 
+    // Le ticket est facturé dans la devise du site où il est créé
+    newTicket.tariff = { ...newTicket.tariff, currency };
+
+    // Abonné : seules les minutes hors abonnement seront facturées
+    let subscriptionNote = "";
+    const subscription = await findSubscriptionForPlate(
+      newTicket.licensePlate,
+      newTicket.parkingName,
+      newTicket.entryTime
+    );
+    if (subscription) {
+      const { status, label } = getSubscriptionStatus(
+        subscription,
+        newTicket.entryTime
+      );
+      if (status === "expired") {
+        subscriptionNote = `\n\n⚠️ Abonnement de ${subscription.holderName} expiré le ${subscription.validUntil} : ticket payant`;
+      } else {
+        newTicket.tariff = {
+          ...newTicket.tariff,
+          pass: toTicketPass(subscription),
+        };
+        subscriptionNote = `\n\n🪪 Abonné : ${subscription.holderName} (${label})`;
+      }
+    }
+
+    // Avertir si le véhicule a déjà un ticket actif
+    const duplicate = await findActiveTicketByPlate(newTicket.licensePlate);
+    if (duplicate) {
+      Alert.alert(
+        "Véhicule déjà présent",
+        `Un ticket actif existe déjà pour ${duplicate.licensePlate} (${
+          duplicate.parkingName
+        }, ID ${duplicate.id.slice(0, 8)}...).\n\nCréer un second ticket ?`,
+        [
+          { text: "Annuler", style: "cancel" },
+          {
+            text: "Voir le ticket",
+            onPress: () =>
+              navigation.replace("TicketDetail", { ticketId: duplicate.id }),
+          },
+          {
+            text: "Créer quand même",
+            style: "destructive",
+            onPress: () =>
+              saveTicket(
+                newTicket,
+                { allowDuplicatePlate: true },
+                subscriptionNote
+              ),
+          },
+        ]
+      );
+      return;
+    }
+
+    saveTicket(newTicket, {}, subscriptionNote);
+  };
+
+  /**
+   * Sauvegarde le ticket validé
+   * @param {Object} newTicket - Ticket à créer
+   * @param {Object} options - Options transmises à addTicket
+   * @param {string} note - Information ajoutée au message de succès
+   */
+  const saveTicket = async (newTicket, options = {}, note = "") => {
     // Sauvegarde dans AsyncStorage avec génération automatique de UUID et QR code
     try {
-      const savedTicket = await addTicket(newTicket);
+      const savedTicket = await addTicket(newTicket, options);
 
       if (savedTicket && savedTicket.id) {
         // Afficher un message de succès avec alerte
         Alert.alert(
           "Ticket créé avec succès! 🎫",
-          `Parking: ${parkingName.trim()}\nID: ${savedTicket.id.slice(
-            0,
-            8
-          )}...`,
+          `Parking: ${newTicket.parkingName}\nPlaque: ${
+            newTicket.licensePlate
+          }\nID: ${savedTicket.id.slice(0, 8)}...${note}`,
           [
             {
               text: "Voir le QR Code",
@@ -200,7 +446,9 @@ const NewTicketScreen = ({ navigation }) => {
               onPress={requestCameraPermission}
             >
               <Text style={styles.scanButtonIcon}>📷</Text>
-              <Text style={styles.scanButtonText}>Scanner un QR Code</Text>
+              <Text style={styles.scanButtonText}>
+                Scanner le QR Code du parking
+              </Text>
             </TouchableOpacity>
 
             <View style={styles.divider}>
@@ -222,19 +470,220 @@ const NewTicketScreen = ({ navigation }) => {
               />
             </View>
 
+            {/* Plaque d'immatriculation - OBJECTIF 1 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Plaque d'immatriculation *</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Ex: 11 GH 1234"
+                placeholderTextColor="#B0B0B0"
+                value={licensePlate}
+                onChangeText={setLicensePlate}
+                onEndEditing={() =>
+                  setLicensePlate(normalizePlate(licensePlate))
+                }
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+            </View>
+
+            {/* Catégorie du véhicule - OBJECTIF 1 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Catégorie du véhicule *</Text>
+              <View style={styles.categoryRow}>
+                {vehicleCategories.map((category) => (
+                  <TouchableOpacity
+                    key={category.id}
+                    style={[
+                      styles.categoryChip,
+                      selectedCategory?.id === category.id &&
+                        styles.stepChipSelected,
+                    ]}
+                    onPress={() => handleSelectCategory(category)}
+                  >
+                    <Text style={styles.categoryIcon}>{category.icon}</Text>
+                    <Text
+                      style={[
+                        styles.stepChipText,
+                        selectedCategory?.id === category.id &&
+                          styles.stepChipTextSelected,
+                      ]}
+                    >
+                      {category.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
             {/* Tarif horaire - OBJECTIF 1 */}
             <View style={styles.inputGroup}>
-              <Text style={styles.label}>Tarif horaire (FCFA) *</Text>
+              <Text style={styles.label}>
+                Tarif de la première heure ({currency.symbol}) *
+              </Text>
               <TextInput
                 style={styles.input}
                 placeholder="50"
                 placeholderTextColor="#B0B0B0"
                 value={pricePerHour}
-                onChangeText={setPricePerHour}
+                onChangeText={(value) => {
+                  setPricePerHour(value);
+                  setPresetTariff(null);
+                }}
+                keyboardType="numeric"
+              />
+            </View>
+
+            {/* Tarif des heures suivantes - OBJECTIF 3 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>
+                Tarif des heures suivantes ({currency.symbol})
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Identique à la première heure"
+                placeholderTextColor="#B0B0B0"
+                value={nextHoursPrice}
+                onChangeText={(value) => {
+                  setNextHoursPrice(value);
+                  setPresetTariff(null);
+                }}
+                keyboardType="numeric"
+              />
+            </View>
+
+            {/* Pas de facturation - OBJECTIF 3 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Pas de facturation</Text>
+              <View style={styles.stepRow}>
+                {BILLING_STEPS.map((step) => (
+                  <TouchableOpacity
+                    key={step}
+                    style={[
+                      styles.stepChip,
+                      billingStep === step && styles.stepChipSelected,
+                    ]}
+                    onPress={() => {
+                      setBillingStep(step);
+                      setPresetTariff(null);
+                    }}
+                  >
+                    <Text
+                      style={[
+                        styles.stepChipText,
+                        billingStep === step && styles.stepChipTextSelected,
+                      ]}
+                    >
+                      {step} min
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            {/* Minimum de perception - OBJECTIF 3 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>
+                Minimum de perception ({currency.symbol})
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="0"
+                placeholderTextColor="#B0B0B0"
+                value={minimumCharge}
+                onChangeText={(value) => {
+                  setMinimumCharge(value);
+                  setPresetTariff(null);
+                }}
+                keyboardType="numeric"
+              />
+            </View>
+
+            {/* Franchise et tolérance - OBJECTIF 3 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>Franchise à l'entrée (min)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="0 (premières minutes gratuites)"
+                placeholderTextColor="#B0B0B0"
+                value={gracePeriod}
+                onChangeText={(value) => {
+                  setGracePeriod(value);
+                  setPresetTariff(null);
+                }}
+                keyboardType="numeric"
+              />
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>
+                Tolérance après chaque tranche (min)
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="0 (ex: 5 pour que 61 min = 1h)"
+                placeholderTextColor="#B0B0B0"
+                value={tolerance}
+                onChangeText={(value) => {
+                  setTolerance(value);
+                  setPresetTariff(null);
+                }}
+                keyboardType="numeric"
+              />
+            </View>
+
+            {/* Séjours de plusieurs jours - OBJECTIF 3 */}
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>
+                Plafond par 24h ({currency.symbol})
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Aucun plafond"
+                placeholderTextColor="#B0B0B0"
+                value={dailyCap}
+                onChangeText={(value) => {
+                  setDailyCap(value);
+                  setPresetTariff(null);
+                }}
+                keyboardType="numeric"
+              />
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.label}>
+                Forfait de nuit ({currency.symbol})
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="0 (ajouté pour chaque nuit passée)"
+                placeholderTextColor="#B0B0B0"
+                value={overnightFee}
+                onChangeText={(value) => {
+                  setOvernightFee(value);
+                  setPresetTariff(null);
+                }}
                 keyboardType="numeric"
               />
             </View>
 
+            {/* Grille horaire des paramètres - OBJECTIF 3 */}
+            {rateSchedule && !presetTariff && (
+              <View style={styles.inputGroup}>
+                <TouchableOpacity
+                  style={styles.timeOption}
+                  onPress={() => setUseSchedule(!useSchedule)}
+                >
+                  <View style={styles.checkbox}>
+                    {useSchedule && <Text style={styles.checkboxMark}>✓</Text>}
+                  </View>
+                  <Text style={styles.timeOptionText}>
+                    Appliquer les tarifs nuit / week-end / jours fériés
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
             {/* Heure d'entrée - OBJECTIF 2 */}
             <View style={styles.inputGroup}>
               <Text style={styles.label}>Heure d'entrée</Text>
@@ -278,8 +727,9 @@ const NewTicketScreen = ({ navigation }) => {
             <View style={styles.infoBox}>
               <Text style={styles.infoIcon}>ℹ️</Text>
               <Text style={styles.infoText}>
-                Le tarif est calculé par heure commencée. 1 minute = 1 heure
-                facturée.
+                {presetTariff
+                  ? "Le tarif complet (QR Code ou catégorie) sera appliqué à ce ticket."
+                  : `Le tarif est calculé par tranche de ${billingStep} minutes. Toute tranche commencée est due.`}
               </Text>
             </View>
           </View>
@@ -432,6 +882,50 @@ const styles = StyleSheet.create({
     marginTop: 12,
     backgroundColor: "#F5F5F5",
   },
+  stepRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  stepChip: {
+    flex: 1,
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  categoryRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  categoryChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  categoryIcon: {
+    fontSize: 18,
+    marginRight: 6,
+  },
+  stepChipSelected: {
+    backgroundColor: "#1976D2",
+    borderColor: "#1976D2",
+  },
+  stepChipText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#424242",
+  },
+  stepChipTextSelected: {
+    color: "#FFFFFF",
+  },
   timeOption: {
     flexDirection: "row",
     alignItems: "center",
@@ -453,6 +947,21 @@ const styles = StyleSheet.create({
     borderRadius: 6,
     backgroundColor: "#1976D2",
   },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 6,
+    borderWidth: 2,
+    borderColor: "#1976D2",
+    marginRight: 12,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  checkboxMark: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#1976D2",
+  },
   timeOptionText: {
     fontSize: 15,
     color: "#424242",
@@ -17,6 +17,12 @@ import {
   formatDuration,
   formatTime,
 } from "../utils/calculatePrice";
+import { calculateTicketPrice, getCurrentRate } from "../utils/tariffUtils";
+import {
+  formatMoney,
+  formatRate,
+  getTicketCurrency,
+} from "../utils/moneyUtils";
 
 /**
  * OBJECTIF QR : Écran d'affichage du QR Code
@@ -84,7 +90,12 @@ const QRDisplayScreen = ({ route, navigation }) => {
 
     try {
       await Share.share({
-        message: `🎫 Ticket de Parking\n\nParking: ${ticket.parkingName}\nID: ${ticket.id}\nTarif: ${ticket.pricePerHour} FCFA/h\n\nCe QR code peut être scanné pour vérifier l'authenticité du ticket.`,
+        message: `🎫 Ticket de Parking\n\nParking: ${ticket.parkingName}\n${
+          ticket.licensePlate ? `Plaque: ${ticket.licensePlate}\n` : ""
+        }ID: ${ticket.id}\nTarif: ${formatRate(
+          ticket.pricePerHour,
+          getTicketCurrency(ticket)
+        )}\n\nCe QR code peut être scanné pour vérifier l'authenticité du ticket.`,
         title: "Partager mon ticket de parking",
         url: ticket.qrCodeData,
       });
@@ -142,9 +153,18 @@ const QRDisplayScreen = ({ route, navigation }) => {
   }
 
   // Calcul de la durée pour les tickets actifs
-  const durationMinutes = calculateDuration(ticket.entryTime, currentTime);
+  const isActive = ticket.status === "active";
+  const endTime = isActive ? currentTime : ticket.exitTime;
+  const durationMinutes = calculateDuration(ticket.entryTime, endTime);
   const durationText = formatDuration(durationMinutes);
 
+  // Montant en temps réel (recalculé à chaque changement de plage tarifaire)
+  const amount = isActive
+    ? calculateTicketPrice(ticket, currentTime).totalAmount
+    : ticket.totalAmount;
+  const currentRate = isActive ? getCurrentRate(ticket, currentTime) : null;
+  const currency = getTicketCurrency(ticket);
+
   return (
     <SafeAreaView style={styles.container}>
       {/* En-tête */}
@@ -177,6 +197,13 @@ const QRDisplayScreen = ({ route, navigation }) => {
             <Text style={styles.detailValue}>{ticket.parkingName}</Text>
           </View>
 
+          {ticket.licensePlate ? (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Plaque</Text>
+              <Text style={styles.detailValue}>{ticket.licensePlate}</Text>
+            </View>
+          ) : null}
+
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Heure d'entrée</Text>
             <Text style={styles.detailValue}>
@@ -189,9 +216,24 @@ const QRDisplayScreen = ({ route, navigation }) => {
             <Text style={styles.detailValue}>{durationText}</Text>
           </View>
 
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>
+              {isActive ? "Montant actuel" : "Montant payé"}
+            </Text>
+            <Text style={styles.detailValue}>
+              {formatMoney(amount, currency)}
+            </Text>
+          </View>
+
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Tarif horaire</Text>
-            <Text style={styles.detailValue}>{ticket.pricePerHour} FCFA</Text>
+            <Text style={styles.detailValue}>
+              {currentRate
+                ? `${formatMoney(currentRate.pricePerHour, currency)} (${
+                    currentRate.label
+                  })`
+                : formatMoney(ticket.pricePerHour, currency)}
+            </Text>
           </View>
 
           <View style={styles.detailRow}>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   View,
   Text,
@@ -8,28 +8,84 @@ import {
   ActivityIndicator,
   Alert,
   StyleSheet,
+  TextInput,
+  Vibration,
 } from "react-native";
 import { BarCodeScanner } from "expo-barcode-scanner";
 import {
+  MIN_MANUAL_ID_LENGTH,
+  getManualQRData,
   parseQRCodeData,
   verifyTicket,
   formatScannedTicketInfo,
 } from "../utils/qrCodeUtils";
-import { getActiveTickets, getHistoryTickets } from "../storage/ticketStorage";
+import {
+  getActiveTickets,
+  getTicketById,
+  searchTicketsById,
+  closeTicket,
+} from "../storage/ticketStorage";
+import { getLotPublicKeys, importLotPublicKey } from "../storage/lotKeyStorage";
+import { getKeyFingerprint, parseLotKeyExport } from "../utils/signatureUtils";
+import { isLotConfigData } from "../utils/lotConfigUtils";
+import { getRevocations } from "../storage/revocationStorage";
+import { getScanLog, addScanRecord } from "../storage/scanLogStorage";
+import { getDeviceId } from "../storage/deviceStorage";
+import {
+  SCAN_RESULT_LABELS,
+  checkReplay,
+  createScanRecord,
+  getTicketScans,
+} from "../utils/scanLogUtils";
 import {
   calculateDuration,
+  formatDate,
   formatDuration,
   formatTime,
+  getCurrentDateTime,
 } from "../utils/calculatePrice";
+import { formatMoney, getTicketCurrency } from "../utils/moneyUtils";
+import { getSettings } from "../storage/settingsStorage";
+import { calculateTicketPrice, getPricingDetails } from "../utils/tariffUtils";
+import { calculateTaxBreakdown } from "../utils/taxUtils";
+import {
+  addAuditEntry,
+  compareAudit,
+  createAuditEntry,
+} from "../utils/auditUtils";
+
+// Résultat du contrôle de signature, affiché après le scan
+const SIGNATURE_MESSAGES = {
+  valid: "✓ Signature du parking vérifiée",
+  invalid: "✗ Signature invalide",
+  unsigned: "Ancien ticket sans signature : vérifié d'après son contenu",
+  unverified: "Clé de ce parking inconnue sur cet appareil",
+};
+
+// Modes du scanner
+const SCAN_MODES = [
+  { id: "verify", label: "Vérification" },
+  { id: "exit", label: "Sortie" },
+  { id: "audit", label: "Audit" },
+];
 
 /**
  * OBJECTIF QR : Écran de scan du QR Code
  *
  * Ce composant permet de :
- * - Scanner un QR code de ticket
- * - Vérifier l'authenticité du ticket scanné
+ * - Scanner un QR code de ticket, ou saisir son ID si le QR code est
+ *   illisible ou la caméra indisponible
+ * - Vérifier l'authenticité du ticket scanné (signature du parking),
+ *   y compris les tickets émis par un autre appareil
+ * - Importer la clé publique d'un parking partagée par un autre appareil
+ * - Signaler clairement les QR codes falsifiés et les tickets révoqués
+ * - Journaliser les scans et signaler les QR codes réutilisés
  * - Afficher les détails du ticket
  * - Confirmer le statut (actif/clôturé)
+ * - Mode sortie : afficher le montant d'un ticket actif et le clôturer
+ *   en une étape, puis reprendre le scan pour le véhicule suivant
+ * - Mode audit : scanner à la suite les tickets des véhicules stationnés,
+ *   puis lister les véhicules manquants et les tickets inconnus
  */
 const QRScannerScreen = ({ navigation }) => {
   // États pour le scanner
@@ -41,6 +97,32 @@ const QRScannerScreen = ({ navigation }) => {
   const [verificationResult, setVerificationResult] = useState(null);
   const [loading, setLoading] = useState(false);
 
+  // Scans précédents du ticket (journal)
+  const [previousScans, setPreviousScans] = useState([]);
+  const [deviceId, setDeviceId] = useState(null);
+
+  // Saisie manuelle de l'ID (QR code illisible, caméra refusée)
+  const [manualEntry, setManualEntry] = useState(false);
+  const [manualQuery, setManualQuery] = useState("");
+  const [manualMatches, setManualMatches] = useState([]);
+
+  // Mode du scanner (voir SCAN_MODES)
+  const [scanMode, setScanMode] = useState("verify");
+  const exitMode = scanMode === "exit";
+
+  // Mode audit : lectures de la tournée et rapport final
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditReport, setAuditReport] = useState(null);
+  const auditEntriesRef = useRef([]);
+  const auditSeenRef = useRef(new Set());
+  const auditContextRef = useRef(null);
+  const auditBusyRef = useRef(false);
+
+  // Mode sortie : montant à encaisser et dernier ticket clôturé
+  const [exitCharge, setExitCharge] = useState(null);
+  const [lastExit, setLastExit] = useState(null);
+  const [closing, setClosing] = useState(false);
+
   /**
    * Demande la permission d'accès à la caméra
    */
@@ -53,6 +135,262 @@ const QRScannerScreen = ({ navigation }) => {
     requestPermission();
   }, []);
 
+  /**
+   * Importe la clé publique d'un parking scannée depuis un autre appareil
+   * @param {Object} exported - Clé lue par parseLotKeyExport
+   */
+  const handleImportLotKey = (exported) => {
+    Alert.alert(
+      "Clé de parking",
+      `Importer la clé du parking "${exported.parkingName}" ?\n` +
+        `Empreinte : ${getKeyFingerprint(exported.publicKey)}\n\n` +
+        "Vérifiez que l'empreinte est identique sur l'appareil émetteur.",
+      [
+        { text: "Annuler", style: "cancel", onPress: () => setScanning(true) },
+        {
+          text: "Importer",
+          onPress: async () => {
+            const imported = await importLotPublicKey(exported);
+            Alert.alert(
+              imported ? "Succès" : "Erreur",
+              imported
+                ? "Les tickets de ce parking pourront être vérifiés sur cet appareil"
+                : "Cette clé est déjà connue ou n'a pas pu être enregistrée"
+            );
+            setScanning(true);
+          },
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  /**
+   * Change le mode du scanner
+   * @param {string} modeId - Mode choisi (voir SCAN_MODES)
+   */
+  const handleSelectMode = (modeId) => {
+    setScanMode(modeId);
+    setLastExit(null);
+    if (modeId === "audit") {
+      handleStartAudit();
+    }
+  };
+
+  /**
+   * Démarre une nouvelle tournée d'audit
+   * Les clés et révocations sont chargées une fois pour toute la tournée ;
+   * chaque ticket lu est ensuite recherché par son ID
+   */
+  const handleStartAudit = async () => {
+    auditEntriesRef.current = [];
+    auditSeenRef.current = new Set();
+    setAuditEntries([]);
+    setAuditReport(null);
+
+    const [publicKeys, revocations] = await Promise.all([
+      getLotPublicKeys(),
+      getRevocations(),
+    ]);
+    auditContextRef.current = { publicKeys, revocations };
+  };
+
+  /**
+   * Ajoute un ticket (scanné ou saisi à la main) à la tournée d'audit
+   * @param {Object} qrData - Données du ticket
+   * @param {Object} context - Clés et révocations chargées pour la tournée
+   * @returns {Promise<boolean>} false si le ticket avait déjà été lu
+   */
+  const recordAuditEntry = async (qrData, context) => {
+    const storedTicket = await getTicketById(qrData.id);
+    const verification = verifyTicket(
+      storedTicket ? [storedTicket] : [],
+      qrData,
+      context.revocations
+    );
+    const updated = addAuditEntry(
+      auditEntriesRef.current,
+      createAuditEntry(qrData, verification, getCurrentDateTime())
+    );
+    if (!updated) {
+      return false;
+    }
+    auditEntriesRef.current = updated;
+    setAuditEntries(updated);
+    Vibration.vibrate(50);
+    return true;
+  };
+
+  /**
+   * Mode audit : enregistre chaque ticket lu sans interrompre le scan
+   * Les lectures répétées d'un même QR code ou d'un même ticket sont ignorées
+   */
+  const handleAuditRead = async ({ data }) => {
+    const context = auditContextRef.current;
+    if (!context || auditBusyRef.current || auditSeenRef.current.has(data)) {
+      return;
+    }
+
+    auditBusyRef.current = true;
+    auditSeenRef.current.add(data);
+    try {
+      const qrData = parseQRCodeData(data, context.publicKeys);
+      if (qrData) {
+        await recordAuditEntry(qrData, context);
+      }
+    } catch (error) {
+      console.error("Erreur lors de la lecture d'audit:", error);
+    } finally {
+      auditBusyRef.current = false;
+    }
+  };
+
+  /**
+   * Termine la tournée et compare les tickets scannés aux tickets actifs
+   */
+  const handleFinishAudit = async () => {
+    setManualEntry(false);
+    const activeTickets = await getActiveTickets();
+    setAuditReport(compareAudit(auditEntriesRef.current, activeTickets));
+  };
+
+  /**
+   * Vérifie un ticket (scanné ou saisi à la main) et affiche le résultat
+   * Journalise le scan et prépare l'encaissement en mode sortie
+   *
+   * @param {Object} qrData - Données du ticket (résultat de parseQRCodeData)
+   */
+  const showVerification = async (qrData) => {
+    // Récupérer le ticket enregistré (actif ou historique), sans charger
+    // tout l'historique
+    const storedTicket = await getTicketById(qrData.id);
+    const allTickets = storedTicket ? [storedTicket] : [];
+
+    // Vérifier l'authenticité du ticket
+    const revocations = await getRevocations();
+    const scannedAt = getCurrentDateTime();
+    const currentDeviceId = await getDeviceId();
+    const scanLog = await getScanLog();
+
+    // Signaler un QR code rejoué (déjà scanné, clôturé ailleurs...)
+    const verification = checkReplay(
+      verifyTicket(allTickets, qrData, revocations),
+      qrData.id,
+      scanLog,
+      currentDeviceId,
+      scannedAt,
+      exitMode ? "exit" : "verify"
+    );
+    await addScanRecord(
+      createScanRecord(
+        qrData.id,
+        verification,
+        currentDeviceId,
+        scannedAt,
+        exitMode ? "exit" : "verify"
+      )
+    );
+    setDeviceId(currentDeviceId);
+    setPreviousScans(getTicketScans(scanLog, qrData.id));
+
+    if (!verification.isValid) {
+      // Ticket falsifié, révoqué, réutilisé ou non trouvé
+      setScannedTicket(qrData);
+      setVerificationResult({
+        ...verification,
+        foundInBase: false,
+      });
+    } else {
+      // Mode sortie : montant dû d'un ticket actif, calculé à l'heure du scan
+      if (exitMode && verification.status === "active") {
+        const settings = await getSettings();
+        const pricing = calculateTicketPrice(verification.ticket, scannedAt);
+        setExitCharge({
+          exitTime: scannedAt,
+          pricing,
+          taxBreakdown: calculateTaxBreakdown(
+            pricing.totalAmount,
+            settings.taxConfig,
+            getTicketCurrency(verification.ticket)
+          ),
+        });
+      }
+
+      // Ticket vérifié : enregistré ici, ou signé par un autre appareil
+      const ticketInfo = formatScannedTicketInfo(qrData, verification.ticket);
+      setScannedTicket(ticketInfo);
+      setVerificationResult({
+        ...verification,
+        foundInBase: !!verification.ticket,
+      });
+    }
+  };
+
+  /**
+   * Recherche le ticket dont l'ID (complet ou début) a été saisi
+   * Si plusieurs tickets correspondent, l'agent choisit dans la liste
+   */
+  const handleManualLookup = async () => {
+    if (manualQuery.trim().length < MIN_MANUAL_ID_LENGTH) {
+      Alert.alert(
+        "ID trop court",
+        `Saisissez au moins ${MIN_MANUAL_ID_LENGTH} caractères de l'ID du ticket`
+      );
+      return;
+    }
+
+    const matches = await searchTicketsById(manualQuery);
+
+    if (matches.length === 0) {
+      setManualMatches([]);
+      Alert.alert(
+        "Ticket introuvable",
+        "Aucun ticket de cet appareil ne correspond à cet ID"
+      );
+    } else if (matches.length > 1) {
+      setManualMatches(matches);
+    } else {
+      await handleSelectManualTicket(matches[0]);
+    }
+  };
+
+  /**
+   * Vérifie le ticket choisi comme s'il avait été scanné
+   * En mode audit, le ticket est ajouté à la tournée et la saisie continue
+   * @param {Object} ticket - Ticket trouvé par son ID
+   */
+  const handleSelectManualTicket = async (ticket) => {
+    if (scanMode === "audit") {
+      const context = auditContextRef.current;
+      if (!context) {
+        return;
+      }
+      const added = await recordAuditEntry(
+        getManualQRData(ticket, context.publicKeys),
+        context
+      );
+      setManualMatches([]);
+      setManualQuery("");
+      if (!added) {
+        Alert.alert("Déjà scanné", "Ce ticket fait déjà partie de l'audit");
+      }
+      return;
+    }
+
+    setScanning(false);
+    setLastExit(null);
+    try {
+      const publicKeys = await getLotPublicKeys();
+      await showVerification(getManualQRData(ticket, publicKeys));
+      setManualMatches([]);
+      setManualQuery("");
+    } catch (error) {
+      console.error("Erreur lors de la vérification manuelle:", error);
+      Alert.alert("Erreur", "Impossible de vérifier le ticket");
+      setScanning(true);
+    }
+  };
+
   /**
    * Traite le QR code scanné
    * Parse les données et vérifie l'authenticité du ticket
@@ -62,45 +400,34 @@ const QRScannerScreen = ({ navigation }) => {
 
     setScanning(false);
     setLoading(true);
+    setLastExit(null);
 
     try {
-      // Parser les données du QR code
-      const qrData = parseQRCodeData(data);
+      // QR code de partage d'une clé de parking
+      const lotKeyExport = parseLotKeyExport(data);
+      if (lotKeyExport) {
+        setLoading(false);
+        handleImportLotKey(lotKeyExport);
+        return;
+      }
+
+      // Parser les données du QR code et contrôler leur signature
+      const publicKeys = await getLotPublicKeys();
+      const qrData = parseQRCodeData(data, publicKeys);
 
       if (!qrData) {
         Alert.alert(
           "QR Code invalide",
-          "Ce QR code ne contient pas de données valides de ticket"
+          isLotConfigData(data)
+            ? "Ce QR code est la configuration d'un parking : scannez-le depuis l'écran Nouveau ticket"
+            : "Ce QR code ne contient pas de données valides de ticket"
         );
         setScanning(true);
         setLoading(false);
         return;
       }
 
-      // Récupérer tous les tickets (actifs + historique)
-      const activeTickets = await getActiveTickets();
-      const historyTickets = await getHistoryTickets();
-      const allTickets = [...activeTickets, ...historyTickets];
-
-      // Vérifier l'authenticité du ticket
-      const verification = verifyTicket(allTickets, qrData.id);
-
-      if (!verification.isValid) {
-        // Ticket non trouvé
-        setScannedTicket(qrData);
-        setVerificationResult({
-          ...verification,
-          foundInBase: false,
-        });
-      } else {
-        // Ticket trouvé et vérifié
-        const ticketInfo = formatScannedTicketInfo(qrData, verification.ticket);
-        setScannedTicket(ticketInfo);
-        setVerificationResult({
-          ...verification,
-          foundInBase: true,
-        });
-      }
+      await showVerification(qrData);
     } catch (error) {
       console.error("Erreur lors du scan:", error);
       Alert.alert("Erreur", "Une erreur s'est produite lors du scan");
@@ -114,11 +441,43 @@ const QRScannerScreen = ({ navigation }) => {
    * Réinitialise pour un nouveau scan
    */
   const handleReset = () => {
+    setManualEntry(false);
     setScannedTicket(null);
     setVerificationResult(null);
+    setPreviousScans([]);
+    setExitCharge(null);
     setScanning(true);
   };
 
+  /**
+   * Mode sortie : clôture le ticket scanné avec le montant affiché,
+   * puis reprend le scan pour le véhicule suivant
+   */
+  const handleConfirmExit = async () => {
+    if (!exitCharge || !verificationResult?.ticket || closing) return;
+
+    setClosing(true);
+    const { exitTime, pricing, taxBreakdown } = exitCharge;
+    const success = await closeTicket(
+      verificationResult.ticket.id,
+      exitTime,
+      taxBreakdown.grossAmount,
+      { ...getPricingDetails(pricing), taxBreakdown }
+    );
+    setClosing(false);
+
+    if (!success) {
+      Alert.alert("Erreur", "Impossible de clôturer le ticket");
+      return;
+    }
+
+    setLastExit({
+      amount: taxBreakdown.grossAmount,
+      currency: getTicketCurrency(verificationResult.ticket),
+    });
+    handleReset();
+  };
+
   /**
    * Navigue vers l'écran de détails du ticket
    */
@@ -128,6 +487,150 @@ const QRScannerScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Boutons de choix du mode (voir SCAN_MODES)
+   * @param {boolean} onLight - Affichage sur fond clair (caméra indisponible)
+   */
+  const renderModeRow = (onLight = false) => (
+    <View style={[styles.modeRow, onLight && styles.modeRowOnLight]}>
+      {SCAN_MODES.map((mode) => (
+        <TouchableOpacity
+          key={mode.id}
+          style={[
+            styles.modeButton,
+            onLight && styles.modeButtonOnLight,
+            scanMode === mode.id &&
+              (onLight
+                ? styles.modeButtonSelectedOnLight
+                : styles.modeButtonSelected),
+          ]}
+          onPress={() => handleSelectMode(mode.id)}
+        >
+          <Text
+            style={[
+              styles.modeButtonText,
+              onLight && scanMode !== mode.id && styles.modeButtonTextOnLight,
+              !onLight && scanMode === mode.id && styles.modeButtonTextSelected,
+            ]}
+          >
+            {mode.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Saisie manuelle de l'ID du ticket
+  if (manualEntry && !scannedTicket) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => {
+              setManualEntry(false);
+              setManualMatches([]);
+            }}
+          >
+            <Text style={styles.backButtonText}>←</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>
+            {scanMode === "audit" ? "Audit : saisie" : "Saisie manuelle"}
+          </Text>
+          <View style={styles.backButton} />
+        </View>
+
+        <ScrollView
+          style={styles.scrollView}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.ticketDetailsCard}>
+            <Text style={styles.ticketDetailsTitle}>ID du ticket</Text>
+            <Text style={styles.manualNote}>
+              Saisissez l'ID complet ou ses premiers caractères, tels
+              qu'affichés sur le ticket (ex: 3f2a9c01).
+            </Text>
+            <TextInput
+              style={styles.manualInput}
+              placeholder="ID du ticket"
+              placeholderTextColor="#B0B0B0"
+              value={manualQuery}
+              onChangeText={(text) => {
+                setManualQuery(text);
+                setManualMatches([]);
+              }}
+              autoCapitalize="none"
+              autoCorrect={false}
+              onSubmitEditing={handleManualLookup}
+            />
+            <TouchableOpacity
+              style={styles.permissionButton}
+              onPress={handleManualLookup}
+            >
+              <Text style={styles.permissionButtonText}>
+                {scanMode === "audit" ? "Ajouter à l'audit" : "Vérifier"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Plusieurs tickets partagent ce début d'ID */}
+          {manualMatches.length > 1 && (
+            <View style={styles.ticketDetailsCard}>
+              <Text style={styles.ticketDetailsTitle}>
+                {manualMatches.length} tickets correspondent
+              </Text>
+              {manualMatches.map((ticket) => (
+                <TouchableOpacity
+                  key={ticket.id}
+                  style={styles.detailRow}
+                  onPress={() => handleSelectManualTicket(ticket)}
+                >
+                  <Text style={styles.detailLabel}>
+                    {ticket.licensePlate || ticket.parkingName} · entrée{" "}
+                    {formatTime(ticket.entryTime)}
+                  </Text>
+                  <Text style={styles.detailValue}>
+                    {ticket.id.slice(0, 13)}...
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {/* Tournée d'audit saisie sans caméra */}
+          {scanMode === "audit" && (
+            <View style={styles.ticketDetailsCard}>
+              <Text style={styles.ticketDetailsTitle}>
+                Audit : {auditEntries.length} ticket
+                {auditEntries.length > 1 ? "s" : ""} saisi
+                {auditEntries.length > 1 ? "s" : ""}
+              </Text>
+              {auditEntries.map((entry) => (
+                <View key={entry.ticketId} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>
+                    {entry.licensePlate || entry.parkingName} · entrée{" "}
+                    {formatTime(entry.entryTime)}
+                  </Text>
+                  <Text style={styles.detailValue}>
+                    {SCAN_RESULT_LABELS[entry.status] || entry.status}
+                  </Text>
+                </View>
+              ))}
+              <TouchableOpacity
+                style={styles.permissionButton}
+                onPress={handleFinishAudit}
+              >
+                <Text style={styles.permissionButtonText}>
+                  Terminer l'audit
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
   // Pas de permission
   if (hasPermission === null) {
     return (
@@ -138,7 +641,112 @@ const QRScannerScreen = ({ navigation }) => {
     );
   }
 
-  if (hasPermission === false) {
+  // Mode audit : rapport de fin de tournée
+  if (scanMode === "audit" && auditReport) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Text style={styles.backButtonText}>←</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Rapport d'audit</Text>
+          <View style={styles.backButton} />
+        </View>
+
+        <ScrollView
+          style={styles.scrollView}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.ticketDetailsCard}>
+            <Text style={styles.ticketDetailsTitle}>Résumé</Text>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Tickets scannés</Text>
+              <Text style={styles.detailValue}>{auditEntries.length}</Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Tickets actifs retrouvés</Text>
+              <Text style={styles.detailValue}>
+                {auditReport.matched.length}
+              </Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Véhicules manquants</Text>
+              <Text style={styles.detailValue}>
+                {auditReport.missing.length}
+              </Text>
+            </View>
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Tickets inconnus</Text>
+              <Text style={styles.detailValue}>
+                {auditReport.unknown.length}
+              </Text>
+            </View>
+          </View>
+
+          {/* Ticket actif sans véhicule scanné */}
+          <View style={styles.ticketDetailsCard}>
+            <Text style={styles.ticketDetailsTitle}>Véhicules manquants</Text>
+            {auditReport.missing.length === 0 ? (
+              <Text style={styles.auditEmpty}>Aucun véhicule manquant</Text>
+            ) : (
+              auditReport.missing.map((ticket) => (
+                <View key={ticket.id} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>
+                    {ticket.licensePlate || ticket.parkingName}
+                  </Text>
+                  <Text style={styles.detailValue}>
+                    Entrée {formatTime(ticket.entryTime)}
+                  </Text>
+                </View>
+              ))
+            )}
+          </View>
+
+          {/* Ticket scanné qui n'est pas actif sur cet appareil */}
+          <View style={styles.ticketDetailsCard}>
+            <Text style={styles.ticketDetailsTitle}>Tickets inconnus</Text>
+            {auditReport.unknown.length === 0 ? (
+              <Text style={styles.auditEmpty}>Aucun ticket inconnu</Text>
+            ) : (
+              auditReport.unknown.map((entry) => (
+                <View key={entry.ticketId} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>
+                    {entry.licensePlate || entry.parkingName} · entrée{" "}
+                    {formatTime(entry.entryTime)}
+                  </Text>
+                  <Text style={styles.detailValue}>
+                    {SCAN_RESULT_LABELS[entry.status] || entry.status}
+                  </Text>
+                </View>
+              ))
+            )}
+          </View>
+
+          <View style={styles.spacer} />
+        </ScrollView>
+
+        <View style={styles.buttonContainer}>
+          <TouchableOpacity
+            style={styles.resetButton}
+            onPress={() => handleSelectMode("verify")}
+          >
+            <Text style={styles.resetButtonText}>Terminer</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.detailsButton}
+            onPress={handleStartAudit}
+          >
+            <Text style={styles.detailsButtonText}>Nouvel audit</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (hasPermission === false && !scannedTicket) {
     return (
       <SafeAreaView style={styles.container}>
         <View style={styles.header}>
@@ -159,17 +767,82 @@ const QRScannerScreen = ({ navigation }) => {
             Nous avons besoin d'accéder à votre caméra pour scanner les QR
             codes.
           </Text>
+          {renderModeRow(true)}
           <TouchableOpacity
             style={styles.permissionButton}
             onPress={() => BarCodeScanner.requestPermissionsAsync()}
           >
             <Text style={styles.permissionButtonText}>Autoriser la caméra</Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.manualButton}
+            onPress={() => setManualEntry(true)}
+          >
+            <Text style={styles.manualButtonText}>Saisir l'ID du ticket</Text>
+          </TouchableOpacity>
         </View>
       </SafeAreaView>
     );
   }
 
+  // Mode audit : scan continu avec la liste des tickets lus
+  if (scanMode === "audit") {
+    return (
+      <View style={styles.scannerContainer}>
+        <BarCodeScanner
+          onBarCodeScanned={handleAuditRead}
+          style={styles.camera}
+        >
+          <View style={styles.scannerOverlay}>
+            <Text style={styles.scannerTitle}>
+              Audit : {auditEntries.length} ticket
+              {auditEntries.length > 1 ? "s" : ""} scanné
+              {auditEntries.length > 1 ? "s" : ""}
+            </Text>
+            <View style={styles.auditFrame} />
+          </View>
+        </BarCodeScanner>
+
+        <View style={styles.auditPanel}>
+          <ScrollView style={styles.auditList}>
+            {auditEntries.length === 0 ? (
+              <Text style={styles.auditEmpty}>
+                Scannez à la suite le ticket de chaque véhicule
+              </Text>
+            ) : (
+              auditEntries.map((entry) => (
+                <View key={entry.ticketId} style={styles.detailRow}>
+                  <Text style={styles.detailLabel}>
+                    {entry.licensePlate || entry.parkingName} · entrée{" "}
+                    {formatTime(entry.entryTime)}
+                  </Text>
+                  <Text style={styles.detailValue}>
+                    {SCAN_RESULT_LABELS[entry.status] || entry.status}
+                  </Text>
+                </View>
+              ))
+            )}
+          </ScrollView>
+
+          <View style={styles.auditButtons}>
+            <TouchableOpacity
+              style={styles.resetButton}
+              onPress={() => handleSelectMode("verify")}
+            >
+              <Text style={styles.resetButtonText}>Annuler</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.detailsButton}
+              onPress={handleFinishAudit}
+            >
+              <Text style={styles.detailsButtonText}>Terminer l'audit</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    );
+  }
+
   // Écran de scan actif
   if (scanning && !scannedTicket) {
     return (
@@ -179,15 +852,31 @@ const QRScannerScreen = ({ navigation }) => {
           style={styles.camera}
         >
           <View style={styles.scannerOverlay}>
-            <Text style={styles.scannerTitle}>Scanner un QR Code</Text>
+            <Text style={styles.scannerTitle}>
+              {exitMode ? "Sortie : scanner le ticket" : "Scanner un QR Code"}
+            </Text>
             <View style={styles.scannerFrame} />
             <Text style={styles.scannerInstruction}>
-              Pointez le QR code vers la caméra
+              {lastExit
+                ? `✓ Ticket clôturé : ${formatMoney(
+                    lastExit.amount,
+                    lastExit.currency
+                  )}`
+                : "Pointez le QR code vers la caméra"}
             </Text>
           </View>
         </BarCodeScanner>
 
         <View style={styles.scannerFooter}>
+          {renderModeRow()}
+          <TouchableOpacity
+            style={styles.manualFooterButton}
+            onPress={() => setManualEntry(true)}
+          >
+            <Text style={styles.modeButtonText}>
+              QR code illisible ? Saisir l'ID
+            </Text>
+          </TouchableOpacity>
           <TouchableOpacity
             style={styles.closeButton}
             onPress={() => navigation.goBack()}
@@ -199,6 +888,34 @@ const QRScannerScreen = ({ navigation }) => {
     );
   }
 
+  // Devise du ticket enregistré (FCFA si le ticket est inconnu)
+  const currency = getTicketCurrency(verificationResult?.ticket);
+
+  // Présentation du résultat : vérifié, authentique (autre appareil),
+  // falsifié, révoqué, réutilisé ou introuvable
+  const isTampered = verificationResult?.status === "tampered";
+  const isReused = verificationResult?.status === "reused";
+  const isAlert = isTampered || isReused;
+  const isValid = !!verificationResult?.isValid;
+  let verificationIcon = "❌";
+  let verificationTitle = "Ticket introuvable";
+  if (isTampered) {
+    verificationIcon = "🚫";
+    verificationTitle = "Ticket falsifié";
+  } else if (verificationResult?.status === "revoked") {
+    verificationIcon = "⛔";
+    verificationTitle = "Ticket révoqué";
+  } else if (verificationResult?.status === "reused") {
+    verificationIcon = "♻️";
+    verificationTitle = "Ticket déjà utilisé";
+  } else if (verificationResult?.status === "issued_elsewhere") {
+    verificationIcon = "✅";
+    verificationTitle = "Ticket authentique";
+  } else if (isValid) {
+    verificationIcon = "✅";
+    verificationTitle = "Ticket vérifié";
+  }
+
   // Écran de résultat
   return (
     <SafeAreaView style={styles.container}>
@@ -222,38 +939,60 @@ const QRScannerScreen = ({ navigation }) => {
         <View
           style={[
             styles.verificationCard,
-            verificationResult?.foundInBase
+            isValid
               ? styles.verificationCardSuccess
               : styles.verificationCardError,
+            isAlert && styles.verificationCardTampered,
           ]}
         >
           <Text
             style={[
               styles.verificationIcon,
-              verificationResult?.foundInBase
+              isValid
                 ? styles.verificationIconSuccess
                 : styles.verificationIconError,
             ]}
           >
-            {verificationResult?.foundInBase ? "✅" : "❌"}
+            {verificationIcon}
           </Text>
-          <Text style={styles.verificationStatus}>
-            {verificationResult?.foundInBase
-              ? "Ticket vérifié"
-              : "Ticket introuvable"}
+          <Text
+            style={[
+              styles.verificationStatus,
+              isAlert && styles.verificationTextTampered,
+            ]}
+          >
+            {verificationTitle}
           </Text>
           <Text
             style={[
               styles.verificationMessage,
-              verificationResult?.foundInBase
+              isValid
                 ? styles.verificationMessageSuccess
                 : styles.verificationMessageError,
+              isAlert && styles.verificationTextTampered,
             ]}
           >
             {verificationResult?.message}
           </Text>
         </View>
 
+        {/* Mode sortie : montant à encaisser */}
+        {exitCharge && (
+          <View style={styles.exitCard}>
+            <Text style={styles.exitLabel}>Montant à payer</Text>
+            <Text style={styles.exitAmount}>
+              {formatMoney(exitCharge.taxBreakdown.grossAmount, currency)}
+            </Text>
+            <Text style={styles.exitNote}>
+              Durée :{" "}
+              {formatDuration(
+                calculateDuration(scannedTicket?.entryTime, exitCharge.exitTime)
+              )}{" "}
+              · sortie à {formatTime(exitCharge.exitTime)}
+            </Text>
+          </View>
+        )}
+
         {/* Détails du ticket scanné */}
         {scannedTicket && (
           <View style={styles.ticketDetailsCard}>
@@ -283,7 +1022,7 @@ const QRScannerScreen = ({ navigation }) => {
             <View style={styles.detailRow}>
               <Text style={styles.detailLabel}>Tarif/h</Text>
               <Text style={styles.detailValue}>
-                {scannedTicket.pricePerHour} FCFA
+                {formatMoney(scannedTicket.pricePerHour, currency)}
               </Text>
             </View>
 
@@ -299,7 +1038,7 @@ const QRScannerScreen = ({ navigation }) => {
                 <View style={styles.detailRow}>
                   <Text style={styles.detailLabel}>Montant</Text>
                   <Text style={[styles.detailValue, styles.detailValueGreen]}>
-                    {scannedTicket.totalAmount} FCFA
+                    {formatMoney(scannedTicket.totalAmount, currency)}
                   </Text>
                 </View>
               </>
@@ -307,6 +1046,25 @@ const QRScannerScreen = ({ navigation }) => {
           </View>
         )}
 
+        {/* Scans précédents du ticket */}
+        {previousScans.length > 0 && (
+          <View style={styles.ticketDetailsCard}>
+            <Text style={styles.ticketDetailsTitle}>Scans précédents</Text>
+
+            {previousScans.slice(0, 5).map((scan, index) => (
+              <View key={index} style={styles.detailRow}>
+                <Text style={styles.detailLabel}>
+                  {formatDate(scan.scannedAt)}
+                  {scan.deviceId === deviceId ? "" : " · autre appareil"}
+                </Text>
+                <Text style={styles.detailValue}>
+                  {SCAN_RESULT_LABELS[scan.result] || scan.result}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Statut du ticket */}
         {verificationResult?.foundInBase && (
           <View
@@ -336,9 +1094,14 @@ const QRScannerScreen = ({ navigation }) => {
           <Text style={styles.securityTitle}>🔒 Sécurité</Text>
           <Text style={styles.securityText}>
             Chaque ticket possède un identifiant unique (UUID) généré au moment
-            de sa création. Ce QR code permet de vérifier l'authenticité du
-            ticket.
+            de sa création. Son QR code est signé avec la clé du parking : toute
+            modification (heure d'entrée, tarif...) est détectée.
           </Text>
+          {scannedTicket?.signatureStatus && (
+            <Text style={[styles.securityText, styles.signatureText]}>
+              {SIGNATURE_MESSAGES[scannedTicket.signatureStatus]}
+            </Text>
+          )}
         </View>
 
         <View style={styles.spacer} />
@@ -350,13 +1113,25 @@ const QRScannerScreen = ({ navigation }) => {
           <Text style={styles.resetButtonText}>🔄 Nouveau scan</Text>
         </TouchableOpacity>
 
-        {verificationResult?.foundInBase && (
+        {exitCharge ? (
           <TouchableOpacity
-            style={styles.detailsButton}
-            onPress={handleViewDetails}
+            style={[styles.detailsButton, styles.confirmExitButton]}
+            onPress={handleConfirmExit}
+            disabled={closing}
           >
-            <Text style={styles.detailsButtonText}>Voir détails</Text>
+            <Text style={styles.detailsButtonText}>
+              {closing ? "Clôture..." : "✓ Encaisser et clôturer"}
+            </Text>
           </TouchableOpacity>
+        ) : (
+          verificationResult?.foundInBase && (
+            <TouchableOpacity
+              style={styles.detailsButton}
+              onPress={handleViewDetails}
+            >
+              <Text style={styles.detailsButtonText}>Voir détails</Text>
+            </TouchableOpacity>
+          )
         )}
       </View>
     </SafeAreaView>
@@ -438,6 +1213,37 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "#FFFFFF",
   },
+  manualButton: {
+    marginTop: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+  },
+  manualButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1976D2",
+  },
+  manualNote: {
+    fontSize: 13,
+    color: "#757575",
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  manualInput: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#1A1A1A",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    marginBottom: 12,
+  },
+  manualFooterButton: {
+    paddingVertical: 10,
+    alignItems: "center",
+    marginBottom: 8,
+  },
   scannerContainer: {
     flex: 1,
     backgroundColor: "#000000",
@@ -483,6 +1289,73 @@ const styles = StyleSheet.create({
     padding: 16,
     backgroundColor: "rgba(0, 0, 0, 0.8)",
   },
+  modeRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginBottom: 12,
+  },
+  modeButton: {
+    flex: 1,
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#FFFFFF",
+  },
+  modeButtonSelected: {
+    backgroundColor: "#FFFFFF",
+  },
+  modeButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  modeButtonTextSelected: {
+    color: "#1A1A1A",
+  },
+  modeRowOnLight: {
+    alignSelf: "stretch",
+    marginTop: 24,
+  },
+  modeButtonOnLight: {
+    borderColor: "#1976D2",
+  },
+  modeButtonSelectedOnLight: {
+    backgroundColor: "#1976D2",
+  },
+  modeButtonTextOnLight: {
+    color: "#1976D2",
+  },
+  auditFrame: {
+    width: 220,
+    height: 220,
+    borderWidth: 3,
+    borderColor: "#FFFFFF",
+    borderRadius: 16,
+    backgroundColor: "transparent",
+  },
+  auditPanel: {
+    height: "45%",
+    backgroundColor: "#FFFFFF",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 16,
+    paddingTop: 8,
+  },
+  auditList: {
+    flex: 1,
+  },
+  auditEmpty: {
+    fontSize: 14,
+    color: "#9E9E9E",
+    fontStyle: "italic",
+    paddingVertical: 12,
+  },
+  auditButtons: {
+    flexDirection: "row",
+    paddingVertical: 16,
+    gap: 12,
+  },
   closeButton: {
     backgroundColor: "#D32F2F",
     borderRadius: 12,
@@ -541,6 +1414,41 @@ const styles = StyleSheet.create({
   verificationMessageError: {
     color: "#D32F2F",
   },
+  verificationCardTampered: {
+    backgroundColor: "#D32F2F",
+  },
+  verificationTextTampered: {
+    color: "#FFFFFF",
+  },
+  exitCard: {
+    backgroundColor: "#FFFFFF",
+    marginHorizontal: 16,
+    marginVertical: 12,
+    padding: 24,
+    borderRadius: 16,
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  exitLabel: {
+    fontSize: 14,
+    color: "#757575",
+    marginBottom: 8,
+    fontWeight: "500",
+  },
+  exitAmount: {
+    fontSize: 40,
+    fontWeight: "700",
+    color: "#2E7D32",
+    marginBottom: 8,
+  },
+  exitNote: {
+    fontSize: 13,
+    color: "#9E9E9E",
+  },
   ticketDetailsCard: {
     backgroundColor: "#FFFFFF",
     marginHorizontal: 16,
@@ -635,6 +1543,10 @@ const styles = StyleSheet.create({
     color: "#1565C0",
     lineHeight: 18,
   },
+  signatureText: {
+    marginTop: 8,
+    fontWeight: "600",
+  },
   spacer: {
     height: 100,
   },
@@ -674,6 +1586,11 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: "#FFFFFF",
   },
+  confirmExitButton: {
+    flex: 2,
+    backgroundColor: "#2E7D32",
+    paddingVertical: 20,
+  },
 });
 
 export default QRScannerScreen;
@@ -0,0 +1,1952 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Share,
+} from "react-native";
+import QRCode from "react-native-qrcode-svg";
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import * as DocumentPicker from "expo-document-picker";
+import { getSettings, updateSettings } from "../storage/settingsStorage";
+import {
+  DAY_LABELS,
+  formatScheduleWindow,
+  validateSchedule,
+} from "../utils/scheduleUtils";
+import { createCategoryId } from "../utils/categoryUtils";
+import { createTariff } from "../utils/tariffUtils";
+import {
+  DISCOUNT_TYPES,
+  formatDiscount,
+  normalizeVoucherCode,
+  validateVoucher,
+} from "../utils/discountUtils";
+import {
+  getVouchers,
+  addVoucher,
+  deleteVoucher,
+} from "../storage/voucherStorage";
+import { formatTaxLabel, validateTaxConfig } from "../utils/taxUtils";
+import {
+  CURRENCY_PRESETS,
+  formatMoney,
+  formatRate,
+  parseAmountInput,
+  validateCurrency,
+} from "../utils/moneyUtils";
+import {
+  getLotKeys,
+  getOrCreateLotKey,
+  importLotPublicKey,
+  deleteImportedLotKey,
+} from "../storage/lotKeyStorage";
+import { createLotConfigData } from "../utils/lotConfigUtils";
+import {
+  createLotKeyExport,
+  getKeyFingerprint,
+  parseLotKeyExport,
+} from "../utils/signatureUtils";
+import {
+  createRevocationExport,
+  formatRevocation,
+  parseRevocationExport,
+} from "../utils/revocationUtils";
+import {
+  getRevocations,
+  importRevocations,
+  cancelRevocation,
+} from "../storage/revocationStorage";
+import {
+  createBackup,
+  checkBackup,
+  restoreBackup,
+} from "../storage/backupStorage";
+import { RESTORE_MODES, getBackupFileName } from "../utils/backupUtils";
+import { formatDate } from "../utils/calculatePrice";
+
+/**
+ * ÉCRAN DES PARAMÈTRES
+ *
+ * Ce composant permet de :
+ * - Définir les plages horaires à tarif particulier (nuit, dimanche...)
+ * - Gérer le calendrier des jours fériés et leur tarif
+ * - Gérer les catégories de véhicules et leur tarif par défaut
+ * - Fixer la pénalité appliquée en cas de ticket perdu
+ * - Gérer les codes promo / bons de validation des commerçants
+ * - Configurer les taxes (TVA...) et les frais de service
+ * - Choisir la devise du site et sa règle d'arrondi
+ * - Générer le QR code de configuration d'un parking (nom et tarif),
+ *   signé avec la clé du parking
+ * - Partager et importer les clés publiques des parkings, pour vérifier
+ *   hors ligne les tickets émis par les autres appareils
+ * - Partager et importer la liste des tickets révoqués
+ * - Sauvegarder toutes les données dans un fichier et les restaurer
+ */
+const SettingsScreen = ({ navigation }) => {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Formulaire d'ajout d'une plage horaire
+  const [windowLabel, setWindowLabel] = useState("");
+  const [windowDays, setWindowDays] = useState([]);
+  const [windowStart, setWindowStart] = useState("20:00");
+  const [windowEnd, setWindowEnd] = useState("06:00");
+  const [windowPrice, setWindowPrice] = useState("");
+
+  // Formulaire des catégories de véhicules
+  const [categoryIcon, setCategoryIcon] = useState("");
+  const [categoryLabel, setCategoryLabel] = useState("");
+  const [categoryPrice, setCategoryPrice] = useState("");
+  const [categoryNextPrice, setCategoryNextPrice] = useState("");
+
+  // Formulaire des jours fériés
+  const [holidayDate, setHolidayDate] = useState("");
+  const [holidayPrice, setHolidayPrice] = useState("");
+
+  // Pénalité de ticket perdu
+  const [lostPenalty, setLostPenalty] = useState("");
+
+  // Codes promo
+  const [vouchers, setVouchers] = useState([]);
+  const [voucherCode, setVoucherCode] = useState("");
+  const [voucherType, setVoucherType] = useState("percentage");
+  const [voucherValue, setVoucherValue] = useState("");
+  const [voucherFrom, setVoucherFrom] = useState("");
+  const [voucherUntil, setVoucherUntil] = useState("");
+  const [voucherLimit, setVoucherLimit] = useState("");
+
+  // Taxes et frais de service
+  const [taxLabel, setTaxLabel] = useState("");
+  const [taxRate, setTaxRate] = useState("");
+  const [feeLabel, setFeeLabel] = useState("");
+  const [feeAmount, setFeeAmount] = useState("");
+
+  // Devise du site
+  const [currencyCode, setCurrencyCode] = useState("");
+  const [currencySymbol, setCurrencySymbol] = useState("");
+  const [currencyPosition, setCurrencyPosition] = useState("after");
+  const [currencyDecimals, setCurrencyDecimals] = useState("");
+  const [currencyStep, setCurrencyStep] = useState("");
+  const [currencyLocale, setCurrencyLocale] = useState("");
+
+  // Clés de signature des parkings
+  // QR code de configuration d'un parking
+  const [configName, setConfigName] = useState("");
+  const [configPrice, setConfigPrice] = useState("");
+  const [configNextPrice, setConfigNextPrice] = useState("");
+  const [lotConfigData, setLotConfigData] = useState(null);
+
+  const [lotKeys, setLotKeys] = useState([]);
+  const [shownKey, setShownKey] = useState(null);
+  const [keyImportText, setKeyImportText] = useState("");
+
+  // Liste de révocation
+  const [revocations, setRevocations] = useState([]);
+  const [revocationImportText, setRevocationImportText] = useState("");
+
+  /**
+   * Charge les paramètres au montage du composant
+   */
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  /**
+   * Charge les paramètres depuis AsyncStorage
+   */
+  const loadSettings = async () => {
+    setLoading(true);
+    try {
+      const loaded = await getSettings();
+      setSettings(loaded);
+      const price = loaded.rateSchedule.holidayPricePerHour;
+      setHolidayPrice(price === null ? "" : price.toString());
+      setLostPenalty(loaded.lostTicketPenalty.toString());
+      fillCurrencyForm(loaded.currency);
+      setVouchers(await getVouchers());
+      setLotKeys(await getLotKeys());
+      setRevocations(await getRevocations());
+    } catch (error) {
+      console.error("Erreur lors du chargement des paramètres:", error);
+      Alert.alert("Erreur", "Impossible de charger les paramètres");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Valide puis enregistre une nouvelle grille horaire
+   * @param {Object} rateSchedule - Grille à enregistrer
+   * @returns {Promise<boolean>} Succès de l'opération
+   */
+  const saveSchedule = async (rateSchedule) => {
+    const errors = validateSchedule(rateSchedule);
+    if (errors.length > 0) {
+      Alert.alert("Grille invalide", errors.join("\n"));
+      return false;
+    }
+
+    const updated = await updateSettings({ rateSchedule });
+    if (!updated) {
+      Alert.alert("Erreur", "Impossible d'enregistrer les paramètres");
+      return false;
+    }
+
+    setSettings(updated);
+    return true;
+  };
+
+  /**
+   * Ajoute ou retire un jour de la plage en cours de saisie
+   * @param {number} day - Jour (0 = dimanche)
+   */
+  const toggleDay = (day) => {
+    setWindowDays((days) =>
+      days.includes(day)
+        ? days.filter((d) => d !== day)
+        : [...days, day].sort((a, b) => a - b)
+    );
+  };
+
+  /**
+   * Ajoute une plage horaire à la grille
+   */
+  const handleAddWindow = async () => {
+    const price = parseAmountInput(windowPrice, settings.currency);
+    if (isNaN(price) || price < 0) {
+      Alert.alert("Erreur", "Veuillez entrer un tarif horaire valide");
+      return;
+    }
+
+    const window = {
+      label: windowLabel.trim() || `${windowStart}-${windowEnd}`,
+      days: windowDays,
+      start: windowStart.trim(),
+      end: windowEnd.trim(),
+      pricePerHour: price,
+    };
+
+    const saved = await saveSchedule({
+      ...settings.rateSchedule,
+      windows: [...settings.rateSchedule.windows, window],
+    });
+
+    if (saved) {
+      setWindowLabel("");
+      setWindowDays([]);
+      setWindowPrice("");
+    }
+  };
+
+  /**
+   * Supprime une plage horaire après confirmation
+   * @param {number} index - Position de la plage dans la grille
+   */
+  const handleDeleteWindow = (index) => {
+    Alert.alert("Supprimer la plage", "Confirmer la suppression ?", [
+      { text: "Annuler", style: "cancel" },
+      {
+        text: "Supprimer",
+        style: "destructive",
+        onPress: () =>
+          saveSchedule({
+            ...settings.rateSchedule,
+            windows: settings.rateSchedule.windows.filter(
+              (_, i) => i !== index
+            ),
+          }),
+      },
+    ]);
+  };
+
+  /**
+   * Ajoute un jour férié au calendrier
+   */
+  const handleAddHoliday = async () => {
+    const date = holidayDate.trim();
+    if (settings.rateSchedule.holidays.includes(date)) {
+      Alert.alert("Erreur", "Ce jour férié existe déjà");
+      return;
+    }
+
+    const saved = await saveSchedule({
+      ...settings.rateSchedule,
+      holidays: [...settings.rateSchedule.holidays, date].sort(),
+    });
+
+    if (saved) {
+      setHolidayDate("");
+    }
+  };
+
+  /**
+   * Retire un jour férié du calendrier
+   * @param {string} date - Jour férié (AAAA-MM-JJ)
+   */
+  const handleDeleteHoliday = (date) => {
+    saveSchedule({
+      ...settings.rateSchedule,
+      holidays: settings.rateSchedule.holidays.filter((d) => d !== date),
+    });
+  };
+
+  /**
+   * Enregistre le tarif horaire des jours fériés
+   */
+  const handleSaveHolidayPrice = async () => {
+    const price = holidayPrice.trim()
+      ? parseAmountInput(holidayPrice, settings.currency)
+      : null;
+    if (price !== null && (isNaN(price) || price < 0)) {
+      Alert.alert("Erreur", "Veuillez entrer un tarif valide");
+      return;
+    }
+
+    const saved = await saveSchedule({
+      ...settings.rateSchedule,
+      holidayPricePerHour: price,
+    });
+
+    if (saved) {
+      Alert.alert("Succès", "Tarif des jours fériés enregistré");
+    }
+  };
+
+  /**
+   * Enregistre la pénalité appliquée en cas de ticket perdu
+   */
+  const handleSaveLostPenalty = async () => {
+    const penalty = parseAmountInput(lostPenalty, settings.currency);
+    if (isNaN(penalty) || penalty < 0) {
+      Alert.alert("Erreur", "Veuillez entrer une pénalité valide");
+      return;
+    }
+
+    const updated = await updateSettings({ lostTicketPenalty: penalty });
+    if (updated) {
+      setSettings(updated);
+      Alert.alert("Succès", "Pénalité de ticket perdu enregistrée");
+    } else {
+      Alert.alert("Erreur", "Impossible d'enregistrer les paramètres");
+    }
+  };
+
+  /**
+   * Valide puis enregistre la configuration des taxes et frais
+   * @param {Object} taxConfig - Configuration à enregistrer
+   * @returns {Promise<boolean>} Succès de l'opération
+   */
+  const saveTaxConfig = async (taxConfig) => {
+    const errors = validateTaxConfig(taxConfig);
+    if (errors.length > 0) {
+      Alert.alert("Configuration invalide", errors.join("\n"));
+      return false;
+    }
+
+    const updated = await updateSettings({ taxConfig });
+    if (!updated) {
+      Alert.alert("Erreur", "Impossible d'enregistrer les paramètres");
+      return false;
+    }
+
+    setSettings(updated);
+    return true;
+  };
+
+  /**
+   * Ajoute une taxe (ex: TVA 18 %)
+   */
+  const handleAddTax = async () => {
+    const tax = { label: taxLabel.trim(), rate: parseFloat(taxRate) };
+    const taxConfig = settings.taxConfig;
+
+    const saved = await saveTaxConfig({
+      ...taxConfig,
+      taxes: [...taxConfig.taxes, tax],
+    });
+    if (saved) {
+      setTaxLabel("");
+      setTaxRate("");
+    }
+  };
+
+  /**
+   * Ajoute un frais de service fixe
+   */
+  const handleAddFee = async () => {
+    const fee = {
+      label: feeLabel.trim(),
+      amount: parseAmountInput(feeAmount, settings.currency),
+    };
+    const taxConfig = settings.taxConfig;
+
+    const saved = await saveTaxConfig({
+      ...taxConfig,
+      serviceFees: [...taxConfig.serviceFees, fee],
+    });
+    if (saved) {
+      setFeeLabel("");
+      setFeeAmount("");
+    }
+  };
+
+  /**
+   * Supprime une taxe ou un frais après confirmation
+   * @param {string} listName - "taxes" ou "serviceFees"
+   * @param {number} index - Position dans la liste
+   */
+  const handleDeleteTaxRule = (listName, index) => {
+    const taxConfig = settings.taxConfig;
+    const rule = taxConfig[listName][index];
+
+    Alert.alert(
+      "Supprimer",
+      `Voulez-vous vraiment supprimer "${rule.label}" ?`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Supprimer",
+          style: "destructive",
+          onPress: () =>
+            saveTaxConfig({
+              ...taxConfig,
+              [listName]: taxConfig[listName].filter((_, i) => i !== index),
+            }),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Indique si les tarifs saisis sont TTC ou HT
+   * @param {boolean} pricesIncludeTax - true = tarifs TTC
+   */
+  const handleSelectTaxMode = (pricesIncludeTax) => {
+    saveTaxConfig({ ...settings.taxConfig, pricesIncludeTax });
+  };
+
+  /**
+   * Remplit le formulaire de la devise
+   * @param {Object} currency - Devise enregistrée ou prédéfinie
+   */
+  const fillCurrencyForm = (currency) => {
+    setCurrencyCode(currency.code);
+    setCurrencySymbol(currency.symbol);
+    setCurrencyPosition(currency.symbolPosition);
+    setCurrencyDecimals(currency.decimals.toString());
+    setCurrencyStep(currency.roundingStep.toString());
+    setCurrencyLocale(currency.locale);
+  };
+
+  /**
+   * Valide puis enregistre la devise du site
+   * Les tickets déjà créés conservent leur devise
+   */
+  const handleSaveCurrency = async () => {
+    const currency = {
+      code: currencyCode.trim().toUpperCase(),
+      symbol: currencySymbol.trim(),
+      symbolPosition: currencyPosition,
+      decimals: parseInt(currencyDecimals),
+      roundingStep: parseFloat(currencyStep.replace(",", ".")),
+      locale: currencyLocale,
+    };
+
+    const errors = validateCurrency(currency);
+    if (errors.length > 0) {
+      Alert.alert("Devise invalide", errors.join("\n"));
+      return;
+    }
+
+    const updated = await updateSettings({ currency });
+    if (updated) {
+      setSettings(updated);
+      Alert.alert(
+        "Succès",
+        `Devise enregistrée : ${formatMoney(1250, currency)}`
+      );
+    } else {
+      Alert.alert("Erreur", "Impossible d'enregistrer les paramètres");
+    }
+  };
+
+  /**
+   * Valide puis enregistre un nouveau code promo
+   */
+  const handleAddVoucher = async () => {
+    const voucher = {
+      code: normalizeVoucherCode(voucherCode),
+      type: voucherType,
+      value: parseFloat(voucherValue),
+      validFrom: voucherFrom.trim() || null,
+      validUntil: voucherUntil.trim() || null,
+      usageLimit: voucherLimit.trim() ? parseInt(voucherLimit) : null,
+    };
+
+    const errors = validateVoucher(voucher);
+    if (errors.length > 0) {
+      Alert.alert("Code promo invalide", errors.join("\n"));
+      return;
+    }
+
+    const added = await addVoucher(voucher);
+    if (!added) {
+      Alert.alert("Erreur", `Le code ${voucher.code} existe déjà`);
+      return;
+    }
+
+    setVouchers(await getVouchers());
+    setVoucherCode("");
+    setVoucherValue("");
+    setVoucherFrom("");
+    setVoucherUntil("");
+    setVoucherLimit("");
+  };
+
+  /**
+   * Supprime un code promo après confirmation
+   * @param {Object} voucher - Bon à supprimer
+   */
+  const handleDeleteVoucher = (voucher) => {
+    Alert.alert(
+      "Supprimer le code",
+      `Voulez-vous vraiment supprimer le code ${voucher.code} ?`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Supprimer",
+          style: "destructive",
+          onPress: async () => {
+            if (await deleteVoucher(voucher.code)) {
+              setVouchers(await getVouchers());
+            } else {
+              Alert.alert("Erreur", "Impossible de supprimer le code");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Génère le QR code de configuration d'un parking, signé avec sa clé
+   * (la clé est créée si le parking n'a pas encore de ticket)
+   */
+  const handleGenerateLotConfig = async () => {
+    if (!configName.trim()) {
+      Alert.alert("Erreur", "Veuillez entrer le nom du parking");
+      return;
+    }
+
+    const price = parseAmountInput(configPrice, settings.currency);
+    if (isNaN(price) || price <= 0) {
+      Alert.alert("Erreur", "Veuillez entrer un tarif valide (supérieur à 0)");
+      return;
+    }
+
+    const nextPrice = configNextPrice.trim()
+      ? parseAmountInput(configNextPrice, settings.currency)
+      : null;
+    if (nextPrice !== null && (isNaN(nextPrice) || nextPrice < 0)) {
+      Alert.alert("Erreur", "Veuillez entrer un tarif valide");
+      return;
+    }
+
+    const lotKey = await getOrCreateLotKey(configName);
+    if (!lotKey) {
+      Alert.alert("Erreur", "Impossible de créer la clé du parking");
+      return;
+    }
+
+    setLotConfigData(
+      createLotConfigData(
+        {
+          parkingName: configName,
+          pricePerHour: price,
+          tariff:
+            nextPrice === null
+              ? null
+              : createTariff({
+                  firstHourPrice: price,
+                  nextHoursPrice: nextPrice,
+                }),
+        },
+        lotKey
+      )
+    );
+    setLotKeys(await getLotKeys());
+  };
+
+  /**
+   * Partage le QR code de configuration (à imprimer à l'entrée du parking)
+   */
+  const handleShareLotConfig = async () => {
+    try {
+      await Share.share({
+        message: lotConfigData,
+        title: `Configuration du parking ${configName.trim()}`,
+      });
+    } catch (error) {
+      console.error("Erreur lors du partage de la configuration:", error);
+    }
+  };
+
+  /**
+   * Partage la clé publique d'un parking (message, e-mail...)
+   * @param {Object} lotKey - Clé de ce parking sur cet appareil
+   */
+  const handleShareLotKey = async (lotKey) => {
+    try {
+      await Share.share({
+        message: createLotKeyExport(lotKey),
+        title: `Clé du parking ${lotKey.parkingName}`,
+      });
+    } catch (error) {
+      console.error("Erreur lors du partage de la clé:", error);
+    }
+  };
+
+  /**
+   * Importe une clé publique collée depuis un autre appareil
+   */
+  const handleImportLotKey = async () => {
+    const exported = parseLotKeyExport(keyImportText.trim());
+    if (!exported) {
+      Alert.alert(
+        "Clé invalide",
+        "Le texte collé n'est pas une clé de parking"
+      );
+      return;
+    }
+
+    const imported = await importLotPublicKey(exported);
+    if (!imported) {
+      Alert.alert("Erreur", "Cette clé est déjà connue sur cet appareil");
+      return;
+    }
+
+    setLotKeys(await getLotKeys());
+    setKeyImportText("");
+    Alert.alert(
+      "Succès",
+      `Clé du parking ${imported.parkingName} importée (empreinte ${getKeyFingerprint(imported.publicKey)})`
+    );
+  };
+
+  /**
+   * Supprime une clé importée après confirmation
+   * @param {Object} lotKey - Clé importée
+   */
+  const handleDeleteLotKey = (lotKey) => {
+    Alert.alert(
+      "Supprimer la clé",
+      `Les tickets signés avec cette clé du parking ${lotKey.parkingName} ne pourront plus être vérifiés hors ligne.`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Supprimer",
+          style: "destructive",
+          onPress: async () => {
+            if (await deleteImportedLotKey(lotKey.publicKey)) {
+              setLotKeys(await getLotKeys());
+            } else {
+              Alert.alert("Erreur", "Impossible de supprimer la clé");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Partage la liste des tickets révoqués avec les autres appareils
+   */
+  const handleShareRevocations = async () => {
+    try {
+      await Share.share({
+        message: createRevocationExport(revocations),
+        title: "Tickets révoqués",
+      });
+    } catch (error) {
+      console.error("Erreur lors du partage des révocations:", error);
+    }
+  };
+
+  /**
+   * Importe une liste de révocation collée depuis un autre appareil
+   */
+  const handleImportRevocations = async () => {
+    const imported = parseRevocationExport(revocationImportText.trim());
+    if (!imported) {
+      Alert.alert(
+        "Liste invalide",
+        "Le texte collé n'est pas une liste de tickets révoqués"
+      );
+      return;
+    }
+
+    const addedCount = await importRevocations(imported);
+    if (addedCount === null) {
+      Alert.alert("Erreur", "Impossible d'importer la liste");
+      return;
+    }
+
+    setRevocations(await getRevocations());
+    setRevocationImportText("");
+    Alert.alert("Succès", `${addedCount} ticket(s) révoqué(s) ajouté(s)`);
+  };
+
+  /**
+   * Crée la sauvegarde de toutes les données et partage le fichier
+   * Le fichier est aussi conservé dans les documents de l'application
+   */
+  const handleCreateBackup = async () => {
+    const content = await createBackup();
+    if (!content) {
+      Alert.alert("Erreur", "Impossible de créer la sauvegarde");
+      return;
+    }
+
+    try {
+      const fileName = getBackupFileName(JSON.parse(content).createdAt);
+
+      // Pas de système de fichiers sur le web : le contenu est partagé
+      if (
+        !FileSystem.documentDirectory ||
+        !(await Sharing.isAvailableAsync())
+      ) {
+        await Share.share({ message: content, title: fileName });
+        return;
+      }
+
+      const fileUri = FileSystem.documentDirectory + fileName;
+      await FileSystem.writeAsStringAsync(fileUri, content);
+      await Sharing.shareAsync(fileUri, {
+        mimeType: "application/json",
+        UTI: "public.json",
+        dialogTitle: fileName,
+      });
+    } catch (error) {
+      console.error("Erreur lors du partage de la sauvegarde:", error);
+      Alert.alert("Erreur", "Impossible de partager la sauvegarde");
+    }
+  };
+
+  /**
+   * Fait choisir un fichier de sauvegarde et lit son contenu
+   * @returns {Promise<string|null>} Contenu du fichier ou null (annulé ou erreur)
+   */
+  const pickBackupFile = async () => {
+    try {
+      // Tous les types : un fichier .json n'a pas toujours le type
+      // application/json selon l'application qui l'a enregistré
+      const result = await DocumentPicker.getDocumentAsync({
+        type: "*/*",
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) {
+        return null;
+      }
+
+      const [asset] = result.assets;
+      // Sur le web, le fichier choisi est lu directement
+      return asset.file
+        ? await asset.file.text()
+        : await FileSystem.readAsStringAsync(asset.uri);
+    } catch (error) {
+      console.error("Erreur lors de la lecture de la sauvegarde:", error);
+      Alert.alert("Erreur", "Impossible de lire le fichier de sauvegarde");
+      return null;
+    }
+  };
+
+  /**
+   * Restaure un fichier de sauvegarde, après vérification et confirmation
+   * @param {string} mode - "merge" ou "replace" (voir RESTORE_MODES)
+   */
+  const handleRestoreBackup = async (mode) => {
+    const text = await pickBackupFile();
+    if (text === null) {
+      return;
+    }
+
+    const { backup, errors } = checkBackup(text);
+    if (errors.length > 0) {
+      Alert.alert("Sauvegarde invalide", errors.slice(0, 5).join("\n"));
+      return;
+    }
+
+    const ticketCount =
+      backup.data.activeTickets.length + backup.data.historyTickets.length;
+    const description = `Sauvegarde du ${formatDate(backup.createdAt)} : ${ticketCount} ticket(s).`;
+    const isReplace = mode === RESTORE_MODES.replace;
+
+    Alert.alert(
+      isReplace ? "Remplacer les données" : "Fusionner la sauvegarde",
+      isReplace
+        ? `${description} Les tickets, paramètres, abonnements, bons, révocations et scans de cet appareil seront remplacés. Ses clés de signature sont conservées.`
+        : `${description} Les éléments absents de cet appareil seront ajoutés.`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: isReplace ? "Remplacer" : "Fusionner",
+          style: isReplace ? "destructive" : "default",
+          onPress: async () => {
+            const result = await restoreBackup(text, mode);
+            if (!result || result.errors.length > 0) {
+              Alert.alert("Erreur", "Impossible de restaurer la sauvegarde");
+              return;
+            }
+
+            const { restored } = result;
+            if (result.pending) {
+              Alert.alert(
+                "Restauration interrompue",
+                "La sauvegarde sera restaurée au prochain démarrage de l'application."
+              );
+              return;
+            }
+
+            await loadSettings();
+            if (result.partial) {
+              Alert.alert(
+                "Fusion incomplète",
+                `${restored.ticketCount} ticket(s) ajouté(s), mais les abonnements, bons, clés, révocations et scans n'ont pas pu être enregistrés. Relancez la fusion pour les ajouter.`
+              );
+              return;
+            }
+            Alert.alert(
+              "Succès",
+              `${restored.ticketCount} ticket(s) restauré(s), ${restored.closedCount} clôturé(s), ${restored.subscriptionCount} abonnement(s), ${restored.voucherCount} bon(s), ${restored.lotKeyCount} clé(s), ${restored.revocationCount} révocation(s), ${restored.scanCount} scan(s)`
+            );
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Lève une révocation après confirmation
+   * @param {Object} revocation - Révocation à lever
+   */
+  const handleCancelRevocation = (revocation) => {
+    Alert.alert(
+      "Lever la révocation",
+      `Le ticket ${revocation.ticketId} sera de nouveau accepté au scan sur cet appareil.`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Lever",
+          onPress: async () => {
+            if (await cancelRevocation(revocation.ticketId)) {
+              setRevocations(await getRevocations());
+            } else {
+              Alert.alert("Erreur", "Impossible de lever la révocation");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Pré-remplit le formulaire pour modifier une catégorie existante
+   * @param {Object} category - Catégorie à modifier
+   */
+  const handleEditCategory = (category) => {
+    const [firstBand, secondBand] = category.tariff.bands;
+    setCategoryIcon(category.icon || "");
+    setCategoryLabel(category.label);
+    setCategoryPrice(firstBand.pricePerHour.toString());
+    setCategoryNextPrice(secondBand ? secondBand.pricePerHour.toString() : "");
+  };
+
+  /**
+   * Ajoute une catégorie, ou remplace celle qui porte le même libellé
+   */
+  const handleSaveCategory = async () => {
+    const id = createCategoryId(categoryLabel);
+    if (!id) {
+      Alert.alert("Erreur", "Veuillez entrer le nom de la catégorie");
+      return;
+    }
+
+    const price = parseAmountInput(categoryPrice, settings.currency);
+    if (isNaN(price) || price <= 0) {
+      Alert.alert("Erreur", "Veuillez entrer un tarif valide (supérieur à 0)");
+      return;
+    }
+
+    const nextPrice = categoryNextPrice.trim()
+      ? parseAmountInput(categoryNextPrice, settings.currency)
+      : null;
+    if (nextPrice !== null && (isNaN(nextPrice) || nextPrice < 0)) {
+      Alert.alert("Erreur", "Veuillez entrer un tarif valide");
+      return;
+    }
+
+    const category = {
+      id,
+      label: categoryLabel.trim(),
+      icon: categoryIcon.trim() || "🚘",
+      tariff: createTariff({
+        firstHourPrice: price,
+        nextHoursPrice: nextPrice,
+      }),
+    };
+
+    const exists = settings.vehicleCategories.some((c) => c.id === id);
+    const vehicleCategories = exists
+      ? settings.vehicleCategories.map((c) => (c.id === id ? category : c))
+      : [...settings.vehicleCategories, category];
+
+    const updated = await updateSettings({ vehicleCategories });
+    if (!updated) {
+      Alert.alert("Erreur", "Impossible d'enregistrer la catégorie");
+      return;
+    }
+
+    setSettings(updated);
+    setCategoryIcon("");
+    setCategoryLabel("");
+    setCategoryPrice("");
+    setCategoryNextPrice("");
+  };
+
+  /**
+   * Supprime une catégorie après confirmation
+   * Les tickets existants conservent leur copie de la catégorie
+   * @param {Object} category - Catégorie à supprimer
+   */
+  const handleDeleteCategory = (category) => {
+    if (settings.vehicleCategories.length === 1) {
+      Alert.alert("Erreur", "Il faut conserver au moins une catégorie");
+      return;
+    }
+
+    Alert.alert(
+      "Supprimer la catégorie",
+      `Voulez-vous vraiment supprimer la catégorie ${category.label} ?`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Supprimer",
+          style: "destructive",
+          onPress: async () => {
+            const updated = await updateSettings({
+              vehicleCategories: settings.vehicleCategories.filter(
+                (c) => c.id !== category.id
+              ),
+            });
+            if (updated) {
+              setSettings(updated);
+            } else {
+              Alert.alert("Erreur", "Impossible de supprimer la catégorie");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Affichage du chargement
+  if (loading || !settings) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#1976D2" />
+        <Text style={styles.loadingText}>Chargement...</Text>
+      </View>
+    );
+  }
+
+  const { rateSchedule } = settings;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* En-tête */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>←</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Paramètres</Text>
+        <View style={styles.backButton} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Catégories de véhicules */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Catégories de véhicules</Text>
+          <Text style={styles.cardNote}>
+            Appuyez pour modifier, maintenez appuyé pour supprimer.
+          </Text>
+
+          {settings.vehicleCategories.map((category) => (
+            <TouchableOpacity
+              key={category.id}
+              style={styles.listRow}
+              onPress={() => handleEditCategory(category)}
+              onLongPress={() => handleDeleteCategory(category)}
+            >
+              <Text style={styles.listLabel}>
+                {category.icon} {category.label}
+              </Text>
+              <Text style={styles.listValue}>
+                {category.tariff.bands
+                  .map((band) =>
+                    formatRate(band.pricePerHour, settings.currency)
+                  )
+                  .join(" puis ")}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          <Text style={styles.label}>Ajouter / modifier</Text>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.iconInput]}
+              placeholder="🚘"
+              placeholderTextColor="#B0B0B0"
+              value={categoryIcon}
+              onChangeText={setCategoryIcon}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Nom (ex: Tricycle)"
+              placeholderTextColor="#B0B0B0"
+              value={categoryLabel}
+              onChangeText={setCategoryLabel}
+            />
+          </View>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder={`1ère heure ${settings.currency.symbol}`}
+              placeholderTextColor="#B0B0B0"
+              value={categoryPrice}
+              onChangeText={setCategoryPrice}
+              keyboardType="numeric"
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Heures suivantes"
+              placeholderTextColor="#B0B0B0"
+              value={categoryNextPrice}
+              onChangeText={setCategoryNextPrice}
+              keyboardType="numeric"
+            />
+          </View>
+
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleSaveCategory}
+          >
+            <Text style={styles.addButtonText}>Enregistrer la catégorie</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Plages horaires */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Plages horaires</Text>
+          <Text style={styles.cardNote}>
+            Les minutes passées dans une plage sont facturées à son tarif au
+            lieu du tarif normal. Maintenez appuyé pour supprimer.
+          </Text>
+
+          {rateSchedule.windows.length === 0 ? (
+            <Text style={styles.emptyText}>Aucune plage définie</Text>
+          ) : (
+            rateSchedule.windows.map((window, index) => (
+              <TouchableOpacity
+                key={index}
+                style={styles.listRow}
+                onLongPress={() => handleDeleteWindow(index)}
+              >
+                <Text style={styles.listLabel}>{window.label}</Text>
+                <Text style={styles.listValue}>
+                  {formatScheduleWindow(window, settings.currency)}
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+
+          <Text style={styles.label}>Nouvelle plage</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Libellé (ex: Nuit)"
+            placeholderTextColor="#B0B0B0"
+            value={windowLabel}
+            onChangeText={setWindowLabel}
+          />
+
+          <View style={styles.daysRow}>
+            {DAY_LABELS.map((dayLabel, day) => (
+              <TouchableOpacity
+                key={day}
+                style={[
+                  styles.dayChip,
+                  windowDays.includes(day) && styles.dayChipSelected,
+                ]}
+                onPress={() => toggleDay(day)}
+              >
+                <Text
+                  style={[
+                    styles.dayChipText,
+                    windowDays.includes(day) && styles.dayChipTextSelected,
+                  ]}
+                >
+                  {dayLabel}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Début HH:MM"
+              placeholderTextColor="#B0B0B0"
+              value={windowStart}
+              onChangeText={setWindowStart}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Fin HH:MM"
+              placeholderTextColor="#B0B0B0"
+              value={windowEnd}
+              onChangeText={setWindowEnd}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder={`${settings.currency.symbol}/h`}
+              placeholderTextColor="#B0B0B0"
+              value={windowPrice}
+              onChangeText={setWindowPrice}
+              keyboardType="numeric"
+            />
+          </View>
+
+          <TouchableOpacity style={styles.addButton} onPress={handleAddWindow}>
+            <Text style={styles.addButtonText}>Ajouter la plage</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Jours fériés */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Jours fériés</Text>
+          <Text style={styles.cardNote}>
+            Le tarif des jours fériés s'applique toute la journée et prime sur
+            les plages horaires.
+          </Text>
+
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder={`Tarif ${settings.currency.symbol}/h (vide = normal)`}
+              placeholderTextColor="#B0B0B0"
+              value={holidayPrice}
+              onChangeText={setHolidayPrice}
+              keyboardType="numeric"
+            />
+            <TouchableOpacity
+              style={styles.smallButton}
+              onPress={handleSaveHolidayPrice}
+            >
+              <Text style={styles.smallButtonText}>OK</Text>
+            </TouchableOpacity>
+          </View>
+
+          {rateSchedule.holidays.map((date) => (
+            <TouchableOpacity
+              key={date}
+              style={styles.listRow}
+              onLongPress={() => handleDeleteHoliday(date)}
+            >
+              <Text style={styles.listLabel}>{date}</Text>
+            </TouchableOpacity>
+          ))}
+
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="AAAA-MM-JJ"
+              placeholderTextColor="#B0B0B0"
+              value={holidayDate}
+              onChangeText={setHolidayDate}
+            />
+            <TouchableOpacity
+              style={styles.smallButton}
+              onPress={handleAddHoliday}
+            >
+              <Text style={styles.smallButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Codes promo */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Codes promo</Text>
+          <Text style={styles.cardNote}>
+            Bons de validation distribués par les commerçants, saisis à la
+            sortie. Maintenez appuyé pour supprimer.
+          </Text>
+
+          {vouchers.length === 0 ? (
+            <Text style={styles.emptyText}>Aucun code défini</Text>
+          ) : (
+            vouchers.map((voucher) => (
+              <TouchableOpacity
+                key={voucher.code}
+                style={styles.listRow}
+                onLongPress={() => handleDeleteVoucher(voucher)}
+              >
+                <Text style={styles.listLabel}>
+                  {voucher.code} : {formatDiscount(voucher, settings.currency)}
+                </Text>
+                <Text style={styles.listValue}>
+                  Du {voucher.validFrom || "…"} au {voucher.validUntil || "…"} ·{" "}
+                  {voucher.usedCount}/{voucher.usageLimit ?? "∞"} utilisation(s)
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+
+          <Text style={styles.label}>Nouveau code</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Code (ex: MARCHE20)"
+            placeholderTextColor="#B0B0B0"
+            value={voucherCode}
+            onChangeText={setVoucherCode}
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+          <View style={styles.daysRow}>
+            {DISCOUNT_TYPES.map((type) => (
+              <TouchableOpacity
+                key={type.id}
+                style={[
+                  styles.dayChip,
+                  voucherType === type.id && styles.dayChipSelected,
+                ]}
+                onPress={() => setVoucherType(type.id)}
+              >
+                <Text
+                  style={[
+                    styles.dayChipText,
+                    voucherType === type.id && styles.dayChipTextSelected,
+                  ]}
+                >
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Valeur"
+              placeholderTextColor="#B0B0B0"
+              value={voucherValue}
+              onChangeText={setVoucherValue}
+              keyboardType="numeric"
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Utilisations max"
+              placeholderTextColor="#B0B0B0"
+              value={voucherLimit}
+              onChangeText={setVoucherLimit}
+              keyboardType="numeric"
+            />
+          </View>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Début AAAA-MM-JJ"
+              placeholderTextColor="#B0B0B0"
+              value={voucherFrom}
+              onChangeText={setVoucherFrom}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Fin AAAA-MM-JJ"
+              placeholderTextColor="#B0B0B0"
+              value={voucherUntil}
+              onChangeText={setVoucherUntil}
+            />
+          </View>
+
+          <TouchableOpacity style={styles.addButton} onPress={handleAddVoucher}>
+            <Text style={styles.addButtonText}>Ajouter le code</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Devise */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Devise</Text>
+          <Text style={styles.cardNote}>
+            Utilisée pour les nouveaux tickets ; les tickets existants
+            conservent leur devise. Le montant facturé est arrondi au pas
+            indiqué (ex: 5 ou 25).
+          </Text>
+
+          <View style={styles.daysRow}>
+            {CURRENCY_PRESETS.map((preset) => (
+              <TouchableOpacity
+                key={preset.code}
+                style={[
+                  styles.dayChip,
+                  currencyCode === preset.code && styles.dayChipSelected,
+                ]}
+                onPress={() => fillCurrencyForm(preset)}
+              >
+                <Text
+                  style={[
+                    styles.dayChipText,
+                    currencyCode === preset.code && styles.dayChipTextSelected,
+                  ]}
+                >
+                  {preset.code}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Code ISO (ex: XOF)"
+              placeholderTextColor="#B0B0B0"
+              value={currencyCode}
+              onChangeText={setCurrencyCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Symbole"
+              placeholderTextColor="#B0B0B0"
+              value={currencySymbol}
+              onChangeText={setCurrencySymbol}
+            />
+          </View>
+          <View style={styles.daysRow}>
+            {[
+              { id: "before", label: "Symbole avant" },
+              { id: "after", label: "Symbole après" },
+            ].map((position) => (
+              <TouchableOpacity
+                key={position.id}
+                style={[
+                  styles.dayChip,
+                  currencyPosition === position.id && styles.dayChipSelected,
+                ]}
+                onPress={() => setCurrencyPosition(position.id)}
+              >
+                <Text
+                  style={[
+                    styles.dayChipText,
+                    currencyPosition === position.id &&
+                      styles.dayChipTextSelected,
+                  ]}
+                >
+                  {position.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Décimales"
+              placeholderTextColor="#B0B0B0"
+              value={currencyDecimals}
+              onChangeText={setCurrencyDecimals}
+              keyboardType="numeric"
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Arrondi (ex: 25)"
+              placeholderTextColor="#B0B0B0"
+              value={currencyStep}
+              onChangeText={setCurrencyStep}
+              keyboardType="numeric"
+            />
+            <TouchableOpacity
+              style={styles.smallButton}
+              onPress={handleSaveCurrency}
+            >
+              <Text style={styles.smallButtonText}>OK</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Taxes et frais */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Taxes et frais</Text>
+          <Text style={styles.cardNote}>
+            Taxes et frais de service appliqués à la clôture des tickets
+            payants. Maintenez appuyé pour supprimer.
+          </Text>
+
+          <View style={styles.daysRow}>
+            {[
+              { value: true, label: "Tarifs TTC" },
+              { value: false, label: "Tarifs HT" },
+            ].map((mode) => (
+              <TouchableOpacity
+                key={mode.label}
+                style={[
+                  styles.dayChip,
+                  settings.taxConfig.pricesIncludeTax === mode.value &&
+                    styles.dayChipSelected,
+                ]}
+                onPress={() => handleSelectTaxMode(mode.value)}
+              >
+                <Text
+                  style={[
+                    styles.dayChipText,
+                    settings.taxConfig.pricesIncludeTax === mode.value &&
+                      styles.dayChipTextSelected,
+                  ]}
+                >
+                  {mode.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Taxes</Text>
+          {settings.taxConfig.taxes.length === 0 ? (
+            <Text style={styles.emptyText}>Aucune taxe définie</Text>
+          ) : (
+            settings.taxConfig.taxes.map((tax, index) => (
+              <TouchableOpacity
+                key={`${tax.label}-${index}`}
+                style={styles.listRow}
+                onLongPress={() => handleDeleteTaxRule("taxes", index)}
+              >
+                <Text style={styles.listLabel}>{formatTaxLabel(tax)}</Text>
+              </TouchableOpacity>
+            ))
+          )}
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Libellé (ex: TVA)"
+              placeholderTextColor="#B0B0B0"
+              value={taxLabel}
+              onChangeText={setTaxLabel}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Taux (%)"
+              placeholderTextColor="#B0B0B0"
+              value={taxRate}
+              onChangeText={setTaxRate}
+              keyboardType="numeric"
+            />
+            <TouchableOpacity style={styles.smallButton} onPress={handleAddTax}>
+              <Text style={styles.smallButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.label}>Frais de service</Text>
+          {settings.taxConfig.serviceFees.length === 0 ? (
+            <Text style={styles.emptyText}>Aucun frais défini</Text>
+          ) : (
+            settings.taxConfig.serviceFees.map((fee, index) => (
+              <TouchableOpacity
+                key={`${fee.label}-${index}`}
+                style={styles.listRow}
+                onLongPress={() => handleDeleteTaxRule("serviceFees", index)}
+              >
+                <Text style={styles.listLabel}>{fee.label}</Text>
+                <Text style={styles.listValue}>
+                  {formatMoney(fee.amount, settings.currency)}
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Libellé"
+              placeholderTextColor="#B0B0B0"
+              value={feeLabel}
+              onChangeText={setFeeLabel}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder={`Montant (${settings.currency.symbol})`}
+              placeholderTextColor="#B0B0B0"
+              value={feeAmount}
+              onChangeText={setFeeAmount}
+              keyboardType="numeric"
+            />
+            <TouchableOpacity style={styles.smallButton} onPress={handleAddFee}>
+              <Text style={styles.smallButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Ticket perdu */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Ticket perdu</Text>
+          <Text style={styles.cardNote}>
+            Pénalité ajoutée au montant du stationnement lorsque le conducteur
+            ne peut pas présenter son ticket.
+          </Text>
+
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder={`Pénalité (${settings.currency.symbol})`}
+              placeholderTextColor="#B0B0B0"
+              value={lostPenalty}
+              onChangeText={setLostPenalty}
+              keyboardType="numeric"
+            />
+            <TouchableOpacity
+              style={styles.smallButton}
+              onPress={handleSaveLostPenalty}
+            >
+              <Text style={styles.smallButtonText}>OK</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* QR code de configuration du parking */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>QR code du parking</Text>
+          <Text style={styles.cardNote}>
+            QR code à afficher à l'entrée : le scanner depuis "Nouveau ticket"
+            remplit le nom du parking et son tarif. Il est signé avec la clé du
+            parking.
+          </Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Nom du parking"
+            placeholderTextColor="#B0B0B0"
+            value={configName}
+            onChangeText={(text) => {
+              setConfigName(text);
+              setLotConfigData(null);
+            }}
+          />
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder={`1ère heure (${settings.currency.symbol})`}
+              placeholderTextColor="#B0B0B0"
+              value={configPrice}
+              onChangeText={(text) => {
+                setConfigPrice(text);
+                setLotConfigData(null);
+              }}
+              keyboardType="numeric"
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Heures suivantes"
+              placeholderTextColor="#B0B0B0"
+              value={configNextPrice}
+              onChangeText={(text) => {
+                setConfigNextPrice(text);
+                setLotConfigData(null);
+              }}
+              keyboardType="numeric"
+            />
+          </View>
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleGenerateLotConfig}
+          >
+            <Text style={styles.addButtonText}>Générer le QR code</Text>
+          </TouchableOpacity>
+
+          {lotConfigData && (
+            <View style={styles.keyQrContainer}>
+              <QRCode value={lotConfigData} size={220} />
+              <TouchableOpacity
+                style={[styles.addButton, styles.shareButton]}
+                onPress={handleShareLotConfig}
+              >
+                <Text style={styles.addButtonText}>Partager le QR code</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+
+        {/* Clés de signature */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Clés de signature</Text>
+          <Text style={styles.cardNote}>
+            Partagez la clé d'un parking avec les autres appareils pour qu'ils
+            vérifient ses tickets sans connexion (ou scannez son QR code depuis
+            l'écran de scan). Touchez une clé pour afficher son QR code ;
+            maintenez appuyé pour supprimer une clé importée.
+          </Text>
+
+          {lotKeys.length === 0 ? (
+            <Text style={styles.emptyText}>
+              Aucune clé : elle est créée avec le premier ticket du parking
+            </Text>
+          ) : (
+            lotKeys.map((lotKey) => (
+              <View key={lotKey.publicKey}>
+                <TouchableOpacity
+                  style={styles.listRow}
+                  onPress={() =>
+                    setShownKey(
+                      shownKey === lotKey.publicKey ? null : lotKey.publicKey
+                    )
+                  }
+                  onLongPress={() =>
+                    !lotKey.secretKey && handleDeleteLotKey(lotKey)
+                  }
+                >
+                  <Text style={styles.listLabel}>
+                    {lotKey.secretKey ? "🔑" : "📥"} {lotKey.parkingName}
+                  </Text>
+                  <Text style={styles.listValue}>
+                    Empreinte {getKeyFingerprint(lotKey.publicKey)} ·{" "}
+                    {lotKey.secretKey ? "clé de cet appareil" : "importée"}
+                  </Text>
+                </TouchableOpacity>
+
+                {shownKey === lotKey.publicKey && (
+                  <View style={styles.keyQrContainer}>
+                    <QRCode value={createLotKeyExport(lotKey)} size={180} />
+                    <TouchableOpacity
+                      style={[styles.addButton, styles.shareButton]}
+                      onPress={() => handleShareLotKey(lotKey)}
+                    >
+                      <Text style={styles.addButtonText}>Partager la clé</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+            ))
+          )}
+
+          <Text style={styles.label}>Importer une clé</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Coller la clé partagée par l'autre appareil"
+            placeholderTextColor="#B0B0B0"
+            value={keyImportText}
+            onChangeText={setKeyImportText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleImportLotKey}
+          >
+            <Text style={styles.addButtonText}>Importer la clé</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Tickets révoqués */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Tickets révoqués</Text>
+          <Text style={styles.cardNote}>
+            Tickets refusés au scan (révoqués depuis le détail d'un ticket).
+            Partagez la liste pour que les autres appareils les refusent aussi.
+            Maintenez appuyé pour lever une révocation.
+          </Text>
+
+          {revocations.length === 0 ? (
+            <Text style={styles.emptyText}>Aucun ticket révoqué</Text>
+          ) : (
+            <>
+              {revocations.map((revocation) => (
+                <TouchableOpacity
+                  key={revocation.ticketId}
+                  style={styles.listRow}
+                  onLongPress={() => handleCancelRevocation(revocation)}
+                >
+                  <Text style={styles.listLabel} numberOfLines={1}>
+                    {revocation.ticketId}
+                  </Text>
+                  <Text style={styles.listValue}>
+                    {formatRevocation(revocation)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                style={[styles.addButton, styles.shareButton]}
+                onPress={handleShareRevocations}
+              >
+                <Text style={styles.addButtonText}>Partager la liste</Text>
+              </TouchableOpacity>
+            </>
+          )}
+
+          <Text style={styles.label}>Importer une liste</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Coller la liste partagée par l'autre appareil"
+            placeholderTextColor="#B0B0B0"
+            value={revocationImportText}
+            onChangeText={setRevocationImportText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleImportRevocations}
+          >
+            <Text style={styles.addButtonText}>Importer la liste</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Sauvegarde et restauration */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Sauvegarde des données</Text>
+          <Text style={styles.cardNote}>
+            Tickets actifs, historique, paramètres, abonnements, bons,
+            révocations et journal des scans, dans un seul fichier. Conservez-le
+            hors de l'appareil pour reprendre l'exploitation en cas de perte ou
+            de réinitialisation. Les clés de signature privées ne sont pas
+            sauvegardées : après une restauration sur un autre appareil,
+            partagez sa nouvelle clé avec les autres appareils.
+          </Text>
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleCreateBackup}
+          >
+            <Text style={styles.addButtonText}>Créer une sauvegarde</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.label}>Restaurer une sauvegarde</Text>
+          <Text style={styles.cardNote}>
+            Choisissez le fichier à fusionner avec les données de cet appareil
+            ou à mettre à leur place.
+          </Text>
+          <View style={styles.inlineRow}>
+            <TouchableOpacity
+              style={[styles.addButton, styles.inlineInput]}
+              onPress={() => handleRestoreBackup(RESTORE_MODES.merge)}
+            >
+              <Text style={styles.addButtonText}>Fusionner</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[
+                styles.addButton,
+                styles.inlineInput,
+                styles.replaceButton,
+              ]}
+              onPress={() => handleRestoreBackup(RESTORE_MODES.replace)}
+            >
+              <Text style={styles.addButtonText}>Remplacer</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8F9FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F8F9FA",
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: "#757575",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFFFFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  backButtonText: {
+    fontSize: 28,
+    color: "#1976D2",
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingBottom: 32,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    marginHorizontal: 16,
+    marginTop: 16,
+    padding: 20,
+    borderRadius: 16,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    marginBottom: 8,
+  },
+  cardNote: {
+    fontSize: 13,
+    color: "#757575",
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#9E9E9E",
+    fontStyle: "italic",
+    marginBottom: 12,
+  },
+  listRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F5F5F5",
+  },
+  listLabel: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  listValue: {
+    fontSize: 13,
+    color: "#757575",
+    marginTop: 2,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#424242",
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#1A1A1A",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    marginBottom: 12,
+  },
+  inlineRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  inlineInput: {
+    flex: 1,
+  },
+  iconInput: {
+    width: 56,
+    textAlign: "center",
+  },
+  daysRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 12,
+  },
+  dayChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  dayChipSelected: {
+    backgroundColor: "#1976D2",
+    borderColor: "#1976D2",
+  },
+  dayChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#424242",
+  },
+  dayChipTextSelected: {
+    color: "#FFFFFF",
+  },
+  addButton: {
+    backgroundColor: "#1976D2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  addButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+  smallButton: {
+    backgroundColor: "#1976D2",
+    borderRadius: 12,
+    paddingHorizontal: 18,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  smallButtonText: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#FFFFFF",
+  },
+  keyQrContainer: {
+    alignItems: "center",
+    paddingVertical: 16,
+  },
+  shareButton: {
+    alignSelf: "stretch",
+    marginTop: 16,
+  },
+  replaceButton: {
+    backgroundColor: "#D32F2F",
+  },
+});
+
+export default SettingsScreen;
@@ -0,0 +1,539 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import {
+  getSubscriptions,
+  addSubscription,
+  deleteSubscription,
+} from "../storage/subscriptionStorage";
+import {
+  formatAllowedHours,
+  getSubscriptionStatus,
+  validateSubscription,
+} from "../utils/subscriptionUtils";
+import { DAY_LABELS, toDateKey } from "../utils/scheduleUtils";
+import { getCurrentDateTime } from "../utils/calculatePrice";
+import { normalizePlate } from "../utils/plateUtils";
+
+// Couleurs des badges de statut
+const STATUS_COLORS = {
+  upcoming: { backgroundColor: "#ECEFF1", color: "#546E7A" },
+  active: { backgroundColor: "#E8F5E9", color: "#2E7D32" },
+  expiring: { backgroundColor: "#FFF3E0", color: "#E65100" },
+  expired: { backgroundColor: "#FFEBEE", color: "#C62828" },
+};
+
+/**
+ * Date de fin par défaut : un mois après la date de début (veille incluse)
+ * @param {Date} start - Date de début
+ * @returns {string} Date au format "YYYY-MM-DD"
+ */
+const getDefaultEndDate = (start) => {
+  const end = new Date(start);
+  end.setMonth(end.getMonth() + 1);
+  end.setDate(end.getDate() - 1);
+  return toDateKey(end);
+};
+
+/**
+ * ÉCRAN DES ABONNEMENTS
+ *
+ * Ce composant permet de :
+ * - Lister les abonnés avec le statut de leur abonnement
+ *   (actif, expire bientôt, expiré)
+ * - Ajouter un abonnement : plaque, parking, période et horaires autorisés
+ * - Supprimer un abonnement
+ */
+const SubscriptionsScreen = ({ navigation }) => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Formulaire d'ajout
+  const [holderName, setHolderName] = useState("");
+  const [licensePlate, setLicensePlate] = useState("");
+  const [parkingName, setParkingName] = useState("");
+  const [validFrom, setValidFrom] = useState(toDateKey(new Date()));
+  const [validUntil, setValidUntil] = useState(getDefaultEndDate(new Date()));
+  const [allDay, setAllDay] = useState(true);
+  const [days, setDays] = useState([1, 2, 3, 4, 5]);
+  const [start, setStart] = useState("07:00");
+  const [end, setEnd] = useState("19:00");
+
+  /**
+   * Charge les abonnements au montage du composant
+   */
+  useEffect(() => {
+    loadSubscriptions();
+  }, []);
+
+  /**
+   * Charge les abonnements, les plus proches de l'échéance en premier
+   */
+  const loadSubscriptions = async () => {
+    setLoading(true);
+    try {
+      const loaded = await getSubscriptions();
+      setSubscriptions(
+        loaded.sort((a, b) => a.validUntil.localeCompare(b.validUntil))
+      );
+    } catch (error) {
+      console.error("Erreur lors du chargement des abonnements:", error);
+      Alert.alert("Erreur", "Impossible de charger les abonnements");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Ajoute ou retire un jour des horaires autorisés
+   * @param {number} day - Jour (0 = dimanche)
+   */
+  const toggleDay = (day) => {
+    setDays((current) =>
+      current.includes(day)
+        ? current.filter((d) => d !== day)
+        : [...current, day].sort((a, b) => a - b)
+    );
+  };
+
+  /**
+   * Valide puis enregistre un nouvel abonnement
+   */
+  const handleAddSubscription = async () => {
+    const subscription = {
+      holderName: holderName.trim(),
+      licensePlate: normalizePlate(licensePlate),
+      parkingName: parkingName.trim(),
+      validFrom: validFrom.trim(),
+      validUntil: validUntil.trim(),
+      allowedHours: allDay
+        ? null
+        : { days, start: start.trim(), end: end.trim() },
+    };
+
+    const errors = validateSubscription(subscription);
+    if (errors.length > 0) {
+      Alert.alert("Abonnement invalide", errors.join("\n"));
+      return;
+    }
+
+    const added = await addSubscription(subscription);
+    if (!added) {
+      Alert.alert("Erreur", "Impossible d'enregistrer l'abonnement");
+      return;
+    }
+
+    setHolderName("");
+    setLicensePlate("");
+    loadSubscriptions();
+  };
+
+  /**
+   * Supprime un abonnement après confirmation
+   * @param {Object} subscription - Abonnement à supprimer
+   */
+  const handleDeleteSubscription = (subscription) => {
+    Alert.alert(
+      "Supprimer l'abonnement",
+      `Voulez-vous vraiment supprimer l'abonnement de ${subscription.holderName} ?`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Supprimer",
+          style: "destructive",
+          onPress: async () => {
+            if (await deleteSubscription(subscription.id)) {
+              loadSubscriptions();
+            } else {
+              Alert.alert("Erreur", "Impossible de supprimer l'abonnement");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Affichage du chargement
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#1976D2" />
+        <Text style={styles.loadingText}>Chargement...</Text>
+      </View>
+    );
+  }
+
+  const now = getCurrentDateTime();
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* En-tête */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>←</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Abonnements</Text>
+        <View style={styles.backButton} />
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Liste des abonnés */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Abonnés</Text>
+          <Text style={styles.cardNote}>
+            Le stationnement dans les règles de l'abonnement est gratuit ; seul
+            le dépassement est facturé. Maintenez appuyé pour supprimer.
+          </Text>
+
+          {subscriptions.length === 0 ? (
+            <Text style={styles.emptyText}>Aucun abonnement</Text>
+          ) : (
+            subscriptions.map((subscription) => {
+              const { status, label } = getSubscriptionStatus(
+                subscription,
+                now
+              );
+              return (
+                <TouchableOpacity
+                  key={subscription.id}
+                  style={styles.listRow}
+                  onLongPress={() => handleDeleteSubscription(subscription)}
+                >
+                  <View style={styles.listHeader}>
+                    <Text style={styles.listLabel}>
+                      {subscription.holderName} · {subscription.licensePlate}
+                    </Text>
+                    <Text style={[styles.statusBadge, STATUS_COLORS[status]]}>
+                      {label}
+                    </Text>
+                  </View>
+                  <Text style={styles.listValue}>
+                    {subscription.parkingName || "Tous les parkings"} · du{" "}
+                    {subscription.validFrom} au {subscription.validUntil}
+                  </Text>
+                  <Text style={styles.listValue}>
+                    {formatAllowedHours(subscription.allowedHours)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })
+          )}
+        </View>
+
+        {/* Formulaire d'ajout */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Nouvel abonnement</Text>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Nom de l'abonné"
+            placeholderTextColor="#B0B0B0"
+            value={holderName}
+            onChangeText={setHolderName}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Plaque (ex: 11 GH 1234)"
+            placeholderTextColor="#B0B0B0"
+            value={licensePlate}
+            onChangeText={setLicensePlate}
+            onEndEditing={() => setLicensePlate(normalizePlate(licensePlate))}
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Parking (vide = tous les parkings)"
+            placeholderTextColor="#B0B0B0"
+            value={parkingName}
+            onChangeText={setParkingName}
+          />
+
+          <Text style={styles.label}>Période de validité</Text>
+          <View style={styles.inlineRow}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Début AAAA-MM-JJ"
+              placeholderTextColor="#B0B0B0"
+              value={validFrom}
+              onChangeText={setValidFrom}
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              placeholder="Fin AAAA-MM-JJ"
+              placeholderTextColor="#B0B0B0"
+              value={validUntil}
+              onChangeText={setValidUntil}
+            />
+          </View>
+
+          <Text style={styles.label}>Horaires autorisés</Text>
+          <View style={styles.daysRow}>
+            <TouchableOpacity
+              style={[styles.dayChip, allDay && styles.dayChipSelected]}
+              onPress={() => setAllDay(true)}
+            >
+              <Text
+                style={[
+                  styles.dayChipText,
+                  allDay && styles.dayChipTextSelected,
+                ]}
+              >
+                24h/24
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.dayChip, !allDay && styles.dayChipSelected]}
+              onPress={() => setAllDay(false)}
+            >
+              <Text
+                style={[
+                  styles.dayChipText,
+                  !allDay && styles.dayChipTextSelected,
+                ]}
+              >
+                Horaires limités
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          {!allDay && (
+            <>
+              <View style={styles.daysRow}>
+                {DAY_LABELS.map((dayLabel, day) => (
+                  <TouchableOpacity
+                    key={day}
+                    style={[
+                      styles.dayChip,
+                      days.includes(day) && styles.dayChipSelected,
+                    ]}
+                    onPress={() => toggleDay(day)}
+                  >
+                    <Text
+                      style={[
+                        styles.dayChipText,
+                        days.includes(day) && styles.dayChipTextSelected,
+                      ]}
+                    >
+                      {dayLabel}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.inlineRow}>
+                <TextInput
+                  style={[styles.input, styles.inlineInput]}
+                  placeholder="Début HH:MM"
+                  placeholderTextColor="#B0B0B0"
+                  value={start}
+                  onChangeText={setStart}
+                />
+                <TextInput
+                  style={[styles.input, styles.inlineInput]}
+                  placeholder="Fin HH:MM"
+                  placeholderTextColor="#B0B0B0"
+                  value={end}
+                  onChangeText={setEnd}
+                />
+              </View>
+            </>
+          )}
+
+          <TouchableOpacity
+            style={styles.addButton}
+            onPress={handleAddSubscription}
+          >
+            <Text style={styles.addButtonText}>Enregistrer l'abonnement</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F8F9FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F8F9FA",
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: "#757575",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFFFFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E0E0E0",
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  backButtonText: {
+    fontSize: 28,
+    color: "#1976D2",
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingBottom: 32,
+  },
+  card: {
+    backgroundColor: "#FFFFFF",
+    marginHorizontal: 16,
+    marginTop: 16,
+    padding: 20,
+    borderRadius: 16,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    marginBottom: 8,
+  },
+  cardNote: {
+    fontSize: 13,
+    color: "#757575",
+    lineHeight: 18,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#9E9E9E",
+    fontStyle: "italic",
+    marginBottom: 12,
+  },
+  listRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F5F5F5",
+  },
+  listHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 8,
+  },
+  listLabel: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  listValue: {
+    fontSize: 13,
+    color: "#757575",
+    marginTop: 2,
+  },
+  statusBadge: {
+    fontSize: 12,
+    fontWeight: "600",
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    overflow: "hidden",
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#424242",
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#1A1A1A",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    marginBottom: 12,
+  },
+  inlineRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  inlineInput: {
+    flex: 1,
+  },
+  daysRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 12,
+  },
+  dayChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  dayChipSelected: {
+    backgroundColor: "#1976D2",
+    borderColor: "#1976D2",
+  },
+  dayChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#424242",
+  },
+  dayChipTextSelected: {
+    color: "#FFFFFF",
+  },
+  addButton: {
+    backgroundColor: "#1976D2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  addButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#FFFFFF",
+  },
+});
+
+export default SubscriptionsScreen;
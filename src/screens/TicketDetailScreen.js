@@ -8,18 +8,69 @@ import {
   ActivityIndicator,
   ScrollView,
   SafeAreaView,
+  TextInput,
 } from "react-native";
 import { getTicketById, closeTicket } from "../storage/ticketStorage";
 import {
   formatTime,
   formatDuration,
   calculateDuration,
-  calculatePrice,
   getCurrentDateTime,
 } from "../utils/calculatePrice";
+import {
+  calculateTicketPrice,
+  getCurrentRate,
+  getPricingDetails,
+} from "../utils/tariffUtils";
 import QRCodeCard from "../components/QRCodeCard";
+import { getTicketCategory } from "../utils/categoryUtils";
 import { parseQRCodeData } from "../utils/qrCodeUtils";
+import {
+  DISCOUNT_TYPES,
+  applyDiscount,
+  formatDiscount,
+  getDiscountDetails,
+  getVoucherError,
+  validateDiscount,
+} from "../utils/discountUtils";
+import { getVoucherByCode, redeemVoucher } from "../storage/voucherStorage";
+import { formatAllowedHours, getTicketPass } from "../utils/subscriptionUtils";
+import { getSettings } from "../storage/settingsStorage";
+import {
+  calculateTaxBreakdown,
+  formatTaxBreakdown,
+  formatTaxLabel,
+  hasTaxRules,
+} from "../utils/taxUtils";
+import {
+  formatMoney,
+  formatRate,
+  getTicketCurrency,
+} from "../utils/moneyUtils";
+import {
+  REVOCATION_REASONS,
+  findRevocation,
+  formatRevocation,
+  getRevocationReasonLabel,
+} from "../utils/revocationUtils";
+import {
+  getRevocations,
+  revokeTicket,
+  cancelRevocation,
+} from "../storage/revocationStorage";
 
+// Choix proposés à l'étape de réduction
+const DISCOUNT_OPTIONS = [
+  { id: "none", label: "Aucune" },
+  ...DISCOUNT_TYPES,
+  { id: "voucher", label: "Code promo" },
+];
+
+const DISCOUNT_PLACEHOLDERS = {
+  percentage: "Pourcentage (ex: 20)",
+  fixed: "Montant de la réduction",
+  freeHours: "Nombre d'heures offertes",
+};
 /**
  * OBJECTIF 3 : Calculer automatiquement le montant à payer selon la durée
  * OBJECTIF 4 : Clôturer le ticket lors de la sortie
@@ -27,6 +78,10 @@ import { parseQRCodeData } from "../utils/qrCodeUtils";
  * Ce composant affiche :
  * - Les détails d'un ticket actif
  * - Le calcul en temps réel de la durée et du montant
+ * - Le détail du montant par tranche tarifaire
+ * - Une étape de réduction (pourcentage, montant, heures offertes, code promo)
+ * - La ventilation HT / taxes / TTC du montant à payer
+ * - La révocation du ticket (annulé, frauduleux...), refusé ensuite au scan
  * - Un bouton pour clôturer le ticket
  */
 const TicketDetailScreen = ({ route, navigation }) => {
@@ -37,6 +92,21 @@ const TicketDetailScreen = ({ route, navigation }) => {
   const [loading, setLoading] = useState(true);
   const [currentTime, setCurrentTime] = useState(getCurrentDateTime());
 
+  // Réduction appliquée à la sortie
+  const [discountType, setDiscountType] = useState("none");
+  const [discountValue, setDiscountValue] = useState("");
+  const [voucherCode, setVoucherCode] = useState("");
+  const [appliedVoucher, setAppliedVoucher] = useState(null);
+
+  // Taxes et frais de service (paramètres)
+  const [taxConfig, setTaxConfig] = useState(null);
+
+  // Révocation du ticket
+  const [revocation, setRevocation] = useState(null);
+  const [revocationReason, setRevocationReason] = useState(
+    REVOCATION_REASONS[0].id
+  );
+
   /**
    * Charge les données du ticket au montage du composant
    */
@@ -62,7 +132,13 @@ const TicketDetailScreen = ({ route, navigation }) => {
    */
   const loadTicket = async () => {
     try {
-      const loadedTicket = await getTicketById(ticketId);
+      const [loadedTicket, settings, revocations] = await Promise.all([
+        getTicketById(ticketId),
+        getSettings(),
+        getRevocations(),
+      ]);
+      setTaxConfig(settings.taxConfig);
+      setRevocation(findRevocation(revocations, ticketId));
 
       if (loadedTicket) {
         setTicket(loadedTicket);
@@ -79,23 +155,130 @@ const TicketDetailScreen = ({ route, navigation }) => {
     }
   };
 
+  /**
+   * Change le type de réduction et réinitialise la saisie
+   * @param {string} type - Type choisi (voir DISCOUNT_OPTIONS)
+   */
+  const handleSelectDiscountType = (type) => {
+    setDiscountType(type);
+    setDiscountValue("");
+    setVoucherCode("");
+    setAppliedVoucher(null);
+  };
+
+  /**
+   * Vérifie le code promo saisi (existence, validité, utilisations)
+   */
+  const handleApplyVoucher = async () => {
+    const voucher = await getVoucherByCode(voucherCode);
+    if (!voucher) {
+      setAppliedVoucher(null);
+      Alert.alert("Code invalide", "Aucun bon ne correspond à ce code");
+      return;
+    }
+
+    const error = getVoucherError(voucher, getCurrentDateTime());
+    if (error) {
+      setAppliedVoucher(null);
+      Alert.alert("Code refusé", error);
+      return;
+    }
+
+    setAppliedVoucher(voucher);
+  };
+
+  /**
+   * Réduction sélectionnée à l'étape de réduction
+   * @returns {Object|null} { type, value, code } ou null si aucune
+   */
+  const getSelectedDiscount = () => {
+    if (discountType === "none") return null;
+
+    if (discountType === "voucher") {
+      return appliedVoucher
+        ? {
+            type: appliedVoucher.type,
+            value: appliedVoucher.value,
+            code: appliedVoucher.code,
+          }
+        : null;
+    }
+
+    return { type: discountType, value: parseFloat(discountValue) };
+  };
+
   /**
    * OBJECTIF 4 : Clôturer le ticket lors de la sortie
-   * Calcule le montant final et déplace le ticket vers l'historique
+   * Calcule le montant final, applique la réduction éventuelle et déplace
+   * le ticket vers l'historique
    */
-  const handleCloseTicket = () => {
+  const handleCloseTicket = async () => {
     if (!ticket) return;
 
+    if (discountType === "voucher" && !appliedVoucher) {
+      Alert.alert("Erreur", "Veuillez valider le code promo");
+      return;
+    }
+
+    const discount = getSelectedDiscount();
+    if (discount) {
+      const errors = validateDiscount(discount);
+      if (errors.length > 0) {
+        Alert.alert("Réduction invalide", errors.join("\n"));
+        return;
+      }
+    }
+
     const exitTime = getCurrentDateTime();
-    const totalAmount = calculatePrice(
-      ticket.entryTime,
-      exitTime,
-      ticket.pricePerHour
+
+    // Le bon a pu être utilisé ailleurs depuis sa validation
+    if (discount && discount.code) {
+      const voucher = await getVoucherByCode(discount.code);
+      const error = voucher
+        ? getVoucherError(voucher, exitTime)
+        : "Ce code n'existe plus";
+      if (error) {
+        setAppliedVoucher(null);
+        Alert.alert("Code refusé", error);
+        return;
+      }
+    }
+
+    const currency = getTicketCurrency(ticket);
+    const pricing = calculateTicketPrice(ticket, exitTime);
+    const discountResult = discount
+      ? applyDiscount(ticket, pricing.totalAmount, discount, exitTime)
+      : null;
+    const parkingAmount = discountResult
+      ? discountResult.totalAmount
+      : pricing.totalAmount;
+    const taxBreakdown = calculateTaxBreakdown(
+      parkingAmount,
+      taxConfig,
+      currency
+    );
+    const totalAmount = taxBreakdown.grossAmount;
+
+    const messageLines = [];
+    if (discountResult) {
+      messageLines.push(
+        `Montant : ${formatMoney(pricing.totalAmount, currency)}`,
+        `Réduction (${formatDiscount(discount, currency)}) : -${formatMoney(
+          discountResult.discountAmount,
+          currency
+        )}`
+      );
+    }
+    if (hasTaxRules(taxConfig)) {
+      messageLines.push(...formatTaxBreakdown(taxBreakdown, currency));
+    }
+    messageLines.push(
+      `Montant à payer : ${formatMoney(totalAmount, currency)}`
     );
 
     Alert.alert(
       "Clôturer le ticket",
-      `Montant à payer : ${totalAmount} FCFA\n\nConfirmer la clôture du ticket ?`,
+      `${messageLines.join("\n")}\n\nConfirmer la clôture du ticket ?`,
       [
         {
           text: "Annuler",
@@ -105,12 +288,22 @@ const TicketDetailScreen = ({ route, navigation }) => {
           text: "Clôturer",
           style: "default",
           onPress: async () => {
-            const success = await closeTicket(ticketId, exitTime, totalAmount);
+            const success = await closeTicket(ticketId, exitTime, totalAmount, {
+              ...getPricingDetails(pricing),
+              ...(discountResult
+                ? getDiscountDetails(discount, discountResult, currency)
+                : {}),
+              taxBreakdown,
+            });
+
+            if (success && discount && discount.code) {
+              await redeemVoucher(discount.code);
+            }
 
             if (success) {
               Alert.alert(
                 "Ticket clôturé",
-                `Montant total : ${totalAmount} FCFA`,
+                `Montant total : ${formatMoney(totalAmount, currency)}`,
                 [
                   {
                     text: "OK",
@@ -127,6 +320,58 @@ const TicketDetailScreen = ({ route, navigation }) => {
     );
   };
 
+  /**
+   * Révoque le ticket après confirmation
+   * Le ticket sera refusé au scan, y compris sur les appareils qui
+   * importent la liste de révocation
+   */
+  const handleRevokeTicket = () => {
+    Alert.alert(
+      "Révoquer le ticket",
+      `Motif : ${getRevocationReasonLabel(
+        revocationReason
+      )}\n\nCe ticket sera refusé au scan. Confirmer la révocation ?`,
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Révoquer",
+          style: "destructive",
+          onPress: async () => {
+            const revoked = await revokeTicket(ticketId, revocationReason);
+            if (revoked) {
+              setRevocation(revoked);
+            } else {
+              Alert.alert("Erreur", "Impossible de révoquer le ticket");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Lève la révocation du ticket (révocation par erreur)
+   */
+  const handleCancelRevocation = () => {
+    Alert.alert(
+      "Lever la révocation",
+      "Le ticket sera de nouveau accepté au scan sur cet appareil.",
+      [
+        { text: "Annuler", style: "cancel" },
+        {
+          text: "Lever",
+          onPress: async () => {
+            if (await cancelRevocation(ticketId)) {
+              setRevocation(null);
+            } else {
+              Alert.alert("Erreur", "Impossible de lever la révocation");
+            }
+          },
+        },
+      ]
+    );
+  };
+
   // Affichage du chargement
   if (loading) {
     return (
@@ -148,11 +393,26 @@ const TicketDetailScreen = ({ route, navigation }) => {
 
   // OBJECTIF 3 : Calcul automatique en temps réel
   const durationMinutes = calculateDuration(ticket.entryTime, currentTime);
-  const currentAmount = calculatePrice(
-    ticket.entryTime,
-    currentTime,
-    ticket.pricePerHour
-  );
+  const currentPricing = calculateTicketPrice(ticket, currentTime);
+  const currentAmount = currentPricing.totalAmount;
+  const currentRate = getCurrentRate(ticket, currentTime);
+  const currency = getTicketCurrency(ticket);
+  const category = getTicketCategory(ticket);
+  const pass = getTicketPass(ticket);
+
+  // Aperçu de la réduction sur le montant actuel
+  const selectedDiscount = getSelectedDiscount();
+  const discountPreview =
+    selectedDiscount && validateDiscount(selectedDiscount).length === 0
+      ? applyDiscount(ticket, currentAmount, selectedDiscount, currentTime)
+      : null;
+  const taxPreview = hasTaxRules(taxConfig)
+    ? calculateTaxBreakdown(
+        discountPreview ? discountPreview.totalAmount : currentAmount,
+        taxConfig,
+        currency
+      )
+    : null;
 
   // Parse du contenu QR si présent
   const parsedQr = ticket.qrCodeData ? parseQRCodeData(ticket.qrCodeData) : null;
@@ -176,9 +436,17 @@ const TicketDetailScreen = ({ route, navigation }) => {
         <View style={styles.parkingCard}>
           <Text style={styles.parkingLabel}>Parking</Text>
           <Text style={styles.parkingName}>{ticket.parkingName}</Text>
+          <Text style={styles.categoryText}>
+            {category.icon} {category.label}
+            {ticket.licensePlate ? ` · ${ticket.licensePlate}` : ""}
+          </Text>
           <View style={styles.statusBadge}>
-            <View style={styles.statusDot} />
-            <Text style={styles.statusText}>En cours</Text>
+            <View
+              style={[styles.statusDot, revocation && styles.statusDotRevoked]}
+            />
+            <Text style={styles.statusText}>
+              {revocation ? "Révoqué" : "En cours"}
+            </Text>
           </View>
         </View>
 
@@ -202,7 +470,9 @@ const TicketDetailScreen = ({ route, navigation }) => {
             </View>
             <View style={styles.detailRow}>
               <Text style={styles.detailLabel}>Tarif/h</Text>
-              <Text style={styles.detailValue}>{parsedQr.pricePerHour} FCFA</Text>
+              <Text style={styles.detailValue}>
+                {formatMoney(parsedQr.pricePerHour, currency)}
+              </Text>
             </View>
           </View>
         )}
@@ -218,16 +488,235 @@ const TicketDetailScreen = ({ route, navigation }) => {
         {/* OBJECTIF 3 : Affichage du montant calculé en temps réel */}
         <View style={styles.amountCard}>
           <Text style={styles.amountLabel}>Montant actuel</Text>
-          <Text style={styles.amountValue}>{currentAmount} FCFA</Text>
+          <Text style={styles.amountValue}>
+            {formatMoney(currentAmount, currency)}
+          </Text>
           <Text style={styles.amountNote}>
-            Tarif : {ticket.pricePerHour} FCFA/h
+            Tarif en cours : {formatRate(currentRate.pricePerHour, currency)} (
+            {currentRate.label})
           </Text>
         </View>
 
+        {/* OBJECTIF 3 : Détail du montant par tranche */}
+        {currentPricing.breakdown.length > 0 && (
+          <View style={styles.detailsCard}>
+            <Text style={styles.detailsTitle}>Détail du montant</Text>
+
+            {currentPricing.breakdown.map((line, index) => (
+              <View key={index} style={styles.detailRow}>
+                <View>
+                  <Text style={styles.detailLabel}>{line.label}</Text>
+                  {line.minutes > 0 && (
+                    <Text style={styles.breakdownNote}>
+                      {formatDuration(line.minutes)} ×{" "}
+                      {formatRate(line.pricePerHour, currency)}
+                    </Text>
+                  )}
+                </View>
+                <Text style={styles.detailValue}>
+                  {formatMoney(line.amount, currency)}
+                </Text>
+              </View>
+            ))}
+
+            {currentPricing.freeMinutes > 0 && (
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Franchise offerte</Text>
+                <Text style={styles.detailValue}>
+                  {formatDuration(currentPricing.freeMinutes)}
+                </Text>
+              </View>
+            )}
+
+            {currentPricing.toleratedMinutes > 0 && (
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Tolérance appliquée</Text>
+                <Text style={styles.detailValue}>
+                  {formatDuration(currentPricing.toleratedMinutes)}
+                </Text>
+              </View>
+            )}
+
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Durée facturée</Text>
+              <Text style={styles.detailValue}>
+                {formatDuration(currentPricing.billedMinutes)}
+              </Text>
+            </View>
+          </View>
+        )}
+
+        {currentPricing.breakdown.length === 0 &&
+          currentPricing.gracePeriodMinutes > 0 && (
+            <View style={styles.detailsCard}>
+              <Text style={styles.detailsTitle}>Détail du montant</Text>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Franchise en cours</Text>
+                <Text style={styles.detailValue}>
+                  {formatDuration(currentPricing.freeMinutes)} /{" "}
+                  {formatDuration(currentPricing.gracePeriodMinutes)}
+                </Text>
+              </View>
+            </View>
+          )}
+
+        {/* OBJECTIF 4 : Étape de réduction avant la clôture */}
+        <View style={styles.detailsCard}>
+          <Text style={styles.detailsTitle}>Réduction</Text>
+
+          <View style={styles.chipsRow}>
+            {DISCOUNT_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.id}
+                style={[
+                  styles.chip,
+                  discountType === option.id && styles.chipSelected,
+                ]}
+                onPress={() => handleSelectDiscountType(option.id)}
+              >
+                <Text
+                  style={[
+                    styles.chipText,
+                    discountType === option.id && styles.chipTextSelected,
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {DISCOUNT_TYPES.some((t) => t.id === discountType) && (
+            <TextInput
+              style={styles.discountInput}
+              placeholder={DISCOUNT_PLACEHOLDERS[discountType]}
+              placeholderTextColor="#B0B0B0"
+              value={discountValue}
+              onChangeText={setDiscountValue}
+              keyboardType="numeric"
+            />
+          )}
+
+          {discountType === "voucher" && (
+            <View style={styles.voucherRow}>
+              <TextInput
+                style={[styles.discountInput, styles.voucherInput]}
+                placeholder="Code promo"
+                placeholderTextColor="#B0B0B0"
+                value={voucherCode}
+                onChangeText={(text) => {
+                  setVoucherCode(text);
+                  setAppliedVoucher(null);
+                }}
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={styles.voucherButton}
+                onPress={handleApplyVoucher}
+              >
+                <Text style={styles.voucherButtonText}>OK</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {discountPreview && (
+            <>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>
+                  Réduction ({formatDiscount(selectedDiscount, currency)})
+                  {selectedDiscount.code ? ` · ${selectedDiscount.code}` : ""}
+                </Text>
+                <Text style={styles.detailValue}>
+                  -{formatMoney(discountPreview.discountAmount, currency)}
+                </Text>
+              </View>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Net à payer</Text>
+                <Text style={styles.detailValue}>
+                  {formatMoney(discountPreview.totalAmount, currency)}
+                </Text>
+              </View>
+            </>
+          )}
+        </View>
+
+        {/* OBJECTIF 4 : Ventilation HT / taxes / TTC */}
+        {taxPreview && (
+          <View style={styles.detailsCard}>
+            <Text style={styles.detailsTitle}>Taxes et frais</Text>
+
+            {taxPreview.fees.map((fee, index) => (
+              <View key={`fee-${index}`} style={styles.detailRow}>
+                <Text style={styles.detailLabel}>{fee.label}</Text>
+                <Text style={styles.detailValue}>
+                  {formatMoney(fee.amount, currency)}
+                </Text>
+              </View>
+            ))}
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Total HT</Text>
+              <Text style={styles.detailValue}>
+                {formatMoney(taxPreview.netAmount, currency)}
+              </Text>
+            </View>
+            {taxPreview.taxes.map((tax, index) => (
+              <View key={`tax-${index}`} style={styles.detailRow}>
+                <Text style={styles.detailLabel}>{formatTaxLabel(tax)}</Text>
+                <Text style={styles.detailValue}>
+                  {formatMoney(tax.amount, currency)}
+                </Text>
+              </View>
+            ))}
+            {taxPreview.roundingAmount ? (
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Arrondi</Text>
+                <Text style={styles.detailValue}>
+                  {formatMoney(taxPreview.roundingAmount, currency)}
+                </Text>
+              </View>
+            ) : null}
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Total TTC</Text>
+              <Text style={styles.detailValue}>
+                {formatMoney(taxPreview.grossAmount, currency)}
+              </Text>
+            </View>
+          </View>
+        )}
+
         {/* Informations détaillées */}
         <View style={styles.detailsCard}>
           <Text style={styles.detailsTitle}>Informations</Text>
 
+          {ticket.licensePlate ? (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Plaque</Text>
+              <Text style={styles.detailValue}>{ticket.licensePlate}</Text>
+            </View>
+          ) : null}
+
+          {pass && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Abonnement</Text>
+              <View style={styles.passInfo}>
+                <Text style={styles.detailValue}>
+                  {pass.holderName} · jusqu'au {pass.validUntil}
+                </Text>
+                <Text style={styles.breakdownNote}>
+                  {formatAllowedHours(pass.allowedHours)}
+                </Text>
+              </View>
+            </View>
+          )}
+
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Catégorie</Text>
+            <Text style={styles.detailValue}>
+              {category.icon} {category.label}
+            </Text>
+          </View>
+
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Heure d'entrée</Text>
             <Text style={styles.detailValue}>
@@ -242,15 +731,75 @@ const TicketDetailScreen = ({ route, navigation }) => {
 
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Tarif horaire</Text>
-            <Text style={styles.detailValue}>{ticket.pricePerHour} FCFA</Text>
+            <Text style={styles.detailValue}>
+              {formatMoney(ticket.pricePerHour, currency)}
+            </Text>
           </View>
         </View>
 
+        {/* Révocation du ticket */}
+        <View style={styles.detailsCard}>
+          <Text style={styles.detailsTitle}>Révocation</Text>
+
+          {revocation ? (
+            <>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Ticket révoqué</Text>
+                <Text style={styles.detailValue}>
+                  {formatRevocation(revocation)}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.revocationButton}
+                onPress={handleCancelRevocation}
+              >
+                <Text style={styles.revocationButtonText}>
+                  Lever la révocation
+                </Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <>
+              <View style={styles.chipsRow}>
+                {REVOCATION_REASONS.map((reason) => (
+                  <TouchableOpacity
+                    key={reason.id}
+                    style={[
+                      styles.chip,
+                      revocationReason === reason.id && styles.chipSelected,
+                    ]}
+                    onPress={() => setRevocationReason(reason.id)}
+                  >
+                    <Text
+                      style={[
+                        styles.chipText,
+                        revocationReason === reason.id &&
+                          styles.chipTextSelected,
+                      ]}
+                    >
+                      {reason.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TouchableOpacity
+                style={styles.revocationButton}
+                onPress={handleRevokeTicket}
+              >
+                <Text style={styles.revocationButtonText}>
+                  Révoquer le ticket
+                </Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
         {/* Information sur le calcul */}
         <View style={styles.infoBox}>
           <Text style={styles.infoIcon}>ℹ️</Text>
           <Text style={styles.infoText}>
-            Le montant est calculé en temps réel. Toute heure commencée est due.
+            Le montant est calculé en temps réel selon le tarif du ticket. Toute
+            tranche commencée est due.
           </Text>
         </View>
       </ScrollView>
@@ -339,6 +888,13 @@ const styles = StyleSheet.create({
     color: "#FFFFFF",
     marginBottom: 16,
   },
+  categoryText: {
+    fontSize: 15,
+    color: "#E3F2FD",
+    fontWeight: "600",
+    marginTop: -8,
+    marginBottom: 16,
+  },
   statusBadge: {
     flexDirection: "row",
     alignItems: "center",
@@ -355,6 +911,9 @@ const styles = StyleSheet.create({
     backgroundColor: "#4CAF50",
     marginRight: 6,
   },
+  statusDotRevoked: {
+    backgroundColor: "#D32F2F",
+  },
   statusText: {
     fontSize: 13,
     color: "#FFFFFF",
@@ -461,6 +1020,81 @@ const styles = StyleSheet.create({
     color: "#1A1A1A",
     fontWeight: "600",
   },
+  passInfo: {
+    alignItems: "flex-end",
+  },
+  breakdownNote: {
+    fontSize: 12,
+    color: "#9E9E9E",
+    marginTop: 2,
+  },
+  chipsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+  },
+  chipSelected: {
+    backgroundColor: "#1976D2",
+    borderColor: "#1976D2",
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#424242",
+  },
+  chipTextSelected: {
+    color: "#FFFFFF",
+  },
+  discountInput: {
+    backgroundColor: "#FFFFFF",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#1A1A1A",
+    borderWidth: 1,
+    borderColor: "#E0E0E0",
+    marginBottom: 8,
+  },
+  voucherRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  voucherInput: {
+    flex: 1,
+  },
+  voucherButton: {
+    backgroundColor: "#1976D2",
+    borderRadius: 12,
+    paddingHorizontal: 18,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  voucherButtonText: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#FFFFFF",
+  },
+  revocationButton: {
+    borderWidth: 1,
+    borderColor: "#D32F2F",
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  revocationButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#D32F2F",
+  },
   infoBox: {
     flexDirection: "row",
     backgroundColor: "#FFF3E0",
@@ -0,0 +1,197 @@
+import { createMemoryStorageAdapter } from "../memoryStorageAdapter";
+import { setStorageAdapter } from "../storageAdapter";
+import { getTicketRepository, setTicketRepository } from "../ticketRepository";
+import { createKeyValueTicketRepository } from "../keyValueTicketRepository";
+import {
+  createBackup,
+  restoreBackup,
+  resumePendingRestore,
+} from "../backupStorage";
+import { addTicket, closeTicket } from "../ticketStorage";
+import { getSettings, updateSettings } from "../settingsStorage";
+import { revokeTicket } from "../revocationStorage";
+import { addSubscription, getSubscriptions } from "../subscriptionStorage";
+import { addVoucher, getVouchers } from "../voucherStorage";
+import { getLotKeys } from "../lotKeyStorage";
+import { RESTORE_MODES } from "../../utils/backupUtils";
+
+let adapter;
+
+const setupDevice = () => {
+  adapter = createMemoryStorageAdapter();
+  setStorageAdapter(adapter);
+  setTicketRepository(createKeyValueTicketRepository(adapter));
+};
+
+const newTicket = (licensePlate) => ({
+  licensePlate,
+  parkingName: "Marché central",
+  entryTime: "2025-01-20T08:00:00.000Z",
+  pricePerHour: 100,
+});
+
+/**
+ * Crée la sauvegarde d'un appareil avec un ticket actif, un ticket
+ * clôturé, un abonnement, un bon, une révocation et des paramètres modifiés
+ * @returns {Promise<string>} Contenu du fichier de sauvegarde
+ */
+const createDeviceBackup = async () => {
+  setupDevice();
+  await addTicket(newTicket("AB123CD"));
+  const closed = await addTicket(newTicket("EF456GH"));
+  await closeTicket(closed.id, "2025-01-20T10:00:00.000Z", 200);
+  await revokeTicket(closed.id, "Ticket volé");
+  await updateSettings({ lostTicketPenalty: 2500 });
+  await addSubscription({
+    holderName: "Awa Diallo",
+    licensePlate: "MN012OP",
+    validFrom: "2025-01-01",
+    validUntil: "2025-01-31",
+  });
+  await addVoucher({
+    code: "MARCHE10",
+    type: "percentage",
+    value: 10,
+    usageLimit: null,
+  });
+  return createBackup();
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("createBackup", () => {
+  it("sauvegarde les clés publiques sans les clés privées", async () => {
+    const backup = JSON.parse(await createDeviceBackup());
+
+    expect(backup.data.subscriptions).toHaveLength(1);
+    expect(backup.data.vouchers).toHaveLength(1);
+    expect(backup.data.lotKeys).toHaveLength(1);
+    expect(backup.data.lotKeys[0].secretKey).toBeNull();
+    expect((await getLotKeys())[0].secretKey).toEqual(expect.any(String));
+  });
+});
+
+describe("restoreBackup", () => {
+  it("remplace toutes les données de l'appareil", async () => {
+    const text = await createDeviceBackup();
+
+    setupDevice();
+    const other = await addTicket(newTicket("IJ789KL"));
+
+    const result = await restoreBackup(text, RESTORE_MODES.replace);
+    expect(result).toMatchObject({ errors: [], pending: false });
+    expect(result.restored.ticketCount).toBe(2);
+
+    const repository = getTicketRepository();
+    expect(await repository.getTicketById(other.id)).toBeNull();
+    expect(await repository.countTickets({ status: "active" })).toBe(1);
+    expect(await repository.countTickets({ status: "closed" })).toBe(1);
+    expect((await getSettings()).lostTicketPenalty).toBe(2500);
+    expect(await getSubscriptions()).toHaveLength(1);
+    expect(await getVouchers()).toHaveLength(1);
+    expect(await adapter.getItem("@ticket_parking:pending_restore")).toBeNull();
+
+    // La clé de signature de l'appareil est conservée
+    const lotKeys = await getLotKeys();
+    expect(lotKeys).toHaveLength(2);
+    expect(lotKeys.filter((k) => k.secretKey)).toHaveLength(1);
+  });
+
+  it("termine au démarrage un remplacement interrompu", async () => {
+    const text = await createDeviceBackup();
+
+    setupDevice();
+    const other = await addTicket(newTicket("IJ789KL"));
+    const multiSet = adapter.multiSet;
+    adapter.multiSet = jest.fn().mockRejectedValueOnce(new Error("disque"));
+
+    const result = await restoreBackup(text, RESTORE_MODES.replace);
+    expect(result.pending).toBe(true);
+
+    // Les tickets du journal sont enregistrés à part, par lots
+    const journal = JSON.parse(
+      await adapter.getItem("@ticket_parking:pending_restore")
+    );
+    expect(journal).toMatchObject({ chunkCount: 1 });
+    expect(journal.tickets).toBeUndefined();
+    expect(
+      JSON.parse(
+        await adapter.getItem("@ticket_parking:pending_restore:tickets:0")
+      )
+    ).toHaveLength(2);
+
+    adapter.multiSet = multiSet;
+    expect(await resumePendingRestore()).toBe(true);
+
+    expect(await getTicketRepository().getTicketById(other.id)).toBeNull();
+    expect(await getTicketRepository().countTickets()).toBe(2);
+    expect((await getSettings()).lostTicketPenalty).toBe(2500);
+    expect(
+      (await adapter.getAllKeys()).filter((key) =>
+        key.startsWith("@ticket_parking:pending_restore")
+      )
+    ).toEqual([]);
+  });
+
+  it("ne modifie rien si la sauvegarde ne peut pas être préparée", async () => {
+    const text = await createDeviceBackup();
+
+    setupDevice();
+    const other = await addTicket(newTicket("IJ789KL"));
+    adapter.setItem = jest.fn().mockRejectedValue(new Error("disque"));
+
+    expect(await restoreBackup(text, RESTORE_MODES.replace)).toBeNull();
+    expect(await getTicketRepository().getTickets()).toEqual([other]);
+  });
+
+  it("fusionne la sauvegarde avec les données de l'appareil", async () => {
+    const text = await createDeviceBackup();
+
+    setupDevice();
+    const other = await addTicket(newTicket("IJ789KL"));
+
+    const result = await restoreBackup(text, RESTORE_MODES.merge);
+    expect(result.restored).toMatchObject({
+      ticketCount: 2,
+      closedCount: 0,
+      subscriptionCount: 1,
+      voucherCount: 1,
+      lotKeyCount: 1,
+      revocationCount: 1,
+    });
+    expect(await getTicketRepository().getTicketById(other.id)).toEqual(other);
+    expect(await getTicketRepository().countTickets()).toBe(3);
+    expect((await getSettings()).lostTicketPenalty).toBe(1000);
+  });
+
+  it("signale une fusion limitée aux tickets", async () => {
+    const text = await createDeviceBackup();
+
+    setupDevice();
+    adapter.multiSet = jest.fn().mockRejectedValue(new Error("disque"));
+
+    const result = await restoreBackup(text, RESTORE_MODES.merge);
+    expect(result).toMatchObject({ errors: [], partial: true });
+    expect(result.restored).toMatchObject({
+      ticketCount: 2,
+      subscriptionCount: 0,
+    });
+    expect(await getTicketRepository().countTickets()).toBe(2);
+    expect(await getSubscriptions()).toEqual([]);
+  });
+
+  it("refuse un mode de restauration inconnu", async () => {
+    const text = await createDeviceBackup();
+
+    await expect(restoreBackup(text, "replace-all")).rejects.toThrow(
+      "Mode de restauration inconnu"
+    );
+  });
+});
@@ -0,0 +1,120 @@
+import { createMemoryStorageAdapter } from "../memoryStorageAdapter";
+import { setStorageAdapter } from "../storageAdapter";
+import { getTicketRepository, setTicketRepository } from "../ticketRepository";
+import { createKeyValueTicketRepository } from "../keyValueTicketRepository";
+import {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  runMigrations,
+} from "../migrations";
+
+// Clés enregistrées par les versions précédentes de l'application
+const SCHEMA_VERSION_KEY = "@ticket_parking:schema_version";
+const ACTIVE_TICKETS_KEY = "@ticket_parking:active_tickets";
+const HISTORY_TICKETS_KEY = "@ticket_parking:history_tickets";
+const PENDING_CLOSE_KEY = "@ticket_parking:pending_close";
+
+const legacyTicket = {
+  licensePlate: "AB 123 CD",
+  parkingName: "Marché central",
+  entryTime: "2024-06-01T08:00:00.000Z",
+  pricePerHour: 100,
+};
+
+let adapter;
+
+/**
+ * Prépare un appareil dont les données ont été enregistrées par une
+ * version précédente de l'application
+ * @param {Object} values - Valeurs enregistrées { [key]: value }
+ */
+const setupDevice = (values) => {
+  adapter = createMemoryStorageAdapter(values);
+  setStorageAdapter(adapter);
+  setTicketRepository(createKeyValueTicketRepository(adapter));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("runMigrations", () => {
+  it("complète les anciens tickets et les déplace dans le dépôt", async () => {
+    setupDevice({
+      [ACTIVE_TICKETS_KEY]: JSON.stringify([legacyTicket]),
+      [HISTORY_TICKETS_KEY]: JSON.stringify([
+        {
+          ...legacyTicket,
+          id: "closed-1",
+          exitTime: "2024-06-01T10:00:00.000Z",
+          totalAmount: 200,
+          qrCodeData: { id: "closed-1" },
+        },
+      ]),
+    });
+
+    expect(await getSchemaVersion()).toBe(0);
+    expect(await runMigrations()).toBe(true);
+    expect(await getSchemaVersion()).toBe(CURRENT_SCHEMA_VERSION);
+
+    const repository = getTicketRepository();
+    const [active] = await repository.getTickets({ status: "active" });
+    expect(active).toMatchObject({ ...legacyTicket, status: "active" });
+    expect(typeof active.id).toBe("string");
+
+    // QR code au format JSON d'origine, non signé
+    expect(JSON.parse(active.qrCodeData)).toMatchObject({
+      id: active.id,
+      parkingName: legacyTicket.parkingName,
+      entryTime: legacyTicket.entryTime,
+    });
+    expect(JSON.parse(active.qrCodeData).sig).toBeUndefined();
+
+    const closed = await repository.getTicketById("closed-1");
+    expect(closed.status).toBe("closed");
+    expect(closed.qrCodeData).toBe('{"id":"closed-1"}');
+
+    // Les anciennes clés sont effacées
+    expect((await adapter.getAllKeys()).sort()).toEqual(
+      ["@ticket_parking:tickets", SCHEMA_VERSION_KEY].sort()
+    );
+  });
+
+  it("termine une clôture interrompue", async () => {
+    const ticket = { ...legacyTicket, id: "t-1", status: "active" };
+    const closing = {
+      ...ticket,
+      status: "closed",
+      exitTime: "2024-06-01T10:00:00.000Z",
+      totalAmount: 200,
+    };
+    setupDevice({
+      [SCHEMA_VERSION_KEY]: "1",
+      [ACTIVE_TICKETS_KEY]: JSON.stringify([ticket]),
+      [HISTORY_TICKETS_KEY]: JSON.stringify([]),
+      [PENDING_CLOSE_KEY]: JSON.stringify(closing),
+    });
+
+    expect(await runMigrations()).toBe(true);
+
+    const repository = getTicketRepository();
+    expect(await repository.countTickets({ status: "active" })).toBe(0);
+    expect(await repository.getTicketById("t-1")).toEqual(closing);
+  });
+
+  it("ne rejoue pas les migrations déjà appliquées", async () => {
+    setupDevice({ [ACTIVE_TICKETS_KEY]: JSON.stringify([legacyTicket]) });
+    await runMigrations();
+    const tickets = await getTicketRepository().getTickets();
+
+    expect(await runMigrations()).toBe(true);
+    expect(await getTicketRepository().getTickets()).toEqual(tickets);
+  });
+
+  it("refuse les données d'une version plus récente", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    setupDevice({ [SCHEMA_VERSION_KEY]: `${CURRENT_SCHEMA_VERSION + 1}` });
+
+    expect(await runMigrations()).toBe(false);
+  });
+});
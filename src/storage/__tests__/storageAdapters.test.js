@@ -0,0 +1,79 @@
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createMemoryStorageAdapter } from "../memoryStorageAdapter";
+import { createFileStorageAdapter } from "../fileStorageAdapter";
+import { getStorageAdapter, setStorageAdapter } from "../storageAdapter";
+
+let directory;
+
+beforeEach(() => {
+  directory = mkdtempSync(join(tmpdir(), "ticket-parking-"));
+});
+
+afterEach(() => {
+  rmSync(directory, { recursive: true, force: true });
+});
+
+// Mêmes vérifications pour chaque adaptateur
+describe.each([
+  ["en mémoire", () => createMemoryStorageAdapter()],
+  ["fichier", () => createFileStorageAdapter(join(directory, "store.json"))],
+])("adaptateur %s", (name, createAdapter) => {
+  it("lit, écrit et efface une valeur", async () => {
+    const adapter = createAdapter();
+
+    expect(await adapter.getItem("a")).toBeNull();
+    await adapter.setItem("a", "1");
+    expect(await adapter.getItem("a")).toBe("1");
+    await adapter.removeItem("a");
+    expect(await adapter.getItem("a")).toBeNull();
+  });
+
+  it("lit, écrit et efface plusieurs valeurs", async () => {
+    const adapter = createAdapter();
+
+    await adapter.multiSet([
+      ["a", "1"],
+      ["b", "2"],
+    ]);
+    expect(await adapter.multiGet(["b", "c", "a"])).toEqual([
+      ["b", "2"],
+      ["c", null],
+      ["a", "1"],
+    ]);
+    expect((await adapter.getAllKeys()).sort()).toEqual(["a", "b"]);
+
+    await adapter.multiRemove(["a", "b"]);
+    expect(await adapter.getAllKeys()).toEqual([]);
+  });
+
+  it("applique les écritures simultanées dans l'ordre des appels", async () => {
+    const adapter = createAdapter();
+
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) => adapter.setItem(`k${i}`, `${i}`))
+    );
+    await Promise.all([adapter.setItem("k0", "x"), adapter.removeItem("k1")]);
+
+    expect((await adapter.getAllKeys()).length).toBe(9);
+    expect(await adapter.getItem("k0")).toBe("x");
+  });
+});
+
+describe("adaptateur fichier", () => {
+  it("conserve les valeurs d'une instance à l'autre", async () => {
+    const filePath = join(directory, "store.json");
+    await createFileStorageAdapter(filePath).setItem("a", "1");
+
+    expect(await createFileStorageAdapter(filePath).getItem("a")).toBe("1");
+    expect(JSON.parse(readFileSync(filePath, "utf8"))).toEqual({ a: "1" });
+  });
+});
+
+describe("adaptateur configuré", () => {
+  it("signale l'absence d'adaptateur", () => {
+    setStorageAdapter(null);
+    expect(() => getStorageAdapter()).toThrow();
+  });
+});
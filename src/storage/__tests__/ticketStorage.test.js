@@ -0,0 +1,127 @@
+import { createMemoryStorageAdapter } from "../memoryStorageAdapter";
+import { setStorageAdapter } from "../storageAdapter";
+import { setTicketRepository } from "../ticketRepository";
+import { createKeyValueTicketRepository } from "../keyValueTicketRepository";
+import {
+  addTicket,
+  closeTicket,
+  deleteHistoryTicket,
+  findActiveTicketByPlate,
+  getActiveTickets,
+  getHistoryPage,
+  getHistoryStats,
+  getTicketById,
+  searchTicketsById,
+} from "../ticketStorage";
+import { getLotPublicKeys } from "../lotKeyStorage";
+import { parseQRCodeData, verifyTicket } from "../../utils/qrCodeUtils";
+
+const newTicket = (licensePlate, entryTime = "2025-01-20T08:00:00.000Z") => ({
+  licensePlate,
+  parkingName: "Marché central",
+  entryTime,
+  pricePerHour: 100,
+});
+
+/**
+ * Vérifie un QR code comme le fait l'écran de scan
+ * @param {string} qrCodeData - Contenu du QR code
+ * @returns {Promise<Object>} Résultat de verifyTicket
+ */
+const scan = async (qrCodeData) => {
+  const qrData = parseQRCodeData(qrCodeData, await getLotPublicKeys());
+  const stored = await getTicketById(qrData.id);
+  return verifyTicket(stored ? [stored] : [], qrData);
+};
+
+beforeEach(() => {
+  const adapter = createMemoryStorageAdapter();
+  setStorageAdapter(adapter);
+  setTicketRepository(createKeyValueTicketRepository(adapter));
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("ticketStorage sur l'adaptateur en mémoire", () => {
+  it("crée un ticket actif signé, vérifiable au scan", async () => {
+    const ticket = await addTicket(newTicket("ab-123-cd"));
+
+    expect(ticket.licensePlate).toBe("AB 123 CD");
+    expect(await getActiveTickets()).toEqual([ticket]);
+
+    const verification = await scan(ticket.qrCodeData);
+    expect(verification.status).toBe("active");
+  });
+
+  it("refuse une seconde entrée pour la même plaque", async () => {
+    await addTicket(newTicket("AB123CD"));
+
+    expect(await addTicket(newTicket("ab 123 cd"))).toBeNull();
+    expect(
+      await addTicket(newTicket("AB123CD"), { allowDuplicatePlate: true })
+    ).not.toBeNull();
+  });
+
+  it("ne confond pas une plaque avec une plaque plus longue", async () => {
+    const ticket = await addTicket(newTicket("XAB123CD"));
+
+    expect(await findActiveTicketByPlate("AB 123 CD")).toBeNull();
+    expect(await findActiveTicketByPlate("xab-123-cd")).toEqual(ticket);
+  });
+
+  it("clôture un ticket une seule fois", async () => {
+    const ticket = await addTicket(newTicket("AB123CD"));
+
+    expect(await closeTicket(ticket.id, "2025-01-20T10:00:00.000Z", 200)).toBe(
+      true
+    );
+    expect(await closeTicket(ticket.id, "2025-01-20T11:00:00.000Z", 300)).toBe(
+      false
+    );
+
+    expect(await getActiveTickets()).toEqual([]);
+    const closed = await getTicketById(ticket.id);
+    expect(closed).toMatchObject({ status: "closed", totalAmount: 200 });
+    expect((await scan(ticket.qrCodeData)).status).toBe("closed");
+  });
+
+  it("pagine l'historique et calcule ses totaux", async () => {
+    for (let i = 0; i < 5; i++) {
+      const ticket = await addTicket(newTicket(`AB${i}`));
+      await closeTicket(ticket.id, `2025-01-20T1${i}:00:00.000Z`, 100 * i);
+    }
+
+    const page = await getHistoryPage({ offset: 1, limit: 2 });
+    expect(page.total).toBe(5);
+    expect(page.tickets.map((t) => t.licensePlate)).toEqual(["AB 3", "AB 2"]);
+    expect((await getHistoryPage({ plate: "ab4" })).total).toBe(1);
+
+    const stats = await getHistoryStats();
+    expect(stats).toMatchObject({ count: 5, totalAmount: 1000 });
+  });
+
+  it("retrouve un ticket par le début de son ID", async () => {
+    const ticket = await addTicket(newTicket("AB123CD"));
+    await addTicket(newTicket("EF456GH"));
+
+    const prefix = ticket.id.slice(0, 8).toUpperCase();
+    expect(await searchTicketsById(`${prefix}...`)).toEqual([ticket]);
+    expect(await searchTicketsById("abc")).toEqual([]);
+  });
+
+  it("ne supprime pas un ticket actif depuis l'historique", async () => {
+    const active = await addTicket(newTicket("AB123CD"));
+    const closed = await addTicket(newTicket("EF456GH"));
+    await closeTicket(closed.id, "2025-01-20T10:00:00.000Z", 200);
+
+    await deleteHistoryTicket(active.id);
+    await deleteHistoryTicket(closed.id);
+
+    expect(await getTicketById(active.id)).not.toBeNull();
+    expect(await getTicketById(closed.id)).toBeNull();
+  });
+});
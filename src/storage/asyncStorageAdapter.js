@@ -0,0 +1,17 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+/**
+ * ADAPTATEUR ASYNCSTORAGE
+ *
+ * Adaptateur de stockage de l'application (voir storageAdapter) :
+ * AsyncStorage fournit déjà toutes les fonctions attendues.
+ */
+export const asyncStorageAdapter = {
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: (key) => AsyncStorage.removeItem(key),
+  multiGet: (keys) => AsyncStorage.multiGet(keys),
+  multiSet: (pairs) => AsyncStorage.multiSet(pairs),
+  multiRemove: (keys) => AsyncStorage.multiRemove(keys),
+  getAllKeys: () => AsyncStorage.getAllKeys(),
+};
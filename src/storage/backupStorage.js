@@ -0,0 +1,369 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { getTicketRepository } from "./ticketRepository";
+import { DEFAULT_SETTINGS, SETTINGS_KEY } from "./settingsStorage";
+import { SUBSCRIPTIONS_KEY } from "./subscriptionStorage";
+import { VOUCHERS_KEY } from "./voucherStorage";
+import { LOT_KEYS_KEY } from "./lotKeyStorage";
+import { REVOCATIONS_KEY } from "./revocationStorage";
+import { MAX_SCAN_RECORDS, SCAN_LOG_KEY } from "./scanLogStorage";
+import { getDeviceId } from "./deviceStorage";
+import { CURRENT_SCHEMA_VERSION } from "./migrations";
+import {
+  RESTORE_MODES,
+  createBackupData,
+  mergeBackupItems,
+  mergeBackupScanLogs,
+  mergeBackupTickets,
+  parseBackupData,
+  toBackupLotKeys,
+} from "../utils/backupUtils";
+import { mergeRevocations } from "../utils/revocationUtils";
+
+/**
+ * SAUVEGARDE ET RESTAURATION
+ *
+ * Ce fichier rassemble les données de l'appareil dans une sauvegarde et
+ * les restaure depuis une sauvegarde (voir backupUtils pour le format).
+ * Le fichier est entièrement vérifié avant la première écriture.
+ */
+
+// Journal du remplacement en cours : données de la sauvegarde hors tickets,
+// écrites en dernier (leur présence indique un journal complet)
+const PENDING_RESTORE_KEY = "@ticket_parking:pending_restore";
+
+// Tickets du journal, par lots : une seule valeur contenant tous les
+// tickets dépasserait la taille qu'AsyncStorage peut relire sur Android
+const PENDING_TICKETS_PREFIX = "@ticket_parking:pending_restore:tickets:";
+const TICKETS_PER_CHUNK = 200;
+
+/**
+ * Lit des listes enregistrées en une seule lecture
+ * Une erreur de lecture est propagée : une liste lue vide par erreur
+ * manquerait à la sauvegarde, ou serait écrasée par la restauration
+ *
+ * @param {Array<string>} keys - Clés de stockage
+ * @returns {Promise<Array<Array>>} Listes, dans l'ordre des clés
+ */
+const readLists = async (keys) => {
+  const values = await getStorageAdapter().multiGet(keys);
+  return values.map(([, value]) => (value ? JSON.parse(value) : []));
+};
+
+/**
+ * Crée la sauvegarde de toutes les données de l'appareil
+ * @returns {Promise<string|null>} Contenu du fichier ou null si erreur
+ */
+export const createBackup = async () => {
+  try {
+    const repository = getTicketRepository();
+    const [activeTickets, historyTickets] = await Promise.all([
+      repository.getTickets({ status: "active", orderBy: "entryTime" }),
+      repository.getTickets({ status: "closed", orderBy: "exitTime" }),
+    ]);
+
+    const settingsJson = await getStorageAdapter().getItem(SETTINGS_KEY);
+    const [subscriptions, vouchers, lotKeys, revocations, scanLog] =
+      await readLists([
+        SUBSCRIPTIONS_KEY,
+        VOUCHERS_KEY,
+        LOT_KEYS_KEY,
+        REVOCATIONS_KEY,
+        SCAN_LOG_KEY,
+      ]);
+
+    const data = {
+      activeTickets,
+      historyTickets,
+      settings: {
+        ...DEFAULT_SETTINGS,
+        ...(settingsJson ? JSON.parse(settingsJson) : {}),
+      },
+      subscriptions,
+      vouchers,
+      lotKeys: toBackupLotKeys(lotKeys),
+      revocations,
+      scanLog,
+    };
+
+    return createBackupData(data, {
+      deviceId: await getDeviceId(),
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+    });
+  } catch (error) {
+    console.error("Erreur lors de la création de la sauvegarde:", error);
+    return null;
+  }
+};
+
+/**
+ * Lit et vérifie un fichier de sauvegarde, sans rien restaurer
+ * @param {string} text - Contenu du fichier
+ * @returns {Object} { backup, errors } (voir parseBackupData)
+ */
+export const checkBackup = (text) => {
+  return parseBackupData(text, CURRENT_SCHEMA_VERSION);
+};
+
+/**
+ * Ajoute aux clés de l'appareil les clés publiques d'une sauvegarde
+ * @param {Array} lotKeys - Clés de l'appareil
+ * @param {Array} imported - Clés de la sauvegarde
+ * @returns {Object} { items, addedCount } (voir mergeBackupItems)
+ */
+const mergeLotKeys = (lotKeys, imported) => {
+  return mergeBackupItems(
+    lotKeys,
+    toBackupLotKeys(imported),
+    (lotKey) => lotKey.publicKey
+  );
+};
+
+/**
+ * Efface le journal du remplacement, tickets compris
+ * Le résumé est effacé en premier : un journal incomplet n'est pas repris
+ */
+const clearPendingRestore = async () => {
+  const adapter = getStorageAdapter();
+  await adapter.removeItem(PENDING_RESTORE_KEY);
+  const keys = await adapter.getAllKeys();
+  const chunkKeys = keys.filter((key) =>
+    key.startsWith(PENDING_TICKETS_PREFIX)
+  );
+  if (chunkKeys.length > 0) {
+    await adapter.multiRemove(chunkKeys);
+  }
+};
+
+/**
+ * Écrit le journal du remplacement : les tickets par lots de
+ * TICKETS_PER_CHUNK, une valeur par lot, puis le reste de la sauvegarde
+ *
+ * @param {Object} data - Données à restaurer (voir applyReplace)
+ */
+const writePendingRestore = async ({ tickets, ...rest }) => {
+  await clearPendingRestore();
+
+  const adapter = getStorageAdapter();
+  let chunkCount = 0;
+  for (let i = 0; i < tickets.length; i += TICKETS_PER_CHUNK) {
+    await adapter.setItem(
+      `${PENDING_TICKETS_PREFIX}${chunkCount}`,
+      JSON.stringify(tickets.slice(i, i + TICKETS_PER_CHUNK))
+    );
+    chunkCount += 1;
+  }
+  await adapter.setItem(
+    PENDING_RESTORE_KEY,
+    JSON.stringify({ ...rest, chunkCount })
+  );
+};
+
+/**
+ * Lit le journal du remplacement, un lot de tickets à la fois
+ * @returns {Promise<Object|null>} Données à restaurer, ou null sans journal
+ */
+const readPendingRestore = async () => {
+  const adapter = getStorageAdapter();
+  const jsonValue = await adapter.getItem(PENDING_RESTORE_KEY);
+  if (!jsonValue) {
+    return null;
+  }
+
+  const { chunkCount, ...rest } = JSON.parse(jsonValue);
+  const tickets = [];
+  for (let i = 0; i < chunkCount; i++) {
+    const chunk = await adapter.getItem(`${PENDING_TICKETS_PREFIX}${i}`);
+    if (!chunk) {
+      throw new Error(`Lot de tickets ${i} absent du journal`);
+    }
+    tickets.push(...JSON.parse(chunk));
+  }
+  return { ...rest, tickets };
+};
+
+/**
+ * Remplace les données de l'appareil par celles d'une sauvegarde vérifiée
+ * Les tickets sont remplacés en une transaction du dépôt, les autres
+ * données en une seule écriture ; le journal n'est effacé qu'ensuite.
+ * Les clés des parkings sont fusionnées : une clé privée supprimée ne
+ * pourrait pas être recréée.
+ *
+ * @param {Object} data - Contenu ("data") de la sauvegarde, les tickets
+ *   actifs et clôturés étant réunis dans "tickets"
+ */
+const applyReplace = async (data) => {
+  await getTicketRepository().replaceAllTickets(data.tickets);
+  const [lotKeys] = await readLists([LOT_KEYS_KEY]);
+  await getStorageAdapter().multiSet([
+    [SETTINGS_KEY, JSON.stringify(data.settings)],
+    [SUBSCRIPTIONS_KEY, JSON.stringify(data.subscriptions)],
+    [VOUCHERS_KEY, JSON.stringify(data.vouchers)],
+    [LOT_KEYS_KEY, JSON.stringify(mergeLotKeys(lotKeys, data.lotKeys).items)],
+    [REVOCATIONS_KEY, JSON.stringify(data.revocations)],
+    [SCAN_LOG_KEY, JSON.stringify(data.scanLog)],
+  ]);
+  await clearPendingRestore();
+};
+
+/**
+ * Restaure une sauvegarde
+ * - "merge" : ajoute les tickets, abonnements, bons, clés, révocations et
+ *   scans absents de l'appareil ; les paramètres de l'appareil sont
+ *   conservés (voir mergeBackupTickets et mergeBackupItems).
+ *   Les tickets sont enregistrés en premier : si les autres données ne
+ *   peuvent pas l'être, la fusion est partielle ("partial") et peut
+ *   simplement être relancée.
+ * - "replace" : les données de l'appareil sont remplacées par la sauvegarde.
+ *   La sauvegarde est d'abord copiée dans un journal (tickets par lots) :
+ *   une fois le journal écrit, le remplacement est terminé au prochain
+ *   démarrage s'il est interrompu (voir resumePendingRestore)
+ *
+ * @param {string} text - Contenu du fichier
+ * @param {string} mode - Mode de restauration (voir RESTORE_MODES)
+ * @returns {Promise<Object|null>} { errors, restored, pending, partial } ou
+ *   null si erreur d'écriture, sans modification des données (restored :
+ *   { ticketCount, closedCount, subscriptionCount, voucherCount,
+ *   lotKeyCount, revocationCount, scanCount } ; pending :
+ *   remplacement interrompu, à terminer au prochain démarrage ; partial :
+ *   fusion des tickets seuls, restored ne comptant que les tickets)
+ * @throws {Error} Si le mode de restauration est inconnu
+ */
+export const restoreBackup = async (text, mode = RESTORE_MODES.merge) => {
+  if (!Object.values(RESTORE_MODES).includes(mode)) {
+    throw new Error(`Mode de restauration inconnu : ${mode}`);
+  }
+
+  const { backup, errors } = checkBackup(text);
+  if (errors.length > 0) {
+    return { errors, restored: null, pending: false, partial: false };
+  }
+
+  const { data } = backup;
+
+  if (mode === RESTORE_MODES.replace) {
+    const restored = {
+      ticketCount: data.activeTickets.length + data.historyTickets.length,
+      closedCount: 0,
+      subscriptionCount: data.subscriptions.length,
+      voucherCount: data.vouchers.length,
+      lotKeyCount: data.lotKeys.length,
+      revocationCount: data.revocations.length,
+      scanCount: data.scanLog.length,
+    };
+
+    const { activeTickets, historyTickets, ...rest } = data;
+    const pending = {
+      ...rest,
+      tickets: [...activeTickets, ...historyTickets],
+      scanLog: data.scanLog.slice(-MAX_SCAN_RECORDS),
+    };
+
+    try {
+      await writePendingRestore(pending);
+    } catch (error) {
+      // Journal incomplet, sans résumé : il ne sera pas repris
+      console.error("Erreur lors de la restauration de la sauvegarde:", error);
+      return null;
+    }
+
+    try {
+      await applyReplace(pending);
+      return { errors: [], restored, pending: false, partial: false };
+    } catch (error) {
+      console.error("Restauration interrompue, reprise au démarrage:", error);
+      return { errors: [], restored, pending: true, partial: false };
+    }
+  }
+
+  let tickets;
+  try {
+    const repository = getTicketRepository();
+    tickets = mergeBackupTickets(await repository.getTickets(), [
+      ...data.activeTickets,
+      ...data.historyTickets,
+    ]);
+    await repository.saveTickets(tickets.tickets);
+  } catch (error) {
+    console.error("Erreur lors de la restauration de la sauvegarde:", error);
+    return null;
+  }
+
+  const restored = {
+    ticketCount: tickets.addedCount,
+    closedCount: tickets.closedCount,
+    subscriptionCount: 0,
+    voucherCount: 0,
+    lotKeyCount: 0,
+    revocationCount: 0,
+    scanCount: 0,
+  };
+
+  try {
+    const [subscriptionList, voucherList, lotKeyList, revocationList, scanLog] =
+      await readLists([
+        SUBSCRIPTIONS_KEY,
+        VOUCHERS_KEY,
+        LOT_KEYS_KEY,
+        REVOCATIONS_KEY,
+        SCAN_LOG_KEY,
+      ]);
+    const subscriptions = mergeBackupItems(
+      subscriptionList,
+      data.subscriptions,
+      (subscription) => subscription.id
+    );
+    const vouchers = mergeBackupItems(
+      voucherList,
+      data.vouchers,
+      (voucher) => voucher.code
+    );
+    const lotKeys = mergeLotKeys(lotKeyList, data.lotKeys);
+    const revocations = mergeRevocations(revocationList, data.revocations);
+    const mergedScanLog = mergeBackupScanLogs(scanLog, data.scanLog);
+
+    await getStorageAdapter().multiSet([
+      [SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions.items)],
+      [VOUCHERS_KEY, JSON.stringify(vouchers.items)],
+      [LOT_KEYS_KEY, JSON.stringify(lotKeys.items)],
+      [REVOCATIONS_KEY, JSON.stringify(revocations.revocations)],
+      [SCAN_LOG_KEY, JSON.stringify(mergedScanLog.slice(-MAX_SCAN_RECORDS))],
+    ]);
+
+    return {
+      errors: [],
+      restored: {
+        ...restored,
+        subscriptionCount: subscriptions.addedCount,
+        voucherCount: vouchers.addedCount,
+        lotKeyCount: lotKeys.addedCount,
+        revocationCount: revocations.addedCount,
+        scanCount: mergedScanLog.length - scanLog.length,
+      },
+      pending: false,
+      partial: false,
+    };
+  } catch (error) {
+    console.error(
+      "Fusion incomplète, seuls les tickets sont restaurés:",
+      error
+    );
+    return { errors: [], restored, pending: false, partial: true };
+  }
+};
+
+/**
+ * Termine un remplacement interrompu (appelé au démarrage, voir App.js)
+ * @returns {Promise<boolean>} true si aucun remplacement n'est en attente
+ */
+export const resumePendingRestore = async () => {
+  try {
+    const pending = await readPendingRestore();
+    if (pending) {
+      await applyReplace(pending);
+    }
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la reprise de la restauration:", error);
+    return false;
+  }
+};
@@ -0,0 +1,33 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * IDENTIFIANT DE L'APPAREIL
+ *
+ * Chaque appareil reçoit un identifiant créé à la première utilisation.
+ * Il est enregistré avec les scans et les clôtures, pour savoir quel
+ * appareil a traité un ticket.
+ */
+
+// Clé de stockage
+const DEVICE_ID_KEY = "@ticket_parking:device_id";
+
+/**
+ * Retourne l'identifiant de cet appareil, en le créant si nécessaire
+ * @returns {Promise<string|null>} Identifiant ou null si erreur
+ */
+export const getDeviceId = async () => {
+  try {
+    const existing = await getStorageAdapter().getItem(DEVICE_ID_KEY);
+    if (existing) {
+      return existing;
+    }
+
+    const deviceId = uuidv4();
+    await getStorageAdapter().setItem(DEVICE_ID_KEY, deviceId);
+    return deviceId;
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'appareil:", error);
+    return null;
+  }
+};
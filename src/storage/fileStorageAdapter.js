@@ -0,0 +1,85 @@
+import { promises as fs } from "fs";
+
+/**
+ * ADAPTATEUR FICHIER (NODE)
+ *
+ * Adaptateur de stockage (voir storageAdapter) qui conserve toutes les
+ * valeurs dans un seul fichier JSON { [key]: value }. Réservé à Node
+ * (tests, outils en ligne de commande) : l'application ne l'importe pas.
+ *
+ * Chaque écriture passe par un fichier temporaire renommé ensuite : le
+ * fichier n'est jamais à moitié écrit. Les opérations sont exécutées
+ * l'une après l'autre, dans l'ordre des appels.
+ */
+
+/**
+ * Crée un adaptateur fichier
+ * @param {string} filePath - Chemin du fichier JSON (créé si absent)
+ * @returns {Object} Adaptateur de stockage
+ */
+export const createFileStorageAdapter = (filePath) => {
+  // File d'attente des opérations
+  let queue = Promise.resolve();
+
+  const enqueue = (operation) => {
+    const result = queue.then(operation);
+    // Une opération en échec ne bloque pas les suivantes
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const readValues = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      throw error;
+    }
+  };
+
+  const writeValues = async (values) => {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(values), "utf8");
+    await fs.rename(tempPath, filePath);
+  };
+
+  const update = (change) =>
+    enqueue(async () => {
+      const values = await readValues();
+      change(values);
+      await writeValues(values);
+    });
+
+  const getValue = (values, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+
+  return {
+    getItem: (key) => enqueue(async () => getValue(await readValues(), key)),
+    setItem: (key, value) =>
+      update((values) => {
+        values[key] = value;
+      }),
+    removeItem: (key) =>
+      update((values) => {
+        delete values[key];
+      }),
+    multiGet: (keys) =>
+      enqueue(async () => {
+        const values = await readValues();
+        return keys.map((key) => [key, getValue(values, key)]);
+      }),
+    multiSet: (pairs) =>
+      update((values) => {
+        pairs.forEach(([key, value]) => {
+          values[key] = value;
+        });
+      }),
+    multiRemove: (keys) =>
+      update((values) => {
+        keys.forEach((key) => delete values[key]);
+      }),
+    getAllKeys: () => enqueue(async () => Object.keys(await readValues())),
+  };
+};
@@ -0,0 +1,233 @@
+import { createLotId } from "../utils/signatureUtils";
+import { getPlateKey } from "../utils/plateUtils";
+import { getTicketCategory } from "../utils/categoryUtils";
+import { getTicketNetAmount } from "../utils/taxUtils";
+
+/**
+ * DÉPÔT DES TICKETS CLÉ-VALEUR
+ *
+ * Implémentation du dépôt des tickets (voir ticketRepository) pour les
+ * plateformes sans SQLite (web) et les tests dans Node :
+ * - Tous les tickets sont enregistrés sous une seule clé de l'adaptateur
+ *   de stockage ({ [id]: ticket }) : chaque écriture est complète ou absente
+ * - Les recherches, tris et totaux sont calculés en mémoire
+ */
+
+// Clé de stockage des tickets
+const TICKETS_KEY = "@ticket_parking:tickets";
+
+// Champs de tri autorisés
+const ORDER_FIELDS = ["entryTime", "exitTime"];
+
+/**
+ * Indique si un ticket correspond aux critères de recherche
+ * Mêmes règles que la clause WHERE de sqliteTicketRepository
+ *
+ * @param {Object} ticket - Ticket complet
+ * @param {Object} query - Critères (voir ticketRepository)
+ * @returns {boolean} true si le ticket correspond
+ */
+const matchesQuery = (
+  ticket,
+  {
+    status = null,
+    lotId = null,
+    plate = "",
+    exactPlate = "",
+    idPrefix = "",
+    enteredAfter = null,
+    enteredBefore = null,
+    exitedAfter = null,
+    exitedBefore = null,
+  } = {}
+) => {
+  if (status && ticket.status !== status) {
+    return false;
+  }
+  if (lotId && createLotId(ticket.parkingName) !== lotId) {
+    return false;
+  }
+  const plateKey = getPlateKey(plate);
+  if (plateKey && !getPlateKey(ticket.licensePlate).includes(plateKey)) {
+    return false;
+  }
+  const exactPlateKey = getPlateKey(exactPlate);
+  if (exactPlateKey && getPlateKey(ticket.licensePlate) !== exactPlateKey) {
+    return false;
+  }
+  if (idPrefix && !ticket.id.startsWith(idPrefix.toLowerCase())) {
+    return false;
+  }
+  if (enteredAfter && !(ticket.entryTime >= enteredAfter)) {
+    return false;
+  }
+  if (enteredBefore && !(ticket.entryTime <= enteredBefore)) {
+    return false;
+  }
+  if (exitedAfter && !(ticket.exitTime >= exitedAfter)) {
+    return false;
+  }
+  if (exitedBefore && !(ticket.exitTime <= exitedBefore)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Compare deux valeurs de tri (une date absente passe en premier)
+ * @returns {number} Négatif, zéro ou positif
+ */
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Crée un dépôt des tickets sur un adaptateur de stockage
+ * @param {Object} adapter - Adaptateur de stockage (voir storageAdapter)
+ * @returns {Object} Implémentation du dépôt
+ */
+export const createKeyValueTicketRepository = (adapter) => {
+  const readTickets = async () => {
+    const jsonValue = await adapter.getItem(TICKETS_KEY);
+    return jsonValue ? JSON.parse(jsonValue) : {};
+  };
+
+  const writeTickets = async (ticketsById) => {
+    await adapter.setItem(TICKETS_KEY, JSON.stringify(ticketsById));
+  };
+
+  const findTickets = async (query = {}) => {
+    const ticketsById = await readTickets();
+    return Object.values(ticketsById).filter((t) => matchesQuery(t, query));
+  };
+
+  const getTickets = async (query = {}) => {
+    const field = ORDER_FIELDS.includes(query.orderBy)
+      ? query.orderBy
+      : "entryTime";
+    const direction = query.descending ? -1 : 1;
+
+    const tickets = (await findTickets(query)).sort(
+      (a, b) =>
+        direction * compareValues(a[field], b[field]) ||
+        compareValues(a.id, b.id)
+    );
+
+    if (!query.limit) {
+      return tickets;
+    }
+    const offset = query.offset || 0;
+    return tickets.slice(offset, offset + query.limit);
+  };
+
+  const countTickets = async (query = {}) => {
+    return (await findTickets(query)).length;
+  };
+
+  const getTicketById = async (ticketId) => {
+    const ticketsById = await readTickets();
+    return ticketsById[ticketId] || null;
+  };
+
+  const saveTicket = async (ticket) => {
+    await saveTickets([ticket]);
+  };
+
+  // À ID égal, le dernier ticket de la liste l'emporte
+  const saveTickets = async (tickets) => {
+    const ticketsById = await readTickets();
+    tickets.forEach((ticket) => {
+      ticketsById[ticket.id] = ticket;
+    });
+    await writeTickets(ticketsById);
+  };
+
+  const replaceTickets = async (status, tickets) => {
+    const ticketsById = await readTickets();
+    Object.keys(ticketsById).forEach((id) => {
+      if (ticketsById[id].status === status) {
+        delete ticketsById[id];
+      }
+    });
+    tickets.forEach((ticket) => {
+      ticketsById[ticket.id] = { ...ticket, status };
+    });
+    await writeTickets(ticketsById);
+  };
+
+  const replaceAllTickets = async (tickets) => {
+    const ticketsById = {};
+    tickets.forEach((ticket) => {
+      ticketsById[ticket.id] = ticket;
+    });
+    await writeTickets(ticketsById);
+  };
+
+  const deleteTicket = async (ticketId) => {
+    const ticketsById = await readTickets();
+    delete ticketsById[ticketId];
+    await writeTickets(ticketsById);
+  };
+
+  const getTicketStats = async (query = {}) => {
+    const tickets = await findTickets(query);
+    const byCategory = {};
+    const stats = {
+      count: tickets.length,
+      totalAmount: 0,
+      netAmount: 0,
+      taxAmount: 0,
+    };
+
+    tickets.forEach((ticket) => {
+      const totalAmount = ticket.totalAmount || 0;
+      stats.totalAmount += totalAmount;
+      stats.netAmount += getTicketNetAmount(ticket);
+      stats.taxAmount += ticket.taxBreakdown
+        ? ticket.taxBreakdown.taxAmount
+        : 0;
+
+      // Catégorie décrite par son ticket le plus récent
+      const category = getTicketCategory(ticket);
+      const entry = byCategory[category.id] || {
+        category,
+        entryTime: ticket.entryTime,
+        count: 0,
+        totalAmount: 0,
+      };
+      if (compareValues(ticket.entryTime, entry.entryTime) > 0) {
+        entry.category = category;
+        entry.entryTime = ticket.entryTime;
+      }
+      entry.count += 1;
+      entry.totalAmount += totalAmount;
+      byCategory[category.id] = entry;
+    });
+
+    return {
+      ...stats,
+      byCategory: Object.values(byCategory)
+        .sort((a, b) => b.totalAmount - a.totalAmount)
+        .map(({ category, count, totalAmount }) => ({
+          category,
+          count,
+          totalAmount,
+        })),
+    };
+  };
+
+  return {
+    getTickets,
+    countTickets,
+    getTicketById,
+    saveTicket,
+    saveTickets,
+    replaceTickets,
+    replaceAllTickets,
+    deleteTicket,
+    getTicketStats,
+  };
+};
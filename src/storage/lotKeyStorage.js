@@ -0,0 +1,137 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { createLotId, generateKeyPair } from "../utils/signatureUtils";
+
+/**
+ * CLÉS DE SIGNATURE DES PARKINGS
+ *
+ * Ce fichier gère la persistance des paires de clés via l'adaptateur de stockage
+ * (voir signatureUtils pour le format). Une clé est créée automatiquement
+ * au premier ticket d'un parking sur cet appareil.
+ *
+ * Les clés publiques importées (sans clé privée) servent uniquement à
+ * vérifier les tickets émis par les autres appareils.
+ */
+
+// Clé de stockage
+export const LOT_KEYS_KEY = "@ticket_parking:lot_keys";
+
+/**
+ * Récupère toutes les clés des parkings
+ * @returns {Promise<Array>} Liste des clés
+ */
+export const getLotKeys = async () => {
+  try {
+    const jsonValue = await getStorageAdapter().getItem(LOT_KEYS_KEY);
+    return jsonValue ? JSON.parse(jsonValue) : [];
+  } catch (error) {
+    console.error("Erreur lors de la récupération des clés:", error);
+    return [];
+  }
+};
+
+/**
+ * Sauvegarde la liste des clés des parkings
+ * @param {Array} lotKeys - Liste des clés à sauvegarder
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const saveLotKeys = async (lotKeys) => {
+  try {
+    await getStorageAdapter().setItem(LOT_KEYS_KEY, JSON.stringify(lotKeys));
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la sauvegarde des clés:", error);
+    return false;
+  }
+};
+
+/**
+ * Retourne la clé de signature d'un parking, en la créant si nécessaire
+ * @param {string} parkingName - Nom du parking
+ * @returns {Promise<Object|null>} Clé du parking ou null
+ */
+export const getOrCreateLotKey = async (parkingName) => {
+  try {
+    const lotId = createLotId(parkingName);
+    const lotKeys = await getLotKeys();
+    const existing = lotKeys.find((k) => k.lotId === lotId && k.secretKey);
+    if (existing) {
+      return existing;
+    }
+
+    const lotKey = {
+      lotId,
+      parkingName: parkingName.trim(),
+      ...generateKeyPair(),
+      createdAt: new Date().toISOString(),
+    };
+    const saved = await saveLotKeys([...lotKeys, lotKey]);
+    return saved ? lotKey : null;
+  } catch (error) {
+    console.error("Erreur lors de la création de la clé du parking:", error);
+    return null;
+  }
+};
+
+/**
+ * Importe la clé publique d'un parking partagée par un autre appareil
+ * @param {Object} exported - Clé lue par parseLotKeyExport
+ * @returns {Promise<Object|null>} Clé importée ou null (déjà connue ou erreur)
+ */
+export const importLotPublicKey = async (exported) => {
+  try {
+    const lotKeys = await getLotKeys();
+    if (lotKeys.some((k) => k.publicKey === exported.publicKey)) {
+      console.warn(`Clé déjà connue pour le parking ${exported.parkingName}`);
+      return null;
+    }
+
+    const lotKey = {
+      lotId: exported.lotId,
+      parkingName: exported.parkingName,
+      publicKey: exported.publicKey,
+      secretKey: null,
+      createdAt: new Date().toISOString(),
+    };
+    const saved = await saveLotKeys([...lotKeys, lotKey]);
+    return saved ? lotKey : null;
+  } catch (error) {
+    console.error("Erreur lors de l'import de la clé:", error);
+    return null;
+  }
+};
+
+/**
+ * Supprime une clé importée
+ * Les clés de signature de cet appareil ne peuvent pas être supprimées
+ *
+ * @param {string} publicKey - Clé publique à supprimer
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const deleteImportedLotKey = async (publicKey) => {
+  try {
+    const lotKeys = await getLotKeys();
+    return await saveLotKeys(
+      lotKeys.filter((k) => k.secretKey || k.publicKey !== publicKey)
+    );
+  } catch (error) {
+    console.error("Erreur lors de la suppression de la clé:", error);
+    return false;
+  }
+};
+
+/**
+ * Retourne les clés publiques connues, pour vérifier les QR codes scannés
+ * Un parking peut avoir plusieurs clés (une par appareil émetteur)
+ *
+ * @returns {Promise<Object>} { [lotId]: [publicKey, ...] }
+ */
+export const getLotPublicKeys = async () => {
+  const lotKeys = await getLotKeys();
+  return lotKeys.reduce(
+    (keys, lotKey) => ({
+      ...keys,
+      [lotKey.lotId]: [...(keys[lotKey.lotId] || []), lotKey.publicKey],
+    }),
+    {}
+  );
+};
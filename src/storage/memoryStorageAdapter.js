@@ -0,0 +1,35 @@
+/**
+ * ADAPTATEUR EN MÉMOIRE
+ *
+ * Adaptateur de stockage (voir storageAdapter) sans persistance : les
+ * valeurs sont perdues à l'arrêt. Utilisé pour tester la logique des
+ * fichiers de stockage dans Node, sans appareil.
+ */
+
+/**
+ * Crée un adaptateur en mémoire
+ * @param {Object} initialValues - Valeurs de départ { [key]: value }
+ * @returns {Object} Adaptateur de stockage
+ */
+export const createMemoryStorageAdapter = (initialValues = {}) => {
+  const values = new Map(Object.entries(initialValues));
+
+  return {
+    getItem: async (key) => (values.has(key) ? values.get(key) : null),
+    setItem: async (key, value) => {
+      values.set(key, value);
+    },
+    removeItem: async (key) => {
+      values.delete(key);
+    },
+    multiGet: async (keys) =>
+      keys.map((key) => [key, values.has(key) ? values.get(key) : null]),
+    multiSet: async (pairs) => {
+      pairs.forEach(([key, value]) => values.set(key, value));
+    },
+    multiRemove: async (keys) => {
+      keys.forEach((key) => values.delete(key));
+    },
+    getAllKeys: async () => [...values.keys()],
+  };
+};
@@ -0,0 +1,201 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { v4 as uuidv4 } from "uuid";
+import { getTicketRepository } from "./ticketRepository";
+
+/**
+ * MIGRATIONS DU SCHÉMA DE STOCKAGE
+ *
+ * La version du schéma des données est enregistrée avec elles. Au démarrage
+ * de l'application (voir App.js), runMigrations applique dans l'ordre les
+ * migrations dont la version est supérieure à la version enregistrée.
+ *
+ * Pour ajouter un champ aux données existantes :
+ * 1. Ajouter une migration en fin de liste, avec la version suivante
+ * 2. La migration lit elle-même les anciennes données (elle ne doit pas
+ *    dépendre des fonctions de stockage, qui évoluent avec le schéma)
+ * 3. Elle doit pouvoir être rejouée sans risque : la version n'est
+ *    enregistrée qu'une fois la migration terminée
+ */
+
+// Clé de stockage de la version du schéma
+const SCHEMA_VERSION_KEY = "@ticket_parking:schema_version";
+
+// Anciennes clés des listes de tickets (avant le dépôt des tickets)
+const ACTIVE_TICKETS_KEY = "@ticket_parking:active_tickets";
+const HISTORY_TICKETS_KEY = "@ticket_parking:history_tickets";
+// Ancien journal de la clôture en cours
+const PENDING_CLOSE_KEY = "@ticket_parking:pending_close";
+
+/**
+ * Lit des listes enregistrées en une seule lecture
+ * Une erreur de lecture est propagée : réécrire une liste lue vide par
+ * erreur l'effacerait
+ *
+ * @param {Array<string>} keys - Clés de stockage
+ * @returns {Promise<Array<Array>>} Listes, dans l'ordre des clés
+ */
+const readLists = async (keys) => {
+  const values = await getStorageAdapter().multiGet(keys);
+  return values.map(([, value]) => (value ? JSON.parse(value) : []));
+};
+
+/**
+ * QR code d'un ancien ticket, au format JSON d'origine (non signé : son
+ * contenu n'a pas été attesté à l'entrée)
+ * Format figé : il ne suit pas les évolutions de createQRCodeData
+ *
+ * @param {Object} ticket - Ticket complété (avec son ID)
+ * @returns {string} Contenu du QR code (JSON)
+ */
+const createLegacyQRCodeData = (ticket) => {
+  return JSON.stringify({
+    id: ticket.id,
+    parkingName: ticket.parkingName,
+    entryTime: ticket.entryTime,
+    pricePerHour: ticket.pricePerHour,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Complète un ticket enregistré avant l'ajout du statut et du QR code
+ *
+ * @param {Object} ticket - Ticket enregistré
+ * @param {string} status - Statut d'après la liste qui le contient
+ * @returns {Object} Ticket complété
+ */
+const upgradeLegacyTicket = (ticket, status) => {
+  const upgraded = {
+    ...ticket,
+    id: ticket.id || uuidv4(),
+    status: ticket.status || status,
+  };
+
+  // QR code absent ou enregistré sous forme d'objet
+  if (!upgraded.qrCodeData) {
+    upgraded.qrCodeData = createLegacyQRCodeData(upgraded);
+  } else if (typeof upgraded.qrCodeData !== "string") {
+    upgraded.qrCodeData = JSON.stringify(upgraded.qrCodeData);
+  }
+
+  return upgraded;
+};
+
+// Migrations, dans l'ordre des versions
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Statut, ID et QR code des anciens tickets",
+    migrate: async () => {
+      const [activeTickets, historyTickets] = await readLists([
+        ACTIVE_TICKETS_KEY,
+        HISTORY_TICKETS_KEY,
+      ]);
+
+      await getStorageAdapter().multiSet([
+        [
+          ACTIVE_TICKETS_KEY,
+          JSON.stringify(
+            activeTickets.map((t) => upgradeLegacyTicket(t, "active"))
+          ),
+        ],
+        [
+          HISTORY_TICKETS_KEY,
+          JSON.stringify(
+            historyTickets.map((t) => upgradeLegacyTicket(t, "closed"))
+          ),
+        ],
+      ]);
+    },
+  },
+  {
+    version: 2,
+    description: "Tickets déplacés dans le dépôt des tickets",
+    migrate: async () => {
+      const [activeTickets, historyTickets] = await readLists([
+        ACTIVE_TICKETS_KEY,
+        HISTORY_TICKETS_KEY,
+      ]);
+
+      // Clôture interrompue par l'arrêt de l'application : elle est terminée
+      const pendingJson = await getStorageAdapter().getItem(PENDING_CLOSE_KEY);
+      const pendingClose = pendingJson ? [JSON.parse(pendingJson)] : [];
+
+      // À ID égal, le dernier ticket l'emporte : la version clôturée d'un
+      // ticket présent dans les deux listes remplace sa version active
+      await getTicketRepository().saveTickets([
+        ...activeTickets,
+        ...historyTickets,
+        ...pendingClose,
+      ]);
+
+      // Les anciennes clés ne sont effacées qu'une fois la copie terminée
+      await getStorageAdapter().multiRemove([
+        ACTIVE_TICKETS_KEY,
+        HISTORY_TICKETS_KEY,
+        PENDING_CLOSE_KEY,
+      ]);
+    },
+  },
+];
+
+// Version du schéma attendue par cette version de l'application
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Récupère la version du schéma des données enregistrées
+ * @returns {Promise<number|null>} Version (0 si jamais migrées) ou null si erreur
+ */
+export const getSchemaVersion = async () => {
+  try {
+    const value = await getStorageAdapter().getItem(SCHEMA_VERSION_KEY);
+    return value ? parseInt(value, 10) : 0;
+  } catch (error) {
+    console.error("Erreur lors de la récupération du schéma:", error);
+    return null;
+  }
+};
+
+/**
+ * Applique les migrations en attente, dans l'ordre
+ * La version est enregistrée après chaque migration : en cas d'échec,
+ * les migrations suivantes sont reportées au prochain démarrage
+ *
+ * @returns {Promise<boolean>} true si les données sont à jour
+ */
+export const runMigrations = async () => {
+  const storedVersion = await getSchemaVersion();
+  if (storedVersion === null) {
+    return false;
+  }
+
+  if (storedVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(
+      "Données enregistrées par une version plus récente de l'application:",
+      storedVersion
+    );
+    return false;
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= storedVersion) {
+      continue;
+    }
+
+    try {
+      await migration.migrate();
+      await getStorageAdapter().setItem(
+        SCHEMA_VERSION_KEY,
+        migration.version.toString()
+      );
+    } catch (error) {
+      console.error(
+        `Erreur lors de la migration ${migration.version} (${migration.description}):`,
+        error
+      );
+      return false;
+    }
+  }
+
+  return true;
+};
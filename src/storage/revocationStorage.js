@@ -0,0 +1,106 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { findRevocation, mergeRevocations } from "../utils/revocationUtils";
+
+/**
+ * LISTE DE RÉVOCATION DES TICKETS
+ *
+ * Ce fichier gère la persistance des tickets révoqués
+ * (voir revocationUtils pour le format)
+ */
+
+// Clé de stockage
+export const REVOCATIONS_KEY = "@ticket_parking:revocations";
+
+/**
+ * Récupère la liste de révocation
+ * @returns {Promise<Array>} Liste des révocations
+ */
+export const getRevocations = async () => {
+  try {
+    const jsonValue = await getStorageAdapter().getItem(REVOCATIONS_KEY);
+    return jsonValue ? JSON.parse(jsonValue) : [];
+  } catch (error) {
+    console.error("Erreur lors de la récupération des révocations:", error);
+    return [];
+  }
+};
+
+/**
+ * Sauvegarde la liste de révocation
+ * @param {Array} revocations - Liste des révocations à sauvegarder
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const saveRevocations = async (revocations) => {
+  try {
+    await getStorageAdapter().setItem(
+      REVOCATIONS_KEY,
+      JSON.stringify(revocations)
+    );
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la sauvegarde des révocations:", error);
+    return false;
+  }
+};
+
+/**
+ * Révoque un ticket
+ * Refusé si le ticket est déjà révoqué
+ *
+ * @param {string} ticketId - ID du ticket
+ * @param {string} reason - Motif (voir REVOCATION_REASONS)
+ * @returns {Promise<Object|null>} Révocation ajoutée ou null si erreur
+ */
+export const revokeTicket = async (ticketId, reason) => {
+  try {
+    const revocations = await getRevocations();
+    if (findRevocation(revocations, ticketId)) {
+      console.warn("Ticket déjà révoqué:", ticketId);
+      return null;
+    }
+
+    const revocation = {
+      ticketId,
+      reason,
+      revokedAt: new Date().toISOString(),
+    };
+    const saved = await saveRevocations([...revocations, revocation]);
+    return saved ? revocation : null;
+  } catch (error) {
+    console.error("Erreur lors de la révocation du ticket:", error);
+    return null;
+  }
+};
+
+/**
+ * Lève la révocation d'un ticket (révocation par erreur)
+ * @param {string} ticketId - ID du ticket
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const cancelRevocation = async (ticketId) => {
+  try {
+    const revocations = await getRevocations();
+    return await saveRevocations(
+      revocations.filter((r) => r.ticketId !== ticketId)
+    );
+  } catch (error) {
+    console.error("Erreur lors de la levée de la révocation:", error);
+    return false;
+  }
+};
+
+/**
+ * Ajoute à la liste locale les révocations partagées par un autre appareil
+ * @param {Array} imported - Révocations lues par parseRevocationExport
+ * @returns {Promise<number|null>} Nombre de révocations ajoutées ou null si erreur
+ */
+export const importRevocations = async (imported) => {
+  try {
+    const merged = mergeRevocations(await getRevocations(), imported);
+    const saved = await saveRevocations(merged.revocations);
+    return saved ? merged.addedCount : null;
+  } catch (error) {
+    console.error("Erreur lors de l'import des révocations:", error);
+    return null;
+  }
+};
@@ -0,0 +1,58 @@
+import { getStorageAdapter } from "./storageAdapter";
+
+/**
+ * JOURNAL DES SCANS
+ *
+ * Ce fichier gère la persistance des scans de tickets
+ * (voir scanLogUtils pour le format et les règles de réutilisation)
+ */
+
+// Clé de stockage
+export const SCAN_LOG_KEY = "@ticket_parking:scan_log";
+
+// Nombre de scans conservés (les plus anciens sont supprimés)
+export const MAX_SCAN_RECORDS = 1000;
+
+/**
+ * Récupère le journal des scans
+ * @returns {Promise<Array>} Liste des scans
+ */
+export const getScanLog = async () => {
+  try {
+    const jsonValue = await getStorageAdapter().getItem(SCAN_LOG_KEY);
+    return jsonValue ? JSON.parse(jsonValue) : [];
+  } catch (error) {
+    console.error("Erreur lors de la récupération des scans:", error);
+    return [];
+  }
+};
+
+/**
+ * Sauvegarde le journal des scans
+ * @param {Array} scanLog - Liste des scans à sauvegarder
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const saveScanLog = async (scanLog) => {
+  try {
+    await getStorageAdapter().setItem(SCAN_LOG_KEY, JSON.stringify(scanLog));
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la sauvegarde des scans:", error);
+    return false;
+  }
+};
+
+/**
+ * Ajoute un scan au journal
+ * @param {Object} record - Scan (voir createScanRecord)
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const addScanRecord = async (record) => {
+  try {
+    const scanLog = await getScanLog();
+    return await saveScanLog([...scanLog, record].slice(-MAX_SCAN_RECORDS));
+  } catch (error) {
+    console.error("Erreur lors de l'enregistrement du scan:", error);
+    return false;
+  }
+};
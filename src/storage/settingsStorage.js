@@ -0,0 +1,78 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { createEmptySchedule } from "../utils/scheduleUtils";
+import { DEFAULT_VEHICLE_CATEGORIES } from "../utils/categoryUtils";
+import { createEmptyTaxConfig } from "../utils/taxUtils";
+import { DEFAULT_CURRENCY } from "../utils/moneyUtils";
+
+/**
+ * PARAMÈTRES DE L'APPLICATION
+ *
+ * Ce fichier gère la persistance des réglages via l'adaptateur de stockage :
+ * - Grille horaire de tarification (nuit, dimanche, jours fériés)
+ * - Catégories de véhicules et leur tarif par défaut
+ * - Pénalité appliquée en cas de ticket perdu
+ * - Taxes et frais de service appliqués à la clôture
+ * - Devise du site (symbole, décimales, règle d'arrondi)
+ *
+ * Les réglages enregistrés sont fusionnés avec les valeurs par défaut,
+ * ce qui permet d'ajouter de nouveaux réglages sans casser l'existant.
+ */
+
+// Clé de stockage
+export const SETTINGS_KEY = "@ticket_parking:settings";
+
+// Valeurs par défaut
+export const DEFAULT_SETTINGS = {
+  rateSchedule: createEmptySchedule(),
+  vehicleCategories: DEFAULT_VEHICLE_CATEGORIES,
+  lostTicketPenalty: 1000,
+  taxConfig: createEmptyTaxConfig(),
+  currency: DEFAULT_CURRENCY,
+};
+
+/**
+ * Récupère les paramètres (complétés par les valeurs par défaut)
+ * @returns {Promise<Object>} Paramètres de l'application
+ */
+export const getSettings = async () => {
+  try {
+    const jsonValue = await getStorageAdapter().getItem(SETTINGS_KEY);
+    const stored = jsonValue ? JSON.parse(jsonValue) : {};
+    return { ...DEFAULT_SETTINGS, ...stored };
+  } catch (error) {
+    console.error("Erreur lors de la récupération des paramètres:", error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Sauvegarde les paramètres
+ * @param {Object} settings - Paramètres complets à sauvegarder
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const saveSettings = async (settings) => {
+  try {
+    await getStorageAdapter().setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la sauvegarde des paramètres:", error);
+    return false;
+  }
+};
+
+/**
+ * Met à jour une partie des paramètres
+ * @param {Object} changes - Paramètres à modifier
+ * @returns {Promise<Object|null>} Paramètres mis à jour ou null
+ */
+export const updateSettings = async (changes) => {
+  try {
+    const settings = await getSettings();
+    const updated = { ...settings, ...changes };
+    const saved = await saveSettings(updated);
+    return saved ? updated : null;
+  } catch (error) {
+    console.error("Erreur lors de la mise à jour des paramètres:", error);
+    return null;
+  }
+};
@@ -0,0 +1,345 @@
+import * as SQLite from "expo-sqlite";
+import { createLotId } from "../utils/signatureUtils";
+import { getPlateKey } from "../utils/plateUtils";
+import { getTicketCategory } from "../utils/categoryUtils";
+import { getTicketNetAmount } from "../utils/taxUtils";
+
+/**
+ * DÉPÔT DES TICKETS SQLITE
+ *
+ * Implémentation du dépôt des tickets (voir ticketRepository) :
+ * - Une ligne par ticket, le ticket complet étant conservé en JSON ("data")
+ * - Les champs recherchés ou additionnés sont recopiés dans des colonnes
+ *   indexées : statut, parking, plaque, dates d'entrée et de sortie, montants
+ *
+ * Un ticket étant une seule ligne, sa clôture ne modifie que son statut :
+ * il ne peut pas se retrouver à la fois actif et dans l'historique.
+ */
+
+// Fichier de la base de données
+const DATABASE_NAME = "ticket_parking.db";
+
+// Création de la table et de ses index
+const SCHEMA_SQL = `
+  PRAGMA journal_mode = WAL;
+  CREATE TABLE IF NOT EXISTS tickets (
+    id TEXT PRIMARY KEY NOT NULL,
+    status TEXT NOT NULL,
+    lot_id TEXT,
+    plate_key TEXT,
+    entry_time TEXT,
+    exit_time TEXT,
+    total_amount REAL,
+    net_amount REAL,
+    tax_amount REAL,
+    category_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_tickets_status_entry ON tickets (status, entry_time);
+  CREATE INDEX IF NOT EXISTS idx_tickets_status_exit ON tickets (status, exit_time);
+  CREATE INDEX IF NOT EXISTS idx_tickets_lot ON tickets (lot_id);
+  CREATE INDEX IF NOT EXISTS idx_tickets_plate ON tickets (plate_key);
+`;
+
+// Colonnes de tri autorisées
+const ORDER_COLUMNS = {
+  entryTime: "entry_time",
+  exitTime: "exit_time",
+};
+
+// Ouverture de la base (une seule fois)
+let databasePromise = null;
+
+/**
+ * Ouvre la base de données et crée sa table si nécessaire
+ * @returns {Promise<Object>} Base de données expo-sqlite
+ */
+const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = SQLite.openDatabaseAsync(DATABASE_NAME)
+      .then(async (db) => {
+        await db.execAsync(SCHEMA_SQL);
+        return db;
+      })
+      .catch((error) => {
+        // Nouvelle tentative au prochain appel
+        databasePromise = null;
+        throw error;
+      });
+  }
+  return databasePromise;
+};
+
+/**
+ * Valeurs des colonnes d'un ticket
+ * @param {Object} ticket - Ticket complet
+ * @returns {Array} Valeurs, dans l'ordre des colonnes de la table
+ */
+const toRowValues = (ticket) => {
+  return [
+    ticket.id,
+    ticket.status,
+    createLotId(ticket.parkingName) || null,
+    getPlateKey(ticket.licensePlate) || null,
+    ticket.entryTime || null,
+    ticket.exitTime || null,
+    ticket.totalAmount || 0,
+    getTicketNetAmount(ticket),
+    ticket.taxBreakdown ? ticket.taxBreakdown.taxAmount : 0,
+    getTicketCategory(ticket).id,
+    JSON.stringify(ticket),
+  ];
+};
+
+// Enregistrement d'un ticket (remplace la ligne existante de même ID)
+const UPSERT_SQL = `INSERT OR REPLACE INTO tickets
+  (id, status, lot_id, plate_key, entry_time, exit_time,
+   total_amount, net_amount, tax_amount, category_id, data)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+/**
+ * Première valeur qui ne commence plus par le préfixe : le préfixe dont le
+ * dernier caractère est incrémenté ("3f2a" → "3f2b")
+ * @param {string} prefix - Début d'ID, non vide
+ * @returns {string} Borne supérieure (exclue) de l'intervalle
+ */
+const getPrefixEnd = (prefix) => {
+  const last = prefix.charCodeAt(prefix.length - 1);
+  return prefix.slice(0, -1) + String.fromCharCode(last + 1);
+};
+
+/**
+ * Traduit les critères de recherche en clause WHERE
+ *
+ * @param {Object} query - Critères (voir ticketRepository)
+ * @returns {Object} { where, params }
+ */
+const buildWhere = ({
+  status = null,
+  lotId = null,
+  plate = "",
+  exactPlate = "",
+  idPrefix = "",
+  enteredAfter = null,
+  enteredBefore = null,
+  exitedAfter = null,
+  exitedBefore = null,
+} = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push("status = ?");
+    params.push(status);
+  }
+  if (lotId) {
+    conditions.push("lot_id = ?");
+    params.push(lotId);
+  }
+  const plateKey = getPlateKey(plate);
+  if (plateKey) {
+    // Recherche partielle, comme filterTicketsByPlate
+    conditions.push("plate_key LIKE ?");
+    params.push(`%${plateKey}%`);
+  }
+  const exactPlateKey = getPlateKey(exactPlate);
+  if (exactPlateKey) {
+    // Plaque complète : utilise l'index idx_tickets_plate
+    conditions.push("plate_key = ?");
+    params.push(exactPlateKey);
+  }
+  if (idPrefix) {
+    // Début d'ID saisi à la main : intervalle sur la clé primaire, les ID
+    // (uuid) étant en minuscules
+    const start = idPrefix.toLowerCase();
+    conditions.push("id >= ? AND id < ?");
+    params.push(start, getPrefixEnd(start));
+  }
+  if (enteredAfter) {
+    conditions.push("entry_time >= ?");
+    params.push(enteredAfter);
+  }
+  if (enteredBefore) {
+    conditions.push("entry_time <= ?");
+    params.push(enteredBefore);
+  }
+  if (exitedAfter) {
+    conditions.push("exit_time >= ?");
+    params.push(exitedAfter);
+  }
+  if (exitedBefore) {
+    conditions.push("exit_time <= ?");
+    params.push(exitedBefore);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+};
+
+/**
+ * Recherche des tickets
+ * @param {Object} query - Critères, tri et pagination (voir ticketRepository)
+ * @returns {Promise<Array>} Tickets trouvés
+ */
+const getTickets = async (query = {}) => {
+  const db = await getDatabase();
+  const { where, params } = buildWhere(query);
+  const orderColumn = ORDER_COLUMNS[query.orderBy] || "entry_time";
+  const direction = query.descending ? "DESC" : "ASC";
+  const limit = query.limit ? "LIMIT ? OFFSET ?" : "";
+  const pageParams = query.limit ? [query.limit, query.offset || 0] : [];
+
+  const rows = await db.getAllAsync(
+    `SELECT data FROM tickets ${where}
+     ORDER BY ${orderColumn} ${direction}, id ${limit}`,
+    [...params, ...pageParams]
+  );
+  return rows.map((row) => JSON.parse(row.data));
+};
+
+/**
+ * Compte les tickets
+ * @param {Object} query - Critères (voir ticketRepository)
+ * @returns {Promise<number>} Nombre de tickets
+ */
+const countTickets = async (query = {}) => {
+  const db = await getDatabase();
+  const { where, params } = buildWhere(query);
+  const row = await db.getFirstAsync(
+    `SELECT COUNT(*) AS count FROM tickets ${where}`,
+    params
+  );
+  return row ? row.count : 0;
+};
+
+/**
+ * Récupère un ticket par son ID
+ * @param {string} ticketId - ID du ticket
+ * @returns {Promise<Object|null>} Ticket ou null
+ */
+const getTicketById = async (ticketId) => {
+  const db = await getDatabase();
+  const row = await db.getFirstAsync("SELECT data FROM tickets WHERE id = ?", [
+    ticketId,
+  ]);
+  return row ? JSON.parse(row.data) : null;
+};
+
+/**
+ * Enregistre un ticket (création ou mise à jour)
+ * @param {Object} ticket - Ticket complet
+ */
+const saveTicket = async (ticket) => {
+  const db = await getDatabase();
+  await db.runAsync(UPSERT_SQL, toRowValues(ticket));
+};
+
+/**
+ * Enregistre plusieurs tickets en une transaction
+ * À ID égal, le dernier ticket de la liste l'emporte
+ * @param {Array} tickets - Tickets complets
+ */
+const saveTickets = async (tickets) => {
+  const db = await getDatabase();
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    for (const ticket of tickets) {
+      await txn.runAsync(UPSERT_SQL, toRowValues(ticket));
+    }
+  });
+};
+
+/**
+ * Remplace tous les tickets d'un statut, en une transaction
+ * @param {string} status - "active" ou "closed"
+ * @param {Array} tickets - Nouvelle liste
+ */
+const replaceTickets = async (status, tickets) => {
+  const db = await getDatabase();
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync("DELETE FROM tickets WHERE status = ?", [status]);
+    for (const ticket of tickets) {
+      await txn.runAsync(UPSERT_SQL, toRowValues({ ...ticket, status }));
+    }
+  });
+};
+
+/**
+ * Remplace tous les tickets, quel que soit leur statut, en une transaction
+ * @param {Array} tickets - Nouvelle liste (tickets complets)
+ */
+const replaceAllTickets = async (tickets) => {
+  const db = await getDatabase();
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync("DELETE FROM tickets");
+    for (const ticket of tickets) {
+      await txn.runAsync(UPSERT_SQL, toRowValues(ticket));
+    }
+  });
+};
+
+/**
+ * Supprime un ticket
+ * @param {string} ticketId - ID du ticket
+ */
+const deleteTicket = async (ticketId) => {
+  const db = await getDatabase();
+  await db.runAsync("DELETE FROM tickets WHERE id = ?", [ticketId]);
+};
+
+/**
+ * Totaux des tickets, calculés par la base
+ * @param {Object} query - Critères (voir ticketRepository)
+ * @returns {Promise<Object>} Voir ticketRepository
+ */
+const getTicketStats = async (query = {}) => {
+  const db = await getDatabase();
+  const { where, params } = buildWhere(query);
+
+  const totals = await db.getFirstAsync(
+    `SELECT COUNT(*) AS count,
+       COALESCE(SUM(total_amount), 0) AS totalAmount,
+       COALESCE(SUM(net_amount), 0) AS netAmount,
+       COALESCE(SUM(tax_amount), 0) AS taxAmount
+     FROM tickets ${where}`,
+    params
+  );
+
+  // Une ligne par catégorie, décrite par son ticket le plus récent parmi
+  // ceux retenus (avec MAX, SQLite lit "data" sur la ligne du maximum)
+  const categoryRows = await db.getAllAsync(
+    `SELECT COUNT(*) AS count,
+       COALESCE(SUM(total_amount), 0) AS totalAmount,
+       MAX(entry_time) AS lastEntryTime,
+       data
+     FROM tickets ${where}
+     GROUP BY category_id
+     ORDER BY totalAmount DESC`,
+    params
+  );
+
+  return {
+    count: totals.count,
+    totalAmount: totals.totalAmount,
+    netAmount: totals.netAmount,
+    taxAmount: totals.taxAmount,
+    byCategory: categoryRows.map((row) => ({
+      category: getTicketCategory(JSON.parse(row.data)),
+      count: row.count,
+      totalAmount: row.totalAmount,
+    })),
+  };
+};
+
+export const sqliteTicketRepository = {
+  getTickets,
+  countTickets,
+  getTicketById,
+  saveTicket,
+  saveTickets,
+  replaceTickets,
+  replaceAllTickets,
+  deleteTicket,
+  getTicketStats,
+};
@@ -0,0 +1,43 @@
+/**
+ * ADAPTATEUR DE STOCKAGE
+ *
+ * Les fichiers de stockage ne lisent et n'écrivent des valeurs qu'à travers
+ * l'adaptateur configuré au démarrage (voir App.js). Un adaptateur est un
+ * objet qui fournit les fonctions suivantes (toutes asynchrones, avec la
+ * même signature qu'AsyncStorage ; en cas d'erreur, elles la propagent) :
+ *
+ * - getItem(key) : valeur (texte) ou null
+ * - setItem(key, value) : enregistre une valeur
+ * - removeItem(key) : efface une valeur
+ * - multiGet(keys) : [[key, valeur ou null], ...] dans l'ordre des clés
+ * - multiSet([[key, value], ...]) : enregistre plusieurs valeurs d'un coup
+ * - multiRemove(keys) : efface plusieurs valeurs
+ * - getAllKeys() : liste des clés enregistrées
+ *
+ * Adaptateurs disponibles :
+ * - asyncStorageAdapter : AsyncStorage (application mobile et web)
+ * - createMemoryStorageAdapter() : en mémoire (tests)
+ * - createFileStorageAdapter(filePath) : fichier JSON (Node, tests et outils)
+ */
+
+// Adaptateur utilisé par les fichiers de stockage
+let currentAdapter = null;
+
+/**
+ * Choisit l'adaptateur utilisé par tous les fichiers de stockage
+ * @param {Object} adapter - Adaptateur de stockage
+ */
+export const setStorageAdapter = (adapter) => {
+  currentAdapter = adapter;
+};
+
+/**
+ * Retourne l'adaptateur configuré
+ * @returns {Object} Adaptateur de stockage
+ */
+export const getStorageAdapter = () => {
+  if (!currentAdapter) {
+    throw new Error("Aucun adaptateur de stockage configuré");
+  }
+  return currentAdapter;
+};
@@ -0,0 +1,121 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { v4 as uuidv4 } from "uuid";
+import { isSamePlate, normalizePlate } from "../utils/plateUtils";
+import {
+  getSubscriptionStatus,
+  matchesParking,
+} from "../utils/subscriptionUtils";
+
+/**
+ * ABONNEMENTS MENSUELS
+ *
+ * Ce fichier gère la persistance des abonnements via l'adaptateur de stockage
+ * (voir subscriptionUtils pour le format et les règles)
+ */
+
+// Clé de stockage
+export const SUBSCRIPTIONS_KEY = "@ticket_parking:subscriptions";
+
+/**
+ * Récupère tous les abonnements
+ * @returns {Promise<Array>} Liste des abonnements
+ */
+export const getSubscriptions = async () => {
+  try {
+    const jsonValue = await getStorageAdapter().getItem(SUBSCRIPTIONS_KEY);
+    return jsonValue ? JSON.parse(jsonValue) : [];
+  } catch (error) {
+    console.error("Erreur lors de la récupération des abonnements:", error);
+    return [];
+  }
+};
+
+/**
+ * Sauvegarde la liste des abonnements
+ * @param {Array} subscriptions - Liste des abonnements à sauvegarder
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const saveSubscriptions = async (subscriptions) => {
+  try {
+    await getStorageAdapter().setItem(
+      SUBSCRIPTIONS_KEY,
+      JSON.stringify(subscriptions)
+    );
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la sauvegarde des abonnements:", error);
+    return false;
+  }
+};
+
+/**
+ * Ajoute un nouvel abonnement
+ * @param {Object} subscription - Abonnement à ajouter
+ * @returns {Promise<Object|null>} Abonnement créé avec son ID ou null
+ */
+export const addSubscription = async (subscription) => {
+  try {
+    const newSubscription = {
+      ...subscription,
+      id: uuidv4(),
+      licensePlate: normalizePlate(subscription.licensePlate),
+      createdAt: new Date().toISOString(),
+    };
+
+    const subscriptions = await getSubscriptions();
+    const saved = await saveSubscriptions([...subscriptions, newSubscription]);
+    return saved ? newSubscription : null;
+  } catch (error) {
+    console.error("Erreur lors de l'ajout de l'abonnement:", error);
+    return null;
+  }
+};
+
+/**
+ * Supprime un abonnement
+ * @param {string} subscriptionId - ID de l'abonnement à supprimer
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const deleteSubscription = async (subscriptionId) => {
+  try {
+    const subscriptions = await getSubscriptions();
+    return await saveSubscriptions(
+      subscriptions.filter((s) => s.id !== subscriptionId)
+    );
+  } catch (error) {
+    console.error("Erreur lors de la suppression de l'abonnement:", error);
+    return false;
+  }
+};
+
+/**
+ * Recherche l'abonnement d'un véhicule pour un parking
+ * Un abonnement en cours de validité est préféré ; sinon l'abonnement le
+ * plus récent est retourné (pour signaler qu'il a expiré)
+ *
+ * @param {string} licensePlate - Plaque du véhicule
+ * @param {string} parkingName - Nom du parking
+ * @param {string} dateString - Date d'entrée (ISO string)
+ * @returns {Promise<Object|null>} Abonnement trouvé ou null
+ */
+export const findSubscriptionForPlate = async (
+  licensePlate,
+  parkingName,
+  dateString
+) => {
+  const subscriptions = await getSubscriptions();
+  const candidates = subscriptions
+    .filter(
+      (s) =>
+        isSamePlate(s.licensePlate, licensePlate) &&
+        matchesParking(s, parkingName)
+    )
+    .sort((a, b) => b.validUntil.localeCompare(a.validUntil));
+
+  const current = candidates.find((s) => {
+    const { status } = getSubscriptionStatus(s, dateString);
+    return status === "active" || status === "expiring";
+  });
+
+  return current || candidates[0] || null;
+};
@@ -0,0 +1,61 @@
+/**
+ * DÉPÔT DES TICKETS
+ *
+ * ticketStorage ne lit et n'écrit les tickets qu'à travers ce dépôt,
+ * configuré au démarrage (voir App.js).
+ * Une implémentation est un objet qui fournit les fonctions suivantes
+ * (toutes asynchrones ; en cas d'erreur, elles la propagent) :
+ *
+ * - getTickets(query) : tickets correspondant aux critères
+ * - countTickets(query) : nombre de tickets correspondant aux critères
+ * - getTicketById(ticketId) : ticket ou null
+ * - saveTicket(ticket) : crée ou remplace un ticket (même ID)
+ * - saveTickets(tickets) : idem pour plusieurs tickets, en une transaction
+ * - replaceTickets(status, tickets) : remplace tous les tickets d'un statut
+ * - replaceAllTickets(tickets) : remplace tous les tickets, en une
+ *     transaction (restauration d'une sauvegarde)
+ * - deleteTicket(ticketId) : supprime un ticket
+ * - getTicketStats(query) : { count, totalAmount, netAmount, taxAmount,
+ *     byCategory: [{ category, count, totalAmount }] } (voir HistoryScreen)
+ *
+ * Critères de recherche (query, tous optionnels) :
+ * {
+ *   "status": "active",                  // "active" ou "closed"
+ *   "lotId": "marche-central",           // createLotId(parkingName)
+ *   "plate": "GH12",                     // Plaque, même partielle
+ *   "exactPlate": "AB 123 CD",           // Plaque complète (même getPlateKey)
+ *   "idPrefix": "3f2a9c1e",              // Début de l'ID, casse ignorée
+ *   "enteredAfter": "...", "enteredBefore": "...",   // Dates ISO
+ *   "exitedAfter": "...", "exitedBefore": "...",
+ *   "orderBy": "entryTime",              // ou "exitTime"
+ *   "descending": false,
+ *   "limit": 20, "offset": 0             // Pagination
+ * }
+ *
+ * Implémentations disponibles :
+ * - sqliteTicketRepository : base SQLite indexée (application mobile)
+ * - createKeyValueTicketRepository(adapter) : tickets enregistrés sous une
+ *   seule clé de l'adaptateur de stockage (web, tests dans Node)
+ */
+
+// Dépôt utilisé par ticketStorage
+let currentRepository = null;
+
+/**
+ * Choisit le dépôt des tickets utilisé par l'application
+ * @param {Object} repository - Implémentation du dépôt
+ */
+export const setTicketRepository = (repository) => {
+  currentRepository = repository;
+};
+
+/**
+ * Retourne le dépôt des tickets utilisé par l'application
+ * @returns {Object} Implémentation du dépôt
+ */
+export const getTicketRepository = () => {
+  if (!currentRepository) {
+    throw new Error("Aucun dépôt des tickets configuré");
+  }
+  return currentRepository;
+};
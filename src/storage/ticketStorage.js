@@ -1,5 +1,14 @@
-import AsyncStorage from "@react-native-async-storage/async-storage";
-import { generateTicketId, createQRCodeData } from "../utils/qrCodeUtils";
+import {
+  MIN_MANUAL_ID_LENGTH,
+  createQRCodeData,
+  findTicketsById,
+  generateTicketId,
+  normalizeTicketIdQuery,
+} from "../utils/qrCodeUtils";
+import { getPlateKey, normalizePlate } from "../utils/plateUtils";
+import { getOrCreateLotKey } from "./lotKeyStorage";
+import { getDeviceId } from "./deviceStorage";
+import { getTicketRepository } from "./ticketRepository";
 
 /**
  * OBJECTIF 1 : Créer et enregistrer un ticket de parking
@@ -7,13 +16,16 @@ import { generateTicketId, createQRCodeData } from "../utils/qrCodeUtils";
  * OBJECTIF 5 : Consulter un historique des tickets clôturés
  * OBJECTIF QR : Générer un QR code unique pour chaque ticket
  *
- * Ce fichier gère toute la persistance des données avec AsyncStorage
- * Séparation en deux catégories : tickets actifs et historique
+ * Ce fichier gère toute la persistance des tickets à travers le dépôt des
+ * tickets (voir ticketRepository, base SQLite)
+ * Séparation en deux catégories : tickets actifs et historique (statut)
  */
 
-// Clés de stockage
-const ACTIVE_TICKETS_KEY = "@ticket_parking:active_tickets";
-const HISTORY_TICKETS_KEY = "@ticket_parking:history_tickets";
+// Nombre de tickets par page de l'historique
+export const HISTORY_PAGE_SIZE = 30;
+
+// Nombre maximal de tickets proposés pour un début d'ID saisi à la main
+const MAX_ID_MATCHES = 20;
 
 /* ========================================
    📝 TICKETS ACTIFS (OBJECTIF 1)
@@ -21,12 +33,14 @@ const HISTORY_TICKETS_KEY = "@ticket_parking:history_tickets";
 
 /**
  * Récupère tous les tickets actifs
- * @returns {Promise<Array>} Liste des tickets actifs
+ * @returns {Promise<Array>} Liste des tickets actifs, plus anciens en premier
  */
 export const getActiveTickets = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(ACTIVE_TICKETS_KEY);
-    return jsonValue ? JSON.parse(jsonValue) : [];
+    return await getTicketRepository().getTickets({
+      status: "active",
+      orderBy: "entryTime",
+    });
   } catch (error) {
     console.error("Erreur lors de la récupération des tickets actifs:", error);
     return [];
@@ -34,13 +48,13 @@ export const getActiveTickets = async () => {
 };
 
 /**
- * Sauvegarde la liste des tickets actifs
+ * Sauvegarde la liste des tickets actifs (remplace la liste existante)
  * @param {Array} tickets - Liste des tickets à sauvegarder
  * @returns {Promise<boolean>} Succès de l'opération
  */
 export const saveActiveTickets = async (tickets) => {
   try {
-    await AsyncStorage.setItem(ACTIVE_TICKETS_KEY, JSON.stringify(tickets));
+    await getTicketRepository().replaceTickets("active", tickets);
     return true;
   } catch (error) {
     console.error("Erreur lors de la sauvegarde des tickets actifs:", error);
@@ -48,32 +62,107 @@ export const saveActiveTickets = async (tickets) => {
   }
 };
 
+/**
+ * Recherche un ticket actif pour une plaque d'immatriculation
+ * @param {string} licensePlate - Plaque (quelle que soit sa mise en forme)
+ * @returns {Promise<Object|null>} Ticket actif trouvé ou null
+ */
+export const findActiveTicketByPlate = async (licensePlate) => {
+  if (!getPlateKey(licensePlate)) {
+    return null;
+  }
+
+  try {
+    const [ticket] = await getTicketRepository().getTickets({
+      status: "active",
+      exactPlate: licensePlate,
+      limit: 1,
+    });
+    return ticket || null;
+  } catch (error) {
+    console.error("Erreur lors de la recherche de la plaque:", error);
+    return null;
+  }
+};
+
+/**
+ * Recherche des tickets actifs par plaque et/ou fenêtre d'entrée
+ * Utilisé pour retrouver le ticket d'un conducteur qui l'a perdu
+ *
+ * @param {Object} criteria - Critères de recherche (tous optionnels)
+ * @param {string} criteria.plate - Plaque, même partielle
+ * @param {string} criteria.enteredAfter - Entrée après cette date (ISO string)
+ * @param {string} criteria.enteredBefore - Entrée avant cette date (ISO string)
+ * @returns {Promise<Array>} Tickets actifs correspondants, plus anciens en premier
+ */
+export const searchActiveTickets = async ({
+  plate = "",
+  enteredAfter = null,
+  enteredBefore = null,
+} = {}) => {
+  try {
+    return await getTicketRepository().getTickets({
+      status: "active",
+      plate,
+      enteredAfter,
+      enteredBefore,
+      orderBy: "entryTime",
+    });
+  } catch (error) {
+    console.error("Erreur lors de la recherche des tickets actifs:", error);
+    return [];
+  }
+};
+
 /**
  * Ajoute un nouveau ticket actif
  * OBJECTIF 1 : Créer et enregistrer un ticket de parking
  * OBJECTIF QR : Génère automatiquement UUID et QR code
+ *
+ * Refuse le ticket si un ticket actif existe déjà pour la même plaque,
+ * sauf si l'opérateur a confirmé la double entrée (allowDuplicatePlate)
+ *
  * @param {Object} ticket - Nouveau ticket à ajouter
+ * @param {Object} options - Options d'ajout
+ * @param {boolean} options.allowDuplicatePlate - Autoriser une double entrée
  * @returns {Promise<Object|null>} Ticket créé avec UUID/QR code ou null
  */
-export const addTicket = async (ticket) => {
+export const addTicket = async (
+  ticket,
+  { allowDuplicatePlate = false } = {}
+) => {
   try {
+    // Vérifier qu'aucun ticket actif n'existe déjà pour cette plaque
+    if (ticket.licensePlate && !allowDuplicatePlate) {
+      const duplicate = await findActiveTicketByPlate(ticket.licensePlate);
+      if (duplicate) {
+        console.warn(
+          "Ticket actif déjà existant pour la plaque:",
+          duplicate.id
+        );
+        return null;
+      }
+    }
+
     // Générer un ID unique (UUID) pour le ticket
     const ticketWithId = {
       ...ticket,
+      ...(ticket.licensePlate && {
+        licensePlate: normalizePlate(ticket.licensePlate),
+      }),
       id: generateTicketId(),
       status: "active",
       createdAt: new Date().toISOString(),
     };
 
-    // Générer les données du QR code
-    ticketWithId.qrCodeData = createQRCodeData(ticketWithId);
+    // Générer les données du QR code, signées avec la clé du parking
+    const lotKey = await getOrCreateLotKey(ticketWithId.parkingName);
+    ticketWithId.qrCodeData = createQRCodeData(ticketWithId, lotKey);
 
     // Sauvegarder le ticket
-    const tickets = await getActiveTickets();
-    tickets.push(ticketWithId);
-    const saved = await saveActiveTickets(tickets);
+    await getTicketRepository().saveTicket(ticketWithId);
 
-    return saved ? ticketWithId : null;
+    return ticketWithId;
   } catch (error) {
     console.error("Erreur lors de l'ajout du ticket:", error);
     return null;
@@ -87,25 +176,40 @@ export const addTicket = async (ticket) => {
  */
 export const getTicketById = async (ticketId) => {
   try {
-    // Chercher dans les tickets actifs
-    const activeTickets = await getActiveTickets();
-    const activeTicket = activeTickets.find((t) => t.id === ticketId);
-    
-    if (activeTicket) {
-      return activeTicket;
-    }
-
-    // Chercher dans l'historique
-    const historyTickets = await getHistoryTickets();
-    const historyTicket = historyTickets.find((t) => t.id === ticketId);
-    
-    return historyTicket || null;
+    return await getTicketRepository().getTicketById(ticketId);
   } catch (error) {
     console.error("Erreur lors de la récupération du ticket:", error);
     return null;
   }
 };
 
+/**
+ * Recherche les tickets (actifs ou historique) par leur ID complet ou par
+ * le début de leur ID, sans charger l'historique (voir findTicketsById)
+ *
+ * @param {string} query - ID saisi à la main
+ * @returns {Promise<Array>} Tickets correspondants, plus récents en premier
+ */
+export const searchTicketsById = async (query) => {
+  const idPrefix = normalizeTicketIdQuery(query);
+  if (idPrefix.length < MIN_MANUAL_ID_LENGTH) {
+    return [];
+  }
+
+  try {
+    const tickets = await getTicketRepository().getTickets({
+      idPrefix,
+      orderBy: "entryTime",
+      descending: true,
+      limit: MAX_ID_MATCHES,
+    });
+    return findTicketsById(tickets, idPrefix);
+  } catch (error) {
+    console.error("Erreur lors de la recherche du ticket:", error);
+    return [];
+  }
+};
+
 /* ========================================
    📚 HISTORIQUE DES TICKETS (OBJECTIF 5)
 ======================================== */
@@ -113,12 +217,16 @@ export const getTicketById = async (ticketId) => {
 /**
  * Récupère tous les tickets de l'historique
  * OBJECTIF 5 : Consulter un historique des tickets clôturés
- * @returns {Promise<Array>} Liste des tickets clôturés
+ * Préférer getHistoryPage pour l'affichage (historiques de plusieurs mois)
+ * @returns {Promise<Array>} Liste des tickets clôturés, plus récents en premier
  */
 export const getHistoryTickets = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(HISTORY_TICKETS_KEY);
-    return jsonValue ? JSON.parse(jsonValue) : [];
+    return await getTicketRepository().getTickets({
+      status: "closed",
+      orderBy: "exitTime",
+      descending: true,
+    });
   } catch (error) {
     console.error("Erreur lors de la récupération de l'historique:", error);
     return [];
@@ -126,13 +234,61 @@ export const getHistoryTickets = async () => {
 };
 
 /**
- * Sauvegarde la liste de l'historique
+ * Récupère une page de l'historique, plus récents en premier
+ *
+ * @param {Object} options - Options de lecture
+ * @param {string} options.plate - Plaque recherchée, même partielle
+ * @param {number} options.offset - Nombre de tickets déjà chargés
+ * @param {number} options.limit - Taille de la page
+ * @returns {Promise<Object>} { tickets, total } (total : tickets correspondants)
+ */
+export const getHistoryPage = async ({
+  plate = "",
+  offset = 0,
+  limit = HISTORY_PAGE_SIZE,
+} = {}) => {
+  try {
+    const repository = getTicketRepository();
+    const [tickets, total] = await Promise.all([
+      repository.getTickets({
+        status: "closed",
+        plate,
+        orderBy: "exitTime",
+        descending: true,
+        limit,
+        offset,
+      }),
+      repository.countTickets({ status: "closed", plate }),
+    ]);
+    return { tickets, total };
+  } catch (error) {
+    console.error("Erreur lors de la récupération de l'historique:", error);
+    return { tickets: [], total: 0 };
+  }
+};
+
+/**
+ * Statistiques de l'historique, calculées sans charger les tickets
+ * @returns {Promise<Object|null>} { count, totalAmount, netAmount, taxAmount,
+ *   byCategory } ou null si erreur
+ */
+export const getHistoryStats = async () => {
+  try {
+    return await getTicketRepository().getTicketStats({ status: "closed" });
+  } catch (error) {
+    console.error("Erreur lors du calcul des statistiques:", error);
+    return null;
+  }
+};
+
+/**
+ * Sauvegarde la liste de l'historique (remplace la liste existante)
  * @param {Array} tickets - Liste des tickets de l'historique
  * @returns {Promise<boolean>} Succès de l'opération
  */
 export const saveHistoryTickets = async (tickets) => {
   try {
-    await AsyncStorage.setItem(HISTORY_TICKETS_KEY, JSON.stringify(tickets));
+    await getTicketRepository().replaceTickets("closed", tickets);
     return true;
   } catch (error) {
     console.error("Erreur lors de la sauvegarde de l'historique:", error);
@@ -148,9 +304,14 @@ export const saveHistoryTickets = async (tickets) => {
  */
 export const deleteHistoryTicket = async (ticketId) => {
   try {
-    const historyTickets = await getHistoryTickets();
-    const filteredTickets = historyTickets.filter((t) => t.id !== ticketId);
-    return await saveHistoryTickets(filteredTickets);
+    const repository = getTicketRepository();
+    const ticket = await repository.getTicketById(ticketId);
+
+    // Un ticket actif ne se supprime pas depuis l'historique
+    if (ticket && ticket.status !== "active") {
+      await repository.deleteTicket(ticketId);
+    }
+    return true;
   } catch (error) {
     console.error("Erreur lors de la suppression du ticket:", error);
     return false;
@@ -164,44 +325,79 @@ export const deleteHistoryTicket = async (ticketId) => {
 /**
  * Clôture un ticket actif et le déplace vers l'historique
  * OBJECTIF 4 : Clôturer le ticket lors de la sortie
+ * L'appareil qui clôture est enregistré (détection des QR codes réutilisés)
+ *
+ * Le ticket est enregistré en une seule écriture avec son nouveau statut :
+ * il ne peut être ni perdu ni présent dans les deux listes.
  *
  * @param {string} ticketId - ID du ticket à clôturer
  * @param {string} exitTime - Date/heure de sortie (ISO string)
  * @param {number} totalAmount - Montant total à payer
+ * @param {Object} details - Détails du calcul à conserver (ex: priceBreakdown)
  * @returns {Promise<boolean>} Succès de l'opération
  */
-export const closeTicket = async (ticketId, exitTime, totalAmount) => {
+export const closeTicket = async (
+  ticketId,
+  exitTime,
+  totalAmount,
+  details = {}
+) => {
   try {
-    // Récupérer les tickets actifs
-    const activeTickets = await getActiveTickets();
-    const ticketIndex = activeTickets.findIndex((t) => t.id === ticketId);
+    const repository = getTicketRepository();
+    const ticket = await repository.getTicketById(ticketId);
 
-    // Vérifier que le ticket existe
-    if (ticketIndex === -1) {
-      console.error("Ticket non trouvé:", ticketId);
+    // Vérifier que le ticket existe et n'est pas déjà clôturé
+    if (!ticket || ticket.status !== "active") {
+      console.error("Ticket actif non trouvé:", ticketId);
       return false;
     }
 
     // Créer le ticket clôturé
     const closedTicket = {
-      ...activeTickets[ticketIndex],
+      ...ticket,
+      ...details,
       exitTime,
       totalAmount,
       status: "closed",
+      closedOnDevice: await getDeviceId(),
     };
 
-    // Retirer le ticket des actifs
-    activeTickets.splice(ticketIndex, 1);
-    await saveActiveTickets(activeTickets);
-
-    // Ajouter le ticket à l'historique
-    const historyTickets = await getHistoryTickets();
-    historyTickets.push(closedTicket);
-    await saveHistoryTickets(historyTickets);
-
+    await repository.saveTicket(closedTicket);
     return true;
   } catch (error) {
     console.error("Erreur lors de la clôture du ticket:", error);
     return false;
   }
 };
+
+/**
+ * Clôture un ticket dont le conducteur a perdu le QR code
+ * La pénalité de ticket perdu s'ajoute au montant du stationnement et le
+ * ticket est marqué "lost" dans l'historique. Si la ventilation des taxes
+ * est fournie (details.taxBreakdown), son montant TTC est encaissé.
+ *
+ * @param {string} ticketId - ID du ticket à clôturer
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @param {number} parkingAmount - Montant du stationnement
+ * @param {number} penalty - Pénalité de ticket perdu
+ * @param {Object} details - Détails du calcul à conserver
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const closeLostTicket = async (
+  ticketId,
+  exitTime,
+  parkingAmount,
+  penalty,
+  details = {}
+) => {
+  const totalAmount = details.taxBreakdown
+    ? details.taxBreakdown.grossAmount
+    : parkingAmount + penalty;
+
+  return closeTicket(ticketId, exitTime, totalAmount, {
+    ...details,
+    lost: true,
+    parkingAmount,
+    lostTicketPenalty: penalty,
+  });
+};
@@ -0,0 +1,124 @@
+import { getStorageAdapter } from "./storageAdapter";
+import { normalizeVoucherCode } from "../utils/discountUtils";
+
+/**
+ * OBJECTIF 4 : Clôturer le ticket lors de la sortie
+ *
+ * Ce fichier gère la persistance des codes promo / bons de validation
+ * distribués par les commerçants (voir discountUtils pour le format)
+ */
+
+// Clé de stockage
+export const VOUCHERS_KEY = "@ticket_parking:vouchers";
+
+/**
+ * Récupère tous les bons enregistrés
+ * @returns {Promise<Array>} Liste des bons
+ */
+export const getVouchers = async () => {
+  try {
+    const jsonValue = await getStorageAdapter().getItem(VOUCHERS_KEY);
+    return jsonValue ? JSON.parse(jsonValue) : [];
+  } catch (error) {
+    console.error("Erreur lors de la récupération des bons:", error);
+    return [];
+  }
+};
+
+/**
+ * Sauvegarde la liste des bons
+ * @param {Array} vouchers - Liste des bons à sauvegarder
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const saveVouchers = async (vouchers) => {
+  try {
+    await getStorageAdapter().setItem(VOUCHERS_KEY, JSON.stringify(vouchers));
+    return true;
+  } catch (error) {
+    console.error("Erreur lors de la sauvegarde des bons:", error);
+    return false;
+  }
+};
+
+/**
+ * Récupère un bon par son code
+ * @param {string} code - Code saisi (quelle que soit la casse)
+ * @returns {Promise<Object|null>} Bon trouvé ou null
+ */
+export const getVoucherByCode = async (code) => {
+  const vouchers = await getVouchers();
+  const key = normalizeVoucherCode(code);
+  return vouchers.find((v) => v.code === key) || null;
+};
+
+/**
+ * Ajoute un nouveau bon
+ * Refusé si un bon avec le même code existe déjà
+ *
+ * @param {Object} voucher - Bon à ajouter
+ * @returns {Promise<Object|null>} Bon ajouté ou null si erreur
+ */
+export const addVoucher = async (voucher) => {
+  try {
+    const vouchers = await getVouchers();
+    const code = normalizeVoucherCode(voucher.code);
+
+    if (vouchers.some((v) => v.code === code)) {
+      console.warn("Un bon existe déjà avec ce code:", code);
+      return null;
+    }
+
+    const newVoucher = {
+      ...voucher,
+      code,
+      usedCount: 0,
+      createdAt: new Date().toISOString(),
+    };
+
+    const saved = await saveVouchers([...vouchers, newVoucher]);
+    return saved ? newVoucher : null;
+  } catch (error) {
+    console.error("Erreur lors de l'ajout du bon:", error);
+    return null;
+  }
+};
+
+/**
+ * Supprime un bon
+ * @param {string} code - Code du bon à supprimer
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const deleteVoucher = async (code) => {
+  try {
+    const vouchers = await getVouchers();
+    return await saveVouchers(vouchers.filter((v) => v.code !== code));
+  } catch (error) {
+    console.error("Erreur lors de la suppression du bon:", error);
+    return false;
+  }
+};
+
+/**
+ * Enregistre une utilisation d'un bon (après clôture du ticket)
+ * @param {string} code - Code du bon utilisé
+ * @returns {Promise<boolean>} Succès de l'opération
+ */
+export const redeemVoucher = async (code) => {
+  try {
+    const vouchers = await getVouchers();
+    const key = normalizeVoucherCode(code);
+
+    if (!vouchers.some((v) => v.code === key)) {
+      return false;
+    }
+
+    return await saveVouchers(
+      vouchers.map((v) =>
+        v.code === key ? { ...v, usedCount: (v.usedCount || 0) + 1 } : v
+      )
+    );
+  } catch (error) {
+    console.error("Erreur lors de l'utilisation du bon:", error);
+    return false;
+  }
+};
@@ -0,0 +1,126 @@
+import {
+  computeBackupChecksum,
+  createBackupData,
+  mergeBackupItems,
+  parseBackupData,
+} from "../backupUtils";
+import { DEFAULT_SETTINGS } from "../../storage/settingsStorage";
+import { generateKeyPair } from "../signatureUtils";
+
+const lotKey = {
+  lotId: "marche-central",
+  parkingName: "Marché central",
+  ...generateKeyPair(),
+  createdAt: "2025-01-20T08:00:00.000Z",
+};
+
+const data = {
+  activeTickets: [
+    {
+      id: "t-1",
+      status: "active",
+      entryTime: "2025-01-20T08:00:00.000Z",
+    },
+  ],
+  historyTickets: [],
+  settings: DEFAULT_SETTINGS,
+  subscriptions: [],
+  vouchers: [],
+  lotKeys: [{ ...lotKey, secretKey: null }],
+  revocations: [],
+  scanLog: [],
+};
+
+const meta = { deviceId: "device-a", schemaVersion: 2 };
+
+/**
+ * Erreurs d'une sauvegarde créée avec un contenu modifié
+ * @param {Object} changes - Champs de "data" à remplacer
+ * @returns {Array<string>} Erreurs de parseBackupData
+ */
+const errorsFor = (changes) =>
+  parseBackupData(createBackupData({ ...data, ...changes }, meta), 2).errors;
+
+describe("parseBackupData", () => {
+  it("accepte une sauvegarde valide", () => {
+    expect(errorsFor({})).toEqual([]);
+  });
+
+  it("refuse un fichier modifié après la sauvegarde", () => {
+    const backup = JSON.parse(createBackupData(data, meta));
+    backup.data.activeTickets[0].entryTime = "2025-01-20T12:00:00.000Z";
+
+    const { errors } = parseBackupData(JSON.stringify(backup), 2);
+    expect(errors).toEqual([
+      "checksum : le fichier est incomplet ou a été modifié",
+    ]);
+    expect(backup.checksum).not.toBe(computeBackupChecksum(backup.data));
+  });
+
+  it("vérifie les paramètres comme l'écran des paramètres", () => {
+    const errors = errorsFor({
+      settings: {
+        ...DEFAULT_SETTINGS,
+        currency: { ...DEFAULT_SETTINGS.currency, code: "franc" },
+        taxConfig: {
+          pricesIncludeTax: false,
+          taxes: [{ label: "TVA", rate: 180 }],
+          serviceFees: [],
+        },
+        vehicleCategories: [
+          { ...DEFAULT_SETTINGS.vehicleCategories[0], tariff: { bands: [] } },
+        ],
+      },
+    });
+
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^settings\.currency : /),
+        expect.stringMatching(/^settings\.taxConfig : Taxe 1/),
+        expect.stringMatching(/^settings\.vehicleCategories\[0\] : /),
+      ])
+    );
+  });
+
+  it("refuse une grille horaire manquante", () => {
+    const { rateSchedule, ...settings } = DEFAULT_SETTINGS;
+
+    expect(errorsFor({ settings })).toEqual([
+      "settings.rateSchedule : La grille horaire est invalide",
+    ]);
+  });
+
+  it("vérifie les abonnements, les bons et les clés", () => {
+    const errors = errorsFor({
+      subscriptions: [{ holderName: "Awa", licensePlate: "AB123CD" }],
+      vouchers: [{ code: "x", type: "percentage", value: 10 }],
+      lotKeys: [lotKey],
+    });
+
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        "subscriptions[0] : ID de l'abonnement manquant",
+        expect.stringMatching(/^vouchers\[0\] : /),
+        "lotKeys[0] : clé privée présente dans la sauvegarde",
+      ])
+    );
+  });
+});
+
+describe("mergeBackupItems", () => {
+  it("ajoute seulement les éléments absents de l'appareil", () => {
+    const device = [{ code: "A", usedCount: 3 }];
+    const imported = [
+      { code: "A", usedCount: 0 },
+      { code: "B", usedCount: 0 },
+    ];
+
+    expect(mergeBackupItems(device, imported, (v) => v.code)).toEqual({
+      items: [
+        { code: "A", usedCount: 3 },
+        { code: "B", usedCount: 0 },
+      ],
+      addedCount: 1,
+    });
+  });
+});
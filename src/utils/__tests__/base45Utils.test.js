@@ -0,0 +1,27 @@
+import { decodeBase45, encodeBase45 } from "../base45Utils";
+
+const toBytes = (text) => Array.from(Buffer.from(text, "utf8"));
+
+describe("base45", () => {
+  // Exemples de la RFC 9285
+  it.each([
+    ["AB", "BB8"],
+    ["Hello!!", "%69 VD92EX0"],
+    ["base-45", "UJCLQE7W581"],
+    ["ietf!", "QED8WEX0"],
+  ])("encode %s en %s", (text, encoded) => {
+    expect(encodeBase45(toBytes(text))).toBe(encoded);
+    expect(Array.from(decodeBase45(encoded))).toEqual(toBytes(text));
+  });
+
+  it("restitue tous les octets", () => {
+    const bytes = Array.from({ length: 256 }, (_, i) => i);
+    expect(Array.from(decodeBase45(encodeBase45(bytes)))).toEqual(bytes);
+  });
+
+  it("refuse un texte invalide", () => {
+    expect(decodeBase45("GGW")).toBeNull(); // Valeur > 0xFFFF
+    expect(decodeBase45("ZZZZ")).toBeNull(); // Longueur invalide
+    expect(decodeBase45("ab!")).toBeNull(); // Hors alphabet
+  });
+});
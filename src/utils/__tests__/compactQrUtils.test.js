@@ -0,0 +1,179 @@
+import nacl from "tweetnacl";
+import naclUtil from "tweetnacl-util";
+import {
+  COMPACT_QR_PREFIX,
+  canEncodeCompact,
+  decodeCompactPayload,
+  encodeCompactPayload,
+} from "../compactQrUtils";
+import {
+  createQRCodeData,
+  parseQRCodeData,
+  verifyTicket,
+} from "../qrCodeUtils";
+import { createTariff } from "../tariffUtils";
+import { createLotId, signPayload } from "../signatureUtils";
+
+// Clé de parking fixe (graine constante : tests reproductibles)
+const keyPair = nacl.sign.keyPair.fromSeed(new Uint8Array(32).fill(7));
+const lotKey = {
+  lotId: createLotId("Marché central"),
+  parkingName: "Marché central",
+  publicKey: naclUtil.encodeBase64(keyPair.publicKey),
+  secretKey: naclUtil.encodeBase64(keyPair.secretKey),
+};
+const publicKeys = { [lotKey.lotId]: [lotKey.publicKey] };
+
+const ticket = {
+  id: "3f2a9c1e-7b4d-4e8a-9f01-23456789abcd",
+  parkingName: "Marché central",
+  entryTime: "2025-01-20T14:30:00.000Z",
+  pricePerHour: 50,
+};
+
+describe("format compact", () => {
+  it("restitue à l'identique un QR code non signé", () => {
+    const qrData = { ...ticket, timestamp: "2025-01-20T14:30:05.000Z" };
+
+    expect(canEncodeCompact(qrData)).toBe(true);
+    const payload = encodeCompactPayload(qrData);
+    expect(payload.startsWith(COMPACT_QR_PREFIX)).toBe(true);
+    expect(decodeCompactPayload(payload)).toEqual(qrData);
+  });
+
+  it("restitue à l'identique un QR code signé", () => {
+    const qrData = {
+      ...ticket,
+      pricePerHour: 2.5,
+      timestamp: "2025-01-20T14:30:05.000Z",
+      lot: lotKey.lotId,
+    };
+    qrData.sig = signPayload(qrData, lotKey.secretKey);
+
+    expect(decodeCompactPayload(encodeCompactPayload(qrData))).toEqual(qrData);
+  });
+
+  it("conserve un identifiant qui n'est pas un UUID", () => {
+    const qrData = {
+      ...ticket,
+      id: "ticket-42",
+      timestamp: "2025-01-20T14:30:05.000Z",
+    };
+
+    expect(decodeCompactPayload(encodeCompactPayload(qrData))).toEqual(qrData);
+  });
+
+  it("refuse une version inconnue", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    // Octet de version 2
+    expect(decodeCompactPayload(`${COMPACT_QR_PREFIX}20`)).toBeNull();
+
+    console.warn.mockRestore();
+  });
+
+  it("refuse un contenu tronqué", () => {
+    const payload = encodeCompactPayload({
+      ...ticket,
+      timestamp: "2025-01-20T14:30:05.000Z",
+    });
+
+    expect(decodeCompactPayload(payload.slice(0, -3))).toBeNull();
+  });
+});
+
+describe("createQRCodeData / parseQRCodeData", () => {
+  it("produit un QR code compact signé et vérifiable", () => {
+    const data = createQRCodeData(ticket, lotKey);
+    const parsed = parseQRCodeData(data, publicKeys);
+
+    expect(data.startsWith(COMPACT_QR_PREFIX)).toBe(true);
+    expect(parsed).toMatchObject({ ...ticket, lot: lotKey.lotId });
+    expect(parsed.signatureStatus).toBe("valid");
+  });
+
+  it("lit les anciens QR codes au format JSON", () => {
+    const legacy = JSON.stringify({
+      ...ticket,
+      timestamp: "2025-01-20T14:30:05.000Z",
+    });
+    const parsed = parseQRCodeData(legacy, publicKeys);
+
+    expect(parsed).toMatchObject(ticket);
+    expect(parsed.signatureStatus).toBe("unsigned");
+  });
+
+  it("vérifie la signature d'un ancien QR code JSON signé", () => {
+    const qrData = {
+      ...ticket,
+      timestamp: "2025-01-20T14:30:05.000Z",
+      lot: lotKey.lotId,
+    };
+    qrData.sig = signPayload(qrData, lotKey.secretKey);
+
+    const parsed = parseQRCodeData(JSON.stringify(qrData), publicKeys);
+    expect(parsed.signatureStatus).toBe("valid");
+  });
+
+  it("signale un QR code compact modifié", () => {
+    const qrData = decodeCompactPayload(createQRCodeData(ticket, lotKey));
+
+    // Heure d'entrée avancée d'une heure, signature d'origine conservée
+    const tampered = encodeCompactPayload({
+      ...qrData,
+      entryTime: "2025-01-20T15:30:00.000Z",
+    });
+
+    expect(parseQRCodeData(tampered, publicKeys).signatureStatus).toBe(
+      "invalid"
+    );
+  });
+
+  it("signale un QR code JSON modifié", () => {
+    const qrData = decodeCompactPayload(createQRCodeData(ticket, lotKey));
+    const tampered = JSON.stringify({ ...qrData, pricePerHour: 1 });
+
+    expect(parseQRCodeData(tampered, publicKeys).signatureStatus).toBe(
+      "invalid"
+    );
+  });
+
+  it("signe l'empreinte du tarif complet du ticket", () => {
+    const tariffTicket = {
+      ...ticket,
+      status: "active",
+      tariff: createTariff({ firstHourPrice: 50, dailyCap: 300 }),
+    };
+    const data = createQRCodeData(tariffTicket, lotKey);
+    const parsed = parseQRCodeData(data, publicKeys);
+
+    expect(parsed.tariffHash).toEqual(expect.any(String));
+    expect(parsed.signatureStatus).toBe("valid");
+    expect(verifyTicket([tariffTicket], parsed).status).toBe("active");
+
+    // Plafond modifié sur le ticket enregistré
+    const changed = {
+      ...tariffTicket,
+      tariff: { ...tariffTicket.tariff, dailyCap: 100 },
+    };
+    expect(verifyTicket([changed], parsed).status).toBe("tampered");
+
+    // Empreinte retirée du QR code
+    const { tariffHash, signatureStatus, ...stripped } = parsed;
+    expect(
+      parseQRCodeData(encodeCompactPayload(stripped), publicKeys)
+        .signatureStatus
+    ).toBe("invalid");
+  });
+
+  it("refuse un contenu illisible", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const payload = createQRCodeData(ticket, lotKey);
+    expect(parseQRCodeData(payload.slice(0, -3), publicKeys)).toBeNull();
+    expect(parseQRCodeData("PT:!!!", publicKeys)).toBeNull();
+    expect(parseQRCodeData("pas un ticket", publicKeys)).toBeNull();
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,90 @@
+import { applyDiscount, getVoucherError } from "../discountUtils";
+import { createTariff } from "../tariffUtils";
+import { DEFAULT_CURRENCY } from "../moneyUtils";
+
+const entryTime = new Date(2025, 0, 20, 8, 0).toISOString();
+const exitTime = new Date(2025, 0, 20, 11, 0).toISOString();
+
+// 100 la première heure, 50 les suivantes : 200 pour 3h
+const ticket = {
+  entryTime,
+  tariff: createTariff({ firstHourPrice: 100, nextHoursPrice: 50 }),
+};
+
+const voucher = {
+  code: "MARCHE10",
+  type: "percentage",
+  value: 10,
+  validFrom: "2025-01-01",
+  validUntil: "2025-01-31",
+  usageLimit: 2,
+  usedCount: 0,
+};
+
+describe("applyDiscount", () => {
+  it("retire un pourcentage du montant", () => {
+    expect(
+      applyDiscount(ticket, 200, { type: "percentage", value: 20 }, exitTime)
+    ).toEqual({ originalAmount: 200, discountAmount: 40, totalAmount: 160 });
+  });
+
+  it("ne rend jamais le montant négatif", () => {
+    expect(
+      applyDiscount(ticket, 200, { type: "fixed", value: 500 }, exitTime)
+    ).toEqual({ originalAmount: 200, discountAmount: 200, totalAmount: 0 });
+  });
+
+  it("facture les heures offertes comme un séjour plus court", () => {
+    // 3h - 2h offertes = 1h au prix de la première heure
+    const result = applyDiscount(
+      ticket,
+      200,
+      { type: "freeHours", value: 2 },
+      exitTime
+    );
+    expect(result).toMatchObject({ discountAmount: 100, totalAmount: 100 });
+
+    expect(
+      applyDiscount(ticket, 200, { type: "freeHours", value: 4 }, exitTime)
+        .totalAmount
+    ).toBe(0);
+  });
+
+  it("arrondit le montant restant dû selon la devise du ticket", () => {
+    const rounded = {
+      ...ticket,
+      tariff: {
+        ...ticket.tariff,
+        currency: { ...DEFAULT_CURRENCY, roundingStep: 25 },
+      },
+    };
+
+    expect(
+      applyDiscount(rounded, 230, { type: "percentage", value: 10 }, exitTime)
+    ).toEqual({ originalAmount: 230, discountAmount: 30, totalAmount: 200 });
+  });
+});
+
+describe("getVoucherError", () => {
+  it("accepte un bon dans sa période de validité", () => {
+    expect(getVoucherError(voucher, exitTime)).toBeNull();
+  });
+
+  it("refuse un bon hors de sa période de validité", () => {
+    expect(
+      getVoucherError({ ...voucher, validFrom: "2025-01-21" }, exitTime)
+    ).toMatch(/à partir du 2025-01-21/);
+    expect(
+      getVoucherError({ ...voucher, validUntil: "2025-01-19" }, exitTime)
+    ).toMatch(/expiré le 2025-01-19/);
+  });
+
+  it("refuse un bon dont toutes les utilisations sont consommées", () => {
+    expect(getVoucherError({ ...voucher, usedCount: 2 }, exitTime)).toMatch(
+      /nombre maximal/
+    );
+    expect(
+      getVoucherError({ ...voucher, usageLimit: null, usedCount: 50 }, exitTime)
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+import { checkReplay, createScanRecord } from "../scanLogUtils";
+
+const ticketId = "ticket-1";
+const activeTicket = { id: ticketId, status: "active" };
+const closedTicket = {
+  id: ticketId,
+  status: "closed",
+  exitTime: "2025-01-20T14:31:00.000Z",
+  closedOnDevice: "device-a",
+};
+
+const accepted = (ticket) => ({
+  isValid: true,
+  status: ticket.status,
+  ticket,
+});
+
+const scan = (ticket, scannedAt, mode) =>
+  createScanRecord(ticketId, accepted(ticket), "device-a", scannedAt, mode);
+
+describe("checkReplay", () => {
+  it("accepte la sortie d'un ticket contrôlé juste avant", () => {
+    const scanLog = [scan(activeTicket, "2025-01-20T14:25:00.000Z", "verify")];
+
+    const result = checkReplay(
+      accepted(activeTicket),
+      ticketId,
+      scanLog,
+      "device-a",
+      "2025-01-20T14:30:00.000Z",
+      "exit"
+    );
+    expect(result.status).toBe("active");
+  });
+
+  it("accepte un ticket rescanné après une sortie annulée", () => {
+    const scanLog = [scan(activeTicket, "2025-01-20T14:25:00.000Z", "exit")];
+
+    const result = checkReplay(
+      accepted(activeTicket),
+      ticketId,
+      scanLog,
+      "device-a",
+      "2025-01-20T14:30:00.000Z",
+      "exit"
+    );
+    expect(result.status).toBe("active");
+  });
+
+  it("signale une seconde sortie d'un ticket clôturé", () => {
+    const scanLog = [scan(activeTicket, "2025-01-20T14:30:00.000Z", "exit")];
+
+    const result = checkReplay(
+      accepted(closedTicket),
+      ticketId,
+      scanLog,
+      "device-a",
+      "2025-01-20T14:40:00.000Z",
+      "exit"
+    );
+    expect(result.status).toBe("reused");
+    expect(result.previousScan).toEqual(scanLog[0]);
+  });
+
+  it("refuse à la sortie un ticket clôturé hors de la fenêtre", () => {
+    const scanLog = [scan(activeTicket, "2025-01-20T14:00:00.000Z", "exit")];
+
+    const result = checkReplay(
+      accepted(closedTicket),
+      ticketId,
+      scanLog,
+      "device-a",
+      "2025-01-20T16:40:00.000Z",
+      "exit"
+    );
+    expect(result.status).toBe("reused");
+    expect(result.previousScan).toEqual(scanLog[0]);
+  });
+
+  it("n'applique pas la fenêtre à un simple contrôle", () => {
+    const scanLog = [scan(activeTicket, "2025-01-20T14:30:00.000Z", "exit")];
+
+    const result = checkReplay(
+      accepted(closedTicket),
+      ticketId,
+      scanLog,
+      "device-a",
+      "2025-01-20T14:35:00.000Z",
+      "verify"
+    );
+    expect(result.status).toBe("closed");
+  });
+
+  it("signale un ticket clôturé sur un autre appareil", () => {
+    const result = checkReplay(
+      accepted(closedTicket),
+      ticketId,
+      [],
+      "device-b",
+      "2025-01-20T14:35:00.000Z",
+      "verify"
+    );
+    expect(result.status).toBe("reused");
+  });
+
+  it("accepte au contrôle un ticket clôturé dont le journal a été restauré", () => {
+    const scanLog = [scan(activeTicket, "2025-01-20T14:30:00.000Z", "exit")];
+
+    const result = checkReplay(
+      accepted(closedTicket),
+      ticketId,
+      scanLog,
+      "device-b",
+      "2025-01-21T09:00:00.000Z",
+      "verify"
+    );
+    expect(result.status).toBe("closed");
+  });
+});
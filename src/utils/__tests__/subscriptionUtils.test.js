@@ -0,0 +1,51 @@
+import {
+  getPassRate,
+  getSubscriptionStatus,
+  needsRenewal,
+} from "../subscriptionUtils";
+
+const subscription = {
+  holderName: "Awa Diallo",
+  licensePlate: "AB123CD",
+  validFrom: "2025-01-10",
+  validUntil: "2025-01-31",
+  allowedHours: { days: [1, 2, 3, 4, 5], start: "07:00", end: "19:00" },
+};
+
+// Date locale de janvier 2025 (le 20 est un lundi)
+const on = (day, hours = 12) => new Date(2025, 0, day, hours, 0);
+
+describe("getSubscriptionStatus", () => {
+  it("suit la période de validité", () => {
+    const statusOn = (day) =>
+      getSubscriptionStatus(subscription, on(day).toISOString()).status;
+
+    expect(statusOn(5)).toBe("upcoming");
+    expect(statusOn(20)).toBe("active");
+    expect(statusOn(26)).toBe("expiring");
+    expect(statusOn(31)).toBe("expiring");
+    expect(
+      getSubscriptionStatus(subscription, on(31).toISOString()).label
+    ).toBe("Expire aujourd'hui");
+    expect(statusOn(32)).toBe("expired");
+  });
+
+  it("signale un abonnement expiré depuis moins d'une semaine", () => {
+    expect(needsRenewal(subscription, on(34).toISOString())).toBe(true);
+    expect(needsRenewal(subscription, on(45).toISOString())).toBe(false);
+    expect(needsRenewal(subscription, on(20).toISOString())).toBe(false);
+  });
+});
+
+describe("getPassRate", () => {
+  it("couvre les horaires autorisés pendant la validité", () => {
+    expect(getPassRate(subscription, on(20, 8))).toMatchObject({
+      pricePerHour: 0,
+    });
+    expect(getPassRate(subscription, on(20, 20))).toBeNull();
+    // Dimanche 19
+    expect(getPassRate(subscription, on(19, 8))).toBeNull();
+    // Lundi 3 février, après la fin de validité
+    expect(getPassRate(subscription, on(34, 8))).toBeNull();
+  });
+});
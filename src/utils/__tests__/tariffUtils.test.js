@@ -0,0 +1,305 @@
+import {
+  calculateTariffPrice,
+  countNights,
+  createDefaultTariff,
+  createTariff,
+} from "../tariffUtils";
+import { DEFAULT_CURRENCY } from "../moneyUtils";
+
+/**
+ * Date locale du mois de janvier 2025 (le 20 est un lundi)
+ * Les grilles horaires et les nuits suivent l'heure locale de l'appareil
+ *
+ * @param {number} day - Jour du mois
+ * @param {number} hours - Heure
+ * @param {number} minutes - Minutes
+ * @returns {string} Date ISO
+ */
+const at = (day, hours, minutes = 0) =>
+  new Date(2025, 0, day, hours, minutes).toISOString();
+
+/**
+ * Montant d'un séjour commençant le lundi 20 à 8h
+ * @param {Object} tariff - Tarif
+ * @param {number} minutes - Durée du séjour
+ * @returns {number} Montant à payer
+ */
+const priceFor = (tariff, minutes) =>
+  calculateTariffPrice(tariff, at(20, 8), at(20, 8, minutes)).totalAmount;
+
+describe("calculateTariffPrice : tranches et pas de facturation", () => {
+  it("facture toute heure commencée avec le tarif par défaut", () => {
+    const tariff = createDefaultTariff(100);
+
+    expect(priceFor(tariff, 0)).toBe(0);
+    expect(priceFor(tariff, 1)).toBe(100);
+    expect(priceFor(tariff, 60)).toBe(100);
+    expect(priceFor(tariff, 61)).toBe(200);
+  });
+
+  it("répartit la durée facturée entre les tranches", () => {
+    const tariff = createTariff({ firstHourPrice: 100, nextHoursPrice: 50 });
+    const result = calculateTariffPrice(tariff, at(20, 8), at(20, 10, 30));
+
+    expect(result.billedMinutes).toBe(180);
+    expect(result.breakdown.map((line) => [line.minutes, line.amount])).toEqual(
+      [
+        [60, 100],
+        [120, 100],
+      ]
+    );
+    expect(result.totalAmount).toBe(200);
+  });
+
+  it("arrondit la durée au pas de facturation supérieur", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      billingStepMinutes: 15,
+    });
+
+    expect(priceFor(tariff, 61)).toBe(125);
+    expect(priceFor(tariff, 75)).toBe(125);
+    expect(priceFor(tariff, 76)).toBe(150);
+  });
+
+  it("complète le montant jusqu'au minimum de perception", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      billingStepMinutes: 15,
+      minimumCharge: 150,
+    });
+    const result = calculateTariffPrice(tariff, at(20, 8), at(20, 8, 10));
+
+    expect(result.totalAmount).toBe(150);
+    expect(result.breakdown[result.breakdown.length - 1]).toMatchObject({
+      label: "Complément minimum de perception",
+      amount: 125,
+    });
+    expect(priceFor(tariff, 120)).toBe(200);
+  });
+});
+
+describe("calculateTariffPrice : franchise et tolérance", () => {
+  it("ne facture pas un séjour couvert par la franchise", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      gracePeriodMinutes: 15,
+    });
+    const result = calculateTariffPrice(tariff, at(20, 8), at(20, 8, 15));
+
+    expect(result.totalAmount).toBe(0);
+    expect(result.freeMinutes).toBe(15);
+  });
+
+  it("facture la durée après la franchise", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      gracePeriodMinutes: 15,
+    });
+
+    expect(priceFor(tariff, 75)).toBe(100);
+    expect(priceFor(tariff, 76)).toBe(200);
+  });
+
+  it("tolère un léger dépassement après un pas complet", () => {
+    const tariff = createTariff({ firstHourPrice: 100, toleranceMinutes: 5 });
+    const result = calculateTariffPrice(tariff, at(20, 8), at(20, 9, 5));
+
+    expect(result.totalAmount).toBe(100);
+    expect(result.toleratedMinutes).toBe(5);
+    expect(priceFor(tariff, 66)).toBe(200);
+  });
+
+  it("n'applique pas la tolérance avant le premier pas", () => {
+    const tariff = createTariff({ firstHourPrice: 100, toleranceMinutes: 5 });
+
+    expect(priceFor(tariff, 3)).toBe(100);
+  });
+
+  it("applique la tolérance à la durée restant après la franchise", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      gracePeriodMinutes: 10,
+      toleranceMinutes: 5,
+    });
+
+    // 13 min - 10 min de franchise = 3 min : premier pas dû
+    expect(priceFor(tariff, 13)).toBe(100);
+    // 75 min - 10 min de franchise = 1h05 : dépassement toléré
+    expect(priceFor(tariff, 75)).toBe(100);
+    expect(priceFor(tariff, 76)).toBe(200);
+  });
+});
+
+describe("calculateTariffPrice : plafond journalier et forfait de nuit", () => {
+  it("plafonne chaque période de 24h", () => {
+    const tariff = createTariff({ firstHourPrice: 100, dailyCap: 500 });
+    const result = calculateTariffPrice(tariff, at(20, 8), at(20, 18));
+
+    expect(result.totalAmount).toBe(500);
+    expect(result.breakdown[1]).toMatchObject({
+      label: "Plafond journalier (jour 1)",
+      amount: -500,
+    });
+  });
+
+  it("ajoute le forfait de nuit au montant plafonné", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      dailyCap: 500,
+      overnightFee: 200,
+    });
+
+    // 30h : deux périodes plafonnées et une nuit
+    const result = calculateTariffPrice(tariff, at(20, 8), at(21, 14));
+    expect(result.nights).toBe(1);
+    expect(result.totalAmount).toBe(500 + 500 + 200);
+  });
+
+  it("compte une nuit pour chaque minuit franchi", () => {
+    const tariff = createTariff({ firstHourPrice: 100, overnightFee: 200 });
+
+    expect(countNights(at(20, 23), at(21, 1))).toBe(1);
+    expect(countNights(at(20, 8), at(20, 23))).toBe(0);
+    expect(
+      calculateTariffPrice(tariff, at(20, 23), at(21, 1)).totalAmount
+    ).toBe(400);
+  });
+});
+
+describe("calculateTariffPrice : grille horaire", () => {
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+  const night = {
+    label: "Nuit",
+    days: ALL_DAYS,
+    start: "20:00",
+    end: "06:00",
+    pricePerHour: 25,
+  };
+
+  it("applique le tarif de la plage aux minutes qu'elle couvre", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      schedule: { windows: [night], holidays: [], holidayPricePerHour: null },
+    });
+    const result = calculateTariffPrice(tariff, at(20, 19), at(20, 21));
+
+    expect(result.breakdown.map((line) => [line.label, line.minutes])).toEqual([
+      ["Toute la durée", 60],
+      ["Nuit", 60],
+    ]);
+    expect(result.totalAmount).toBe(125);
+  });
+
+  it("couvre la journée entière quand la plage commence et finit à la même heure", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      schedule: {
+        windows: [
+          {
+            label: "Dimanche",
+            days: [0],
+            start: "00:00",
+            end: "00:00",
+            pricePerHour: 25,
+          },
+        ],
+        holidays: [],
+        holidayPricePerHour: null,
+      },
+    });
+
+    // Du samedi 18 à 23h au dimanche 19 à 1h
+    expect(
+      calculateTariffPrice(tariff, at(18, 23), at(19, 1)).totalAmount
+    ).toBe(125);
+  });
+
+  it("donne la priorité au tarif des jours fériés", () => {
+    const tariff = createTariff({
+      firstHourPrice: 100,
+      schedule: {
+        windows: [{ ...night, start: "00:00", end: "00:00", pricePerHour: 75 }],
+        holidays: ["2025-01-01"],
+        holidayPricePerHour: 50,
+      },
+    });
+
+    const result = calculateTariffPrice(tariff, at(1, 10), at(1, 12));
+    expect(result.breakdown.map((line) => line.label)).toEqual(["Jour férié"]);
+    expect(result.totalAmount).toBe(100);
+  });
+});
+
+describe("calculateTariffPrice : abonnement", () => {
+  const pass = {
+    subscriptionId: "s-1",
+    holderName: "Awa Diallo",
+    validFrom: "2025-01-01",
+    validUntil: "2025-01-20",
+    allowedHours: null,
+  };
+
+  it("ne facture ni minimum ni nuit à un abonné couvert", () => {
+    const tariff = {
+      ...createTariff({
+        firstHourPrice: 100,
+        minimumCharge: 150,
+        overnightFee: 200,
+      }),
+      pass: { ...pass, validUntil: "2025-01-31" },
+    };
+
+    expect(
+      calculateTariffPrice(tariff, at(20, 22), at(21, 1)).totalAmount
+    ).toBe(0);
+  });
+
+  it("facture les minutes et la nuit après la fin de l'abonnement", () => {
+    const tariff = {
+      ...createTariff({ firstHourPrice: 100, overnightFee: 200 }),
+      pass,
+    };
+
+    // Couvert jusqu'à minuit le 20, puis 1h facturée et une nuit
+    const result = calculateTariffPrice(tariff, at(20, 22), at(21, 1));
+    expect(result.breakdown.map((line) => [line.label, line.minutes])).toEqual([
+      ["Abonnement", 120],
+      ["Toute la durée", 60],
+      ["Forfait nuit × 1", 0],
+    ]);
+    expect(result.totalAmount).toBe(300);
+  });
+});
+
+describe("calculateTariffPrice : devise", () => {
+  it("arrondit chaque ligne à l'unité de la devise", () => {
+    const tariff = {
+      ...createTariff({ firstHourPrice: 2.5, billingStepMinutes: 15 }),
+      currency: {
+        ...DEFAULT_CURRENCY,
+        code: "EUR",
+        symbol: "€",
+        decimals: 2,
+        roundingStep: 0.01,
+      },
+    };
+
+    // 1h45 à 2,50 €/h = 4,375 €
+    expect(priceFor(tariff, 100)).toBe(4.38);
+  });
+
+  it("applique la règle d'arrondi du site au montant total", () => {
+    const tariff = {
+      ...createTariff({ firstHourPrice: 110 }),
+      currency: { ...DEFAULT_CURRENCY, roundingStep: 25 },
+    };
+    const result = calculateTariffPrice(tariff, at(20, 8), at(20, 9, 30));
+
+    expect(result.totalAmount).toBe(225);
+    expect(result.breakdown[result.breakdown.length - 1]).toMatchObject({
+      label: "Arrondi",
+      amount: 5,
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { calculateTaxBreakdown } from "../taxUtils";
+import { DEFAULT_CURRENCY } from "../moneyUtils";
+
+const vat = { label: "TVA", rate: 18 };
+const currency = { ...DEFAULT_CURRENCY, decimals: 0, roundingStep: 25 };
+
+describe("calculateTaxBreakdown", () => {
+  it("applique la règle d'arrondi au montant encaissé (tarifs HT)", () => {
+    const breakdown = calculateTaxBreakdown(
+      100,
+      { pricesIncludeTax: false, taxes: [vat], serviceFees: [] },
+      currency
+    );
+
+    expect(breakdown.netAmount).toBe(100);
+    expect(breakdown.taxAmount).toBe(18);
+    expect(breakdown.roundingAmount).toBe(7);
+    expect(breakdown.grossAmount).toBe(125);
+  });
+
+  it("HT + taxes + arrondi = montant encaissé (tarifs TTC)", () => {
+    const breakdown = calculateTaxBreakdown(
+      310,
+      {
+        pricesIncludeTax: true,
+        taxes: [vat],
+        serviceFees: [{ label: "Frais de service", amount: 30 }],
+      },
+      currency
+    );
+
+    expect(breakdown.grossAmount).toBe(350);
+    expect(
+      breakdown.netAmount + breakdown.taxAmount + breakdown.roundingAmount
+    ).toBe(breakdown.grossAmount);
+  });
+
+  it("n'ajoute aucun arrondi sans règle d'arrondi", () => {
+    const breakdown = calculateTaxBreakdown(
+      100,
+      { pricesIncludeTax: false, taxes: [vat], serviceFees: [] },
+      { ...currency, roundingStep: 1 }
+    );
+
+    expect(breakdown.roundingAmount).toBe(0);
+    expect(breakdown.grossAmount).toBe(118);
+  });
+});
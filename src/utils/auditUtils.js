@@ -0,0 +1,75 @@
+/**
+ * AUDIT DU PARKING
+ *
+ * Lors d'une tournée, l'agent scanne à la suite le ticket de chaque véhicule
+ * stationné. Les lectures répétées d'un même ticket ne comptent qu'une fois.
+ * En fin de tournée, les tickets scannés sont comparés aux tickets actifs :
+ * - Manquants : ticket actif dont le véhicule n'a pas été scanné
+ *   (véhicule parti sans clôture, ticket oublié...)
+ * - Inconnus : ticket scanné qui n'est pas actif sur cet appareil
+ *   (ticket clôturé réutilisé, falsifié, révoqué, émis ailleurs...)
+ *
+ * Format d'une lecture :
+ * {
+ *   "ticketId": "uuid",
+ *   "parkingName": "Marché central",
+ *   "entryTime": "...",
+ *   "licensePlate": "11 AA 2222",   // null si le ticket n'est pas enregistré ici
+ *   "status": "active",             // Statut retourné par verifyTicket
+ *   "scannedAt": "..."
+ * }
+ */
+
+/**
+ * Crée la lecture d'un ticket scanné pendant l'audit
+ *
+ * @param {Object} qrData - Données du QR code (résultat de parseQRCodeData)
+ * @param {Object} verification - Résultat de verifyTicket
+ * @param {string} scannedAt - Date du scan (ISO)
+ * @returns {Object} Lecture (voir format en tête de fichier)
+ */
+export const createAuditEntry = (qrData, verification, scannedAt) => {
+  return {
+    ticketId: qrData.id,
+    parkingName: qrData.parkingName,
+    entryTime: qrData.entryTime,
+    licensePlate: verification.ticket?.licensePlate || null,
+    status: verification.status,
+    scannedAt,
+  };
+};
+
+/**
+ * Ajoute une lecture si le ticket n'a pas encore été scanné
+ *
+ * @param {Array} entries - Lectures de l'audit en cours
+ * @param {Object} entry - Nouvelle lecture
+ * @returns {Array|null} Lectures mises à jour, ou null si le ticket est déjà lu
+ */
+export const addAuditEntry = (entries, entry) => {
+  if (entries.some((e) => e.ticketId === entry.ticketId)) {
+    return null;
+  }
+  return [entry, ...entries];
+};
+
+/**
+ * Compare les tickets scannés aux tickets actifs
+ *
+ * @param {Array} entries - Lectures de l'audit
+ * @param {Array} activeTickets - Tickets actifs (getActiveTickets)
+ * @returns {Object} { matched, missing, unknown }
+ *   matched : lectures de tickets actifs
+ *   missing : tickets actifs non scannés
+ *   unknown : lectures de tickets non actifs sur cet appareil
+ */
+export const compareAudit = (entries, activeTickets) => {
+  const scannedIds = new Set(entries.map((e) => e.ticketId));
+  const activeIds = new Set(activeTickets.map((t) => t.id));
+
+  return {
+    matched: entries.filter((e) => activeIds.has(e.ticketId)),
+    missing: activeTickets.filter((t) => !scannedIds.has(t.id)),
+    unknown: entries.filter((e) => !activeIds.has(e.ticketId)),
+  };
+};
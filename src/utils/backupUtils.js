@@ -0,0 +1,444 @@
+import nacl from "tweetnacl";
+import naclUtil from "tweetnacl-util";
+import { isValidRevocation } from "./revocationUtils";
+import { validateCurrency } from "./moneyUtils";
+import { validateTaxConfig } from "./taxUtils";
+import { validateSchedule } from "./scheduleUtils";
+import { validateTariff } from "./tariffUtils";
+import { validateSubscription } from "./subscriptionUtils";
+import { validateVoucher } from "./discountUtils";
+import { isValidPublicKey } from "./signatureUtils";
+
+/**
+ * SAUVEGARDE ET RESTAURATION DES DONNÉES
+ *
+ * Une sauvegarde regroupe dans un seul fichier tout ce qu'il faut pour
+ * reprendre l'exploitation d'un parking sur un autre appareil (téléphone
+ * perdu ou réinitialisé) : tickets actifs, historique, paramètres,
+ * abonnements, bons, clés publiques des parkings, révocations et journal
+ * des scans.
+ *
+ * Les clés de signature privées ne quittent jamais l'appareil : seules les
+ * clés publiques sont sauvegardées, pour vérifier les tickets restaurés.
+ * Après une restauration sur un autre appareil, une nouvelle clé est créée
+ * au premier ticket de chaque parking ; elle doit être partagée avec les
+ * autres appareils comme toute nouvelle clé.
+ *
+ * Format du fichier (JSON) :
+ * {
+ *   "type": "parking_backup",
+ *   "v": 1,                          // Version du format de sauvegarde
+ *   "schemaVersion": 2,              // Version du schéma (voir migrations)
+ *   "createdAt": "2025-01-20T14:30:00.000Z",
+ *   "deviceId": "uuid",              // Appareil sauvegardé
+ *   "checksum": "hex...",            // SHA-512 du contenu de "data"
+ *   "data": {
+ *     "activeTickets": [...],
+ *     "historyTickets": [...],
+ *     "settings": { ... },
+ *     "subscriptions": [...],
+ *     "vouchers": [...],
+ *     "lotKeys": [...],               // Clés publiques (secretKey : null)
+ *     "revocations": [...],
+ *     "scanLog": [...]
+ *   }
+ * }
+ *
+ * La somme de contrôle détecte un fichier tronqué ou modifié : un tel
+ * fichier est refusé avant toute modification des données de l'appareil.
+ */
+
+// Type du fichier de sauvegarde
+export const BACKUP_TYPE = "parking_backup";
+
+// Version du format de sauvegarde
+export const BACKUP_VERSION = 1;
+
+// Modes de restauration
+export const RESTORE_MODES = {
+  merge: "merge", // Ajoute la sauvegarde aux données de l'appareil
+  replace: "replace", // Remplace les données de l'appareil par la sauvegarde
+};
+
+/**
+ * Somme de contrôle du contenu d'une sauvegarde
+ * @param {Object} data - Contenu ("data") de la sauvegarde
+ * @returns {string} SHA-512 en hexadécimal
+ */
+export const computeBackupChecksum = (data) => {
+  const hash = nacl.hash(naclUtil.decodeUTF8(JSON.stringify(data)));
+  return Array.from(hash)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+/**
+ * Crée le contenu du fichier de sauvegarde
+ *
+ * @param {Object} data - { activeTickets, historyTickets, settings,
+ *   subscriptions, vouchers, lotKeys, revocations, scanLog }
+ * @param {Object} meta - { deviceId, schemaVersion }
+ * @param {string} createdAt - Date de la sauvegarde (ISO)
+ * @returns {string} JSON du fichier
+ */
+export const createBackupData = (
+  data,
+  { deviceId, schemaVersion },
+  createdAt = new Date().toISOString()
+) => {
+  return JSON.stringify({
+    type: BACKUP_TYPE,
+    v: BACKUP_VERSION,
+    schemaVersion,
+    createdAt,
+    deviceId,
+    checksum: computeBackupChecksum(data),
+    data,
+  });
+};
+
+/**
+ * Copies des clés des parkings à sauvegarder, sans leur clé privée
+ * @param {Array} lotKeys - Clés enregistrées sur l'appareil
+ * @returns {Array} Clés publiques (secretKey : null)
+ */
+export const toBackupLotKeys = (lotKeys) => {
+  return lotKeys.map((lotKey) => ({ ...lotKey, secretKey: null }));
+};
+
+/**
+ * Nom du fichier de sauvegarde
+ * @param {string} createdAt - Date de la sauvegarde (ISO)
+ * @returns {string} Ex: "ticket-parking-sauvegarde-2025-01-20-1430.json"
+ */
+export const getBackupFileName = (createdAt) => {
+  const stamp = createdAt.slice(0, 16).replace("T", "-").replace(":", "");
+  return `ticket-parking-sauvegarde-${stamp}.json`;
+};
+
+/**
+ * Indique si une valeur est une date ISO valide
+ * @param {*} value - Valeur à vérifier
+ * @returns {boolean} true si la date est utilisable
+ */
+const isValidDate = (value) => {
+  return typeof value === "string" && !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Vérifie les tickets d'une liste de la sauvegarde
+ *
+ * @param {Array} tickets - Tickets de la liste
+ * @param {string} listName - Nom de la liste (pour les messages)
+ * @param {string} status - Statut attendu des tickets de la liste
+ * @returns {Array<string>} Erreurs (vide si la liste est valide)
+ */
+const validateTicketList = (tickets, listName, status) => {
+  if (!Array.isArray(tickets)) {
+    return [`${listName} : liste manquante`];
+  }
+
+  const errors = [];
+  tickets.forEach((ticket, index) => {
+    const label = `${listName}[${index}]`;
+    if (!ticket || typeof ticket.id !== "string" || ticket.id.length === 0) {
+      errors.push(`${label} : ID du ticket manquant`);
+      return;
+    }
+    if (ticket.status !== status) {
+      errors.push(
+        `${label} : statut « ${ticket.status} » inattendu (attendu : « ${status} »)`
+      );
+    }
+    if (!isValidDate(ticket.entryTime)) {
+      errors.push(`${label} : heure d'entrée invalide`);
+    }
+    if (status === "closed") {
+      if (!isValidDate(ticket.exitTime)) {
+        errors.push(`${label} : heure de sortie invalide`);
+      }
+      if (typeof ticket.totalAmount !== "number") {
+        errors.push(`${label} : montant manquant`);
+      }
+    }
+  });
+  return errors;
+};
+
+/**
+ * Vérifie les paramètres d'une sauvegarde avec les mêmes règles que
+ * l'écran des paramètres
+ *
+ * @param {Object} settings - Paramètres de la sauvegarde
+ * @returns {Array<string>} Erreurs (vide si les paramètres sont valides)
+ */
+const validateBackupSettings = (settings) => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return ["settings : paramètres manquants"];
+  }
+
+  const errors = [];
+  const isObject = (value) => !!value && typeof value === "object";
+
+  if (!isObject(settings.currency)) {
+    errors.push("settings.currency : devise manquante");
+  } else {
+    validateCurrency(settings.currency).forEach((error) =>
+      errors.push(`settings.currency : ${error}`)
+    );
+  }
+
+  if (!isObject(settings.taxConfig)) {
+    errors.push("settings.taxConfig : taxes manquantes");
+  } else {
+    validateTaxConfig(settings.taxConfig).forEach((error) =>
+      errors.push(`settings.taxConfig : ${error}`)
+    );
+  }
+
+  validateSchedule(settings.rateSchedule).forEach((error) =>
+    errors.push(`settings.rateSchedule : ${error}`)
+  );
+
+  if (
+    !Array.isArray(settings.vehicleCategories) ||
+    settings.vehicleCategories.length === 0
+  ) {
+    errors.push("settings.vehicleCategories : catégories manquantes");
+  } else {
+    settings.vehicleCategories.forEach((category, index) => {
+      const label = `settings.vehicleCategories[${index}]`;
+      if (!isObject(category) || typeof category.id !== "string") {
+        errors.push(`${label} : catégorie mal formée`);
+        return;
+      }
+      validateTariff(category.tariff).forEach((error) =>
+        errors.push(`${label} : ${error}`)
+      );
+    });
+  }
+
+  if (
+    typeof settings.lostTicketPenalty !== "number" ||
+    !(settings.lostTicketPenalty >= 0)
+  ) {
+    errors.push("settings.lostTicketPenalty : pénalité invalide");
+  }
+
+  return errors;
+};
+
+/**
+ * Vérifie une liste d'éléments de la sauvegarde
+ *
+ * @param {Array} items - Éléments de la liste
+ * @param {string} listName - Nom de la liste (pour les messages)
+ * @param {Function} validateItem - Retourne les erreurs d'un élément
+ * @returns {Array<string>} Erreurs (vide si la liste est valide)
+ */
+const validateItemList = (items, listName, validateItem) => {
+  if (!Array.isArray(items)) {
+    return [`${listName} : liste manquante`];
+  }
+
+  const errors = [];
+  items.forEach((item, index) => {
+    const itemErrors =
+      item && typeof item === "object"
+        ? validateItem(item)
+        : ["élément mal formé"];
+    itemErrors.forEach((error) =>
+      errors.push(`${listName}[${index}] : ${error}`)
+    );
+  });
+  return errors;
+};
+
+/**
+ * Vérifie le contenu ("data") d'une sauvegarde
+ * @param {Object} data - Contenu de la sauvegarde
+ * @returns {Array<string>} Erreurs (vide si le contenu est valide)
+ */
+const validateBackupContent = (data) => {
+  if (!data || typeof data !== "object") {
+    return ["data : contenu de la sauvegarde manquant"];
+  }
+
+  const errors = [
+    ...validateTicketList(data.activeTickets, "activeTickets", "active"),
+    ...validateTicketList(data.historyTickets, "historyTickets", "closed"),
+  ];
+
+  // Un ticket ne peut pas être à la fois actif et dans l'historique
+  if (errors.length === 0) {
+    const ids = new Set();
+    [...data.activeTickets, ...data.historyTickets].forEach((ticket) => {
+      if (ids.has(ticket.id)) {
+        errors.push(`${ticket.id} : ticket présent deux fois`);
+      }
+      ids.add(ticket.id);
+    });
+  }
+
+  errors.push(...validateBackupSettings(data.settings));
+
+  errors.push(
+    ...validateItemList(data.subscriptions, "subscriptions", (subscription) =>
+      typeof subscription.id === "string"
+        ? validateSubscription(subscription)
+        : ["ID de l'abonnement manquant"]
+    ),
+    ...validateItemList(data.vouchers, "vouchers", validateVoucher),
+    ...validateItemList(data.lotKeys, "lotKeys", (lotKey) => {
+      if (typeof lotKey.lotId !== "string" || !lotKey.lotId) {
+        return ["identifiant du parking manquant"];
+      }
+      if (!isValidPublicKey(lotKey.publicKey)) {
+        return ["clé publique invalide"];
+      }
+      return lotKey.secretKey ? ["clé privée présente dans la sauvegarde"] : [];
+    })
+  );
+
+  if (!Array.isArray(data.revocations)) {
+    errors.push("revocations : liste manquante");
+  } else if (!data.revocations.every(isValidRevocation)) {
+    errors.push("revocations : révocation mal formée");
+  }
+
+  if (!Array.isArray(data.scanLog)) {
+    errors.push("scanLog : journal manquant");
+  } else if (
+    !data.scanLog.every(
+      (scan) =>
+        scan && typeof scan.ticketId === "string" && isValidDate(scan.scannedAt)
+    )
+  ) {
+    errors.push("scanLog : scan mal formé");
+  }
+
+  return errors;
+};
+
+/**
+ * Lit et vérifie un fichier de sauvegarde
+ * Rien n'est restauré tant que la liste des erreurs n'est pas vide
+ *
+ * @param {string} text - Contenu du fichier
+ * @param {number} currentSchemaVersion - Schéma de cette version de l'application
+ * @returns {Object} { backup, errors } (backup : null si illisible)
+ */
+export const parseBackupData = (text, currentSchemaVersion) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, errors: ["Le fichier n'est pas au format JSON"] };
+  }
+
+  if (!backup || backup.type !== BACKUP_TYPE) {
+    return {
+      backup: null,
+      errors: ["Ce fichier n'est pas une sauvegarde de Ticket Parking"],
+    };
+  }
+
+  if (backup.v !== BACKUP_VERSION) {
+    return {
+      backup,
+      errors: [
+        `v : version ${backup.v ?? "absente"} non prise en charge (attendue : ${BACKUP_VERSION})`,
+      ],
+    };
+  }
+
+  if (
+    typeof backup.schemaVersion !== "number" ||
+    backup.schemaVersion > currentSchemaVersion
+  ) {
+    return {
+      backup,
+      errors: [
+        `schemaVersion : sauvegarde créée par une version plus récente de l'application (${backup.schemaVersion ?? "absente"})`,
+      ],
+    };
+  }
+
+  // Contenu tronqué ou modifié depuis la sauvegarde
+  if (
+    typeof backup.checksum !== "string" ||
+    backup.checksum !== computeBackupChecksum(backup.data)
+  ) {
+    return {
+      backup,
+      errors: ["checksum : le fichier est incomplet ou a été modifié"],
+    };
+  }
+
+  return { backup, errors: validateBackupContent(backup.data) };
+};
+
+/**
+ * Fusionne les tickets d'une sauvegarde avec ceux de l'appareil
+ * - Un ticket inconnu de l'appareil est ajouté
+ * - Un ticket actif sur l'appareil mais clôturé dans la sauvegarde est
+ *   clôturé (une clôture est définitive)
+ * - Sinon, la version de l'appareil est conservée
+ *
+ * @param {Array} tickets - Tickets de l'appareil (actifs et historique)
+ * @param {Array} imported - Tickets de la sauvegarde
+ * @returns {Object} { tickets (à enregistrer), addedCount, closedCount }
+ */
+export const mergeBackupTickets = (tickets, imported) => {
+  const existingById = new Map(tickets.map((t) => [t.id, t]));
+  const changed = [];
+  let addedCount = 0;
+  let closedCount = 0;
+
+  imported.forEach((ticket) => {
+    const existing = existingById.get(ticket.id);
+    if (!existing) {
+      changed.push(ticket);
+      addedCount += 1;
+    } else if (existing.status === "active" && ticket.status !== "active") {
+      changed.push(ticket);
+      closedCount += 1;
+    }
+  });
+
+  return { tickets: changed, addedCount, closedCount };
+};
+
+/**
+ * Fusionne une liste de la sauvegarde avec celle de l'appareil
+ * Un élément déjà présent sur l'appareil (même clé) est conservé tel quel
+ *
+ * @param {Array} items - Éléments de l'appareil
+ * @param {Array} imported - Éléments de la sauvegarde
+ * @param {Function} getKey - Clé d'un élément (ex: ID de l'abonnement)
+ * @returns {Object} { items (liste fusionnée), addedCount }
+ */
+export const mergeBackupItems = (items, imported, getKey) => {
+  const known = new Set(items.map(getKey));
+  const added = imported.filter((item) => !known.has(getKey(item)));
+  return { items: [...items, ...added], addedCount: added.length };
+};
+
+/**
+ * Fusionne le journal des scans d'une sauvegarde avec celui de l'appareil
+ * Un même scan (ticket, date, appareil) n'est conservé qu'une fois
+ *
+ * @param {Array} scanLog - Journal de l'appareil
+ * @param {Array} imported - Journal de la sauvegarde
+ * @returns {Array} Journal fusionné, du plus ancien au plus récent
+ */
+export const mergeBackupScanLogs = (scanLog, imported) => {
+  const getScanKey = (scan) =>
+    `${scan.ticketId}|${scan.scannedAt}|${scan.deviceId}`;
+  const known = new Set(scanLog.map(getScanKey));
+
+  return [
+    ...scanLog,
+    ...imported.filter((scan) => !known.has(getScanKey(scan))),
+  ].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+};
@@ -0,0 +1,78 @@
+/**
+ * ENCODAGE BASE45 (RFC 9285)
+ *
+ * Convertit des octets en texte composé uniquement des 45 caractères du
+ * mode alphanumérique des QR codes. Ce mode stocke 5,5 bits par caractère
+ * (contre 8 en mode octet) : le QR code est moins dense, donc plus facile
+ * à scanner sur un écran abîmé.
+ *
+ * Chaque paire d'octets devient 3 caractères, un octet isolé en devient 2.
+ */
+
+// Alphabet défini par la RFC 9285
+const BASE45_ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+/**
+ * Encode des octets en base45
+ * @param {Uint8Array|Array<number>} bytes - Octets à encoder
+ * @returns {string} Texte base45
+ */
+export const encodeBase45 = (bytes) => {
+  let text = "";
+
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      const value = bytes[i] * 256 + bytes[i + 1];
+      text +=
+        BASE45_ALPHABET[value % 45] +
+        BASE45_ALPHABET[Math.floor(value / 45) % 45] +
+        BASE45_ALPHABET[Math.floor(value / 2025)];
+    } else {
+      text +=
+        BASE45_ALPHABET[bytes[i] % 45] +
+        BASE45_ALPHABET[Math.floor(bytes[i] / 45)];
+    }
+  }
+
+  return text;
+};
+
+/**
+ * Décode un texte base45
+ * @param {string} text - Texte base45
+ * @returns {Uint8Array|null} Octets décodés ou null si le texte est invalide
+ */
+export const decodeBase45 = (text) => {
+  if (text.length % 3 === 1) {
+    return null;
+  }
+
+  const bytes = [];
+  for (let i = 0; i < text.length; i += 3) {
+    const digits = text
+      .slice(i, i + 3)
+      .split("")
+      .map((char) => BASE45_ALPHABET.indexOf(char));
+    if (digits.includes(-1)) {
+      return null;
+    }
+
+    const value = digits.reduce(
+      (sum, digit, index) => sum + digit * Math.pow(45, index),
+      0
+    );
+    if (digits.length === 3) {
+      if (value > 0xffff) {
+        return null;
+      }
+      bytes.push(Math.floor(value / 256), value % 256);
+    } else {
+      if (value > 0xff) {
+        return null;
+      }
+      bytes.push(value);
+    }
+  }
+
+  return Uint8Array.from(bytes);
+};
@@ -79,28 +79,33 @@ export const calculatePrice = (entryTime, exitTime, pricePerHour) => {
  * Formate une durée en minutes en chaîne lisible
  *
  * @param {number} minutes - Durée en minutes
- * @returns {string} Format "2h 30min" ou "45min" ou "2h"
+ * @returns {string} Format "2j 3h 10min", "2h 30min", "45min" ou "2h"
  *
  * Exemples :
  * - 30 minutes => "30min"
  * - 120 minutes => "2h"
  * - 150 minutes => "2h 30min"
+ * - 3070 minutes => "2j 3h 10min"
  */
 export const formatDuration = (minutes) => {
   if (minutes < 0 || isNaN(minutes)) {
     return "0min";
   }
 
-  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
   const mins = minutes % 60;
 
-  if (hours === 0) {
+  if (days === 0 && hours === 0) {
     return `${mins}min`;
-  } else if (mins === 0) {
-    return `${hours}h`;
-  } else {
-    return `${hours}h ${mins}min`;
   }
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}j`);
+  if (hours > 0) parts.push(`${hours}h`);
+  if (mins > 0) parts.push(`${mins}min`);
+
+  return parts.join(" ");
 };
 
 /**
@@ -189,3 +194,38 @@ export const formatForInput = (dateString) => {
     return "";
   }
 };
+
+/**
+ * Interprète une date/heure saisie à la main
+ *
+ * @param {string} text - "AAAA-MM-JJ HH:MM", "AAAA-MM-JJTHH:MM" ou "HH:MM" (aujourd'hui)
+ * @returns {string|null} Date ISO string ou null si la saisie est invalide
+ */
+export const parseDateTimeInput = (text) => {
+  const value = (text || "").trim();
+
+  const isValidTime = (hours, minutes) => hours <= 23 && minutes <= 59;
+
+  const timeOnly = /^(\d{1,2})[:h](\d{2})$/.exec(value);
+  if (timeOnly) {
+    const [, hours, minutes] = timeOnly.map(Number);
+    if (!isValidTime(hours, minutes)) return null;
+
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date.toISOString();
+  }
+
+  const full = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2})[:h](\d{2})$/.exec(value);
+  if (full) {
+    const [, year, month, day, hours, minutes] = full.map(Number);
+    if (!isValidTime(hours, minutes)) return null;
+
+    const date = new Date(year, month - 1, day, hours, minutes);
+    // Rejeter les dates inexistantes (ex: 2025-02-30)
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date.toISOString();
+  }
+
+  return null;
+};
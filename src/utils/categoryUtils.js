@@ -0,0 +1,103 @@
+import { createTariff } from "./tariffUtils";
+
+/**
+ * CATÉGORIES DE VÉHICULES
+ *
+ * Chaque catégorie possède son propre tarif par défaut :
+ * {
+ *   "id": "moto",
+ *   "label": "Moto",
+ *   "icon": "🏍️",
+ *   "tariff": { "bands": [...], ... }
+ * }
+ *
+ * La liste est configurable dans les paramètres ; le ticket conserve une
+ * copie de la catégorie choisie (id, libellé, icône) pour l'historique.
+ */
+
+// Catégories proposées par défaut
+export const DEFAULT_VEHICLE_CATEGORIES = [
+  {
+    id: "moto",
+    label: "Moto",
+    icon: "🏍️",
+    tariff: createTariff({ firstHourPrice: 25 }),
+  },
+  {
+    id: "car",
+    label: "Voiture",
+    icon: "🚗",
+    tariff: createTariff({ firstHourPrice: 50 }),
+  },
+  {
+    id: "minibus",
+    label: "Minibus",
+    icon: "🚐",
+    tariff: createTariff({ firstHourPrice: 100 }),
+  },
+  {
+    id: "truck",
+    label: "Camion",
+    icon: "🚚",
+    tariff: createTariff({ firstHourPrice: 200 }),
+  },
+];
+
+// Regroupement des anciens tickets sans catégorie
+const UNKNOWN_CATEGORY = { id: "unknown", label: "Non précisée", icon: "❔" };
+
+/**
+ * Crée un identifiant de catégorie à partir de son libellé
+ * @param {string} label - Libellé de la catégorie (ex: "Tricycle")
+ * @returns {string} Identifiant (ex: "tricycle")
+ */
+export const createCategoryId = (label) => {
+  return label
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+};
+
+/**
+ * Retourne la catégorie enregistrée sur un ticket
+ * @param {Object} ticket - Ticket (actif ou historique)
+ * @returns {Object} { id, label, icon }
+ */
+export const getTicketCategory = (ticket) => {
+  return ticket.vehicleCategory || UNKNOWN_CATEGORY;
+};
+
+/**
+ * Copie d'une catégorie à enregistrer sur le ticket (sans le tarif,
+ * déjà enregistré séparément)
+ * @param {Object} category - Catégorie choisie
+ * @returns {Object} { id, label, icon }
+ */
+export const toTicketCategory = (category) => {
+  return { id: category.id, label: category.label, icon: category.icon };
+};
+
+/**
+ * Calcule les statistiques de l'historique par catégorie
+ *
+ * @param {Array} tickets - Tickets clôturés
+ * @returns {Array<Object>} [{ category, count, totalAmount }] trié par montant
+ */
+export const getStatsByCategory = (tickets) => {
+  const stats = new Map();
+
+  tickets.forEach((ticket) => {
+    const category = getTicketCategory(ticket);
+    if (!stats.has(category.id)) {
+      stats.set(category.id, { category, count: 0, totalAmount: 0 });
+    }
+    const entry = stats.get(category.id);
+    entry.count += 1;
+    entry.totalAmount += ticket.totalAmount || 0;
+  });
+
+  return [...stats.values()].sort((a, b) => b.totalAmount - a.totalAmount);
+};
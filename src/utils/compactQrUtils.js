@@ -0,0 +1,262 @@
+import naclUtil from "tweetnacl-util";
+import { encodeBase45, decodeBase45 } from "./base45Utils";
+import { createLotId } from "./signatureUtils";
+
+/**
+ * FORMAT COMPACT DES QR CODES
+ *
+ * Les données du ticket sont écrites en binaire puis encodées en base45,
+ * précédées du préfixe "PT:" (ex: "PT:0A9E3...").
+ *
+ * Version 1 (octets, entiers en big-endian) :
+ * - 1 octet  : version du format
+ * - 1 octet  : indicateurs (1 = signé, 2 = identifiant UUID,
+ *              4 = empreinte du tarif)
+ * - 16 octets: identifiant UUID (sinon 1 octet de longueur + texte UTF-8)
+ * - 6 octets : heure d'entrée (millisecondes depuis 1970)
+ * - 6 octets : date de génération du QR code (millisecondes)
+ * - 4 octets : tarif horaire en millièmes
+ * - 12 octets: empreinte du tarif, si l'indicateur 4 est présent
+ * - 1 octet de longueur + nom du parking (UTF-8)
+ * - 64 octets: signature Ed25519, si le ticket est signé
+ *
+ * L'identifiant de la clé ("lot") n'est pas écrit : il se déduit du nom du
+ * parking. Les champs décodés sont identiques à ceux du format JSON, la
+ * signature reste donc vérifiable quel que soit le format.
+ */
+
+// Préfixe des QR codes compacts (caractères du mode alphanumérique)
+export const COMPACT_QR_PREFIX = "PT:";
+
+// Version actuelle du format compact
+export const QR_FORMAT_VERSION = 1;
+
+// Indicateurs de l'octet 1
+const FLAG_SIGNED = 1;
+const FLAG_UUID = 2;
+const FLAG_TARIFF = 4;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const SIGNATURE_LENGTH = 64;
+const TARIFF_HASH_LENGTH = 12;
+const MAX_TIME = Math.pow(2, 48) - 1;
+const MAX_PRICE = 0xffffffff;
+
+/**
+ * Écrit un entier non signé sur plusieurs octets
+ * @param {Array<number>} bytes - Octets en cours d'écriture
+ * @param {number} value - Entier à écrire
+ * @param {number} length - Nombre d'octets
+ */
+const writeUint = (bytes, value, length) => {
+  for (let i = length - 1; i >= 0; i--) {
+    bytes.push(Math.floor(value / Math.pow(256, i)) % 256);
+  }
+};
+
+/**
+ * Écrit un texte UTF-8 précédé de sa longueur
+ * @param {Array<number>} bytes - Octets en cours d'écriture
+ * @param {string} text - Texte à écrire (255 octets au plus)
+ */
+const writeText = (bytes, text) => {
+  const encoded = naclUtil.decodeUTF8(text);
+  bytes.push(encoded.length, ...encoded);
+};
+
+/**
+ * Crée un lecteur séquentiel des octets décodés
+ * @param {Uint8Array} bytes - Octets à lire
+ * @returns {Object} { take, uint, text, isDone }
+ */
+const createReader = (bytes) => {
+  let offset = 0;
+
+  const take = (length) => {
+    if (offset + length > bytes.length) {
+      throw new Error("QR code compact tronqué");
+    }
+    const chunk = bytes.slice(offset, offset + length);
+    offset += length;
+    return chunk;
+  };
+
+  const uint = (length) =>
+    Array.from(take(length)).reduce((value, byte) => value * 256 + byte, 0);
+
+  return {
+    take,
+    uint,
+    text: () => naclUtil.encodeUTF8(take(uint(1))),
+    isDone: () => offset === bytes.length,
+  };
+};
+
+/**
+ * Indique si une date est au format ISO produit par toISOString
+ * (seul format restitué à l'identique au décodage)
+ *
+ * @param {string} value - Date à vérifier
+ * @returns {boolean} true si la date est encodable
+ */
+const isCanonicalTime = (value) => {
+  const time = new Date(value).getTime();
+  return (
+    time >= 0 && time <= MAX_TIME && new Date(time).toISOString() === value
+  );
+};
+
+/**
+ * Indique si les données d'un QR code peuvent être écrites au format compact
+ * Sinon, le QR code reste au format JSON (ex: heure d'entrée saisie sans
+ * millisecondes, nom de parking très long)
+ *
+ * @param {Object} qrData - Données du QR code (voir createQRCodeData)
+ * @returns {boolean} true si le format compact restitue les mêmes données
+ */
+export const canEncodeCompact = (qrData) => {
+  const price = qrData.pricePerHour;
+  return (
+    (qrData.tariffHash === undefined ||
+      /^[A-Za-z0-9+/]{16}$/.test(qrData.tariffHash)) &&
+    typeof qrData.id === "string" &&
+    naclUtil.decodeUTF8(qrData.id).length <= 255 &&
+    naclUtil.decodeUTF8(qrData.parkingName).length <= 255 &&
+    (!qrData.sig || qrData.lot === createLotId(qrData.parkingName)) &&
+    isCanonicalTime(qrData.entryTime) &&
+    isCanonicalTime(qrData.timestamp) &&
+    typeof price === "number" &&
+    price >= 0 &&
+    Math.round(price * 1000) <= MAX_PRICE &&
+    Math.round(price * 1000) / 1000 === price
+  );
+};
+
+/**
+ * Encode les données d'un QR code au format compact
+ *
+ * @param {Object} qrData - Données du QR code (voir canEncodeCompact)
+ * @returns {string} Ex: "PT:0A9E3..."
+ */
+export const encodeCompactPayload = (qrData) => {
+  const isUuid = UUID_PATTERN.test(qrData.id);
+  const flags =
+    (qrData.sig ? FLAG_SIGNED : 0) |
+    (isUuid ? FLAG_UUID : 0) |
+    (qrData.tariffHash ? FLAG_TARIFF : 0);
+  const bytes = [QR_FORMAT_VERSION, flags];
+
+  if (isUuid) {
+    const hex = qrData.id.replace(/-/g, "");
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.slice(i, i + 2), 16));
+    }
+  } else {
+    writeText(bytes, qrData.id);
+  }
+
+  writeUint(bytes, new Date(qrData.entryTime).getTime(), 6);
+  writeUint(bytes, new Date(qrData.timestamp).getTime(), 6);
+  writeUint(bytes, Math.round(qrData.pricePerHour * 1000), 4);
+  if (qrData.tariffHash) {
+    bytes.push(...naclUtil.decodeBase64(qrData.tariffHash));
+  }
+  writeText(bytes, qrData.parkingName);
+
+  if (qrData.sig) {
+    bytes.push(...naclUtil.decodeBase64(qrData.sig));
+  }
+
+  return COMPACT_QR_PREFIX + encodeBase45(bytes);
+};
+
+/**
+ * Indique si un contenu scanné est au format compact
+ * @param {string} scannedData - Données brutes du QR code
+ * @returns {boolean} true si le contenu commence par le préfixe compact
+ */
+export const isCompactPayload = (scannedData) => {
+  return (
+    typeof scannedData === "string" && scannedData.startsWith(COMPACT_QR_PREFIX)
+  );
+};
+
+/**
+ * Lit les octets d'un QR code compact
+ * Un contenu tronqué lève une erreur (voir createReader)
+ *
+ * @param {Uint8Array} bytes - Octets décodés
+ * @returns {Object|null} Données au format JSON, ou null si le contenu est
+ *   invalide ou d'une version inconnue
+ */
+const readCompactPayload = (bytes) => {
+  const reader = createReader(bytes);
+  const version = reader.uint(1);
+  if (version !== QR_FORMAT_VERSION) {
+    console.warn(`Version de QR code non prise en charge : ${version}`);
+    return null;
+  }
+
+  const flags = reader.uint(1);
+  let id;
+  if (flags & FLAG_UUID) {
+    const hex = Array.from(reader.take(16))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+    id = [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20),
+    ].join("-");
+  } else {
+    id = reader.text();
+  }
+
+  const entryTime = new Date(reader.uint(6)).toISOString();
+  const timestamp = new Date(reader.uint(6)).toISOString();
+  const pricePerHour = reader.uint(4) / 1000;
+  const tariffHash =
+    flags & FLAG_TARIFF
+      ? naclUtil.encodeBase64(reader.take(TARIFF_HASH_LENGTH))
+      : null;
+  const qrData = {
+    id,
+    parkingName: reader.text(),
+    entryTime,
+    pricePerHour,
+    timestamp,
+  };
+  if (tariffHash) {
+    qrData.tariffHash = tariffHash;
+  }
+
+  if (flags & FLAG_SIGNED) {
+    qrData.lot = createLotId(qrData.parkingName);
+    qrData.sig = naclUtil.encodeBase64(reader.take(SIGNATURE_LENGTH));
+  }
+
+  return reader.isDone() ? qrData : null;
+};
+
+/**
+ * Décode un QR code au format compact
+ *
+ * @param {string} scannedData - Données brutes du QR code ("PT:...")
+ * @returns {Object|null} Données au format JSON, ou null si le contenu est
+ *   invalide (ex: tronqué) ou d'une version inconnue
+ */
+export const decodeCompactPayload = (scannedData) => {
+  const bytes = decodeBase45(scannedData.slice(COMPACT_QR_PREFIX.length));
+  if (!bytes || bytes.length === 0) {
+    return null;
+  }
+
+  try {
+    return readCompactPayload(bytes);
+  } catch (error) {
+    return null;
+  }
+};
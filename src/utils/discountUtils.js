@@ -0,0 +1,236 @@
+import { calculateTicketPrice } from "./tariffUtils";
+import { toDateKey } from "./scheduleUtils";
+import {
+  formatMoney,
+  getTicketCurrency,
+  roundAmount,
+  roundToMinorUnit,
+} from "./moneyUtils";
+
+/**
+ * OBJECTIF 4 : Clôturer le ticket lors de la sortie
+ *
+ * Ce fichier gère les réductions appliquées au moment de la sortie :
+ * - Pourcentage du montant (ex: -20 %)
+ * - Montant fixe (ex: -100 FCFA, dans la devise du site)
+ * - Heures offertes (ex: 2 heures validées par un commerçant)
+ * - Codes promo / bons de validation, qui portent l'une de ces réductions
+ *
+ * Format d'une réduction :
+ * { "type": "percentage", "value": 20, "code": "MARCHE20" }
+ *
+ * Format d'un bon (voir voucherStorage) :
+ * {
+ *   "code": "MARCHE20",
+ *   "type": "percentage",
+ *   "value": 20,
+ *   "validFrom": "2025-01-01",   // null = pas de date de début
+ *   "validUntil": "2025-12-31",  // null = pas de date de fin
+ *   "usageLimit": 100,           // null = illimité
+ *   "usedCount": 0
+ * }
+ */
+
+export const DISCOUNT_TYPES = [
+  { id: "percentage", label: "%" },
+  { id: "fixed", label: "Montant" },
+  { id: "freeHours", label: "Heures offertes" },
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalise un code promo saisi (majuscules, sans espaces)
+ * @param {string} code - Code saisi
+ * @returns {string} Ex: "MARCHE20"
+ */
+export const normalizeVoucherCode = (code) => {
+  return (code || "").toUpperCase().replace(/\s+/g, "");
+};
+
+/**
+ * Vérifie qu'une réduction est bien formée
+ *
+ * @param {Object} discount - Réduction à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si la réduction est valide)
+ */
+export const validateDiscount = (discount) => {
+  const errors = [];
+
+  if (!discount || !DISCOUNT_TYPES.some((t) => t.id === discount.type)) {
+    return ["Type de réduction invalide"];
+  }
+
+  if (typeof discount.value !== "number" || !(discount.value > 0)) {
+    errors.push("La valeur de la réduction doit être positive");
+  } else if (discount.type === "percentage" && discount.value > 100) {
+    errors.push("Le pourcentage ne peut pas dépasser 100");
+  }
+
+  return errors;
+};
+
+/**
+ * Vérifie qu'un bon est bien formé avant de l'enregistrer
+ *
+ * @param {Object} voucher - Bon à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si le bon est valide)
+ */
+export const validateVoucher = (voucher) => {
+  const errors = [];
+
+  if (!/^[A-Z0-9-]{3,20}$/.test(voucher.code || "")) {
+    errors.push("Le code doit contenir 3 à 20 lettres ou chiffres");
+  }
+
+  errors.push(...validateDiscount(voucher));
+
+  [voucher.validFrom, voucher.validUntil].forEach((date) => {
+    if (date && !DATE_PATTERN.test(date)) {
+      errors.push(`Date invalide : ${date} (format AAAA-MM-JJ)`);
+    }
+  });
+  if (
+    voucher.validFrom &&
+    voucher.validUntil &&
+    voucher.validFrom > voucher.validUntil
+  ) {
+    errors.push("La date de fin doit suivre la date de début");
+  }
+
+  if (
+    voucher.usageLimit !== null &&
+    (!Number.isInteger(voucher.usageLimit) || voucher.usageLimit < 1)
+  ) {
+    errors.push("Le nombre d'utilisations doit être un entier positif");
+  }
+
+  return errors;
+};
+
+/**
+ * Indique pourquoi un bon ne peut pas être utilisé à une date donnée
+ *
+ * @param {Object} voucher - Bon enregistré
+ * @param {string} dateString - Date d'utilisation (ISO string)
+ * @returns {string|null} Message d'erreur, ou null si le bon est utilisable
+ */
+export const getVoucherError = (voucher, dateString) => {
+  const today = toDateKey(new Date(dateString));
+
+  if (voucher.validFrom && today < voucher.validFrom) {
+    return `Ce code n'est valable qu'à partir du ${voucher.validFrom}`;
+  }
+  if (voucher.validUntil && today > voucher.validUntil) {
+    return `Ce code a expiré le ${voucher.validUntil}`;
+  }
+  if (
+    voucher.usageLimit !== null &&
+    (voucher.usedCount || 0) >= voucher.usageLimit
+  ) {
+    return "Ce code a atteint son nombre maximal d'utilisations";
+  }
+
+  return null;
+};
+
+/**
+ * Décrit une réduction pour l'affichage
+ * @param {Object} discount - Réduction
+ * @param {Object} currency - Devise (réductions en montant fixe)
+ * @returns {string} Ex: "-20 %", "-100 FCFA", "2h offertes"
+ */
+export const formatDiscount = (discount, currency) => {
+  switch (discount.type) {
+    case "percentage":
+      return `-${discount.value} %`;
+    case "fixed":
+      return `-${formatMoney(discount.value, currency)}`;
+    case "freeHours":
+      return `${discount.value}h offerte${discount.value > 1 ? "s" : ""}`;
+    default:
+      return "";
+  }
+};
+
+/**
+ * Montant dû lorsque des heures de stationnement sont offertes
+ * Le séjour est facturé comme s'il était plus court du nombre d'heures
+ * offertes (tranches, franchise et plafond restent ceux du tarif)
+ *
+ * @param {Object} ticket - Ticket actif
+ * @param {number} hours - Nombre d'heures offertes
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @returns {number} Montant restant dû
+ */
+const getAmountAfterFreeHours = (ticket, hours, exitTime) => {
+  const shortenedExit = new Date(
+    new Date(exitTime).getTime() - Math.round(hours * 60) * 60000
+  );
+
+  if (shortenedExit <= new Date(ticket.entryTime)) {
+    return 0;
+  }
+
+  return calculateTicketPrice(ticket, shortenedExit.toISOString()).totalAmount;
+};
+
+/**
+ * Applique une réduction au montant calculé d'un ticket
+ * La réduction ne peut jamais rendre le montant négatif ; le montant restant
+ * dû suit la règle d'arrondi de la devise du ticket
+ *
+ * @param {Object} ticket - Ticket actif
+ * @param {number} originalAmount - Montant avant réduction
+ * @param {Object} discount - Réduction { type, value, code }
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @returns {Object} { originalAmount, discountAmount, totalAmount }
+ */
+export const applyDiscount = (ticket, originalAmount, discount, exitTime) => {
+  const currency = getTicketCurrency(ticket);
+  let discountAmount = 0;
+
+  switch (discount.type) {
+    case "percentage":
+      discountAmount = (originalAmount * discount.value) / 100;
+      break;
+    case "fixed":
+      discountAmount = discount.value;
+      break;
+    case "freeHours":
+      discountAmount =
+        originalAmount -
+        getAmountAfterFreeHours(ticket, discount.value, exitTime);
+      break;
+  }
+
+  discountAmount = Math.min(Math.max(discountAmount, 0), originalAmount);
+  const totalAmount = roundAmount(originalAmount - discountAmount, currency);
+
+  return {
+    originalAmount,
+    discountAmount: roundToMinorUnit(originalAmount - totalAmount, currency),
+    totalAmount,
+  };
+};
+
+/**
+ * Extrait les informations de réduction à conserver sur le ticket clôturé
+ *
+ * @param {Object} discount - Réduction appliquée { type, value, code }
+ * @param {Object} result - Résultat de applyDiscount
+ * @param {Object} currency - Devise du ticket
+ * @returns {Object} Champs à enregistrer avec closeTicket
+ */
+export const getDiscountDetails = (discount, result, currency) => {
+  return {
+    originalAmount: result.originalAmount,
+    discount: {
+      type: discount.type,
+      value: discount.value,
+      code: discount.code || null,
+      label: formatDiscount(discount, currency),
+      amount: result.discountAmount,
+    },
+  };
+};
@@ -0,0 +1,269 @@
+import {
+  LOT_KEY_EXPORT_TYPE,
+  createLotId,
+  signPayload,
+  verifyPayloadSignature,
+} from "./signatureUtils";
+import { isCompactPayload } from "./compactQrUtils";
+import { validateTariff } from "./tariffUtils";
+
+/**
+ * QR CODE DE CONFIGURATION D'UN PARKING
+ *
+ * Le gestionnaire du parking génère ce QR code depuis les paramètres et
+ * l'affiche à l'entrée. Le scanner depuis l'écran "Nouveau ticket"
+ * pré-remplit le nom du parking et son tarif.
+ *
+ * Format (JSON) :
+ * {
+ *   "type": "parking_lot_config",
+ *   "v": 1,
+ *   "lotId": "marche-central",       // createLotId(parkingName)
+ *   "parkingName": "Marché central",
+ *   "pricePerHour": 50,
+ *   "tariff": { "bands": [...], ... }, // Optionnel (voir tariffUtils)
+ *   "sig": "base64..."                 // Optionnel : signé avec la clé du parking
+ * }
+ *
+ * Le type permet de ne jamais confondre ce QR code avec celui d'un ticket
+ * (qui n'a pas de type) ou avec le partage d'une clé de parking.
+ */
+
+// Type du QR code de configuration
+export const LOT_CONFIG_TYPE = "parking_lot_config";
+
+// Version du format de configuration
+export const LOT_CONFIG_VERSION = 1;
+
+// Champs de la configuration couverts par la signature, dans cet ordre
+const LOT_CONFIG_SIGNED_FIELDS = [
+  "type",
+  "v",
+  "lotId",
+  "parkingName",
+  "pricePerHour",
+  "tariff",
+];
+
+// Champs autorisés dans la configuration
+const LOT_CONFIG_FIELDS = [...LOT_CONFIG_SIGNED_FIELDS, "sig"];
+
+/**
+ * Crée le contenu du QR code de configuration d'un parking
+ *
+ * @param {Object} config - { parkingName, pricePerHour, tariff }
+ * @param {Object|null} lotKey - Clé du parking pour signer (voir lotKeyStorage)
+ * @returns {string} JSON à encoder dans le QR code
+ */
+export const createLotConfigData = (
+  { parkingName, pricePerHour, tariff = null },
+  lotKey = null
+) => {
+  const config = {
+    type: LOT_CONFIG_TYPE,
+    v: LOT_CONFIG_VERSION,
+    lotId: createLotId(parkingName),
+    parkingName: parkingName.trim(),
+    pricePerHour,
+    tariff,
+  };
+
+  if (lotKey) {
+    config.sig = signPayload(
+      config,
+      lotKey.secretKey,
+      LOT_CONFIG_SIGNED_FIELDS
+    );
+  }
+
+  return JSON.stringify(config);
+};
+
+/**
+ * Indique si un QR code scanné est une configuration de parking
+ * (sans la valider), pour l'écarter des QR codes de ticket
+ *
+ * @param {string} scannedData - Données brutes du QR code
+ * @returns {boolean} true si le QR code porte le type de configuration
+ */
+export const isLotConfigData = (scannedData) => {
+  try {
+    return JSON.parse(scannedData)?.type === LOT_CONFIG_TYPE;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Vérifie les champs d'une configuration de parking
+ *
+ * @param {Object} config - Configuration lue dans le QR code
+ * @returns {Array<string>} Liste des erreurs (vide si la configuration est valide)
+ */
+export const validateLotConfig = (config) => {
+  const errors = [];
+
+  if (config.v !== LOT_CONFIG_VERSION) {
+    errors.push(
+      `v : version ${config.v ?? "absente"} non prise en charge (attendue : ${LOT_CONFIG_VERSION})`
+    );
+  }
+
+  Object.keys(config)
+    .filter((field) => !LOT_CONFIG_FIELDS.includes(field))
+    .forEach((field) => errors.push(`${field} : champ inconnu`));
+
+  const hasName =
+    typeof config.parkingName === "string" &&
+    config.parkingName.trim().length > 0;
+  if (!hasName) {
+    errors.push("parkingName : nom du parking manquant");
+  }
+
+  if (typeof config.lotId !== "string" || config.lotId.length === 0) {
+    errors.push("lotId : identifiant du parking manquant");
+  } else if (hasName && config.lotId !== createLotId(config.parkingName)) {
+    errors.push(
+      `lotId : « ${config.lotId} » ne correspond pas au parking (attendu : « ${createLotId(
+        config.parkingName
+      )} »)`
+    );
+  }
+
+  const validPrice =
+    typeof config.pricePerHour === "number" &&
+    isFinite(config.pricePerHour) &&
+    config.pricePerHour >= 0;
+  if (!validPrice) {
+    errors.push(
+      `pricePerHour : doit être un nombre positif (reçu : ${JSON.stringify(
+        config.pricePerHour ?? null
+      )})`
+    );
+  }
+
+  // Le tarif complet est optionnel
+  if (config.tariff !== undefined && config.tariff !== null) {
+    const tariffErrors = validateTariff(config.tariff);
+    tariffErrors.forEach((error) => errors.push(`tariff : ${error}`));
+
+    const firstPrice = config.tariff.bands?.[0]?.pricePerHour;
+    if (
+      tariffErrors.length === 0 &&
+      validPrice &&
+      firstPrice !== config.pricePerHour
+    ) {
+      errors.push(
+        `tariff : le prix de la première tranche (${firstPrice}) diffère de pricePerHour (${config.pricePerHour})`
+      );
+    }
+  }
+
+  if (config.sig !== undefined && typeof config.sig !== "string") {
+    errors.push("sig : signature mal encodée");
+  }
+
+  return errors;
+};
+
+/**
+ * Contrôle la signature d'une configuration
+ *
+ * @param {Object} config - Configuration lue dans le QR code
+ * @param {Object|null} publicKeys - Clés publiques connues { [lotId]: [publicKey] }
+ * @returns {string} "valid" | "invalid" | "unsigned" | "unverified" (clé inconnue)
+ */
+const getConfigSignatureStatus = (config, publicKeys) => {
+  if (!config.sig) {
+    return "unsigned";
+  }
+
+  const lotPublicKeys = (publicKeys && publicKeys[config.lotId]) || [];
+  if (lotPublicKeys.length === 0) {
+    return "unverified";
+  }
+
+  return lotPublicKeys.some((publicKey) =>
+    verifyPayloadSignature(config, publicKey, LOT_CONFIG_SIGNED_FIELDS)
+  )
+    ? "valid"
+    : "invalid";
+};
+
+/**
+ * Explique pourquoi un contenu scanné n'est pas une configuration de parking
+ *
+ * @param {Object} parsed - Contenu JSON du QR code
+ * @returns {string} Message d'erreur
+ */
+const getWrongTypeError = (parsed) => {
+  if (parsed.type === LOT_KEY_EXPORT_TYPE) {
+    return "Ce QR code est une clé de parking : importez-la depuis l'écran de scan";
+  }
+  if (parsed.type === undefined && parsed.id && parsed.entryTime) {
+    return "Ce QR code est un ticket, pas une configuration de parking";
+  }
+  if (parsed.type === undefined) {
+    return "type : absent, ce QR code n'est pas une configuration de parking (générez-la depuis les paramètres)";
+  }
+  return `type : « ${parsed.type} » inconnu (attendu : « ${LOT_CONFIG_TYPE} »)`;
+};
+
+/**
+ * Lit et valide strictement le QR code de configuration d'un parking
+ * La configuration n'est retournée que si tous ses champs sont valides et
+ * si sa signature, lorsqu'elle peut être vérifiée, est correcte
+ *
+ * @param {string} scannedData - Données brutes du QR code scanné
+ * @param {Object|null} publicKeys - Clés publiques connues { [lotId]: [publicKey] }
+ * @returns {Object} { config, errors, signatureStatus }
+ *   config : { lotId, parkingName, pricePerHour, tariff } ou null si invalide
+ *   errors : liste des erreurs, champ par champ
+ */
+export const parseLotConfigData = (scannedData, publicKeys = null) => {
+  const invalid = (errors) => ({ config: null, errors, signatureStatus: null });
+
+  if (isCompactPayload(scannedData)) {
+    return invalid([
+      "Ce QR code est un ticket, pas une configuration de parking",
+    ]);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(scannedData);
+  } catch (error) {
+    return invalid(["Le QR code ne contient pas de données lisibles"]);
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return invalid(["Le QR code ne contient pas de données lisibles"]);
+  }
+
+  if (parsed.type !== LOT_CONFIG_TYPE) {
+    return invalid([getWrongTypeError(parsed)]);
+  }
+
+  const errors = validateLotConfig(parsed);
+  if (errors.length > 0) {
+    return invalid(errors);
+  }
+
+  const signatureStatus = getConfigSignatureStatus(parsed, publicKeys);
+  if (signatureStatus === "invalid") {
+    return invalid([
+      "sig : signature invalide, la configuration a été modifiée",
+    ]);
+  }
+
+  return {
+    config: {
+      lotId: parsed.lotId,
+      parkingName: parsed.parkingName.trim(),
+      pricePerHour: parsed.pricePerHour,
+      tariff: parsed.tariff ?? null,
+    },
+    errors: [],
+    signatureStatus,
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * DEVISE ET FORMAT DES MONTANTS
+ *
+ * Ce fichier centralise tout ce qui concerne l'argent :
+ * - Devise du site (code ISO, symbole et sa position, nombre de décimales)
+ * - Règle d'arrondi des montants facturés (ex: aux 5 ou 25 FCFA près)
+ * - Formatage des montants selon la langue du site
+ *
+ * Format d'une devise (paramètres de l'application) :
+ * {
+ *   "code": "XOF",              // Code ISO 4217
+ *   "symbol": "FCFA",
+ *   "symbolPosition": "after",  // "before" ($12.50) ou "after" (1 250 FCFA)
+ *   "decimals": 0,              // Décimales affichées et facturées
+ *   "roundingStep": 5,          // Montant facturé arrondi au multiple le plus proche
+ *   "locale": "fr-FR"           // Séparateurs des milliers et des décimales
+ * }
+ *
+ * La devise est copiée dans le tarif de chaque ticket : un ticket reste
+ * affiché et facturé dans la devise du site où il a été créé.
+ */
+
+export const DEFAULT_CURRENCY = {
+  code: "XOF",
+  symbol: "FCFA",
+  symbolPosition: "after",
+  decimals: 0,
+  roundingStep: 1,
+  locale: "fr-FR",
+};
+
+// Devises proposées dans les paramètres (modifiables après sélection)
+export const CURRENCY_PRESETS = [
+  DEFAULT_CURRENCY,
+  { ...DEFAULT_CURRENCY, code: "XAF" },
+  {
+    code: "GNF",
+    symbol: "GNF",
+    symbolPosition: "after",
+    decimals: 0,
+    roundingStep: 1,
+    locale: "fr-FR",
+  },
+  {
+    code: "EUR",
+    symbol: "€",
+    symbolPosition: "after",
+    decimals: 2,
+    roundingStep: 0.01,
+    locale: "fr-FR",
+  },
+  {
+    code: "USD",
+    symbol: "$",
+    symbolPosition: "before",
+    decimals: 2,
+    roundingStep: 0.01,
+    locale: "en-US",
+  },
+];
+
+/**
+ * Vérifie qu'une devise est bien formée
+ *
+ * @param {Object} currency - Devise à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si la devise est valide)
+ */
+export const validateCurrency = (currency) => {
+  const errors = [];
+
+  if (!/^[A-Z]{3}$/.test(currency.code || "")) {
+    errors.push("Code ISO invalide (3 lettres, ex: XOF)");
+  }
+  if (!(currency.symbol || "").trim()) {
+    errors.push("Le symbole est requis");
+  }
+  if (!["before", "after"].includes(currency.symbolPosition)) {
+    errors.push("Position du symbole invalide");
+  }
+  if (
+    !Number.isInteger(currency.decimals) ||
+    currency.decimals < 0 ||
+    currency.decimals > 3
+  ) {
+    errors.push("Le nombre de décimales doit être compris entre 0 et 3");
+  } else if (
+    typeof currency.roundingStep !== "number" ||
+    !(currency.roundingStep > 0)
+  ) {
+    errors.push("Le pas d'arrondi doit être positif");
+  } else if (
+    roundToMinorUnit(currency.roundingStep, currency) !== currency.roundingStep
+  ) {
+    errors.push(
+      `Le pas d'arrondi doit avoir au plus ${currency.decimals} décimale(s)`
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Retourne la devise d'un ticket
+ * Les tickets créés avant la configuration de la devise sont en FCFA
+ *
+ * @param {Object} ticket - Ticket (actif ou historique)
+ * @returns {Object} Devise
+ */
+export const getTicketCurrency = (ticket) => {
+  if (ticket && ticket.tariff && ticket.tariff.currency) {
+    return ticket.tariff.currency;
+  }
+  return DEFAULT_CURRENCY;
+};
+
+/**
+ * Arrondit un montant à la plus petite unité de la devise (centime, FCFA...)
+ *
+ * @param {number} amount - Montant
+ * @param {Object} currency - Devise
+ * @returns {number} Montant arrondi
+ */
+export const roundToMinorUnit = (amount, currency = DEFAULT_CURRENCY) => {
+  const factor = Math.pow(10, currency.decimals);
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Applique la règle d'arrondi du site à un montant facturé
+ * Ex: pas de 25 => 110 FCFA devient 100, 115 FCFA devient 125
+ *
+ * @param {number} amount - Montant calculé
+ * @param {Object} currency - Devise
+ * @returns {number} Montant à encaisser
+ */
+export const roundAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  const step = currency.roundingStep || 1;
+  return roundToMinorUnit(Math.round(amount / step) * step, currency);
+};
+
+/**
+ * Convertit une saisie en montant ("1250", "12,50" ou "12.50")
+ *
+ * @param {string} text - Texte saisi
+ * @param {Object} currency - Devise
+ * @returns {number} Montant arrondi à l'unité de la devise, ou NaN
+ */
+export const parseAmountInput = (text, currency = DEFAULT_CURRENCY) => {
+  const cleaned = (text || "").trim().replace(/\s+/g, "").replace(",", ".");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) {
+    return NaN;
+  }
+  return roundToMinorUnit(parseFloat(cleaned), currency);
+};
+
+/**
+ * Formate un montant avec le symbole de la devise
+ *
+ * @param {number} amount - Montant
+ * @param {Object} currency - Devise
+ * @returns {string} Ex: "1 250 FCFA", "$12.50"
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = (amount || 0).toLocaleString(currency.locale, {
+    minimumFractionDigits: currency.decimals,
+    maximumFractionDigits: currency.decimals,
+  });
+  return currency.symbolPosition === "before"
+    ? `${currency.symbol}${value}`
+    : `${value} ${currency.symbol}`;
+};
+
+/**
+ * Formate un tarif horaire
+ *
+ * @param {number} pricePerHour - Prix par heure
+ * @param {Object} currency - Devise
+ * @returns {string} Ex: "100 FCFA/h"
+ */
+export const formatRate = (pricePerHour, currency = DEFAULT_CURRENCY) => {
+  return `${formatMoney(pricePerHour, currency)}/h`;
+};
@@ -0,0 +1,71 @@
+/**
+ * UTILITAIRES POUR LES PLAQUES D'IMMATRICULATION
+ * Utilisés pour :
+ * - Normaliser la saisie ("11-gh-1234", "11GH1234" => "11 GH 1234")
+ * - Comparer deux plaques quelle que soit leur mise en forme
+ * - Rechercher des tickets par plaque
+ */
+
+/**
+ * Clé de comparaison d'une plaque : majuscules, sans séparateurs
+ * @param {string} plate - Plaque saisie
+ * @returns {string} Ex: "11GH1234"
+ */
+export const getPlateKey = (plate) => {
+  return (plate || "")
+    .toUpperCase()
+    .normalize("NFD")
+    .replace(/[^A-Z0-9]/g, "");
+};
+
+/**
+ * Normalise une plaque pour l'affichage et l'enregistrement
+ * Un espace sépare chaque groupe de lettres et de chiffres
+ *
+ * @param {string} plate - Plaque saisie
+ * @returns {string} Ex: "11 GH 1234"
+ */
+export const normalizePlate = (plate) => {
+  const groups = getPlateKey(plate).match(/[A-Z]+|[0-9]+/g);
+  return groups ? groups.join(" ") : "";
+};
+
+/**
+ * Vérifie qu'une plaque a un format plausible
+ * (4 à 10 caractères, au moins un chiffre)
+ *
+ * @param {string} plate - Plaque saisie
+ * @returns {boolean} true si la plaque est acceptable
+ */
+export const isValidPlate = (plate) => {
+  const key = getPlateKey(plate);
+  return key.length >= 4 && key.length <= 10 && /[0-9]/.test(key);
+};
+
+/**
+ * Indique si deux plaques désignent le même véhicule
+ * @param {string} plateA - Première plaque
+ * @param {string} plateB - Seconde plaque
+ * @returns {boolean} true si les plaques sont identiques une fois normalisées
+ */
+export const isSamePlate = (plateA, plateB) => {
+  const keyA = getPlateKey(plateA);
+  return keyA.length > 0 && keyA === getPlateKey(plateB);
+};
+
+/**
+ * Filtre une liste de tickets par plaque (recherche partielle)
+ *
+ * @param {Array} tickets - Tickets à filtrer
+ * @param {string} query - Texte recherché (ex: "GH12")
+ * @returns {Array} Tickets dont la plaque contient la recherche
+ */
+export const filterTicketsByPlate = (tickets, query) => {
+  const queryKey = getPlateKey(query);
+  if (!queryKey) {
+    return tickets;
+  }
+  return tickets.filter((ticket) =>
+    getPlateKey(ticket.licensePlate).includes(queryKey)
+  );
+};
@@ -1,4 +1,16 @@
 import { v4 as uuidv4 } from "uuid";
+import {
+  getTariffHash,
+  signPayload,
+  verifyPayloadSignature,
+} from "./signatureUtils";
+import {
+  canEncodeCompact,
+  decodeCompactPayload,
+  encodeCompactPayload,
+  isCompactPayload,
+} from "./compactQrUtils";
+import { findRevocation, formatRevocation } from "./revocationUtils";
 
 /**
  * UTILITAIRES POUR LA GÉNÉRATION ET VÉRIFICATION DE QR CODE
@@ -6,6 +18,17 @@ import { v4 as uuidv4 } from "uuid";
  * - Générer un UUID unique pour chaque ticket
  * - Créer les données du QR code
  * - Vérifier l'authenticité des tickets scannés
+ *
+ * Les QR codes sont signés avec la clé du parking (voir signatureUtils) :
+ * {
+ *   "id": "uuid", "lot": "marche-central", "parkingName": "Marché central",
+ *   "entryTime": "...", "pricePerHour": 50, "timestamp": "...",
+ *   "tariffHash": "base64...",    // Empreinte du tarif (voir getTariffHash)
+ *   "sig": "base64..."
+ * }
+ *
+ * Ces données sont encodées au format compact versionné (voir compactQrUtils).
+ * Les anciens QR codes en JSON restent lisibles.
  */
 
 /**
@@ -18,12 +41,15 @@ export const generateTicketId = () => {
 
 /**
  * Crée les données à encoder dans le QR code
- * Format JSON contenant toutes les informations critiques du ticket
+ * Informations critiques du ticket, signées avec la clé du parking lorsqu'elle
+ * est fournie, au format compact (ou JSON si le format compact ne peut pas
+ * restituer les données à l'identique)
  *
  * @param {Object} ticket - Objet ticket
- * @returns {string} JSON stringifié avec les données du ticket
+ * @param {Object|null} lotKey - Clé du parking (voir lotKeyStorage)
+ * @returns {string} Contenu du QR code ("PT:..." ou JSON)
  */
-export const createQRCodeData = (ticket) => {
+export const createQRCodeData = (ticket, lotKey = null) => {
   const qrData = {
     id: ticket.id,
     parkingName: ticket.parkingName,
@@ -32,20 +58,66 @@ export const createQRCodeData = (ticket) => {
     timestamp: new Date().toISOString(),
   };
 
-  return JSON.stringify(qrData);
+  const tariffHash = getTariffHash(ticket.tariff);
+  if (tariffHash) {
+    qrData.tariffHash = tariffHash;
+  }
+
+  if (lotKey) {
+    qrData.lot = lotKey.lotId;
+    qrData.sig = signPayload(qrData, lotKey.secretKey);
+  }
+
+  return canEncodeCompact(qrData)
+    ? encodeCompactPayload(qrData)
+    : JSON.stringify(qrData);
 };
 
 /**
- * Parse les données scannées du QR code
+ * Contrôle la signature d'un QR code parsé
+ *
+ * @param {Object} qrData - Données du QR code
+ * @param {Object|null} publicKeys - Clés publiques connues { [lotId]: [publicKey] }
+ * @returns {string} "valid" | "invalid" | "unsigned" (ancien ticket)
+ *                   | "unverified" (clé du parking inconnue)
+ */
+const getSignatureStatus = (qrData, publicKeys) => {
+  if (!qrData.sig) {
+    return "unsigned";
+  }
+
+  const lotPublicKeys = (publicKeys && publicKeys[qrData.lot]) || [];
+  if (lotPublicKeys.length === 0) {
+    return "unverified";
+  }
+
+  return lotPublicKeys.some((publicKey) =>
+    verifyPayloadSignature(qrData, publicKey)
+  )
+    ? "valid"
+    : "invalid";
+};
+
+/**
+ * Parse les données scannées du QR code (format compact ou ancien JSON)
+ * Le résultat indique si la signature est valide (signatureStatus)
+ *
  * @param {string} scannedData - Données brutes du QR code scanné
+ * @param {Object|null} publicKeys - Clés publiques connues { [lotId]: [publicKey] }
  * @returns {Object|null} Objet parsé ou null si invalide
  */
-export const parseQRCodeData = (scannedData) => {
+export const parseQRCodeData = (scannedData, publicKeys = null) => {
   try {
-    const parsed = JSON.parse(scannedData);
+    const parsed = isCompactPayload(scannedData)
+      ? decodeCompactPayload(scannedData)
+      : JSON.parse(scannedData);
 
     // Vérifier que les champs obligatoires sont présents
+    // Un QR code de ticket n'a pas de type : les QR codes typés sont des
+    // configurations ou des clés de parking (voir lotConfigUtils)
     if (
+      !parsed ||
+      parsed.type !== undefined ||
       !parsed.id ||
       !parsed.parkingName ||
       !parsed.entryTime ||
@@ -54,7 +126,10 @@ export const parseQRCodeData = (scannedData) => {
       return null;
     }
 
-    return parsed;
+    return {
+      ...parsed,
+      signatureStatus: getSignatureStatus(parsed, publicKeys),
+    };
   } catch (error) {
     console.error("Erreur lors du parsing du QR code:", error);
     return null;
@@ -63,12 +138,61 @@ export const parseQRCodeData = (scannedData) => {
 
 /**
  * Vérifie l'authenticité d'un ticket scanné en le cherchant dans la base locale
+ * Un QR code dont la signature est fausse, ou dont le contenu diffère du
+ * ticket enregistré, est signalé comme falsifié ("tampered").
+ * Un ticket inscrit dans la liste de révocation est refusé ("revoked"),
+ * qu'il soit enregistré sur cet appareil ou non.
+ * Un ticket absent de cet appareil mais correctement signé a été émis par
+ * un autre appareil du parking ("issued_elsewhere")
+ *
  * @param {Array} allTickets - Liste de tous les tickets (actifs + historique)
- * @param {string} ticketId - ID du ticket à vérifier
+ * @param {Object} qrData - Données du QR code (résultat de parseQRCodeData)
+ * @param {Array} revocations - Liste de révocation (voir revocationStorage)
  * @returns {Object} Résultat de la vérification { isValid, ticket, status }
+ *   status : "tampered" | "revoked" | "not_found" | "issued_elsewhere"
+ *            | "active" | "closed"
  */
-export const verifyTicket = (allTickets, ticketId) => {
-  const ticket = allTickets.find((t) => t.id === ticketId);
+export const verifyTicket = (allTickets, qrData, revocations = []) => {
+  const ticket = allTickets.find((t) => t.id === qrData.id);
+
+  const contentMismatch =
+    ticket &&
+    (ticket.parkingName !== qrData.parkingName ||
+      ticket.entryTime !== qrData.entryTime ||
+      ticket.pricePerHour !== qrData.pricePerHour ||
+      (qrData.tariffHash !== undefined &&
+        qrData.tariffHash !== getTariffHash(ticket.tariff)));
+
+  if (qrData.signatureStatus === "invalid" || contentMismatch) {
+    return {
+      isValid: false,
+      ticket: null,
+      status: "tampered",
+      message: contentMismatch
+        ? "Le contenu du QR code ne correspond pas au ticket enregistré"
+        : "La signature du QR code est invalide",
+    };
+  }
+
+  const revocation = findRevocation(revocations, qrData.id);
+  if (revocation) {
+    return {
+      isValid: false,
+      ticket: ticket || null,
+      status: "revoked",
+      revocation,
+      message: `Ticket révoqué : ${formatRevocation(revocation)}`,
+    };
+  }
+
+  if (!ticket && qrData.signatureStatus === "valid") {
+    return {
+      isValid: true,
+      ticket: null,
+      status: "issued_elsewhere",
+      message: "Ticket authentique, émis par un autre appareil",
+    };
+  }
 
   if (!ticket) {
     return {
@@ -80,7 +204,7 @@ export const verifyTicket = (allTickets, ticketId) => {
   }
 
   // Ticket trouvé - vérifier son statut
-  const isActive = ticket.status === "active" || !ticket.exitTime;
+  const isActive = ticket.status === "active";
   const status = isActive ? "active" : "closed";
 
   return {
@@ -93,6 +217,67 @@ export const verifyTicket = (allTickets, ticketId) => {
   };
 };
 
+// Nombre minimal de caractères pour rechercher un ticket par son ID
+export const MIN_MANUAL_ID_LENGTH = 4;
+
+/**
+ * Met en forme un ID saisi à la main (minuscules, sans les points de
+ * suspension recopiés depuis le ticket)
+ * @param {string} query - ID saisi
+ * @returns {string} ID ou début d'ID à rechercher
+ */
+export const normalizeTicketIdQuery = (query) => {
+  return (query || "").trim().toLowerCase().replace(/\.+$/, "");
+};
+
+/**
+ * Recherche un ticket par son ID complet ou par le début de son ID
+ * (les 8 premiers caractères sont affichés sur le ticket)
+ * Plusieurs tickets peuvent partager le même début d'ID
+ *
+ * @param {Array} allTickets - Liste de tous les tickets (actifs + historique)
+ * @param {string} query - ID saisi
+ * @returns {Array} Tickets correspondants
+ */
+export const findTicketsById = (allTickets, query) => {
+  const normalized = normalizeTicketIdQuery(query);
+  if (normalized.length < MIN_MANUAL_ID_LENGTH) {
+    return [];
+  }
+
+  const exact = allTickets.filter((t) => t.id.toLowerCase() === normalized);
+  if (exact.length > 0) {
+    return exact;
+  }
+  return allTickets.filter((t) => t.id.toLowerCase().startsWith(normalized));
+};
+
+/**
+ * Données à vérifier pour un ticket saisi à la main : celles de son QR code
+ * enregistré, pour obtenir le même résultat qu'un scan
+ * Les anciens tickets sans QR code sont vérifiés d'après leur contenu
+ *
+ * @param {Object} ticket - Ticket trouvé par findTicketsById
+ * @param {Object|null} publicKeys - Clés publiques connues { [lotId]: [publicKey] }
+ * @returns {Object} Données au format de parseQRCodeData
+ */
+export const getManualQRData = (ticket, publicKeys = null) => {
+  const parsed = ticket.qrCodeData
+    ? parseQRCodeData(ticket.qrCodeData, publicKeys)
+    : null;
+  if (parsed) {
+    return parsed;
+  }
+
+  return {
+    id: ticket.id,
+    parkingName: ticket.parkingName,
+    entryTime: ticket.entryTime,
+    pricePerHour: ticket.pricePerHour,
+    signatureStatus: "unsigned",
+  };
+};
+
 /**
  * Formate les données du ticket pour l'affichage après scan
  * @param {Object} ticketData - Données du QR code parsées
@@ -106,11 +291,12 @@ export const formatScannedTicketInfo = (ticketData, fullTicket = null) => {
     entryTime: ticketData.entryTime,
     pricePerHour: ticketData.pricePerHour,
     generatedAt: ticketData.timestamp,
+    signatureStatus: ticketData.signatureStatus,
     // Informations supplémentaires si le ticket complet est fourni
     ...(fullTicket && {
       exitTime: fullTicket.exitTime,
       totalAmount: fullTicket.totalAmount,
-      status: fullTicket.status || (fullTicket.exitTime ? "closed" : "active"),
+      status: fullTicket.status,
     }),
   };
 };
@@ -0,0 +1,132 @@
+import { formatDate } from "./calculatePrice";
+
+/**
+ * RÉVOCATION DES TICKETS
+ *
+ * Un ticket annulé ou frauduleux est inscrit dans la liste de révocation
+ * locale. Il est refusé au scan, même sur un appareil qui ne le connaît pas.
+ * La liste s'échange entre appareils par partage de texte.
+ *
+ * Format d'une révocation (voir revocationStorage) :
+ * {
+ *   "ticketId": "uuid",
+ *   "reason": "fraud",
+ *   "revokedAt": "2025-01-20T14:30:00.000Z"
+ * }
+ *
+ * Format du partage de la liste :
+ * { "type": "parking_revocations", "revocations": [...] }
+ */
+
+// Type du contenu partagé pour la liste de révocation
+export const REVOCATION_EXPORT_TYPE = "parking_revocations";
+
+export const REVOCATION_REASONS = [
+  { id: "cancelled", label: "Annulé" },
+  { id: "fraud", label: "Fraude" },
+  { id: "duplicate", label: "Doublon" },
+  { id: "lost", label: "Déclaré perdu" },
+];
+
+/**
+ * Libellé d'un motif de révocation
+ * @param {string} reasonId - Identifiant du motif
+ * @returns {string} Ex: "Fraude"
+ */
+export const getRevocationReasonLabel = (reasonId) => {
+  const reason = REVOCATION_REASONS.find((r) => r.id === reasonId);
+  return reason ? reason.label : reasonId;
+};
+
+/**
+ * Cherche la révocation d'un ticket
+ * @param {Array} revocations - Liste de révocation
+ * @param {string} ticketId - ID du ticket
+ * @returns {Object|null} Révocation ou null si le ticket n'est pas révoqué
+ */
+export const findRevocation = (revocations, ticketId) => {
+  return (revocations || []).find((r) => r.ticketId === ticketId) || null;
+};
+
+/**
+ * Décrit une révocation pour l'affichage
+ * @param {Object} revocation - Révocation
+ * @returns {string} Ex: "Fraude · 20/01/2025 14h30"
+ */
+export const formatRevocation = (revocation) => {
+  return `${getRevocationReasonLabel(revocation.reason)} · ${formatDate(
+    revocation.revokedAt
+  )}`;
+};
+
+/**
+ * Vérifie qu'une révocation est bien formée
+ * @param {Object} revocation - Révocation à vérifier
+ * @returns {boolean} true si la révocation est utilisable
+ */
+export const isValidRevocation = (revocation) => {
+  return (
+    !!revocation &&
+    typeof revocation.ticketId === "string" &&
+    revocation.ticketId.length > 0 &&
+    typeof revocation.reason === "string" &&
+    !isNaN(new Date(revocation.revokedAt).getTime())
+  );
+};
+
+/**
+ * Crée le contenu à partager avec les autres appareils
+ * @param {Array} revocations - Liste de révocation
+ * @returns {string} JSON à transmettre
+ */
+export const createRevocationExport = (revocations) => {
+  return JSON.stringify({ type: REVOCATION_EXPORT_TYPE, revocations });
+};
+
+/**
+ * Lit une liste de révocation partagée par un autre appareil
+ *
+ * @param {string} text - Contenu reçu
+ * @returns {Array|null} Révocations ou null si le contenu est invalide
+ */
+export const parseRevocationExport = (text) => {
+  try {
+    const parsed = JSON.parse(text);
+    if (
+      parsed.type !== REVOCATION_EXPORT_TYPE ||
+      !Array.isArray(parsed.revocations) ||
+      !parsed.revocations.every(isValidRevocation)
+    ) {
+      return null;
+    }
+
+    return parsed.revocations.map((r) => ({
+      ticketId: r.ticketId,
+      reason: r.reason,
+      revokedAt: r.revokedAt,
+    }));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fusionne une liste importée avec la liste locale
+ * Une révocation déjà connue garde son motif et sa date d'origine
+ *
+ * @param {Array} revocations - Liste locale
+ * @param {Array} imported - Liste importée
+ * @returns {Object} { revocations, addedCount }
+ */
+export const mergeRevocations = (revocations, imported) => {
+  const added = imported.filter(
+    (revocation, index) =>
+      !findRevocation(revocations, revocation.ticketId) &&
+      imported.findIndex((r) => r.ticketId === revocation.ticketId) === index
+  );
+
+  return {
+    revocations: [...revocations, ...added],
+    addedCount: added.length,
+  };
+};
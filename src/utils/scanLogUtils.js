@@ -0,0 +1,169 @@
+import { formatTime } from "./calculatePrice";
+
+/**
+ * JOURNAL DES SCANS ET DÉTECTION DES QR CODES REJOUÉS
+ *
+ * Chaque scan de ticket est journalisé. Un QR code de ticket clôturé peut
+ * être photographié puis présenté de nouveau : le journal permet de le
+ * signaler comme réutilisé ("reused") lorsque :
+ * - un ticket clôturé est présenté au scan de sortie (quelle que soit
+ *   l'heure de sa clôture)
+ * - au scan de sortie d'un ticket émis ailleurs, le ticket a déjà été
+ *   accepté à un scan de sortie il y a moins de REPLAY_WINDOW_MINUTES
+ *   (un simple contrôle ne compte pas)
+ * - le ticket a été clôturé sur un autre appareil, dont la sortie est
+ *   absente du journal (un journal restauré depuis une sauvegarde contient
+ *   les sorties de l'appareil d'origine)
+ *
+ * Format d'un scan (voir scanLogStorage) :
+ * {
+ *   "ticketId": "uuid",
+ *   "scannedAt": "2025-01-20T14:30:00.000Z",
+ *   "result": "active",      // Statut retourné par verifyTicket
+ *   "deviceId": "uuid",      // Appareil qui a scanné (voir deviceStorage)
+ *   "mode": "exit"           // "verify" (contrôle) ou "exit" (sortie)
+ * }
+ */
+
+// Délai pendant lequel un second scan du même ticket est suspect
+export const REPLAY_WINDOW_MINUTES = 15;
+
+// Résultats pour lesquels le ticket a été accepté
+const ACCEPTED_RESULTS = ["active", "closed", "issued_elsewhere"];
+
+// Libellés des résultats, pour l'historique des scans d'un ticket
+export const SCAN_RESULT_LABELS = {
+  active: "Accepté (actif)",
+  closed: "Accepté (clôturé)",
+  issued_elsewhere: "Accepté (émis ailleurs)",
+  reused: "Réutilisé",
+  revoked: "Révoqué",
+  tampered: "Falsifié",
+  not_found: "Introuvable",
+};
+
+/**
+ * Crée l'enregistrement d'un scan
+ *
+ * @param {string} ticketId - ID du ticket scanné
+ * @param {Object} verification - Résultat de verifyTicket (ou checkReplay)
+ * @param {string} deviceId - Appareil qui a scanné
+ * @param {string} scannedAt - Date du scan (ISO)
+ * @param {string} mode - "verify" ou "exit"
+ * @returns {Object} Scan (voir format en tête de fichier)
+ */
+export const createScanRecord = (
+  ticketId,
+  verification,
+  deviceId,
+  scannedAt,
+  mode = "verify"
+) => {
+  return { ticketId, scannedAt, result: verification.status, deviceId, mode };
+};
+
+/**
+ * Scans d'un ticket, du plus récent au plus ancien
+ * @param {Array} scanLog - Journal des scans
+ * @param {string} ticketId - ID du ticket
+ * @returns {Array} Scans du ticket
+ */
+export const getTicketScans = (scanLog, ticketId) => {
+  return scanLog
+    .filter((scan) => scan.ticketId === ticketId)
+    .sort((a, b) => new Date(b.scannedAt) - new Date(a.scannedAt));
+};
+
+/**
+ * Applique les règles de réutilisation à un ticket accepté par verifyTicket
+ * Les tickets déjà refusés (falsifiés, révoqués, introuvables) sont
+ * retournés tels quels
+ *
+ * @param {Object} verification - Résultat de verifyTicket
+ * @param {string} ticketId - ID du ticket scanné
+ * @param {Array} scanLog - Journal des scans (avant ce scan)
+ * @param {string} deviceId - Appareil qui scanne
+ * @param {string} scannedAt - Date du scan (ISO)
+ * @param {string} mode - "verify" (contrôle) ou "exit" (sortie)
+ * @returns {Object} Vérification, avec le statut "reused" si le QR code a été rejoué
+ */
+export const checkReplay = (
+  verification,
+  ticketId,
+  scanLog,
+  deviceId,
+  scannedAt,
+  mode = "verify"
+) => {
+  if (!verification.isValid) {
+    return verification;
+  }
+
+  const reused = (message, previousScan = null) => ({
+    ...verification,
+    isValid: false,
+    status: "reused",
+    previousStatus: verification.status,
+    previousScan,
+    message,
+  });
+
+  const ticketScans = getTicketScans(scanLog, ticketId);
+  const isAcceptedExit = (scan) =>
+    scan.mode === "exit" && ACCEPTED_RESULTS.includes(scan.result);
+
+  const ticket = verification.ticket;
+  if (ticket && ticket.status === "closed") {
+    const closedElsewhere =
+      ticket.closedOnDevice &&
+      ticket.closedOnDevice !== deviceId &&
+      !ticketScans.some(
+        (scan) =>
+          isAcceptedExit(scan) && scan.deviceId === ticket.closedOnDevice
+      );
+    if (closedElsewhere) {
+      return reused(
+        `Ticket déjà clôturé sur un autre appareil à ${formatTime(
+          ticket.exitTime
+        )}`
+      );
+    }
+
+    // Un ticket clôturé ne peut pas sortir une seconde fois
+    if (mode === "exit") {
+      const exitScan = ticketScans.find(isAcceptedExit) || null;
+      return reused(
+        exitScan
+          ? `Ticket déjà sorti à ${formatTime(exitScan.scannedAt)}${
+              exitScan.deviceId === deviceId ? "" : " sur un autre appareil"
+            }`
+          : `Ticket déjà clôturé à ${formatTime(ticket.exitTime)}`,
+        exitScan
+      );
+    }
+    return verification;
+  }
+
+  // Ticket émis ailleurs : seule une seconde sortie est suspecte. Un ticket
+  // encore actif (sortie annulée puis rescannée) reste accepté.
+  if (mode !== "exit" || verification.status === "active") {
+    return verification;
+  }
+
+  const windowStart =
+    new Date(scannedAt).getTime() - REPLAY_WINDOW_MINUTES * 60 * 1000;
+  const previousScan = ticketScans.find(
+    (scan) =>
+      isAcceptedExit(scan) && new Date(scan.scannedAt).getTime() >= windowStart
+  );
+  if (previousScan) {
+    return reused(
+      `Ticket déjà scanné à ${formatTime(previousScan.scannedAt)}${
+        previousScan.deviceId === deviceId ? "" : " sur un autre appareil"
+      }`,
+      previousScan
+    );
+  }
+
+  return verification;
+};
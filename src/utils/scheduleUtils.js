@@ -0,0 +1,238 @@
+/**
+ * OBJECTIF 3 : Calculer automatiquement le montant à payer selon la durée
+ *
+ * Ce fichier gère les grilles horaires de tarification :
+ * - Plages jour/heure avec leur propre tarif horaire (nuit, dimanche...)
+ * - Calendrier des jours fériés avec un tarif dédié
+ *
+ * Format d'une grille :
+ * {
+ *   "windows": [
+ *     { "label": "Nuit", "days": [0, 1, 2, 3, 4, 5, 6], "start": "20:00", "end": "06:00", "pricePerHour": 75 },
+ *     { "label": "Dimanche", "days": [0], "start": "00:00", "end": "00:00", "pricePerHour": 25 }
+ *   ],
+ *   "holidays": ["2025-01-01", "2025-12-25"],
+ *   "holidayPricePerHour": 25
+ * }
+ *
+ * Règles :
+ * - Les jours suivent Date.getDay() : 0 = dimanche ... 6 = samedi
+ * - Une plage appartient au jour où elle commence (20:00-06:00 le vendredi
+ *   couvre la nuit du vendredi au samedi)
+ * - "start" = "end" couvre la journée entière
+ * - Jour férié > plage horaire > tarif normal ; en cas de chevauchement,
+ *   la première plage de la liste l'emporte
+ */
+
+import { formatRate } from "./moneyUtils";
+
+export const DAY_LABELS = ["Dim", "Lun", "Mar", "Mer", "Jeu", "Ven", "Sam"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Crée une grille vide (aucun tarif particulier)
+ * @returns {Object} Grille horaire
+ */
+export const createEmptySchedule = () => {
+  return { windows: [], holidays: [], holidayPricePerHour: null };
+};
+
+/**
+ * Convertit "HH:MM" en minutes depuis minuit
+ * @param {string} time - Heure au format "HH:MM"
+ * @returns {number} Minutes depuis minuit
+ */
+const toMinutesOfDay = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+/**
+ * Formate une date locale en "YYYY-MM-DD" (clé du calendrier des fériés)
+ * @param {Date} date - Date à formater
+ * @returns {string} Date au format "YYYY-MM-DD"
+ */
+export const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, "0");
+  const day = date.getDate().toString().padStart(2, "0");
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Vérifie qu'une grille horaire est bien formée
+ *
+ * @param {Object} schedule - Grille à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si la grille est valide)
+ */
+export const validateSchedule = (schedule) => {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== "object") {
+    return ["La grille horaire est invalide"];
+  }
+
+  (schedule.windows || []).forEach((window, index) => {
+    const label = `Plage ${index + 1}`;
+
+    if (
+      !Array.isArray(window.days) ||
+      window.days.length === 0 ||
+      window.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    ) {
+      errors.push(`${label} : jours invalides`);
+    }
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      errors.push(`${label} : heures invalides (format HH:MM)`);
+    }
+    if (typeof window.pricePerHour !== "number" || window.pricePerHour < 0) {
+      errors.push(`${label} : prix horaire invalide`);
+    }
+  });
+
+  (schedule.holidays || []).forEach((holiday) => {
+    if (!DATE_PATTERN.test(holiday)) {
+      errors.push(`Jour férié invalide : ${holiday} (format AAAA-MM-JJ)`);
+    }
+  });
+
+  const holidayPrice = schedule.holidayPricePerHour ?? null;
+  if (
+    holidayPrice !== null &&
+    (typeof holidayPrice !== "number" || holidayPrice < 0)
+  ) {
+    errors.push("Tarif des jours fériés invalide");
+  }
+
+  return errors;
+};
+
+/**
+ * Indique si une grille contient au moins une règle
+ * @param {Object} schedule - Grille horaire
+ * @returns {boolean} true si la grille modifie le tarif normal
+ */
+export const hasScheduleRules = (schedule) => {
+  if (!schedule) return false;
+  const hasHolidays =
+    (schedule.holidays || []).length > 0 &&
+    (schedule.holidayPricePerHour ?? null) !== null;
+  return (schedule.windows || []).length > 0 || hasHolidays;
+};
+
+/**
+ * Vérifie si une plage couvre un instant donné
+ *
+ * @param {Object} window - Plage horaire
+ * @param {Date} date - Instant à tester
+ * @returns {boolean} true si l'instant est dans la plage
+ */
+const isInWindow = (window, date) => {
+  const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutesOfDay(window.start);
+  const end = toMinutesOfDay(window.end);
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+
+  // Journée entière
+  if (start === end) {
+    return window.days.includes(today);
+  }
+
+  // Plage dans la même journée (ex: 08:00-18:00)
+  if (start < end) {
+    return (
+      window.days.includes(today) && minuteOfDay >= start && minuteOfDay < end
+    );
+  }
+
+  // Plage à cheval sur minuit (ex: 20:00-06:00)
+  return (
+    (window.days.includes(today) && minuteOfDay >= start) ||
+    (window.days.includes(yesterday) && minuteOfDay < end)
+  );
+};
+
+/**
+ * Retourne le tarif particulier applicable à un instant donné
+ *
+ * @param {Object} schedule - Grille horaire
+ * @param {Date} date - Instant à tester
+ * @returns {Object|null} { label, pricePerHour } ou null (tarif normal)
+ */
+export const getScheduleRate = (schedule, date) => {
+  if (!schedule) return null;
+
+  // Jour férié : prioritaire sur les plages
+  const holidayPrice = schedule.holidayPricePerHour ?? null;
+  if (
+    holidayPrice !== null &&
+    (schedule.holidays || []).includes(toDateKey(date))
+  ) {
+    return { label: "Jour férié", pricePerHour: holidayPrice };
+  }
+
+  const window = (schedule.windows || []).find((w) => isInWindow(w, date));
+  if (window) {
+    return {
+      label: window.label || `${window.start}-${window.end}`,
+      pricePerHour: window.pricePerHour,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Calcule le prochain instant où le tarif de la grille peut changer
+ * (minuit ou début/fin d'une plage)
+ *
+ * @param {Object} schedule - Grille horaire
+ * @param {Date} date - Instant de départ
+ * @returns {Date} Prochaine frontière strictement après date
+ */
+export const getNextScheduleBoundary = (schedule, date) => {
+  const boundaries = [0];
+  (schedule.windows || []).forEach((window) => {
+    boundaries.push(toMinutesOfDay(window.start), toMinutesOfDay(window.end));
+  });
+  boundaries.sort((a, b) => a - b);
+
+  // On cherche la frontière suivante aujourd'hui, sinon demain
+  for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+    for (const minuteOfDay of boundaries) {
+      const candidate = new Date(date);
+      candidate.setDate(candidate.getDate() + dayOffset);
+      candidate.setHours(Math.floor(minuteOfDay / 60), minuteOfDay % 60, 0, 0);
+
+      if (candidate > date) {
+        return candidate;
+      }
+    }
+  }
+
+  // Jamais atteint : minuit du lendemain est toujours une frontière
+  const nextMidnight = new Date(date);
+  nextMidnight.setHours(24, 0, 0, 0);
+  return nextMidnight;
+};
+
+/**
+ * Décrit une plage pour l'affichage
+ * @param {Object} window - Plage horaire
+ * @param {Object} currency - Devise du site (voir moneyUtils)
+ * @returns {string} Ex: "Lun, Mar 20:00-06:00 : 75 FCFA/h"
+ */
+export const formatScheduleWindow = (window, currency) => {
+  const days =
+    window.days.length === 7
+      ? "Tous les jours"
+      : window.days.map((day) => DAY_LABELS[day]).join(", ");
+  const hours =
+    window.start === window.end
+      ? "journée entière"
+      : `${window.start}-${window.end}`;
+  return `${days} ${hours} : ${formatRate(window.pricePerHour, currency)}`;
+};
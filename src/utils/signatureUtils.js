@@ -0,0 +1,252 @@
+import nacl from "tweetnacl";
+import naclUtil from "tweetnacl-util";
+
+/**
+ * SIGNATURE DES QR CODES
+ *
+ * Chaque parking possède sa propre paire de clés Ed25519 :
+ * - La clé privée signe le contenu du QR code à la création du ticket
+ * - La clé publique permet de vérifier qu'il n'a pas été modifié
+ *   (heure d'entrée avancée, tarif diminué, QR code fabriqué...). Le tarif
+ *   complet n'est pas écrit dans le QR code : seule son empreinte est signée
+ *   (voir getTariffHash)
+ * - Les clés publiques partagées permettent à un autre appareil de vérifier
+ *   les tickets sans connexion, même s'il ne les a pas émis
+ *
+ * Format d'une clé de parking (voir lotKeyStorage) :
+ * {
+ *   "lotId": "marche-central",
+ *   "parkingName": "Marché central",
+ *   "publicKey": "base64...",
+ *   "secretKey": "base64...",   // null pour une clé importée
+ *   "createdAt": "2025-01-20T14:30:00.000Z"
+ * }
+ *
+ * Format du partage d'une clé publique (texte ou QR code) :
+ * { "type": "parking_lot_key", "lotId": "...", "parkingName": "...", "publicKey": "..." }
+ */
+
+// Type du contenu partagé pour une clé publique
+export const LOT_KEY_EXPORT_TYPE = "parking_lot_key";
+
+// Champs du QR code couverts par la signature, dans cet ordre
+export const SIGNED_FIELDS = [
+  "id",
+  "lot",
+  "parkingName",
+  "entryTime",
+  "pricePerHour",
+  "timestamp",
+];
+
+// Champs signés d'un ticket dont le QR code porte l'empreinte de son tarif
+// complet (tranches, plafond, forfait de nuit, abonnement...)
+export const TARIFF_SIGNED_FIELDS = [...SIGNED_FIELDS, "tariffHash"];
+
+// Nombre d'octets de l'empreinte du tarif (SHA-512 tronqué)
+const TARIFF_HASH_LENGTH = 12;
+
+/**
+ * Crée l'identifiant de la clé d'un parking à partir de son nom
+ * @param {string} parkingName - Nom du parking (ex: "Marché Central")
+ * @returns {string} Identifiant (ex: "marche-central")
+ */
+export const createLotId = (parkingName) => {
+  return (parkingName || "")
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+};
+
+/**
+ * Génère une nouvelle paire de clés pour un parking
+ * @returns {Object} { publicKey, secretKey } encodées en base64
+ */
+export const generateKeyPair = () => {
+  const seed = new Uint8Array(nacl.sign.seedLength);
+  crypto.getRandomValues(seed);
+  const keyPair = nacl.sign.keyPair.fromSeed(seed);
+
+  return {
+    publicKey: naclUtil.encodeBase64(keyPair.publicKey),
+    secretKey: naclUtil.encodeBase64(keyPair.secretKey),
+  };
+};
+
+/**
+ * Indique si un texte est une clé publique Ed25519 valide (base64)
+ * @param {string} publicKey - Clé à vérifier
+ * @returns {boolean} true si la clé est utilisable
+ */
+export const isValidPublicKey = (publicKey) => {
+  try {
+    return (
+      naclUtil.decodeBase64(publicKey).length === nacl.sign.publicKeyLength
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Empreinte courte d'une clé publique, pour la comparer d'un appareil à l'autre
+ * @param {string} publicKey - Clé publique (base64)
+ * @returns {string} Ex: "3FA2-9C01"
+ */
+export const getKeyFingerprint = (publicKey) => {
+  const hash = nacl.hash(naclUtil.decodeBase64(publicKey));
+  const hex = Array.from(hash.slice(0, 4))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")
+    .toUpperCase();
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+};
+
+/**
+ * Crée le contenu à partager pour qu'un autre appareil vérifie les tickets
+ * d'un parking (la clé privée n'est jamais partagée)
+ *
+ * @param {Object} lotKey - Clé du parking
+ * @returns {string} JSON à transmettre (texte ou QR code)
+ */
+export const createLotKeyExport = (lotKey) => {
+  return JSON.stringify({
+    type: LOT_KEY_EXPORT_TYPE,
+    lotId: lotKey.lotId,
+    parkingName: lotKey.parkingName,
+    publicKey: lotKey.publicKey,
+  });
+};
+
+/**
+ * Lit une clé publique partagée par un autre appareil
+ *
+ * @param {string} text - Contenu reçu (texte collé ou QR code scanné)
+ * @returns {Object|null} { lotId, parkingName, publicKey } ou null si invalide
+ */
+export const parseLotKeyExport = (text) => {
+  try {
+    const parsed = JSON.parse(text);
+    if (
+      parsed.type !== LOT_KEY_EXPORT_TYPE ||
+      !parsed.lotId ||
+      !isValidPublicKey(parsed.publicKey)
+    ) {
+      return null;
+    }
+
+    return {
+      lotId: parsed.lotId,
+      parkingName: parsed.parkingName || parsed.lotId,
+      publicKey: parsed.publicKey,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sérialise une valeur en JSON avec les clés des objets triées, pour
+ * obtenir le même texte quel que soit l'ordre des clés
+ *
+ * @param {*} value - Valeur à sérialiser
+ * @returns {string} JSON canonique
+ */
+const toCanonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCanonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Empreinte du tarif d'un ticket, signée dans son QR code
+ * @param {Object|null} tariff - Tarif du ticket (voir tariffUtils)
+ * @returns {string|null} Empreinte (base64) ou null sans tarif
+ */
+export const getTariffHash = (tariff) => {
+  if (!tariff) {
+    return null;
+  }
+  const hash = nacl.hash(naclUtil.decodeUTF8(toCanonicalJson(tariff)));
+  return naclUtil.encodeBase64(hash.slice(0, TARIFF_HASH_LENGTH));
+};
+
+/**
+ * Champs signés d'un QR code de ticket
+ * Les tickets émis avant l'empreinte du tarif restent vérifiables
+ *
+ * @param {Object} payload - Données du QR code
+ * @returns {Array<string>} SIGNED_FIELDS ou TARIFF_SIGNED_FIELDS
+ */
+export const getTicketSignedFields = (payload) => {
+  return payload.tariffHash ? TARIFF_SIGNED_FIELDS : SIGNED_FIELDS;
+};
+
+/**
+ * Contenu signé d'un QR code : les champs signés dans un ordre fixe,
+ * indépendamment de l'ordre des clés du JSON
+ *
+ * @param {Object} payload - Données du QR code
+ * @param {Array<string>} fields - Champs signés
+ * @returns {Uint8Array} Octets à signer
+ */
+const getSignedBytes = (payload, fields) => {
+  const values = fields.map((field) => payload[field] ?? null);
+  return naclUtil.decodeUTF8(JSON.stringify(values));
+};
+
+/**
+ * Signe les données d'un QR code
+ *
+ * @param {Object} payload - Données du QR code (sans signature)
+ * @param {string} secretKey - Clé privée du parking (base64)
+ * @param {Array<string>} fields - Champs signés (ticket par défaut)
+ * @returns {string} Signature (base64)
+ */
+export const signPayload = (
+  payload,
+  secretKey,
+  fields = getTicketSignedFields(payload)
+) => {
+  const signature = nacl.sign.detached(
+    getSignedBytes(payload, fields),
+    naclUtil.decodeBase64(secretKey)
+  );
+  return naclUtil.encodeBase64(signature);
+};
+
+/**
+ * Vérifie la signature des données d'un QR code
+ *
+ * @param {Object} payload - Données du QR code avec leur signature ("sig")
+ * @param {string} publicKey - Clé publique du parking (base64)
+ * @param {Array<string>} fields - Champs signés (ticket par défaut)
+ * @returns {boolean} true si les données n'ont pas été modifiées
+ */
+export const verifyPayloadSignature = (
+  payload,
+  publicKey,
+  fields = getTicketSignedFields(payload)
+) => {
+  try {
+    return nacl.sign.detached.verify(
+      getSignedBytes(payload, fields),
+      naclUtil.decodeBase64(payload.sig),
+      naclUtil.decodeBase64(publicKey)
+    );
+  } catch (error) {
+    // Signature ou clé mal encodée : le QR code a été modifié
+    return false;
+  }
+};
@@ -0,0 +1,243 @@
+import {
+  DAY_LABELS,
+  getNextScheduleBoundary,
+  getScheduleRate,
+  toDateKey,
+  validateSchedule,
+} from "./scheduleUtils";
+import { isValidPlate } from "./plateUtils";
+
+/**
+ * ABONNEMENTS MENSUELS
+ *
+ * Ce fichier gère les règles des abonnements (clients réguliers) :
+ * - Période de validité et horaires autorisés
+ * - Statut (actif, expire bientôt, expiré)
+ * - Gratuité des minutes couvertes par l'abonnement lors du calcul du prix
+ *
+ * Format d'un abonnement (voir subscriptionStorage) :
+ * {
+ *   "id": "uuid",
+ *   "holderName": "Awa Ouédraogo",
+ *   "licensePlate": "11 GH 1234",
+ *   "parkingName": "Marché central",   // "" = tous les parkings
+ *   "validFrom": "2025-03-01",
+ *   "validUntil": "2025-03-31",
+ *   "allowedHours": { "days": [1, 2, 3, 4, 5], "start": "07:00", "end": "19:00" }
+ * }
+ *
+ * "allowedHours" = null : stationnement couvert à toute heure.
+ * Le ticket d'un abonné conserve une copie des règles ("pass") dans son
+ * tarif : seules les minutes hors de ces règles sont facturées.
+ */
+
+// Nombre de jours avant l'échéance à partir duquel l'abonnement est signalé
+export const EXPIRY_WARNING_DAYS = 7;
+
+// Libellé des minutes couvertes dans le détail du montant
+export const PASS_LABEL = "Abonnement";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Vérifie les règles d'un abonnement (validité et horaires)
+ *
+ * @param {Object} pass - Abonnement ou copie enregistrée sur le tarif
+ * @returns {Array<string>} Liste des erreurs (vide si les règles sont valides)
+ */
+export const validatePass = (pass) => {
+  const errors = [];
+
+  if (!DATE_PATTERN.test(pass.validFrom || "")) {
+    errors.push("Date de début invalide (format AAAA-MM-JJ)");
+  }
+  if (!DATE_PATTERN.test(pass.validUntil || "")) {
+    errors.push("Date de fin invalide (format AAAA-MM-JJ)");
+  }
+  if (errors.length === 0 && pass.validFrom > pass.validUntil) {
+    errors.push("La date de fin doit suivre la date de début");
+  }
+
+  if (pass.allowedHours) {
+    const hoursErrors = validateSchedule({
+      windows: [{ ...pass.allowedHours, pricePerHour: 0 }],
+    });
+    errors.push(
+      ...hoursErrors.map((e) => e.replace("Plage 1", "Horaires autorisés"))
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * Vérifie qu'un abonnement est bien formé avant de l'enregistrer
+ *
+ * @param {Object} subscription - Abonnement à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si l'abonnement est valide)
+ */
+export const validateSubscription = (subscription) => {
+  const errors = [];
+
+  if (!(subscription.holderName || "").trim()) {
+    errors.push("Le nom de l'abonné est requis");
+  }
+  if (!isValidPlate(subscription.licensePlate)) {
+    errors.push("Plaque d'immatriculation invalide");
+  }
+
+  return [...errors, ...validatePass(subscription)];
+};
+
+/**
+ * Indique si un abonnement concerne un parking donné
+ * @param {Object} subscription - Abonnement
+ * @param {string} parkingName - Nom du parking du ticket
+ * @returns {boolean} true si l'abonnement est valable dans ce parking
+ */
+export const matchesParking = (subscription, parkingName) => {
+  const lot = (subscription.parkingName || "").trim().toLowerCase();
+  return !lot || lot === (parkingName || "").trim().toLowerCase();
+};
+
+/**
+ * Indique si un abonnement est dans sa période de validité à une date donnée
+ * @param {Object} pass - Abonnement
+ * @param {Date} date - Date à tester
+ * @returns {boolean} true si la date est dans la période de validité
+ */
+export const isPassValidOn = (pass, date) => {
+  const day = toDateKey(date);
+  return day >= pass.validFrom && day <= pass.validUntil;
+};
+
+/**
+ * Calcule le statut d'un abonnement à une date donnée
+ *
+ * @param {Object} subscription - Abonnement
+ * @param {string} dateString - Date de référence (ISO string)
+ * @returns {Object} { status, label, daysLeft }
+ *   status : "upcoming" | "active" | "expiring" | "expired"
+ */
+export const getSubscriptionStatus = (subscription, dateString) => {
+  const today = new Date(dateString);
+  today.setHours(0, 0, 0, 0);
+  const [year, month, day] = subscription.validUntil.split("-").map(Number);
+  const lastDay = new Date(year, month - 1, day);
+
+  // Math.round absorbe les changements d'heure
+  const daysLeft = Math.round((lastDay - today) / 86400000);
+
+  if (toDateKey(today) < subscription.validFrom) {
+    return { status: "upcoming", label: "À venir", daysLeft };
+  }
+  if (daysLeft < 0) {
+    return { status: "expired", label: "Expiré", daysLeft };
+  }
+  if (daysLeft <= EXPIRY_WARNING_DAYS) {
+    return {
+      status: "expiring",
+      label:
+        daysLeft === 0
+          ? "Expire aujourd'hui"
+          : `Expire dans ${daysLeft} jour${daysLeft > 1 ? "s" : ""}`,
+      daysLeft,
+    };
+  }
+  return { status: "active", label: "Actif", daysLeft };
+};
+
+/**
+ * Indique si un abonnement doit être signalé pour renouvellement :
+ * il expire bientôt, ou a expiré depuis moins de EXPIRY_WARNING_DAYS jours
+ *
+ * @param {Object} subscription - Abonnement
+ * @param {string} dateString - Date de référence (ISO string)
+ * @returns {boolean} true si l'abonnement doit être signalé
+ */
+export const needsRenewal = (subscription, dateString) => {
+  const { status, daysLeft } = getSubscriptionStatus(subscription, dateString);
+  return (
+    status === "expiring" ||
+    (status === "expired" && daysLeft >= -EXPIRY_WARNING_DAYS)
+  );
+};
+
+/**
+ * Retourne les règles d'abonnement enregistrées sur un ticket
+ * @param {Object} ticket - Ticket (actif ou historique)
+ * @returns {Object|null} Copie de l'abonnement ou null (ticket payant)
+ */
+export const getTicketPass = (ticket) => {
+  return (ticket.tariff && ticket.tariff.pass) || null;
+};
+
+/**
+ * Copie des règles de l'abonnement à enregistrer dans le tarif du ticket
+ * @param {Object} subscription - Abonnement de l'abonné
+ * @returns {Object} { subscriptionId, holderName, validFrom, validUntil, allowedHours }
+ */
+export const toTicketPass = (subscription) => {
+  return {
+    subscriptionId: subscription.id,
+    holderName: subscription.holderName,
+    validFrom: subscription.validFrom,
+    validUntil: subscription.validUntil,
+    allowedHours: subscription.allowedHours || null,
+  };
+};
+
+/**
+ * Retourne le tarif de l'abonnement si un instant est couvert
+ *
+ * @param {Object} pass - Règles de l'abonnement
+ * @param {Date} date - Instant à tester
+ * @returns {Object|null} { label, pricePerHour: 0 } ou null (instant facturé)
+ */
+export const getPassRate = (pass, date) => {
+  if (!isPassValidOn(pass, date)) {
+    return null;
+  }
+  if (
+    pass.allowedHours &&
+    !getScheduleRate({ windows: [pass.allowedHours] }, date)
+  ) {
+    return null;
+  }
+  return { label: PASS_LABEL, pricePerHour: 0 };
+};
+
+/**
+ * Calcule le prochain instant où la couverture de l'abonnement peut changer
+ * (minuit ou début/fin des horaires autorisés)
+ *
+ * @param {Object} pass - Règles de l'abonnement
+ * @param {Date} date - Instant de départ
+ * @returns {Date} Prochaine frontière strictement après date
+ */
+export const getNextPassBoundary = (pass, date) => {
+  return getNextScheduleBoundary(
+    { windows: pass.allowedHours ? [pass.allowedHours] : [] },
+    date
+  );
+};
+
+/**
+ * Décrit les horaires autorisés pour l'affichage
+ * @param {Object|null} allowedHours - Horaires autorisés
+ * @returns {string} Ex: "Lun, Mar 07:00-19:00" ou "24h/24"
+ */
+export const formatAllowedHours = (allowedHours) => {
+  if (!allowedHours) {
+    return "24h/24, 7j/7";
+  }
+  const days =
+    allowedHours.days.length === 7
+      ? "Tous les jours"
+      : allowedHours.days.map((day) => DAY_LABELS[day]).join(", ");
+  const hours =
+    allowedHours.start === allowedHours.end
+      ? "journée entière"
+      : `${allowedHours.start}-${allowedHours.end}`;
+  return `${days} ${hours}`;
+};
@@ -0,0 +1,576 @@
+import { calculateDuration, formatDuration } from "./calculatePrice";
+import {
+  getNextScheduleBoundary,
+  getScheduleRate,
+  hasScheduleRules,
+  validateSchedule,
+} from "./scheduleUtils";
+import {
+  getNextPassBoundary,
+  getPassRate,
+  validatePass,
+} from "./subscriptionUtils";
+import {
+  DEFAULT_CURRENCY,
+  roundAmount,
+  roundToMinorUnit,
+  validateCurrency,
+} from "./moneyUtils";
+
+/**
+ * OBJECTIF 3 : Calculer automatiquement le montant à payer selon la durée
+ *
+ * Ce fichier décrit les tarifs sous forme de données et les évalue :
+ * - Tranches horaires avec leur propre prix (ex: 1ère heure 100 FCFA, puis 50 FCFA/h)
+ * - Pas de facturation (15, 30 ou 60 minutes)
+ * - Minimum de perception
+ * - Franchise à l'entrée (premières minutes gratuites)
+ * - Tolérance après chaque pas facturé
+ * - Plafond par période de 24h et forfait de nuit (séjours de plusieurs jours)
+ * - Grille horaire (nuit, dimanche, jours fériés) : voir scheduleUtils.js
+ * - Abonnement : minutes couvertes gratuites, voir subscriptionUtils.js
+ * - Devise et règle d'arrondi du site : voir moneyUtils.js
+ *
+ * Format d'un tarif (enregistré avec le ticket) :
+ * {
+ *   "bands": [
+ *     { "startMinute": 0, "endMinute": 60, "pricePerHour": 100 },
+ *     { "startMinute": 60, "endMinute": null, "pricePerHour": 50 }
+ *   ],
+ *   "billingStepMinutes": 60,
+ *   "minimumCharge": 0,
+ *   "gracePeriodMinutes": 0,   // Optionnel
+ *   "toleranceMinutes": 0,     // Optionnel
+ *   "dailyCap": null,          // Optionnel : maximum par période de 24h
+ *   "overnightFee": 0,         // Optionnel : forfait par nuit passée
+ *   "schedule": null,          // Optionnel : grille horaire
+ *   "pass": null,              // Optionnel : règles de l'abonnement
+ *   "currency": null           // Optionnel : devise (FCFA par défaut)
+ * }
+ */
+
+// Pas de facturation autorisés (en minutes)
+export const BILLING_STEPS = [15, 30, 60];
+
+// Durée d'une période de plafonnement (24h en minutes)
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Crée le tarif par défaut : un seul prix horaire, toute heure commencée est due
+ * C'est l'équivalent exact de l'ancienne règle de calculatePrice
+ *
+ * @param {number} pricePerHour - Tarif horaire (devise du site)
+ * @returns {Object} Tarif à une seule tranche
+ */
+export const createDefaultTariff = (pricePerHour) => {
+  return {
+    bands: [
+      {
+        startMinute: 0,
+        endMinute: null,
+        pricePerHour: Number(pricePerHour) || 0,
+      },
+    ],
+    billingStepMinutes: 60,
+    minimumCharge: 0,
+  };
+};
+
+/**
+ * Crée un tarif dégressif : un prix pour la première heure, un autre ensuite
+ *
+ * @param {Object} options - Paramètres du tarif
+ * @param {number} options.firstHourPrice - Prix de la première heure
+ * @param {number|null} options.nextHoursPrice - Prix horaire au-delà (null = même prix)
+ * @param {number} options.billingStepMinutes - Pas de facturation
+ * @param {number} options.minimumCharge - Minimum de perception
+ * @param {number} options.gracePeriodMinutes - Minutes gratuites à l'entrée
+ * @param {number} options.toleranceMinutes - Minutes tolérées après chaque pas
+ * @param {number|null} options.dailyCap - Maximum facturé par période de 24h
+ * @param {number} options.overnightFee - Forfait ajouté pour chaque nuit passée
+ * @param {Object|null} options.schedule - Grille horaire (nuit, dimanche, fériés)
+ * @returns {Object} Tarif
+ */
+export const createTariff = ({
+  firstHourPrice,
+  nextHoursPrice = null,
+  billingStepMinutes = 60,
+  minimumCharge = 0,
+  gracePeriodMinutes = 0,
+  toleranceMinutes = 0,
+  dailyCap = null,
+  overnightFee = 0,
+  schedule = null,
+}) => {
+  const bands =
+    nextHoursPrice === null || nextHoursPrice === firstHourPrice
+      ? [{ startMinute: 0, endMinute: null, pricePerHour: firstHourPrice }]
+      : [
+          { startMinute: 0, endMinute: 60, pricePerHour: firstHourPrice },
+          { startMinute: 60, endMinute: null, pricePerHour: nextHoursPrice },
+        ];
+
+  return {
+    bands,
+    billingStepMinutes,
+    minimumCharge,
+    gracePeriodMinutes,
+    toleranceMinutes,
+    dailyCap,
+    overnightFee,
+    schedule: hasScheduleRules(schedule) ? schedule : null,
+  };
+};
+
+/**
+ * Vérifie qu'un tarif est bien formé
+ *
+ * @param {Object} tariff - Tarif à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si le tarif est valide)
+ */
+export const validateTariff = (tariff) => {
+  const errors = [];
+
+  if (!tariff || typeof tariff !== "object") {
+    return ["Le tarif est manquant"];
+  }
+
+  if (!Array.isArray(tariff.bands) || tariff.bands.length === 0) {
+    errors.push("Le tarif doit contenir au moins une tranche");
+  } else {
+    tariff.bands.forEach((band, index) => {
+      const label = `Tranche ${index + 1}`;
+      const expectedStart = index === 0 ? 0 : tariff.bands[index - 1].endMinute;
+      const isLast = index === tariff.bands.length - 1;
+
+      if (typeof band.pricePerHour !== "number" || band.pricePerHour < 0) {
+        errors.push(`${label} : prix horaire invalide`);
+      }
+      if (band.startMinute !== expectedStart) {
+        errors.push(`${label} : doit commencer à ${expectedStart} min`);
+      }
+      if (isLast && band.endMinute !== null) {
+        errors.push(`${label} : la dernière tranche doit être illimitée`);
+      }
+      if (!isLast && !(band.endMinute > band.startMinute)) {
+        errors.push(`${label} : fin de tranche invalide`);
+      }
+    });
+  }
+
+  if (!BILLING_STEPS.includes(tariff.billingStepMinutes)) {
+    errors.push(
+      `Pas de facturation invalide (${BILLING_STEPS.join(", ")} min)`
+    );
+  }
+
+  if (typeof tariff.minimumCharge !== "number" || tariff.minimumCharge < 0) {
+    errors.push("Minimum de perception invalide");
+  }
+
+  // Franchise et tolérance sont optionnelles (anciens tarifs)
+  const grace = tariff.gracePeriodMinutes ?? 0;
+  if (typeof grace !== "number" || grace < 0) {
+    errors.push("Franchise invalide");
+  }
+
+  const tolerance = tariff.toleranceMinutes ?? 0;
+  if (
+    typeof tolerance !== "number" ||
+    tolerance < 0 ||
+    tolerance >= tariff.billingStepMinutes
+  ) {
+    errors.push("La tolérance doit être inférieure au pas de facturation");
+  }
+
+  // Plafond journalier et forfait de nuit sont optionnels
+  const dailyCap = tariff.dailyCap ?? null;
+  if (dailyCap !== null && (typeof dailyCap !== "number" || dailyCap <= 0)) {
+    errors.push("Plafond journalier invalide");
+  }
+
+  const overnightFee = tariff.overnightFee ?? 0;
+  if (typeof overnightFee !== "number" || overnightFee < 0) {
+    errors.push("Forfait de nuit invalide");
+  }
+
+  // Grille horaire optionnelle
+  if (tariff.schedule) {
+    errors.push(...validateSchedule(tariff.schedule));
+  }
+
+  // Abonnement optionnel (tickets des abonnés)
+  if (tariff.pass) {
+    errors.push(...validatePass(tariff.pass));
+  }
+
+  // Devise optionnelle (anciens tickets en FCFA)
+  if (tariff.currency) {
+    errors.push(...validateCurrency(tariff.currency));
+  }
+
+  return errors;
+};
+
+/**
+ * Retourne le tarif à appliquer à un ticket
+ * Les anciens tickets (sans tarif) utilisent la règle "toute heure commencée est due"
+ *
+ * @param {Object} ticket - Ticket (actif ou historique)
+ * @returns {Object} Tarif valide
+ */
+export const getTicketTariff = (ticket) => {
+  if (ticket.tariff && validateTariff(ticket.tariff).length === 0) {
+    return ticket.tariff;
+  }
+  return createDefaultTariff(ticket.pricePerHour);
+};
+
+/**
+ * Libellé lisible d'une tranche
+ *
+ * @param {Object} band - Tranche du tarif
+ * @returns {string} Ex: "Jusqu'à 1h", "De 1h à 3h" ou "Au-delà de 3h"
+ */
+export const formatBandLabel = (band) => {
+  if (band.endMinute === null) {
+    return band.startMinute === 0
+      ? "Toute la durée"
+      : `Au-delà de ${formatDuration(band.startMinute)}`;
+  }
+  if (band.startMinute === 0) {
+    return `Jusqu'à ${formatDuration(band.endMinute)}`;
+  }
+  return `De ${formatDuration(band.startMinute)} à ${formatDuration(
+    band.endMinute
+  )}`;
+};
+
+/**
+ * Compte le nombre de nuits passées (minuits franchis) entre deux dates
+ *
+ * @param {string} entryTime - Date/heure d'entrée (ISO string)
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @returns {number} Nombre de changements de jour calendaire
+ */
+export const countNights = (entryTime, exitTime) => {
+  const entryDay = new Date(entryTime);
+  const exitDay = new Date(exitTime);
+
+  if (isNaN(entryDay.getTime()) || isNaN(exitDay.getTime())) {
+    return 0;
+  }
+
+  entryDay.setHours(0, 0, 0, 0);
+  exitDay.setHours(0, 0, 0, 0);
+
+  // Math.round absorbe les changements d'heure (jours de 23h ou 25h)
+  return Math.max(0, Math.round((exitDay - entryDay) / 86400000));
+};
+
+/**
+ * Compte les nuits facturables : les minuits couverts par l'abonnement
+ * du ticket ne donnent pas lieu au forfait de nuit
+ *
+ * @param {Object} tariff - Tarif du ticket
+ * @param {string} entryTime - Date/heure d'entrée (ISO string)
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @returns {number} Nombre de nuits à facturer
+ */
+const countChargedNights = (tariff, entryTime, exitTime) => {
+  const nights = countNights(entryTime, exitTime);
+  if (!tariff.pass) {
+    return nights;
+  }
+
+  let charged = 0;
+  const midnight = new Date(entryTime);
+  for (let night = 0; night < nights; night++) {
+    midnight.setHours(24, 0, 0, 0);
+    if (!getPassRate(tariff.pass, midnight)) {
+      charged++;
+    }
+  }
+  return charged;
+};
+
+/**
+ * Calcule le montant à payer selon un tarif
+ *
+ * Étapes :
+ * 1. Déduction de la franchise (premières minutes gratuites)
+ * 2. Durée arrondie au pas de facturation supérieur, sauf si le dépassement
+ *    reste dans la tolérance (ex: 61 min avec 5 min de tolérance = 1h)
+ * 3. Découpage de la durée facturée entre les tranches, par période de 24h ;
+ *    les minutes couvertes par la grille horaire (nuit, dimanche, férié)
+ *    prennent le tarif de la plage à la place de celui de la tranche ;
+ *    les minutes couvertes par l'abonnement du ticket sont gratuites
+ * 4. Plafond journalier appliqué à chaque période de 24h
+ * 5. Forfait de nuit pour chaque minuit franchi (hors abonnement)
+ * 6. Application du minimum de perception (sauf abonné sans dépassement)
+ *
+ * @param {Object} tariff - Tarif à appliquer
+ * @param {string} entryTime - Date/heure d'entrée (ISO string)
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @returns {Object} { totalAmount, durationMinutes, billedMinutes, breakdown,
+ *                     gracePeriodMinutes, toleranceMinutes, freeMinutes, toleratedMinutes,
+ *                     nights }
+ */
+export const calculateTariffPrice = (tariff, entryTime, exitTime) => {
+  const durationMinutes = calculateDuration(entryTime, exitTime);
+  const gracePeriodMinutes = tariff.gracePeriodMinutes || 0;
+  const toleranceMinutes = tariff.toleranceMinutes || 0;
+  const currency = tariff.currency || DEFAULT_CURRENCY;
+  const result = {
+    totalAmount: 0,
+    durationMinutes,
+    billedMinutes: 0,
+    breakdown: [],
+    gracePeriodMinutes,
+    toleranceMinutes,
+    freeMinutes: Math.min(durationMinutes, gracePeriodMinutes),
+    toleratedMinutes: 0,
+    nights: 0,
+  };
+
+  // Durée restant à facturer après la franchise
+  const chargeableMinutes = durationMinutes - result.freeMinutes;
+
+  // Si durée = 0 (ou entièrement couverte par la franchise), pas de charge
+  if (chargeableMinutes === 0) {
+    return result;
+  }
+
+  // Tout pas commencé est dû, sauf dépassement dans la tolérance
+  const step = tariff.billingStepMinutes;
+  const fullSteps = Math.floor(chargeableMinutes / step);
+  const remainder = chargeableMinutes % step;
+
+  if (remainder > 0 && fullSteps > 0 && remainder <= toleranceMinutes) {
+    result.toleratedMinutes = remainder;
+    result.billedMinutes = fullSteps * step;
+  } else {
+    result.billedMinutes = Math.ceil(chargeableMinutes / step) * step;
+  }
+
+  // La facturation commence après la franchise
+  const chargeStart = new Date(
+    new Date(entryTime).getTime() + result.freeMinutes * 60000
+  );
+
+  // Lignes du détail, regroupées par libellé (tranche ou plage horaire)
+  const lines = new Map();
+  const capLines = [];
+  const periodCount = Math.ceil(result.billedMinutes / DAY_MINUTES);
+
+  for (let period = 0; period < periodCount; period++) {
+    const periodStart = period * DAY_MINUTES;
+    const periodEnd = Math.min(periodStart + DAY_MINUTES, result.billedMinutes);
+    const periodRaw = new Map();
+
+    // Découpage de la période en segments de tarif homogène
+    let cursor = periodStart;
+    while (cursor < periodEnd) {
+      const band = tariff.bands.find(
+        (b) =>
+          cursor >= b.startMinute &&
+          (b.endMinute === null || cursor < b.endMinute)
+      );
+      let segmentEnd =
+        band.endMinute === null
+          ? periodEnd
+          : Math.min(band.endMinute, periodEnd);
+
+      // Abonnement puis tarif particulier de la grille horaire
+      const cursorDate = new Date(chargeStart.getTime() + cursor * 60000);
+      const passRate = tariff.pass
+        ? getPassRate(tariff.pass, cursorDate)
+        : null;
+      const scheduleRate = tariff.schedule
+        ? getScheduleRate(tariff.schedule, cursorDate)
+        : null;
+
+      const boundaries = [];
+      if (tariff.pass) {
+        boundaries.push(getNextPassBoundary(tariff.pass, cursorDate));
+      }
+      if (tariff.schedule) {
+        boundaries.push(getNextScheduleBoundary(tariff.schedule, cursorDate));
+      }
+      boundaries.forEach((boundary) => {
+        const boundaryOffset = Math.ceil((boundary - chargeStart) / 60000);
+        segmentEnd = Math.min(segmentEnd, Math.max(boundaryOffset, cursor + 1));
+      });
+
+      const bandRate = {
+        label: formatBandLabel(band),
+        pricePerHour: band.pricePerHour,
+      };
+      const rate = passRate || scheduleRate || bandRate;
+      const minutes = segmentEnd - cursor;
+
+      if (!lines.has(rate.label)) {
+        lines.set(rate.label, {
+          label: rate.label,
+          minutes: 0,
+          pricePerHour: rate.pricePerHour,
+          amount: 0,
+        });
+      }
+      lines.get(rate.label).minutes += minutes;
+      periodRaw.set(
+        rate.label,
+        (periodRaw.get(rate.label) || 0) + (minutes * rate.pricePerHour) / 60
+      );
+
+      cursor = segmentEnd;
+    }
+
+    // Arrondi à l'unité de la devise, ligne par ligne, pour chaque période
+    let periodAmount = 0;
+    periodRaw.forEach((raw, label) => {
+      const amount = roundToMinorUnit(raw, currency);
+      const line = lines.get(label);
+      line.amount = roundToMinorUnit(line.amount + amount, currency);
+      periodAmount = roundToMinorUnit(periodAmount + amount, currency);
+    });
+
+    // Plafond journalier : la période de 24h ne peut dépasser dailyCap
+    if (tariff.dailyCap && periodAmount > tariff.dailyCap) {
+      capLines.push({
+        label: `Plafond journalier (jour ${period + 1})`,
+        minutes: 0,
+        pricePerHour: 0,
+        amount: roundToMinorUnit(tariff.dailyCap - periodAmount, currency),
+      });
+    }
+  }
+
+  result.breakdown = [...lines.values(), ...capLines];
+
+  // Forfait de nuit : une fois par minuit franchi hors abonnement
+  result.nights = countChargedNights(tariff, entryTime, exitTime);
+  if (tariff.overnightFee > 0 && result.nights > 0) {
+    result.breakdown.push({
+      label: `Forfait nuit × ${result.nights}`,
+      minutes: 0,
+      pricePerHour: 0,
+      amount: tariff.overnightFee * result.nights,
+    });
+  }
+
+  result.totalAmount = roundToMinorUnit(
+    result.breakdown.reduce((sum, line) => sum + line.amount, 0),
+    currency
+  );
+
+  // Minimum de perception (un abonné resté dans ses règles ne paie rien)
+  const coveredByPass = tariff.pass && result.totalAmount === 0;
+  if (!coveredByPass && result.totalAmount < tariff.minimumCharge) {
+    result.breakdown.push({
+      label: "Complément minimum de perception",
+      minutes: 0,
+      pricePerHour: 0,
+      amount: roundToMinorUnit(
+        tariff.minimumCharge - result.totalAmount,
+        currency
+      ),
+    });
+    result.totalAmount = tariff.minimumCharge;
+  }
+
+  // Règle d'arrondi du site (ex: aux 25 FCFA près)
+  const roundedAmount = roundAmount(result.totalAmount, currency);
+  if (roundedAmount !== result.totalAmount) {
+    result.breakdown.push({
+      label: "Arrondi",
+      minutes: 0,
+      pricePerHour: 0,
+      amount: roundToMinorUnit(roundedAmount - result.totalAmount, currency),
+    });
+    result.totalAmount = roundedAmount;
+  }
+
+  return result;
+};
+
+/**
+ * Calcule le montant d'un ticket à une date de sortie donnée
+ *
+ * @param {Object} ticket - Ticket actif
+ * @param {string} exitTime - Date/heure de sortie (ISO string)
+ * @returns {Object} Résultat de calculateTariffPrice
+ */
+export const calculateTicketPrice = (ticket, exitTime) => {
+  try {
+    return calculateTariffPrice(
+      getTicketTariff(ticket),
+      ticket.entryTime,
+      exitTime
+    );
+  } catch (error) {
+    console.error("Erreur lors du calcul du prix du ticket:", error);
+    return {
+      totalAmount: 0,
+      durationMinutes: 0,
+      billedMinutes: 0,
+      breakdown: [],
+      gracePeriodMinutes: 0,
+      toleranceMinutes: 0,
+      freeMinutes: 0,
+      toleratedMinutes: 0,
+      nights: 0,
+    };
+  }
+};
+
+/**
+ * Extrait du calcul les informations à conserver sur le ticket clôturé
+ * Permet à l'historique d'expliquer le montant facturé
+ *
+ * @param {Object} pricing - Résultat de calculateTicketPrice
+ * @returns {Object} Champs à enregistrer avec closeTicket
+ */
+export const getPricingDetails = (pricing) => {
+  return {
+    billedMinutes: pricing.billedMinutes,
+    priceBreakdown: pricing.breakdown,
+    gracePeriodMinutes: pricing.gracePeriodMinutes,
+    toleranceMinutes: pricing.toleranceMinutes,
+    freeMinutes: pricing.freeMinutes,
+    toleratedMinutes: pricing.toleratedMinutes,
+    nights: pricing.nights,
+  };
+};
+
+/**
+ * Retourne le tarif horaire en vigueur pour un ticket à un instant donné
+ * Utilisé pour l'affichage en temps réel (passage en tarif de nuit, etc.)
+ *
+ * @param {Object} ticket - Ticket actif
+ * @param {string} dateString - Instant (ISO string)
+ * @returns {Object} { label, pricePerHour }
+ */
+export const getCurrentRate = (ticket, dateString) => {
+  const tariff = getTicketTariff(ticket);
+  const date = new Date(dateString);
+
+  const passRate = tariff.pass ? getPassRate(tariff.pass, date) : null;
+  if (passRate) {
+    return passRate;
+  }
+
+  const scheduleRate = tariff.schedule
+    ? getScheduleRate(tariff.schedule, date)
+    : null;
+  if (scheduleRate) {
+    return scheduleRate;
+  }
+
+  const elapsed = calculateDuration(ticket.entryTime, dateString);
+  const band =
+    tariff.bands.find((b) => b.endMinute === null || elapsed < b.endMinute) ||
+    tariff.bands[tariff.bands.length - 1];
+
+  return { label: formatBandLabel(band), pricePerHour: band.pricePerHour };
+};
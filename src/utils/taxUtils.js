@@ -0,0 +1,204 @@
+import {
+  DEFAULT_CURRENCY,
+  formatMoney,
+  roundAmount,
+  roundToMinorUnit,
+} from "./moneyUtils";
+
+/**
+ * OBJECTIF 4 : Clôturer le ticket lors de la sortie
+ *
+ * Ce fichier calcule la ventilation comptable du montant encaissé :
+ * - Frais de service fixes ajoutés à chaque ticket payant
+ * - Taxes en pourcentage (ex: TVA 18 %)
+ * - Montant hors taxes (HT), taxes et montant toutes taxes comprises (TTC)
+ *
+ * Format de la configuration (paramètres de l'application) :
+ * {
+ *   "pricesIncludeTax": true,   // true = les tarifs affichés sont TTC
+ *   "taxes": [{ "label": "TVA", "rate": 18 }],
+ *   "serviceFees": [{ "label": "Frais de service", "amount": 50 }]
+ * }
+ *
+ * Format de la ventilation enregistrée sur le ticket clôturé :
+ * {
+ *   "parkingAmount": 300,
+ *   "fees": [{ "label": "Frais de service", "amount": 50 }],
+ *   "netAmount": 297,
+ *   "taxes": [{ "label": "TVA", "rate": 18, "amount": 53 }],
+ *   "taxAmount": 53,
+ *   "roundingAmount": 0,    // Écart dû à la règle d'arrondi de la devise
+ *   "grossAmount": 350      // Montant encaissé = HT + taxes + arrondi
+ * }
+ */
+
+/**
+ * Crée une configuration vide (aucune taxe, aucun frais)
+ * @returns {Object} Configuration des taxes et frais
+ */
+export const createEmptyTaxConfig = () => {
+  return { pricesIncludeTax: true, taxes: [], serviceFees: [] };
+};
+
+/**
+ * Vérifie qu'une configuration des taxes et frais est bien formée
+ *
+ * @param {Object} taxConfig - Configuration à vérifier
+ * @returns {Array<string>} Liste des erreurs (vide si la configuration est valide)
+ */
+export const validateTaxConfig = (taxConfig) => {
+  const errors = [];
+
+  (taxConfig.taxes || []).forEach((tax, index) => {
+    if (!(tax.label || "").trim()) {
+      errors.push(`Taxe ${index + 1} : libellé requis`);
+    }
+    if (typeof tax.rate !== "number" || tax.rate <= 0 || tax.rate >= 100) {
+      errors.push(`Taxe ${index + 1} : taux invalide (entre 0 et 100 %)`);
+    }
+  });
+
+  (taxConfig.serviceFees || []).forEach((fee, index) => {
+    if (!(fee.label || "").trim()) {
+      errors.push(`Frais ${index + 1} : libellé requis`);
+    }
+    if (typeof fee.amount !== "number" || fee.amount <= 0) {
+      errors.push(`Frais ${index + 1} : montant invalide`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Calcule la ventilation HT / taxes / TTC d'un montant de stationnement
+ * Les frais de service ne s'appliquent qu'aux tickets payants ; ils suivent
+ * la même convention HT/TTC que les tarifs. Le montant TTC encaissé suit la
+ * règle d'arrondi de la devise (voir roundAmount).
+ *
+ * @param {number} parkingAmount - Montant du stationnement (après réduction)
+ * @param {Object} taxConfig - Configuration des taxes et frais
+ * @param {Object} currency - Devise du ticket (arrondi des taxes et du TTC)
+ * @returns {Object} Ventilation (voir format en tête de fichier)
+ */
+export const calculateTaxBreakdown = (
+  parkingAmount,
+  taxConfig,
+  currency = DEFAULT_CURRENCY
+) => {
+  const config = taxConfig || createEmptyTaxConfig();
+  const fees =
+    parkingAmount > 0
+      ? (config.serviceFees || []).map((fee) => ({
+          label: fee.label,
+          amount: fee.amount,
+        }))
+      : [];
+  const baseAmount = roundToMinorUnit(
+    parkingAmount + fees.reduce((sum, fee) => sum + fee.amount, 0),
+    currency
+  );
+
+  const taxes = config.taxes || [];
+  const totalRate = taxes.reduce((sum, tax) => sum + tax.rate, 0);
+
+  // Montant HT : extrait du TTC, ou montant de base si les tarifs sont HT
+  const netAmount = config.pricesIncludeTax
+    ? roundToMinorUnit((baseAmount * 100) / (100 + totalRate), currency)
+    : baseAmount;
+
+  // Taxes arrondies à l'unité de la devise ; en mode TTC, la dernière taxe absorbe l'écart
+  // d'arrondi pour que HT + taxes = TTC
+  const taxLines = taxes.map((tax) => ({
+    label: tax.label,
+    rate: tax.rate,
+    amount: roundToMinorUnit((netAmount * tax.rate) / 100, currency),
+  }));
+  if (config.pricesIncludeTax && taxLines.length > 0) {
+    const others = taxLines
+      .slice(0, -1)
+      .reduce((sum, line) => sum + line.amount, 0);
+    taxLines[taxLines.length - 1].amount = roundToMinorUnit(
+      baseAmount - netAmount - others,
+      currency
+    );
+  }
+
+  const taxAmount = roundToMinorUnit(
+    taxLines.reduce((sum, line) => sum + line.amount, 0),
+    currency
+  );
+
+  // Montant encaissé arrondi selon la règle du site ; l'écart est conservé
+  // pour que HT + taxes + arrondi = montant encaissé
+  const totalAmount = roundToMinorUnit(netAmount + taxAmount, currency);
+  const grossAmount = roundAmount(totalAmount, currency);
+
+  return {
+    parkingAmount,
+    fees,
+    netAmount,
+    taxes: taxLines,
+    taxAmount,
+    roundingAmount: roundToMinorUnit(grossAmount - totalAmount, currency),
+    grossAmount,
+  };
+};
+
+/**
+ * Montant hors taxes d'un ticket clôturé
+ * Les tickets clôturés sans ventilation sont considérés sans taxe
+ *
+ * @param {Object} ticket - Ticket de l'historique
+ * @returns {number} Montant HT
+ */
+export const getTicketNetAmount = (ticket) => {
+  return ticket.taxBreakdown
+    ? ticket.taxBreakdown.netAmount
+    : ticket.totalAmount || 0;
+};
+
+/**
+ * Indique si une configuration modifie le montant ou sa ventilation
+ * @param {Object} taxConfig - Configuration des taxes et frais
+ * @returns {boolean} true si au moins une taxe ou un frais est défini
+ */
+export const hasTaxRules = (taxConfig) => {
+  return (
+    !!taxConfig &&
+    ((taxConfig.taxes || []).length > 0 ||
+      (taxConfig.serviceFees || []).length > 0)
+  );
+};
+
+/**
+ * Décrit une taxe pour l'affichage
+ * @param {Object} tax - Taxe { label, rate }
+ * @returns {string} Ex: "TVA 18 %"
+ */
+export const formatTaxLabel = (tax) => {
+  return `${tax.label} ${tax.rate} %`;
+};
+
+/**
+ * Lignes de la ventilation pour un message de confirmation
+ * (le montant TTC est affiché par l'appelant comme montant à payer)
+ *
+ * @param {Object} breakdown - Résultat de calculateTaxBreakdown
+ * @param {Object} currency - Devise du ticket
+ * @returns {Array<string>} Ex: ["Frais de service : 50 FCFA", "Total HT : 297 FCFA", ...]
+ */
+export const formatTaxBreakdown = (breakdown, currency) => {
+  return [
+    ...breakdown.fees.map(
+      (fee) => `${fee.label} : ${formatMoney(fee.amount, currency)}`
+    ),
+    `Total HT : ${formatMoney(breakdown.netAmount, currency)}`,
+    ...breakdown.taxes.map(
+      (tax) => `${formatTaxLabel(tax)} : ${formatMoney(tax.amount, currency)}`
+    ),
+    ...(breakdown.roundingAmount
+      ? [`Arrondi : ${formatMoney(breakdown.roundingAmount, currency)}`]
+      : []),
+  ];
+};